@@ -0,0 +1,173 @@
+// API Keys Manager for Coffee Shop Frontend - creates and revokes keys for scripts and integrations
+class ApiKeysManager {
+    constructor() {
+        this.apiClient = new APIClient();
+        this.apiKeys = [];
+        this.init();
+    }
+
+    async init() {
+        // Wait for auth manager to be ready
+        await this.waitForAuthManager();
+
+        const authResult = await AuthHelper.initializeManagerAuth('API Keys Manager');
+
+        if (!authResult.isAuthenticated) {
+            this.showLoginRequired();
+            return;
+        }
+
+        this.setupEventListeners();
+        await Promise.all([this.loadScopes(), this.loadApiKeys()]);
+    }
+
+    // Wait for auth manager to initialize using shared utility
+    async waitForAuthManager() {
+        return await waitForAuthManager({
+            maxAttempts: 50,
+            intervalMs: 100,
+            managerName: 'API Keys Manager'
+        });
+    }
+
+    // Offer the scopes the user holds, and service keys to key managers
+    async loadScopes() {
+        try {
+            const response = await this.apiClient.getApiKeyScopes();
+            const { scopes, canCreateServiceKeys } = response.data;
+
+            document.getElementById('apiKeyTypeGroup').style.display = canCreateServiceKeys ? 'block' : 'none';
+            document.getElementById('apiKeyScopes').innerHTML = scopes.length === 0
+                ? '<p>Keys act with your customer access - your own orders, cart and so on.</p>'
+                : scopes.map(scope => `
+                    <div class="checkbox-group">
+                        <input type="checkbox" id="scope-${scope.permission}" name="scopes" value="${scope.permission}">
+                        <label for="scope-${scope.permission}"><code>${scope.permission}</code> - ${sanitizeHTML(scope.description)}</label>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Failed to load scopes:', error);
+        }
+    }
+
+    // Load the keys the user can see
+    async loadApiKeys() {
+        try {
+            const response = await this.apiClient.getApiKeys();
+            this.apiKeys = response.data;
+            this.renderApiKeys();
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+            this.showError('Failed to load your API keys. Please refresh the page.');
+        }
+    }
+
+    renderApiKeys() {
+        const apiKeysList = document.getElementById('apiKeysList');
+        apiKeysList.innerHTML = this.apiKeys.length === 0
+            ? '<p>You have no API keys yet.</p>'
+            : this.apiKeys.map(apiKey => this.createApiKeyHTML(apiKey)).join('');
+    }
+
+    // Create HTML for a single key
+    createApiKeyHTML(apiKey) {
+        const statusClass = apiKey.status === 'active' ? 'completed' : 'cancelled';
+        return `
+            <div class="order-card" data-key-id="${apiKey.id}">
+                <div class="order-header">
+                    <div class="order-info">
+                        <h3>${sanitizeHTML(apiKey.name)} <code>${apiKey.keyPrefix}…</code></h3>
+                        <p class="order-date">${apiKey.type === 'service' ? 'Service key' : 'Personal key'} · scopes: ${apiKey.scopes.length ? apiKey.scopes.join(', ') : 'none'}</p>
+                        <p class="order-date">Created ${formatDate(apiKey.createdAt)} · expires ${formatDate(apiKey.expiresAt)}</p>
+                        <p class="order-date">${apiKey.lastUsedAt ? `Last used ${formatRelativeTime(apiKey.lastUsedAt)} from ${sanitizeHTML(apiKey.lastUsedIp || 'unknown')}` : 'Never used'}</p>
+                    </div>
+                    <div class="order-status">
+                        <span class="status-badge ${statusClass}">${apiKey.status}</span>
+                    </div>
+                </div>
+                ${apiKey.status === 'active' ? `
+                    <div class="order-actions">
+                        <button class="btn btn-outline btn-sm revoke-key-btn" data-key-id="${apiKey.id}">Revoke</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        document.getElementById('apiKeyForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.createApiKey(e.target);
+        });
+
+        document.getElementById('apiKeysList').addEventListener('click', async (e) => {
+            const button = e.target.closest('.revoke-key-btn');
+            if (button) {
+                await this.revokeApiKey(button.dataset.keyId);
+            }
+        });
+    }
+
+    async createApiKey(form) {
+        const formData = new FormData(form);
+        try {
+            const response = await this.apiClient.createApiKey({
+                name: formData.get('name'),
+                type: formData.get('type') || 'personal',
+                scopes: formData.getAll('scopes'),
+                expiresInDays: parseInt(formData.get('expiresInDays'), 10)
+            });
+
+            document.getElementById('newApiKeyValue').textContent = response.data.key;
+            document.getElementById('newApiKey').style.display = 'block';
+            form.reset();
+            window.authManager.showMessage(response.message, 'success');
+            await this.loadApiKeys();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Failed to create the API key', 'error');
+        }
+    }
+
+    async revokeApiKey(keyId) {
+        if (!confirm('Revoke this key? Anything using it will stop working.')) return;
+
+        try {
+            const response = await this.apiClient.revokeApiKey(keyId);
+            window.authManager.showMessage(response.message, 'success');
+            await this.loadApiKeys();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Failed to revoke the API key', 'error');
+        }
+    }
+
+    showLoginRequired() {
+        const loginRequiredEl = document.getElementById('loginRequired');
+        const mainEl = document.querySelector('.main');
+
+        if (loginRequiredEl) {
+            loginRequiredEl.style.display = 'block';
+        }
+        if (mainEl) {
+            mainEl.style.display = 'none';
+        }
+    }
+
+    // Show error message
+    showError(message) {
+        const apiKeysList = document.getElementById('apiKeysList');
+        if (apiKeysList) {
+            apiKeysList.innerHTML = `
+                <div class="error-message">
+                    <h3>Error</h3>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" onclick="window.location.reload()">Try Again</button>
+                </div>
+            `;
+        }
+    }
+}
+
+// Initialize API keys manager when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.apiKeysManager = new ApiKeysManager();
+});
@@ -1,4 +1,8 @@
 // API Client for Coffee Shop Frontend
+
+// Requests whose 401 means "not logged in" rather than "access token expired"
+const NO_REFRESH_ENDPOINTS = ['/auth/refresh', '/auth/session', '/auth/login', '/auth/login/2fa', '/auth/logout'];
+
 class APIClient {
     constructor() {
         this.baseURL = '/api';
@@ -11,7 +15,7 @@ class APIClient {
     }
 
     // Generic request method
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, isRetry = false) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             ...this.defaultOptions,
@@ -23,10 +27,33 @@ class APIClient {
         };
 
         try {
+            // State-changing requests repeat the CSRF cookie in a header (double-submit)
+            const method = (config.method || 'GET').toUpperCase();
+            if (!['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+                config.headers['X-CSRF-Token'] = await this.getCsrfToken();
+            }
+
             const response = await fetch(url, config);
+            this.announceSessionExpiry(response);
             const data = await response.json();
             
             if (!response.ok) {
+                // The token cookie was lost or replaced (e.g. cookies cleared) - fetch a fresh one and retry once
+                if (response.status === 403 && data.error === 'CSRF_TOKEN_INVALID' && !isRetry) {
+                    await this.fetchCsrfToken();
+                    return this.request(endpoint, options, true);
+                }
+                // The short-lived access token ran out - swap the refresh token for a new one and retry once.
+                // Not while impersonating: the refresh token is the admin's, the request was the customer's.
+                if (response.status === 401 && !isRetry && !NO_REFRESH_ENDPOINTS.includes(endpoint)
+                    && localStorage.getItem('sessionRefreshable') === 'true' && localStorage.getItem('impersonating') !== 'true'
+                    && await this.refreshSession()) {
+                    return this.request(endpoint, options, true);
+                }
+                // The record changed since it was loaded (If-Match) - saving would overwrite someone else's edit
+                if (response.status === 412) {
+                    throw new APIError('This was changed by someone else since you loaded it - reload to see the latest version, then try again', 412, data);
+                }
                 throw new APIError(data.message || 'Request failed', response.status, data);
             }
             
@@ -41,6 +68,63 @@ class APIClient {
         }
     }
 
+    /**
+     * CSRF token from the csrfToken cookie, fetched from the server if the cookie isn't set yet
+     * @returns {Promise<string>} Token
+     */
+    async getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)csrfToken=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : this.fetchCsrfToken();
+    }
+
+    /**
+     * Ask the server for the CSRF token (it also sets the cookie)
+     * @returns {Promise<string>} Token
+     */
+    async fetchCsrfToken() {
+        const response = await fetch(`${this.baseURL}/auth/csrf`, { credentials: this.defaultOptions.credentials });
+        const data = await response.json();
+        return data.data.csrfToken;
+    }
+
+    /**
+     * Get a new access token with the refresh token cookie. Concurrent callers share one request.
+     * @returns {Promise<boolean>} Whether the session is usable again
+     */
+    async refreshSession() {
+        if (!APIClient.pendingRefresh) {
+            APIClient.pendingRefresh = (async () => {
+                try {
+                    const response = await fetch(`${this.baseURL}/auth/refresh`, {
+                        ...this.defaultOptions,
+                        method: 'POST',
+                        headers: { ...this.defaultOptions.headers, 'X-CSRF-Token': await this.getCsrfToken() }
+                    });
+                    this.announceSessionExpiry(response);
+                    // 409: another tab refreshed a moment ago, its new cookies work for us too
+                    const refreshed = response.ok || response.status === 409;
+                    if (!refreshed) {
+                        localStorage.removeItem('sessionRefreshable');
+                    }
+                    return refreshed;
+                } catch (error) {
+                    return false;
+                } finally {
+                    APIClient.pendingRefresh = null;
+                }
+            })();
+        }
+        return APIClient.pendingRefresh;
+    }
+
+    // Let the page know when the session expires (sent with every authenticated response)
+    announceSessionExpiry(response) {
+        const expiresAt = response.headers.get('X-Session-Expires-At');
+        if (expiresAt) {
+            window.dispatchEvent(new CustomEvent('session:expiry', { detail: { expiresAt } }));
+        }
+    }
+
     // HTTP method helpers
     async get(endpoint, options = {}) {
         return this.request(endpoint, { ...options, method: 'GET' });
@@ -66,6 +150,15 @@ class APIClient {
         return this.request(endpoint, { ...options, method: 'DELETE' });
     }
 
+    /**
+     * If-Match header for a record version, so the server rejects the write (412) if someone else changed it first
+     * @param {number} version - Version of the record as last read (omit to skip the check)
+     * @returns {Object} Request headers
+     */
+    ifMatch(version) {
+        return version !== undefined && version !== null ? { 'If-Match': `"v${version}"` } : {};
+    }
+
     // Authentication endpoints
     /**
      * Register a new user account
@@ -93,6 +186,216 @@ class APIClient {
         return this.post('/auth/logout');
     }
 
+    /**
+     * Company identity providers users can log in with (OpenID Connect)
+     * @returns {Promise<Object>} Providers: { id, name } - log in by going to /api/auth/oidc/:id/login
+     */
+    async getOidcProviders() {
+        return this.get('/auth/oidc/providers');
+    }
+
+    /**
+     * Link a company login to a staff account by confirming with the account's password, and log in
+     * @param {string} linkToken - Link token the login page got from the identity provider login
+     * @param {string} password - The account's password
+     * @param {string} code - Authenticator or recovery code, for accounts with two-factor authentication
+     * @returns {Promise<Object>} Login response
+     */
+    async linkOidcLogin(linkToken, password, code) {
+        return this.post('/auth/oidc/link', { linkToken, password, code });
+    }
+
+    /**
+     * Second login step: a TOTP or recovery code for the challenge returned by login
+     * @param {string} challengeToken - Challenge from the password step
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<Object>} Login response
+     */
+    async loginTwoFactor(challengeToken, code) {
+        return this.post('/auth/login/2fa', { challengeToken, code });
+    }
+
+    /**
+     * Two-factor status of the current user
+     * @returns {Promise<Object>} { enabled, required, recoveryCodesRemaining }
+     */
+    async getTwoFactorStatus() {
+        return this.get('/auth/2fa');
+    }
+
+    /**
+     * Start two-factor setup
+     * @returns {Promise<Object>} { secret, otpauthUri, qrCode } to add to an authenticator app
+     */
+    async setupTwoFactor() {
+        return this.post('/auth/2fa/setup');
+    }
+
+    /**
+     * Finish two-factor setup with a code from the app
+     * @param {string} code - Authenticator code
+     * @returns {Promise<Object>} { recoveryCodes, user }
+     */
+    async enableTwoFactor(code) {
+        return this.post('/auth/2fa/enable', { code });
+    }
+
+    /**
+     * Turn two-factor authentication off
+     * @param {string} password - Current password
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<Object>} Updated user
+     */
+    async disableTwoFactor(password, code) {
+        return this.post('/auth/2fa/disable', { password, code });
+    }
+
+    /**
+     * Replace the recovery codes
+     * @param {string} password - Current password
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<Object>} { recoveryCodes }
+     */
+    async regenerateRecoveryCodes(password, code) {
+        return this.post('/auth/2fa/recovery-codes', { password, code });
+    }
+
+    /**
+     * Log out on every device
+     * @returns {Promise<Object>} Response with the number of revoked sessions
+     */
+    async logoutAll() {
+        return this.post('/auth/logout-all');
+    }
+
+    /**
+     * List the devices the current user is logged in on
+     * @returns {Promise<Object>} Sessions, the requesting one flagged with current: true
+     */
+    async getSessions() {
+        return this.get('/auth/sessions');
+    }
+
+    /**
+     * Log out one device
+     * @param {string} sessionId - Session to revoke
+     * @returns {Promise<Object>} Revoke response
+     */
+    async revokeSession(sessionId) {
+        return this.delete(`/auth/sessions/${sessionId}`);
+    }
+
+    /**
+     * List the current user's API keys
+     * @returns {Promise<Object>} Keys, without the keys themselves
+     */
+    async getApiKeys() {
+        return this.get('/auth/api-keys');
+    }
+
+    /**
+     * Scopes the current user can give an API key
+     * @returns {Promise<Object>} { scopes, canCreateServiceKeys }
+     */
+    async getApiKeyScopes() {
+        return this.get('/auth/api-keys/scopes');
+    }
+
+    /**
+     * Create an API key
+     * @param {Object} definition - { name, type, scopes, expiresInDays }
+     * @returns {Promise<Object>} { key, apiKey } - the key is only returned once
+     */
+    async createApiKey(definition) {
+        return this.post('/auth/api-keys', definition);
+    }
+
+    /**
+     * Revoke an API key
+     * @param {string} keyId - Key to revoke
+     * @returns {Promise<Object>} Revoked key
+     */
+    async revokeApiKey(keyId) {
+        return this.delete(`/auth/api-keys/${keyId}`);
+    }
+
+    /**
+     * Ask for a password reset link to be emailed
+     * @param {string} email - Email address of the account
+     * @returns {Promise<Object>} Response (the same whether or not the account exists)
+     */
+    async forgotPassword(email) {
+        return this.post('/auth/forgot-password', { email });
+    }
+
+    /**
+     * Choose a new password with the token from a reset link
+     * @param {Object} resetData - token, password and confirmPassword
+     * @returns {Promise<Object>} Reset response
+     */
+    async resetPassword(resetData) {
+        return this.post('/auth/reset-password', resetData);
+    }
+
+    /**
+     * Rules new passwords have to meet
+     * @returns {Promise<Object>} Policy, including a readable summary
+     */
+    async getPasswordPolicy() {
+        return this.get('/auth/password-policy');
+    }
+
+    /**
+     * When the current session expires, without counting as activity
+     * @returns {Promise<Object>} { sessionExpiresAt, accessTokenExpiresAt, idleTimeoutSeconds }
+     */
+    async getSessionStatus() {
+        return this.get('/auth/session');
+    }
+
+    /**
+     * Change the current user's password; their other devices are logged out
+     * @param {Object} passwordData - currentPassword, newPassword and confirmPassword
+     * @returns {Promise<Object>} Updated user
+     */
+    async changePassword(passwordData) {
+        return this.put('/auth/password', passwordData);
+    }
+
+    /**
+     * Delete the current user's account; orders and reviews are kept without their personal details
+     * @param {Object} confirmation - password, and code if two-factor authentication is on
+     * @returns {Promise<Object>} Deletion response
+     */
+    async deleteAccount(confirmation) {
+        return this.delete('/auth/me', { body: JSON.stringify(confirmation) });
+    }
+
+    /**
+     * Stop impersonating a user and go back to the admin's own session
+     * @returns {Promise<Object>} { ended, restored } - restored is false if the admin has to log in again
+     */
+    async stopImpersonation() {
+        return this.delete('/auth/impersonation');
+    }
+
+    /**
+     * Confirm an email address with the token from a verification link
+     * @param {string} token - Verification token
+     * @returns {Promise<Object>} Verification response with the updated user
+     */
+    async verifyEmail(token) {
+        return this.post('/auth/verify-email', { token });
+    }
+
+    /**
+     * Email a new verification link to the logged-in user
+     * @returns {Promise<Object>} Resend response
+     */
+    async resendVerification() {
+        return this.post('/auth/resend-verification');
+    }
+
     /**
      * Get current user profile
      * @returns {Promise<Object>} User profile data
@@ -104,10 +407,11 @@ class APIClient {
     /**
      * Update user profile
      * @param {Object} profileData - Updated profile data
+     * @param {number} version - Profile version as last read (optional)
      * @returns {Promise<Object>} Update response
      */
-    async updateProfile(profileData) {
-        return this.put('/auth/profile', profileData);
+    async updateProfile(profileData, version) {
+        return this.put('/auth/profile', profileData, { headers: this.ifMatch(version) });
     }
 
     // Product endpoints
@@ -136,33 +440,48 @@ class APIClient {
         });
     }
 
-    async updateProduct(productId, productData) {
+    async updateProduct(productId, productData, version) {
         return this.request(`/products/${productId}`, {
             method: 'PUT',
+            headers: this.ifMatch(version),
             body: JSON.stringify(productData)
         });
     }
 
-    async deleteProduct(productId) {
+    async deleteProduct(productId, version) {
         return this.request(`/products/${productId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: this.ifMatch(version)
         });
     }
 
-    // Cart endpoints
-    async getCart(userId) {
-        return this.request(`/cart/${userId}`);
+    // Cart endpoints - the logged-in user's cart, or the visitor's guest cart
+    async getCart() {
+        return this.request('/cart');
     }
 
-    async updateCart(userId, cartData) {
-        return this.request(`/cart/${userId}`, {
+    async updateCart(cartData) {
+        return this.request('/cart', {
             method: 'POST',
             body: JSON.stringify(cartData)
         });
     }
 
-    async clearCart(userId) {
-        return this.request(`/cart/${userId}`, {
+    async updateCartItem(productId, quantity) {
+        return this.request(`/cart/items/${productId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ quantity })
+        });
+    }
+
+    async removeCartItem(productId) {
+        return this.request(`/cart/items/${productId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async clearCart() {
+        return this.request('/cart', {
             method: 'DELETE'
         });
     }
@@ -192,8 +511,11 @@ class APIClient {
         return this.request('/admin/users');
     }
 
-    async getActivity() {
-        return this.request('/admin/activity');
+    // filters: username, action, from, to, limit, offset
+    async getActivity(filters = {}) {
+        const searchParams = new URLSearchParams(filters);
+        const queryString = searchParams.toString();
+        return this.request(`/admin/activity${queryString ? '?' + queryString : ''}`);
     }
 
     // Health check
@@ -227,6 +549,10 @@ class APIError extends Error {
         return this.status === 404;
     }
 
+    get isConflict() {
+        return this.status === 412;
+    }
+
     get isServerError() {
         return this.status >= 500;
     }
@@ -1,8 +1,14 @@
 // Frontend Authentication Manager
+
+// How long before an idle logout the user is warned
+const IDLE_WARNING_MS = 2 * 60 * 1000;
+
 class AuthManager {
     constructor() {
         this.currentUser = null;
         this.apiClient = new APIClient();
+        // Every authenticated response says when the session expires
+        window.addEventListener('session:expiry', (e) => this.scheduleIdleWarning(e.detail.expiresAt));
         this.init();
     }
 
@@ -67,7 +73,7 @@ class AuthManager {
             });
 
             if (response.success) {
-                this.showMessage('Registration successful! Please login.', 'success');
+                this.showMessage('Registration successful! Check your email for a verification link, then login.', 'success');
                 return response;
             } else {
                 throw new Error(response.message);
@@ -86,19 +92,11 @@ class AuthManager {
                 body: JSON.stringify(credentials)
             });
 
-            if (response.success) {
-                this.currentUser = response.data;
-                localStorage.setItem('userAuthenticated', 'true');
-                localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
-                this.updateUI();
-                this.notifyOtherComponents();
-                this.showMessage('Login successful!', 'success');
-                
-                // Redirect to store or intended page
-                setTimeout(() => {
-                    window.location.href = '/pages/store.html';
-                }, 1000);
-                
+            if (response.success && response.data.twoFactorRequired) {
+                this.showTwoFactorStep(response.data.challengeToken);
+                return response;
+            } else if (response.success) {
+                this.completeLogin(response);
                 return response;
             } else {
                 throw new Error(response.message);
@@ -109,8 +107,141 @@ class AuthManager {
         }
     }
 
+    // Second login step for accounts with two-factor authentication
+    async loginTwoFactor(code) {
+        try {
+            const response = await this.apiClient.loginTwoFactor(this.twoFactorChallenge, code);
+            this.completeLogin(response);
+            return response;
+        } catch (error) {
+            this.showMessage(error.message || 'Verification failed', 'error');
+            if (error.data && error.data.redirectTo) {
+                setTimeout(() => window.location.reload(), 1500);
+            }
+            throw error;
+        }
+    }
+
+    // Fill in password policy hints and length limits of new-password fields
+    async showPasswordPolicy() {
+        try {
+            const { data: policy } = await this.apiClient.getPasswordPolicy();
+            document.querySelectorAll('[data-password-policy]').forEach(hint => {
+                hint.textContent = `Use ${policy.summary}`;
+            });
+            document.querySelectorAll('input[data-new-password]').forEach(input => {
+                input.minLength = policy.minLength;
+                input.maxLength = policy.maxLength;
+            });
+        } catch (error) {
+            console.error('Failed to load the password policy:', error);
+        }
+    }
+
+    showTwoFactorStep(challengeToken) {
+        this.twoFactorChallenge = challengeToken;
+        document.getElementById('loginForm').style.display = 'none';
+        document.getElementById('twoFactorForm').style.display = 'block';
+        document.getElementById('twoFactorCode').focus();
+        this.showMessage('Enter the code from your authenticator app', 'info');
+    }
+
+    completeLogin(response) {
+        this.currentUser = response.data;
+        localStorage.setItem('userAuthenticated', 'true');
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        localStorage.removeItem('impersonating');
+        if (response.accessTokenExpiresAt) {
+            localStorage.setItem('sessionRefreshable', 'true');
+        } else {
+            localStorage.removeItem('sessionRefreshable');
+        }
+        this.updateUI();
+        this.notifyOtherComponents();
+        this.showMessage(response.cartItemsMerged
+            ? `Login successful! The ${response.cartItemsMerged} item(s) in your cart were added to your saved cart.`
+            : 'Login successful!', 'success');
+        
+        // Redirect to store or intended page
+        setTimeout(() => {
+            window.location.href = this.returnTo || '/pages/store.html';
+        }, 1000);
+    }
+
+    // Offer a "Log in with ..." button for every identity provider the server knows
+    async showOidcProviders(container) {
+        try {
+            const { data: providers } = await this.apiClient.getOidcProviders();
+            providers.forEach(provider => {
+                const link = document.createElement('a');
+                link.className = 'btn btn-secondary btn-full';
+                link.href = `/api/auth/oidc/${encodeURIComponent(provider.id)}/login`;
+                link.textContent = `Log in with ${provider.name}`;
+                container.appendChild(link);
+            });
+            container.style.display = providers.length > 0 ? 'block' : 'none';
+        } catch (error) {
+            console.error('Failed to load identity providers:', error);
+        }
+    }
+
+    // Back on the login page from an identity provider - the outcome is in the URL fragment
+    async handleOidcRedirect() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        if (!['oidcLogin', 'oidcError', 'challenge', 'oidcLink'].some(name => params.has(name))) return;
+        history.replaceState(null, '', window.location.pathname);
+        this.returnTo = params.get('returnTo');
+
+        if (params.has('oidcError')) {
+            this.showMessage(params.get('oidcError'), 'error');
+        } else if (params.has('challenge')) {
+            this.showTwoFactorStep(params.get('challenge'));
+        } else if (params.has('oidcLink')) {
+            this.showOidcLinkStep(params);
+        } else {
+            // The server already set the session cookies
+            const [profile, status] = await Promise.all([this.apiClient.getProfile(), this.apiClient.getSessionStatus()]);
+            this.completeLogin({
+                data: profile.data,
+                accessTokenExpiresAt: status.data.accessTokenExpiresAt,
+                cartItemsMerged: Number(params.get('cartItemsMerged')) || 0
+            });
+        }
+    }
+
+    // A staff account matched by email is only linked after its owner confirms with the password
+    showOidcLinkStep(params) {
+        this.oidcLinkToken = params.get('oidcLink');
+        const needsCode = params.get('twoFactor') === 'required';
+        document.getElementById('loginForm').style.display = 'none';
+        document.getElementById('oidcProviders').style.display = 'none';
+        document.getElementById('oidcLinkPrompt').textContent =
+            `To log in to ${params.get('username')} with ${params.get('provider')} from now on, confirm it's you with the account's password${needsCode ? ' and an authentication code' : ''}.`;
+        document.getElementById('oidcLinkCodeGroup').style.display = needsCode ? 'block' : 'none';
+        document.getElementById('oidcLinkCode').required = needsCode;
+        document.getElementById('oidcLinkForm').style.display = 'block';
+        document.getElementById('oidcLinkPassword').focus();
+    }
+
+    async linkOidcLogin(password, code) {
+        try {
+            const response = await this.apiClient.linkOidcLogin(this.oidcLinkToken, password, code || undefined);
+            this.completeLogin(response);
+            return response;
+        } catch (error) {
+            this.showMessage(error.message || 'Linking failed', 'error');
+            if (error.data && error.data.redirectTo) {
+                setTimeout(() => window.location.reload(), 1500);
+            }
+            throw error;
+        }
+    }
+
     // User logout
     async logout() {
+        if (this.isImpersonating()) {
+            return this.stopImpersonation();
+        }
         try {
             await this.apiClient.request('/auth/logout', {
                 method: 'POST'
@@ -119,6 +250,8 @@ class AuthManager {
             this.currentUser = null;
             localStorage.removeItem('userAuthenticated');
             localStorage.removeItem('currentUser');
+            localStorage.removeItem('sessionRefreshable');
+            this.clearIdleTimers();
             this.updateUI();
             this.showMessage('Logged out successfully', 'success');
             
@@ -131,6 +264,79 @@ class AuthManager {
         }
     }
 
+    // Schedule the idle warning for a session expiry; any later request pushes it back
+    scheduleIdleWarning(expiresAt) {
+        this.clearIdleTimers();
+        const remaining = new Date(expiresAt).getTime() - Date.now();
+        this.idleWarningTimer = setTimeout(() => this.checkIdleSession(), Math.max(remaining - IDLE_WARNING_MS, 0));
+    }
+
+    clearIdleTimers() {
+        clearTimeout(this.idleWarningTimer);
+        clearTimeout(this.idleLogoutTimer);
+        const warning = document.getElementById('idle-warning');
+        if (warning) warning.remove();
+    }
+
+    // Warning time - unless the session was used in another tab meanwhile
+    async checkIdleSession() {
+        try {
+            const { data } = await this.apiClient.getSessionStatus();
+            const expiresAt = new Date(data.sessionExpiresAt).getTime();
+            if (expiresAt - Date.now() > IDLE_WARNING_MS + 5000) {
+                this.scheduleIdleWarning(data.sessionExpiresAt);
+                return;
+            }
+            this.showIdleWarning(expiresAt);
+        } catch (error) {
+            this.handleSessionExpired();
+        }
+    }
+
+    showIdleWarning(expiresAt) {
+        let messageContainer = document.querySelector('.auth-messages');
+        if (!messageContainer) {
+            messageContainer = document.createElement('div');
+            messageContainer.className = 'auth-messages';
+            document.body.insertBefore(messageContainer, document.body.firstChild);
+        }
+
+        const warning = document.createElement('div');
+        warning.id = 'idle-warning';
+        warning.className = 'message message-warning';
+        const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+        warning.textContent = `You will be logged out in about ${minutes} minute(s) because of inactivity. `;
+        const stayButton = document.createElement('button');
+        stayButton.className = 'btn btn-sm btn-primary';
+        stayButton.textContent = 'Stay logged in';
+        // Any authenticated request slides the session, and its response reschedules the warning
+        stayButton.addEventListener('click', () => this.checkAuthStatus());
+        warning.appendChild(stayButton);
+        messageContainer.appendChild(warning);
+
+        this.idleLogoutTimer = setTimeout(() => this.handleSessionExpired(), Math.max(expiresAt - Date.now(), 0));
+    }
+
+    // The session ended on the server - forget the user here too
+    handleSessionExpired() {
+        this.clearIdleTimers();
+        if (!this.currentUser) return;
+        if (this.isImpersonating()) {
+            this.showMessage('The impersonation has expired', 'warning');
+            return this.stopImpersonation();
+        }
+
+        this.currentUser = null;
+        localStorage.removeItem('userAuthenticated');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('sessionRefreshable');
+        this.updateUI();
+        this.showMessage('Your session has expired - please log in again', 'warning');
+        setTimeout(() => {
+            window.location.href = '/pages/login.html';
+        }, 2000);
+    }
+
     // Update UI based on authentication status
     updateUI() {
         const authElements = document.querySelectorAll('[data-auth]');
@@ -148,7 +354,7 @@ class AuthManager {
 
         // Show/hide admin elements
         adminElements.forEach(el => {
-            el.style.display = (this.currentUser && this.currentUser.role === 'admin') ? 'block' : 'none';
+            el.style.display = this.isStaff() ? 'block' : 'none';
         });
 
         // Update user info displays
@@ -162,6 +368,52 @@ class AuthManager {
 
         // Update navigation
         this.updateNavigation();
+        this.updateImpersonationBanner();
+    }
+
+    // While an admin acts as a customer, every page says so and offers a way back
+    updateImpersonationBanner() {
+        const existing = document.getElementById('impersonation-banner');
+        if (existing) existing.remove();
+        if (!this.isImpersonating()) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'impersonation-banner';
+        banner.className = 'message message-warning';
+        banner.style.cssText = 'position: sticky; top: 0; z-index: 1000; margin: 0; text-align: center;';
+        const until = new Date(this.currentUser.impersonationExpiresAt).toLocaleTimeString();
+        banner.textContent = `${this.currentUser.impersonatedBy.username}, you are logged in as ${this.currentUser.username} until ${until}. `;
+        const stopButton = document.createElement('button');
+        stopButton.className = 'btn btn-sm btn-primary';
+        stopButton.textContent = 'Stop impersonating';
+        stopButton.addEventListener('click', () => this.stopImpersonation());
+        banner.appendChild(stopButton);
+        document.body.insertBefore(banner, document.body.firstChild);
+    }
+
+    isImpersonating() {
+        return Boolean(this.currentUser && this.currentUser.impersonatedBy);
+    }
+
+    // End the impersonation and go back to the admin panel as the admin
+    async stopImpersonation() {
+        let restored = false;
+        try {
+            const response = await this.apiClient.stopImpersonation();
+            restored = response.data.restored;
+        } catch (error) {
+            console.log('Auth Manager - Failed to stop impersonation:', error);
+        }
+        localStorage.removeItem('impersonating');
+        // The admin's access token may have run out meanwhile - their refresh token still works
+        if (!restored && localStorage.getItem('sessionRefreshable') === 'true') {
+            restored = await this.apiClient.refreshSession();
+        }
+
+        this.currentUser = null;
+        localStorage.removeItem('currentUser');
+        this.clearIdleTimers();
+        window.location.href = restored ? '/pages/admin.html' : '/pages/login.html';
     }
 
     // Update navigation menu
@@ -172,7 +424,11 @@ class AuthManager {
         if (this.currentUser) {
             authSection.innerHTML = `
                 <span style="margin-right: 10px; color: var(--text-color, #333);">Welcome, ${this.currentUser.username}!</span>
-                ${this.currentUser.role === 'admin' ? '<a href="/pages/admin.html">Admin Panel</a>' : ''}
+                ${this.isStaff() ? '<a href="/pages/admin.html">Admin Panel</a>' : ''}
+                <a href="/pages/profile.html">Profile</a>
+                <a href="/pages/sessions.html">Devices</a>
+                ${this.isStaff() ? '<a href="/pages/api-keys.html">API Keys</a>' : ''}
+                <a href="/pages/two-factor.html">Security</a>
                 <a href="#" onclick="authManager.logout()">Logout</a>
             `;
         } else {
@@ -192,7 +448,7 @@ class AuthManager {
 
         if (this.currentUser) {
             try {
-                const response = await this.apiClient.getCart(this.currentUser.id);
+                const response = await this.apiClient.getCart();
                 if (response.success && response.data && response.data.items) {
                     const totalItems = response.data.items.reduce((sum, item) => sum + item.quantity, 0);
                     cartCountElement.textContent = totalItems;
@@ -226,6 +482,40 @@ class AuthManager {
             });
         }
 
+        // Logging in with a company identity provider
+        const oidcProviders = document.getElementById('oidcProviders');
+        if (oidcProviders) {
+            this.showOidcProviders(oidcProviders);
+            this.handleOidcRedirect();
+        }
+
+        // Two-factor login step (shown after the password was accepted)
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                try {
+                    await this.loginTwoFactor(new FormData(twoFactorForm).get('code'));
+                } catch (error) {
+                    twoFactorForm.reset();
+                }
+            });
+        }
+
+        // Confirming a company login for a staff account (shown after the identity provider login)
+        const oidcLinkForm = document.getElementById('oidcLinkForm');
+        if (oidcLinkForm) {
+            oidcLinkForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const formData = new FormData(oidcLinkForm);
+                try {
+                    await this.linkOidcLogin(formData.get('password'), formData.get('code'));
+                } catch (error) {
+                    oidcLinkForm.reset();
+                }
+            });
+        }
+
         // Registration form
         const registerForm = document.getElementById('registerForm');
         if (registerForm) {
@@ -253,6 +543,176 @@ class AuthManager {
             });
         }
 
+        // Forgot password form
+        const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+        if (forgotPasswordForm) {
+            forgotPasswordForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const formData = new FormData(forgotPasswordForm);
+                
+                try {
+                    const response = await this.apiClient.forgotPassword(formData.get('email'));
+                    this.showMessage(response.message, 'success');
+                    forgotPasswordForm.reset();
+                } catch (error) {
+                    this.showMessage(error.message || 'Could not send the reset link', 'error');
+                }
+            });
+        }
+
+        // Reset password form - the token comes from the link in the email
+        const resetPasswordForm = document.getElementById('resetPasswordForm');
+        if (resetPasswordForm) {
+            const token = new URLSearchParams(window.location.search).get('token');
+            document.getElementById('token').value = token || '';
+            if (!token) {
+                this.showMessage('This reset link is incomplete - please request a new one', 'error');
+            }
+
+            resetPasswordForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const formData = new FormData(resetPasswordForm);
+                
+                try {
+                    const response = await this.apiClient.resetPassword({
+                        token: formData.get('token'),
+                        password: formData.get('password'),
+                        confirmPassword: formData.get('confirmPassword')
+                    });
+                    this.showMessage(response.message, 'success');
+                    resetPasswordForm.reset();
+                    setTimeout(() => {
+                        window.location.href = '/pages/login.html';
+                    }, 2000);
+                } catch (error) {
+                    this.showMessage(error.message || 'Password reset failed', 'error');
+                }
+            });
+        }
+
+        // Change password form - other devices get logged out
+        const changePasswordForm = document.getElementById('changePasswordForm');
+        if (changePasswordForm) {
+            changePasswordForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const formData = new FormData(changePasswordForm);
+
+                try {
+                    const response = await this.apiClient.changePassword({
+                        currentPassword: formData.get('currentPassword'),
+                        newPassword: formData.get('newPassword'),
+                        confirmPassword: formData.get('confirmPassword')
+                    });
+                    this.showMessage(response.message, 'success');
+                    changePasswordForm.reset();
+                } catch (error) {
+                    this.showMessage(error.message || 'Password change failed', 'error');
+                }
+            });
+        }
+
+        // Profile form - saved with the version it was loaded at, so it can't overwrite changes made elsewhere meanwhile
+        const profileForm = document.getElementById('profileForm');
+        if (profileForm) {
+            let profileVersion;
+            const loadProfile = async () => {
+                const response = await this.apiClient.getProfile();
+                profileForm.elements.username.value = response.data.username;
+                profileForm.elements.email.value = response.data.email || '';
+                profileVersion = response.data.version;
+            };
+            loadProfile().catch(error => this.showMessage(error.message || 'Could not load your profile', 'error'));
+
+            profileForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                try {
+                    const response = await this.apiClient.updateProfile({ email: profileForm.elements.email.value.trim() }, profileVersion);
+                    profileVersion = response.data.version;
+                    this.currentUser = { ...this.currentUser, ...response.data };
+                    localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+                    this.showMessage(response.message, 'success');
+                } catch (error) {
+                    this.showMessage(error.message || 'Profile update failed', 'error');
+                    // Show what is saved now, so the edit can be made again on top of it
+                    if (error.isConflict) await loadProfile().catch(() => {});
+                }
+            });
+        }
+
+        // Account deletion page
+        const deleteAccountForm = document.getElementById('deleteAccountForm');
+        if (deleteAccountForm) {
+            deleteAccountForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                if (!confirm('Delete your account? This cannot be undone.')) return;
+                const formData = new FormData(deleteAccountForm);
+
+                try {
+                    const response = await this.apiClient.deleteAccount({
+                        password: formData.get('password'),
+                        code: formData.get('code') || undefined
+                    });
+
+                    this.currentUser = null;
+                    localStorage.removeItem('userAuthenticated');
+                    localStorage.removeItem('currentUser');
+                    localStorage.removeItem('sessionRefreshable');
+                    this.clearIdleTimers();
+                    this.updateUI();
+                    this.showMessage(response.message, 'success');
+                    setTimeout(() => {
+                        window.location.href = '/pages/store.html';
+                    }, 1500);
+                } catch (error) {
+                    this.showMessage(error.message || 'Account deletion failed', 'error');
+                }
+            });
+        }
+
+        // Password fields that set a new password show the server's policy
+        if (document.querySelector('[data-password-policy]')) {
+            this.showPasswordPolicy();
+        }
+
+        // Email verification page - verifies the token from the link, or offers a new link
+        const verificationStatus = document.getElementById('verification-status');
+        if (verificationStatus) {
+            const token = new URLSearchParams(window.location.search).get('token');
+            const resendSection = document.getElementById('resend-verification');
+            const showResend = () => {
+                if (this.currentUser && !this.currentUser.emailVerified) {
+                    resendSection.style.display = 'block';
+                }
+            };
+
+            if (token) {
+                this.apiClient.verifyEmail(token)
+                    .then((response) => {
+                        verificationStatus.textContent = response.message;
+                        if (this.currentUser && this.currentUser.id === response.data.id) {
+                            this.currentUser = response.data;
+                            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+                        }
+                    })
+                    .catch((error) => {
+                        verificationStatus.textContent = error.message || 'Email verification failed';
+                        showResend();
+                    });
+            } else {
+                showResend();
+            }
+
+            document.getElementById('resendVerificationBtn').addEventListener('click', async () => {
+                try {
+                    const response = await this.apiClient.resendVerification();
+                    this.showMessage(response.message, 'success');
+                } catch (error) {
+                    this.showMessage(error.message || 'Could not send a new verification link', 'error');
+                }
+            });
+        }
+
         // Password confirmation validation
         const confirmPasswordInput = document.getElementById('confirmPassword');
         const passwordInput = document.getElementById('password');
@@ -302,6 +762,17 @@ class AuthManager {
         return this.currentUser && this.currentUser.role === 'admin';
     }
 
+    // Check if the user's role grants a permission (e.g. 'orders:read')
+    hasPermission(permission) {
+        const permissions = (this.currentUser && this.currentUser.permissions) || [];
+        return permissions.includes('*') || permissions.includes(permission);
+    }
+
+    // Staff are users whose role grants any permission - they get the admin panel
+    isStaff() {
+        return Boolean(this.currentUser && this.currentUser.permissions && this.currentUser.permissions.length > 0);
+    }
+
     // Force re-check authentication status (useful for other components)
     async recheckAuth() {
         const isAuth = await this.checkAuthStatus();
@@ -340,7 +811,7 @@ class AuthManager {
     requireAdmin() {
         if (!this.requireAuth()) return false;
         
-        if (!this.isAdmin()) {
+        if (!this.isStaff()) {
             this.showMessage('Admin access required', 'error');
             setTimeout(() => {
                 window.location.href = '/pages/store.html';
@@ -352,10 +823,9 @@ class AuthManager {
 
     // Update cart and wishlist counters
     async updateCartCount() {
-        if (!this.isAuthenticated()) return;
-        
+        // Visitors have a guest cart too
         try {
-            const response = await this.apiClient.getCart(this.currentUser.id);
+            const response = await this.apiClient.getCart();
             if (response.success) {
                 const totalItems = response.data.items.reduce((sum, item) => sum + item.quantity, 0);
                 const counter = document.getElementById('cart-count');
@@ -10,16 +10,7 @@ class CartManager {
         // Wait for auth manager to be ready
         await this.waitForAuthManager();
         
-        // Check authentication using AuthHelper
-        const authResult = await AuthHelper.initializeManagerAuth('Cart Manager');
-        
-        if (!authResult.isAuthenticated) {
-            console.log('Cart Manager - Not authenticated, showing login message');
-            this.showLoginMessage();
-            return;
-        }
-
-        console.log('Cart Manager - User authenticated, loading cart');
+        // Visitors who aren't logged in get their guest cart, merged into their own at login
         await this.loadCart();
         this.setupEventListeners();
     }
@@ -28,19 +19,15 @@ class CartManager {
     async waitForAuthManager() {
         return await waitForAuthManager({
             intervalMs: 100,
-            managerName: 'Cart Manager',
-            requireCurrentUser: true
+            managerName: 'Cart Manager'
         });
     }
 
     // Load cart data from server
     async loadCart() {
-        if (!AuthHelper.isAuthenticated()) return;
-
         try {
             showLoading('cartItems');
-            const user = AuthHelper.getCurrentUser();
-            const response = await this.apiClient.getCart(user.id);
+            const response = await this.apiClient.getCart();
             
             if (response.success) {
                 this.cart = response.data;
@@ -199,8 +186,6 @@ class CartManager {
 
     // Update item quantity
     async updateQuantity(productId, change) {
-        if (!AuthHelper.isAuthenticated()) return;
-
         try {
             const itemIndex = this.cart.items.findIndex(item => item.productId === productId);
             if (itemIndex === -1) return;
@@ -213,11 +198,7 @@ class CartManager {
                 return;
             }
 
-            const user = AuthHelper.getCurrentUser();
-            const response = await this.apiClient.request(`/cart/update/${user.id}/${productId}`, {
-                method: 'PUT',
-                body: JSON.stringify({ quantity: newQuantity })
-            });
+            const response = await this.apiClient.updateCartItem(productId, newQuantity);
             
             if (response.success) {
                 this.cart = response.data;
@@ -236,18 +217,12 @@ class CartManager {
 
     // Remove item from cart
     async removeItem(productId) {
-        if (!AuthHelper.isAuthenticated()) return;
-
         try {
             const itemIndex = this.cart.items.findIndex(item => item.productId === productId);
             if (itemIndex === -1) return;
 
             const removedItem = this.cart.items[itemIndex];
-            const user = AuthHelper.getCurrentUser();
-            
-            const response = await this.apiClient.request(`/cart/remove/${user.id}/${productId}`, {
-                method: 'DELETE'
-            });
+            const response = await this.apiClient.removeCartItem(productId);
             
             if (response.success) {
                 this.cart = response.data;
@@ -266,10 +241,7 @@ class CartManager {
 
     // Save cart to server
     async saveCart() {
-        if (!AuthHelper.isAuthenticated()) return;
-
-        const user = AuthHelper.getCurrentUser();
-        const response = await this.apiClient.updateCart(user.id, this.cart);
+        const response = await this.apiClient.updateCart({ items: this.cart.items });
         
         if (!response.success) {
             throw new Error(response.message || 'Failed to save cart');
@@ -322,8 +294,6 @@ class CartManager {
 
     // Clear entire cart
     async clearCart() {
-        if (!AuthHelper.isAuthenticated()) return;
-
         try {
             if (!confirm('Are you sure you want to clear your entire cart?')) {
                 return;
@@ -439,29 +409,6 @@ class CartManager {
         }
     }
 
-    // Show login message for unauthenticated users
-    showLoginMessage() {
-        const cartItemsContainer = document.getElementById('cartItems');
-        if (cartItemsContainer) {
-            cartItemsContainer.innerHTML = `
-                <div class="auth-required">
-                    <h3>Login Required</h3>
-                    <p>Please login to view your shopping cart.</p>
-                    <div style="margin-top: 1rem;">
-                        <a href="/pages/login.html" class="btn btn-primary">Login</a>
-                        <a href="/pages/register.html" class="btn btn-secondary">Register</a>
-                    </div>
-                </div>
-            `;
-        }
-
-        // Hide cart summary
-        const cartSummary = document.querySelector('.cart-summary');
-        if (cartSummary) {
-            cartSummary.style.display = 'none';
-        }
-    }
-
     // Show error message
     showError(message) {
         const cartItemsContainer = document.getElementById('cartItems');
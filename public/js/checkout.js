@@ -41,8 +41,7 @@ class CheckoutManager {
 
         try {
             showLoading('orderItems');
-            const user = AuthHelper.getCurrentUser();
-            const response = await this.apiClient.getCart(user.id);
+            const response = await this.apiClient.getCart();
             
             if (response.success) {
                 this.cart = response.data;
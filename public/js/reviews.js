@@ -242,7 +242,8 @@ class ReviewManager {
      */
     getReviewPermissions(review) {
         const isOwner = this.currentUser && this.currentUser.id === review.userId;
-        const isAdmin = this.currentUser && this.currentUser.role === 'admin';
+        const isAdmin = Boolean(this.currentUser && this.currentUser.permissions
+            && (this.currentUser.permissions.includes('*') || this.currentUser.permissions.includes('reviews:moderate')));
         const canEdit = isOwner || isAdmin;
         return { isOwner, isAdmin, canEdit };
     }
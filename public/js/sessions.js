@@ -0,0 +1,160 @@
+// Sessions Manager for Coffee Shop Frontend - lists and revokes the user's logged-in devices
+class SessionsManager {
+    constructor() {
+        this.apiClient = new APIClient();
+        this.sessions = [];
+        this.init();
+    }
+
+    async init() {
+        // Wait for auth manager to be ready
+        await this.waitForAuthManager();
+
+        const authResult = await AuthHelper.initializeManagerAuth('Sessions Manager');
+
+        if (!authResult.isAuthenticated) {
+            this.showLoginRequired();
+            return;
+        }
+
+        this.setupEventListeners();
+        await this.loadSessions();
+    }
+
+    // Wait for auth manager to initialize using shared utility
+    async waitForAuthManager() {
+        return await waitForAuthManager({
+            maxAttempts: 50,
+            intervalMs: 100,
+            managerName: 'Sessions Manager'
+        });
+    }
+
+    // Load the user's active sessions
+    async loadSessions() {
+        try {
+            const response = await this.apiClient.getSessions();
+            this.sessions = response.data;
+            this.renderSessions();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.showError('Failed to load your sessions. Please refresh the page.');
+        }
+    }
+
+    // Render the session list
+    renderSessions() {
+        const sessionsList = document.getElementById('sessionsList');
+        sessionsList.innerHTML = this.sessions.map(session => this.createSessionHTML(session)).join('');
+    }
+
+    // Create HTML for a single session
+    createSessionHTML(session) {
+        return `
+            <div class="order-card" data-session-id="${session.id}">
+                <div class="order-header">
+                    <div class="order-info">
+                        <h3>${sanitizeHTML(this.describeDevice(session.userAgent))}</h3>
+                        <p class="order-date">IP ${sanitizeHTML(session.ip || 'unknown')} · last active ${formatRelativeTime(session.lastSeenAt)}</p>
+                        <p class="order-date">Logged in ${formatDate(session.createdAt)}${session.rememberMe ? ' · remembered' : ''}</p>
+                    </div>
+                    <div class="order-status">
+                        ${session.current ? '<span class="status-badge completed">This device</span>' : ''}
+                    </div>
+                </div>
+                <div class="order-actions">
+                    <button class="btn btn-outline btn-sm revoke-session-btn" data-session-id="${session.id}">
+                        ${session.current ? 'Log Out' : 'Revoke'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Short "Browser on OS" description of a user agent string
+    describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+        const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+        const browser = browsers.find(([marker]) => userAgent.includes(marker));
+        const system = systems.find(([marker]) => userAgent.includes(marker));
+
+        if (!browser && !system) return userAgent.slice(0, 60);
+        return `${browser ? browser[1] : 'Browser'}${system ? ` on ${system[1]}` : ''}`;
+    }
+
+    setupEventListeners() {
+        document.getElementById('sessionsList').addEventListener('click', async (e) => {
+            const button = e.target.closest('.revoke-session-btn');
+            if (button) {
+                await this.revokeSession(button.dataset.sessionId);
+            }
+        });
+
+        document.getElementById('logoutAllBtn').addEventListener('click', () => this.logoutEverywhere());
+    }
+
+    // Revoke one session; revoking this device's session logs out here too
+    async revokeSession(sessionId) {
+        try {
+            const response = await this.apiClient.revokeSession(sessionId);
+            if (response.data.current) {
+                this.redirectToLogin();
+                return;
+            }
+            window.authManager.showMessage(response.message, 'success');
+            await this.loadSessions();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Failed to revoke the session', 'error');
+        }
+    }
+
+    async logoutEverywhere() {
+        if (!confirm('Log out on all your devices, including this one?')) return;
+
+        try {
+            await this.apiClient.logoutAll();
+            this.redirectToLogin();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Failed to log out everywhere', 'error');
+        }
+    }
+
+    redirectToLogin() {
+        localStorage.removeItem('userAuthenticated');
+        localStorage.removeItem('currentUser');
+        window.location.href = '/pages/login.html';
+    }
+
+    showLoginRequired() {
+        const loginRequiredEl = document.getElementById('loginRequired');
+        const sessionsContainer = document.querySelector('.sessions-container');
+
+        if (loginRequiredEl) {
+            loginRequiredEl.style.display = 'block';
+        }
+        if (sessionsContainer) {
+            sessionsContainer.style.display = 'none';
+        }
+    }
+
+    // Show error message
+    showError(message) {
+        const sessionsList = document.getElementById('sessionsList');
+        if (sessionsList) {
+            sessionsList.innerHTML = `
+                <div class="error-message">
+                    <h3>Error</h3>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" onclick="window.location.reload()">Try Again</button>
+                </div>
+            `;
+        }
+    }
+}
+
+// Initialize sessions manager when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.sessionsManager = new SessionsManager();
+});
@@ -322,13 +322,8 @@ class StoreManager {
 
     // Add product to cart
     async addToCart(productId) {
-        if (!AuthHelper.isAuthenticated()) {
-            AuthHelper.handleAuthFailure('add items to cart');
-            return;
-        }
-
+        // Works without logging in too - the guest cart is merged into the user's cart at login
         try {
-            const user = AuthHelper.getCurrentUser();
             const product = this.products.find(p => p.id === productId);
             
             if (!product) {
@@ -336,7 +331,7 @@ class StoreManager {
             }
 
             // Get current cart
-            const cartResponse = await this.apiClient.getCart(user.id);
+            const cartResponse = await this.apiClient.getCart();
             const currentCart = cartResponse.success ? cartResponse.data : { items: [] };
             
             // Check if product is already in cart
@@ -356,7 +351,7 @@ class StoreManager {
             }
             
             // Update cart on server
-            await this.apiClient.updateCart(user.id, currentCart);
+            await this.apiClient.updateCart({ items: currentCart.items });
             
             // Update cart count in navigation
             if (window.authManager && window.authManager.updateCartCount) {
@@ -0,0 +1,147 @@
+// Two-Factor Manager for Coffee Shop Frontend - enrollment, recovery codes and turning 2FA off
+class TwoFactorManager {
+    constructor() {
+        this.apiClient = new APIClient();
+        this.init();
+    }
+
+    async init() {
+        // Wait for auth manager to be ready
+        await this.waitForAuthManager();
+
+        const authResult = await AuthHelper.initializeManagerAuth('Two-Factor Manager');
+
+        if (!authResult.isAuthenticated) {
+            this.showLoginRequired();
+            return;
+        }
+
+        this.setupEventListeners();
+        await this.loadStatus();
+    }
+
+    // Wait for auth manager to initialize using shared utility
+    async waitForAuthManager() {
+        return await waitForAuthManager({
+            maxAttempts: 50,
+            intervalMs: 100,
+            managerName: 'Two-Factor Manager'
+        });
+    }
+
+    async loadStatus() {
+        try {
+            const response = await this.apiClient.getTwoFactorStatus();
+            this.renderStatus(response.data);
+        } catch (error) {
+            document.getElementById('twoFactorStatus').textContent = 'Failed to load your two-factor settings. Please refresh the page.';
+        }
+    }
+
+    renderStatus(status) {
+        const statusEl = document.getElementById('twoFactorStatus');
+        if (status.enabled) {
+            statusEl.textContent = `Two-factor authentication is on. ${status.recoveryCodesRemaining} recovery code(s) left.`;
+        } else if (status.required) {
+            statusEl.textContent = 'Your account role requires two-factor authentication - set it up to continue using admin features.';
+        } else {
+            statusEl.textContent = 'Two-factor authentication is off. Turn it on to require a code from your phone when logging in.';
+        }
+
+        document.getElementById('twoFactorSetup').style.display = status.enabled ? 'none' : 'block';
+        document.getElementById('twoFactorManageForm').style.display = status.enabled ? 'block' : 'none';
+        document.getElementById('disableTwoFactorBtn').style.display = status.required ? 'none' : 'block';
+    }
+
+    setupEventListeners() {
+        document.getElementById('startSetupBtn').addEventListener('click', () => this.startSetup());
+
+        const enrollForm = document.getElementById('twoFactorEnrollForm');
+        enrollForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.enable(new FormData(enrollForm).get('code'));
+        });
+
+        document.getElementById('regenerateCodesBtn').addEventListener('click', () => this.regenerateCodes());
+        document.getElementById('disableTwoFactorBtn').addEventListener('click', () => this.disable());
+    }
+
+    async startSetup() {
+        try {
+            const response = await this.apiClient.setupTwoFactor();
+            document.getElementById('twoFactorSecret').textContent = response.data.secret.match(/.{1,4}/g).join(' ');
+            document.getElementById('otpauthLink').href = response.data.otpauthUri;
+            document.getElementById('twoFactorQrCode').src = response.data.qrCode;
+            document.getElementById('twoFactorSetup').style.display = 'none';
+            document.getElementById('twoFactorEnrollForm').style.display = 'block';
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Could not start two-factor setup', 'error');
+        }
+    }
+
+    async enable(code) {
+        try {
+            const response = await this.apiClient.enableTwoFactor(code);
+            window.authManager.showMessage(response.message, 'success');
+            document.getElementById('twoFactorEnrollForm').style.display = 'none';
+            this.showRecoveryCodes(response.data.recoveryCodes);
+            await this.loadStatus();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Could not turn on two-factor authentication', 'error');
+        }
+    }
+
+    async regenerateCodes() {
+        const password = document.getElementById('managePassword').value;
+        const code = document.getElementById('manageCode').value;
+        try {
+            const response = await this.apiClient.regenerateRecoveryCodes(password, code);
+            window.authManager.showMessage(response.message, 'success');
+            this.showRecoveryCodes(response.data.recoveryCodes);
+            await this.loadStatus();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Could not create new recovery codes', 'error');
+        }
+        document.getElementById('managePassword').value = '';
+        document.getElementById('manageCode').value = '';
+    }
+
+    async disable() {
+        if (!confirm('Turn off two-factor authentication? Your account will only be protected by your password.')) return;
+
+        const password = document.getElementById('managePassword').value;
+        const code = document.getElementById('manageCode').value;
+        try {
+            const response = await this.apiClient.disableTwoFactor(password, code);
+            window.authManager.showMessage(response.message, 'success');
+            document.getElementById('recoveryCodes').style.display = 'none';
+            await this.loadStatus();
+        } catch (error) {
+            window.authManager.showMessage(error.message || 'Could not turn off two-factor authentication', 'error');
+        }
+        document.getElementById('managePassword').value = '';
+        document.getElementById('manageCode').value = '';
+    }
+
+    showRecoveryCodes(codes) {
+        document.getElementById('recoveryCodesList').innerHTML = codes.map(code => `<li><code>${code}</code></li>`).join('');
+        document.getElementById('recoveryCodes').style.display = 'block';
+    }
+
+    showLoginRequired() {
+        const loginRequiredEl = document.getElementById('loginRequired');
+        const container = document.querySelector('.two-factor-container');
+
+        if (loginRequiredEl) {
+            loginRequiredEl.style.display = 'block';
+        }
+        if (container) {
+            container.style.display = 'none';
+        }
+    }
+}
+
+// Initialize two-factor manager when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.twoFactorManager = new TwoFactorManager();
+});
@@ -354,6 +354,15 @@ class AuthHelper {
         return user && user.role === 'admin';
     }
 
+    /**
+     * Check if the current user's role grants a permission
+     * @param {string} permission - Permission such as 'orders:read'
+     * @returns {boolean} True if granted
+     */
+    static hasPermission(permission) {
+        return this.isAuthenticated() && window.authManager.hasPermission(permission);
+    }
+
     /**
      * Get user ID safely
      * @returns {string|null} User ID or null if not authenticated
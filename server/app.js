@@ -7,8 +7,13 @@ const rateLimit = require('express-rate-limit');
 
 const { handleError, handleNotFound } = require('./modules/error-handler');
 const { persistenceManager } = require('./modules/persist_module');
+const { backupManager } = require('./modules/backup-manager');
+const { seeder } = require('./modules/seeder');
 const { apiLimiter, authLimiter } = require('./middleware/rate-limiter');
+const { corsOptions, issueCsrfToken, verifyCsrf } = require('./middleware/csrf-middleware');
 const AuthMiddleware = require('./middleware/auth-middleware');
+const OidcService = require('./services/oidcService');
+const { createMockOidcProvider } = require('./modules/mock-oidc-provider');
 const apiRoutes = require('./routes/api');
 
 const app = express();
@@ -29,7 +34,7 @@ const limiter = rateLimit({
 app.use(helmet({
     contentSecurityPolicy: false // Allow inline scripts for development
 }));
-app.use(cors());
+app.use(cors(corsOptions)); // CORS_ALLOWED_ORIGINS only
 app.use(limiter);
 
 // Basic middleware
@@ -46,10 +51,19 @@ app.use((req, res, next) => {
     next();
 });
 
+// Bundled identity provider for trying the OIDC login (OIDC_MOCK_PROVIDER=true, never in production)
+if (OidcService.mockProviderEnabled()) {
+    app.use('/mock-oidc', createMockOidcProvider(OidcService.mockProvider()));
+    console.log('🪪 Mock OIDC provider enabled at /mock-oidc');
+}
+
 // Add API and Auth rate limiting
 app.use('/api', apiLimiter);
 app.use('/api/auth', authLimiter);
 
+// CSRF protection for state-changing API requests
+app.use('/api', issueCsrfToken, verifyCsrf);
+
 // API routes
 app.use('/api', apiRoutes);
 
@@ -62,7 +76,12 @@ app.get('/', (req, res) => {
 async function initializeServer() {
     try {
         await persistenceManager.initializeData();
-        await persistenceManager.createSampleData();
+        
+        // A fresh store is filled from a seed profile (SEED_PROFILE, default: demo)
+        const seeded = await seeder.seedIfEmpty(process.env.SEED_PROFILE || 'demo');
+        if (seeded) {
+            console.log(`🌱 Empty store seeded with the "${seeded.profile}" profile`);
+        }
         console.log('✅ Coffee shop data initialized');
         
         // Start session cleanup interval with proper cleanup handling
@@ -78,6 +97,11 @@ async function initializeServer() {
         process.sessionCleanupInterval = sessionCleanupInterval;
         
         console.log('✅ Session cleanup scheduled');
+        
+        backupManager.start();
+        if (backupManager.intervalHours > 0) {
+            console.log(`✅ Backups scheduled every ${backupManager.intervalHours}h (keeping ${backupManager.retentionCount})`);
+        }
     } catch (error) {
         console.error('❌ Failed to initialize data:', error);
     }
@@ -102,71 +126,78 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`☕ Coffee Shop Server running on http://localhost:${PORT}`);
-    console.log(`📁 Serving static files from: ${path.join(__dirname, '../public')}`);
-    console.log(`🌐 API available at: http://localhost:${PORT}/api`);
-    console.log(`🏪 Visit the store: http://localhost:${PORT}/pages/store.html`);
+// Start the server when run directly - tests require the app and listen on a port of their own
+if (require.main === module) {
+    // Start server
+    app.listen(PORT, async () => {
+        console.log(`☕ Coffee Shop Server running on http://localhost:${PORT}`);
+        console.log(`📁 Serving static files from: ${path.join(__dirname, '../public')}`);
+        console.log(`🌐 API available at: http://localhost:${PORT}/api`);
+        console.log(`🏪 Visit the store: http://localhost:${PORT}/pages/store.html`);
     
-    // Initialize data
-    await initializeServer();
+        // Initialize data
+        await initializeServer();
     
-    console.log('\n🚀 Server ready! Available endpoints:');
-    console.log('   🔐 Authentication:');
-    console.log('     POST /api/auth/register');
-    console.log('     POST /api/auth/login');
-    console.log('     POST /api/auth/logout');
-    console.log('     GET  /api/auth/profile');
-    console.log('   📦 Products:');
-    console.log('     GET  /api/products');
-    console.log('     GET  /api/products/:id');
-    console.log('     POST /api/products');
-    console.log('   🛒 Cart & Orders:');
-    console.log('     GET  /api/cart/:userId');
-    console.log('     POST /api/cart/:userId');
-    console.log('     GET  /api/orders/:userId');
-    console.log('     POST /api/orders');
-    console.log('   👨‍💼 Admin:');
-    console.log('     GET  /api/admin/stats');
-    console.log('     GET  /api/admin/users');
-    console.log('     GET  /api/admin/activity');
-    console.log('   💚 System:');
-    console.log('     GET  /api/health');
-});
+        console.log('\n🚀 Server ready! Available endpoints:');
+        console.log('   🔐 Authentication:');
+        console.log('     POST /api/auth/register');
+        console.log('     POST /api/auth/login');
+        console.log('     POST /api/auth/logout');
+        console.log('     GET  /api/auth/profile');
+        console.log('     GET  /api/auth/oidc/:provider/login');
+        console.log('   📦 Products:');
+        console.log('     GET  /api/products');
+        console.log('     GET  /api/products/:id');
+        console.log('     POST /api/products');
+        console.log('   🛒 Cart & Orders:');
+        console.log('     GET  /api/cart/:userId');
+        console.log('     POST /api/cart/:userId');
+        console.log('     GET  /api/orders/:userId');
+        console.log('     POST /api/orders');
+        console.log('   👨‍💼 Admin:');
+        console.log('     GET  /api/admin/stats');
+        console.log('     GET  /api/admin/users');
+        console.log('     GET  /api/admin/activity');
+        console.log('     GET  /api/admin/backups');
+        console.log('     POST /api/admin/backups');
+        console.log('   💚 System:');
+        console.log('     GET  /api/health');
+    });
 
-// Graceful shutdown handlers to clean up intervals and prevent memory leaks
-function cleanup() {
-    console.log('\n🧹 Cleaning up server resources...');
-    if (process.sessionCleanupInterval) {
-        clearInterval(process.sessionCleanupInterval);
-        console.log('✅ Session cleanup interval cleared');
+    // Graceful shutdown handlers to clean up intervals and prevent memory leaks
+    function cleanup() {
+        console.log('\n🧹 Cleaning up server resources...');
+        if (process.sessionCleanupInterval) {
+            clearInterval(process.sessionCleanupInterval);
+            console.log('✅ Session cleanup interval cleared');
+        }
+        backupManager.stop();
     }
-}
 
-// Handle various shutdown signals
-process.on('SIGTERM', () => {
-    console.log('\n📡 SIGTERM received - shutting down gracefully');
-    cleanup();
-    process.exit(0);
-});
+    // Handle various shutdown signals
+    process.on('SIGTERM', () => {
+        console.log('\n📡 SIGTERM received - shutting down gracefully');
+        cleanup();
+        process.exit(0);
+    });
 
-process.on('SIGINT', () => {
-    console.log('\n📡 SIGINT received - shutting down gracefully');
-    cleanup();
-    process.exit(0);
-});
+    process.on('SIGINT', () => {
+        console.log('\n📡 SIGINT received - shutting down gracefully');
+        cleanup();
+        process.exit(0);
+    });
 
-process.on('uncaughtException', (error) => {
-    console.error('💥 Uncaught Exception:', error);
-    cleanup();
-    process.exit(1);
-});
+    process.on('uncaughtException', (error) => {
+        console.error('💥 Uncaught Exception:', error);
+        cleanup();
+        process.exit(1);
+    });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-    cleanup();
-    process.exit(1);
-});
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+        cleanup();
+        process.exit(1);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
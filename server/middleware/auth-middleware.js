@@ -1,11 +1,82 @@
 const { persistenceManager } = require('../modules/persist_module');
-const bcrypt = require('bcrypt');
-const { v4: uuidv4 } = require('uuid');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const RoleService = require('../services/roleService');
+const ApiKeyService = require('../services/apiKeyService');
+const { grants } = require('../modules/permissions');
+const { runWithContext } = require('../modules/request-context');
+
+const sessionService = new SessionService(persistenceManager);
+const twoFactorService = new TwoFactorService(persistenceManager);
+const roleService = new RoleService(persistenceManager);
+const apiKeyService = new ApiKeyService(persistenceManager);
+
+// Token from an `Authorization: Bearer <token>` header, if any
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// REQUIRE_ADMIN_2FA: admins have to enroll before they can use back-office routes
+function rejectMissingTwoFactor(req, res) {
+    if (twoFactorService.isRequiredFor(req.user) && !req.user.twoFactorEnabled) {
+        res.status(403).json({
+            success: false,
+            error: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+            message: 'Admin accounts must set up two-factor authentication first',
+            redirectTo: '/pages/two-factor.html'
+        });
+        return true;
+    }
+    return false;
+}
+
+// Tell the page when its session runs out, so it can warn before an idle logout
+function exposeSessionExpiry(res, session) {
+    res.set('X-Session-Expires-At', new Date(session.expiresAt).toISOString());
+}
+
+// Continue with a request made in an impersonation session: whatever it logs names the admin
+// behind it, and every change it makes is logged as impersonated_request
+function continueAsUser(req, res, next) {
+    const { impersonatedBy } = req.user || {};
+    if (!impersonatedBy) {
+        return next();
+    }
+
+    const context = { impersonatedBy };
+    if (req.method !== 'GET' && !req.impersonationLogged) {
+        req.impersonationLogged = true;
+        res.on('finish', () => {
+            runWithContext(context, () => persistenceManager.logActivity(req.user.username, 'impersonated_request', {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode
+            })).catch(error => console.error('Impersonation logging error:', error));
+        });
+    }
+    return runWithContext(context, next);
+}
 
 class AuthMiddleware {
-    // Verify if user is authenticated
+    // Verify if user is authenticated - by session cookie, or by API key for scripts and integrations
     static async requireAuth(req, res, next) {
         try {
+            const bearerToken = getBearerToken(req);
+            if (bearerToken) {
+                const keyUser = await AuthMiddleware.verifyApiKey(bearerToken, { ip: req.ip });
+                if (!keyUser) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'Invalid API key',
+                        message: 'The API key is invalid, expired or revoked.'
+                    });
+                }
+                req.user = keyUser;
+                return next();
+            }
+
             const token = req.cookies.authToken;
             
             if (!token) {
@@ -18,8 +89,8 @@ class AuthMiddleware {
             }
 
             // Verify token and get user
-            const user = await AuthMiddleware.verifyToken(token);
-            if (!user) {
+            const verified = await AuthMiddleware.verifySession(token, { ip: req.ip });
+            if (!verified) {
                 res.clearCookie('authToken');
                 return res.status(401).json({
                     success: false,
@@ -30,8 +101,9 @@ class AuthMiddleware {
             }
 
             // Add user to request
-            req.user = user;
-            next();
+            req.user = verified.user;
+            exposeSessionExpiry(res, verified.session);
+            continueAsUser(req, res, next);
         } catch (error) {
             console.error('Auth middleware error:', error);
             res.status(500).json({
@@ -42,17 +114,18 @@ class AuthMiddleware {
         }
     }
 
-    // Verify if user is admin
+    // Verify if user is admin (with full access - an admin's API key needs the '*' scope)
     static async requireAdmin(req, res, next) {
         try {
             await AuthMiddleware.requireAuth(req, res, () => {
-                if (req.user.role !== 'admin') {
+                if (req.user.role !== 'admin' || !AuthMiddleware.can(req.user, '*')) {
                     return res.status(403).json({
                         success: false,
                         error: 'Forbidden',
                         message: 'Admin access required'
                     });
                 }
+                if (rejectMissingTwoFactor(req, res)) return;
                 next();
             });
         } catch (error) {
@@ -60,15 +133,101 @@ class AuthMiddleware {
         }
     }
 
+    /**
+     * Require every listed permission (see modules/permissions). Authenticates the request
+     * itself, so it can be used on its own.
+     * @param {...string} permissions - Required permissions
+     * @returns {Function} - Express middleware
+     */
+    static requirePermission(...permissions) {
+        return async (req, res, next) => {
+            try {
+                const check = () => {
+                    const missing = permissions.filter(permission => !AuthMiddleware.can(req.user, permission));
+                    if (missing.length > 0) {
+                        return res.status(403).json({
+                            success: false,
+                            error: 'Forbidden',
+                            message: `Missing permission: ${missing.join(', ')}`
+                        });
+                    }
+                    if (rejectMissingTwoFactor(req, res)) return;
+                    next();
+                };
+
+                if (req.user) {
+                    return check();
+                }
+                await AuthMiddleware.requireAuth(req, res, check);
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Whether an authenticated user holds a permission
+     * @param {Object} user - req.user
+     * @param {string} permission - Permission to check
+     * @returns {boolean}
+     */
+    static can(user, permission) {
+        return Boolean(user) && grants(user.permissions, permission);
+    }
+
+    // Verify the user has confirmed their email address (use after requireAuth)
+    static requireVerifiedEmail(req, res, next) {
+        if (!req.user || req.user.emailVerified !== true) {
+            return res.status(403).json({
+                success: false,
+                error: 'EMAIL_NOT_VERIFIED',
+                message: 'Please verify your email address first - check your inbox or request a new link.',
+                redirectTo: '/pages/verify-email.html'
+            });
+        }
+        next();
+    }
+
+    // Refuse requests made with an API key (use after requireAuth) - for managing keys, sessions
+    // and other credentials, so a leaked key can't be used to mint more. Impersonation sessions
+    // are refused as well.
+    static requireSession(req, res, next) {
+        if (req.user && req.user.apiKey) {
+            return res.status(403).json({
+                success: false,
+                error: 'API_KEY_NOT_ALLOWED',
+                message: 'This can only be done while logged in, not with an API key'
+            });
+        }
+        AuthMiddleware.forbidImpersonation(req, res, next);
+    }
+
+    // Refuse requests made while an admin impersonates the user (use after requireAuth) - for
+    // changing the account's email, credentials and sessions, which only the user may do
+    static forbidImpersonation(req, res, next) {
+        if (req.user && req.user.impersonatedBy) {
+            return res.status(403).json({
+                success: false,
+                error: 'IMPERSONATION_NOT_ALLOWED',
+                message: 'This can\'t be done while impersonating a user'
+            });
+        }
+        next();
+    }
+
     // Optional auth - user can be logged in or not
     static async optionalAuth(req, res, next) {
         try {
+            const bearerToken = getBearerToken(req);
             const token = req.cookies.authToken;
-            if (token) {
-                const user = await AuthMiddleware.verifyToken(token);
-                req.user = user; // Will be null if token is invalid
+            if (bearerToken) {
+                req.user = await AuthMiddleware.verifyApiKey(bearerToken, { ip: req.ip });
+            } else if (token) {
+                const verified = await AuthMiddleware.verifySession(token, { ip: req.ip });
+                req.user = verified ? verified.user : null;
+                if (verified) exposeSessionExpiry(res, verified.session);
             }
-            next();
+            continueAsUser(req, res, next);
         } catch (error) {
             // Continue without auth if there's an error
             req.user = null;
@@ -77,70 +236,109 @@ class AuthMiddleware {
     }
 
     // Verify token and return user
-    static async verifyToken(token) {
+    static async verifyToken(token, context = {}) {
+        const verified = await AuthMiddleware.verifySession(token, context);
+        return verified ? verified.user : null;
+    }
+
+    /**
+     * Verify a session token; using it slides the session's expiry
+     * @param {string} token - Session (access) token from the auth cookie
+     * @param {Object} context - { ip } of the current request
+     * @returns {Promise<Object|null>} - { user, session }, or null if the token isn't valid
+     */
+    static async verifySession(token, context = {}) {
         try {
-            const sessions = await persistenceManager.readData('sessions.json');
-            const session = sessions.find(s => s.token === token && new Date(s.expiresAt) > new Date());
+            const session = await sessionService.findActive(token, context);
             
             if (!session) {
                 return null;
             }
 
             // Get user details
-            const users = await persistenceManager.getAllUsers();
-            const user = users.find(u => u.id === session.userId);
+            const user = await persistenceManager.findOneBy('users', 'id', session.userId);
             
             if (!user) {
                 return null;
             }
 
-            // Return user without password
+            // Return user without password, with what their role allows
             const { password, ...userWithoutPassword } = user;
-            return userWithoutPassword;
+            userWithoutPassword.permissions = await roleService.permissionsFor(user.role);
+            if (session.impersonatedBy) {
+                userWithoutPassword.impersonatedBy = { id: session.impersonatedBy.id, username: session.impersonatedBy.username };
+                userWithoutPassword.impersonationExpiresAt = session.expiresAt;
+            }
+            return { user: userWithoutPassword, session };
         } catch (error) {
             console.error('Token verification error:', error);
             return null;
         }
     }
 
-    // Create session token
-    static async createSession(userId, rememberMe = false) {
+    /**
+     * Verify an API key and return who it acts as: the owner of a personal key (limited to the
+     * key's scopes), or a service principal holding a service key's scopes. Either way the
+     * result carries apiKey: { id, name, type }.
+     * @param {string} key - Raw key from the Authorization header
+     * @param {Object} context - { ip } of the current request
+     * @returns {Promise<Object|null>} - The user, or null if the key isn't valid
+     */
+    static async verifyApiKey(key, context = {}) {
         try {
-            const token = uuidv4();
-            const now = new Date();
-            const expiresAt = new Date(now.getTime() + (rememberMe ? 12 * 24 * 60 * 60 * 1000 : 30 * 60 * 1000)); // 12 days or 30 minutes
-            
-            const session = {
-                id: uuidv4(),
-                token,
-                userId,
-                createdAt: now.toISOString(),
-                expiresAt: expiresAt.toISOString(),
-                rememberMe
-            };
-
-            const sessions = await persistenceManager.readData('sessions.json');
-            
-            // Remove old sessions for this user
-            const filteredSessions = sessions.filter(s => s.userId !== userId);
-            filteredSessions.push(session);
-            
-            await persistenceManager.writeData('sessions.json', filteredSessions);
-            
-            return { token, expiresAt };
+            if (!ApiKeyService.isApiKey(key)) {
+                return null;
+            }
+            const apiKey = await apiKeyService.authenticate(key, context);
+            if (!apiKey) {
+                return null;
+            }
+            const keyInfo = { id: apiKey.id, name: apiKey.name, type: apiKey.type };
+
+            if (apiKey.type === 'service') {
+                return {
+                    id: `service:${apiKey.id}`,
+                    username: `service:${apiKey.name}`,
+                    role: 'service',
+                    emailVerified: true,
+                    permissions: apiKeyService.effectivePermissions(apiKey),
+                    apiKey: keyInfo
+                };
+            }
+
+            const user = await persistenceManager.findOneBy('users', 'id', apiKey.userId);
+            if (!user) {
+                return null;
+            }
+            const { password, ...userWithoutPassword } = user;
+            userWithoutPassword.permissions = apiKeyService.effectivePermissions(apiKey, await roleService.permissionsFor(user.role));
+            userWithoutPassword.apiKey = keyInfo;
+            return userWithoutPassword;
+        } catch (error) {
+            console.error('API key verification error:', error);
+            return null;
+        }
+    }
+
+    // Create session token (and refresh token, when those are on) - other sessions of the user stay logged in
+    static async createSession(userId, rememberMe = false, device = {}) {
+        try {
+            const { token, refreshToken, expiresAt, accessExpiresAt } = await sessionService.create(userId, {
+                rememberMe,
+                userAgent: device.userAgent,
+                ip: device.ip
+            });
+            return { token, refreshToken, expiresAt, accessExpiresAt };
         } catch (error) {
             console.error('Session creation error:', error);
             throw error;
         }
     }
 
-    // Destroy session
-    static async destroySession(token) {
+    // Destroy session - by its refresh token too, in case the access token already expired
+    static async destroySession(token, refreshToken = null) {
         try {
-            const sessions = await persistenceManager.readData('sessions.json');
-            const filteredSessions = sessions.filter(s => s.token !== token);
-            await persistenceManager.writeData('sessions.json', filteredSessions);
-            return true;
+            return await sessionService.destroy(token, refreshToken);
         } catch (error) {
             console.error('Session destruction error:', error);
             return false;
@@ -150,10 +348,8 @@ class AuthMiddleware {
     // Clean up expired sessions
     static async cleanupSessions() {
         try {
-            const sessions = await persistenceManager.readData('sessions.json');
-            const activeSessions = sessions.filter(s => new Date(s.expiresAt) > new Date());
-            await persistenceManager.writeData('sessions.json', activeSessions);
-            console.log(`🧹 Cleaned up ${sessions.length - activeSessions.length} expired sessions`);
+            const removedCount = await sessionService.cleanupExpired();
+            console.log(`🧹 Cleaned up ${removedCount} expired sessions`);
         } catch (error) {
             console.error('Session cleanup error:', error);
         }
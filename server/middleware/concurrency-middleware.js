@@ -0,0 +1,59 @@
+/**
+ * Optimistic Concurrency Helpers
+ * Records carry a `version` that PersistenceManager bumps on every change. It is served as a
+ * strong ETag, and an If-Match header turns into a version check inside the write.
+ */
+
+/**
+ * ETag for a record
+ * @param {Object} record - Versioned record
+ * @returns {string} Quoted entity tag
+ */
+function formatETag(record) {
+    return `"v${record.version || 0}"`;
+}
+
+/**
+ * Set the ETag header of a response from the record it represents
+ * @param {Object} res - Express response
+ * @param {Object} record - Versioned record
+ */
+function setETag(res, record) {
+    if (record) {
+        res.set('ETag', formatETag(record));
+    }
+}
+
+/**
+ * Versions accepted by the request's If-Match header
+ * @param {Object} req - Express request
+ * @returns {Array<number>|undefined} Accepted versions, or undefined when any version is fine (no header or "*")
+ */
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+        return undefined;
+    }
+
+    // Weak tags never match under If-Match; unknown tags simply match nothing
+    return header.split(',')
+        .map(tag => tag.trim().match(/^"v(\d+)"$/))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+}
+
+/**
+ * Write options carrying the request's actor and If-Match precondition
+ * @param {Object} req - Express request
+ * @returns {Object} Options for PersistenceManager record writes
+ */
+function writeOptions(req) {
+    return { actor: req.user, ifMatch: parseIfMatch(req) };
+}
+
+module.exports = {
+    formatETag,
+    setETag,
+    parseIfMatch,
+    writeOptions
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * CSRF Protection
+ * The session lives in a cookie, which the browser also sends with requests other sites trigger.
+ * State-changing API requests therefore have to prove they come from our own pages:
+ *
+ * - Origin check: the Origin (or Referer) header, when the browser sends one, must be this
+ *   server or one of CORS_ALLOWED_ORIGINS
+ * - Double-submit token: the X-CSRF-Token header must repeat the csrfToken cookie. Other sites
+ *   can make the browser send the cookie, but can't read it to put it in a header.
+ *
+ * Requests authenticated with an API key (Authorization: Bearer) are exempt - browsers never
+ * attach those on their own.
+ *
+ * Configuration:
+ *   CORS_ALLOWED_ORIGINS - comma-separated origins (e.g. https://pos.example.com) allowed to call
+ *                          the API from a browser with credentials (default: none, same origin only)
+ */
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+/**
+ * Whether an origin is on the CORS allowlist
+ * @param {string} origin - Origin such as https://pos.example.com
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin) {
+    return allowedOrigins.includes(origin);
+}
+
+/**
+ * Options for the cors middleware: credentialed requests from allowlisted origins only.
+ * Requests without an Origin header (same-origin navigation, curl, server-to-server) are unaffected.
+ */
+const corsOptions = {
+    origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+    credentials: true,
+    exposedHeaders: ['ETag', 'X-Session-Expires-At']
+};
+
+// Origin of the page that made the request, from Origin or else Referer (null if neither was sent)
+function requestOrigin(req) {
+    const origin = req.get('Origin');
+    if (origin && origin !== 'null') {
+        return origin;
+    }
+    const referer = req.get('Referer');
+    if (referer) {
+        try {
+            return new URL(referer).origin;
+        } catch (error) {
+            return 'invalid';
+        }
+    }
+    return origin === 'null' ? 'null' : null;
+}
+
+function isSameOrigin(req, origin) {
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch (error) {
+        return false;
+    }
+}
+
+function tokensMatch(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function setCsrfCookie(res, token) {
+    res.cookie(CSRF_COOKIE, token, {
+        httpOnly: false, // Read by APIClient to send it back in the header
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/'
+    });
+}
+
+/**
+ * Give the browser a CSRF token cookie if it has none yet
+ */
+function issueCsrfToken(req, res, next) {
+    if (!req.cookies[CSRF_COOKIE]) {
+        const token = crypto.randomBytes(32).toString('hex');
+        setCsrfCookie(res, token);
+        req.cookies[CSRF_COOKIE] = token;
+    }
+    next();
+}
+
+/**
+ * Reject state-changing requests that fail the origin check or don't carry the CSRF token
+ */
+function verifyCsrf(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || /^Bearer\s/i.test(req.get('Authorization') || '')) {
+        return next();
+    }
+
+    const origin = requestOrigin(req);
+    if (origin && !isSameOrigin(req, origin) && !isAllowedOrigin(origin)) {
+        return res.status(403).json({
+            success: false,
+            error: 'CSRF_ORIGIN_MISMATCH',
+            message: 'Cross-site request refused'
+        });
+    }
+
+    const cookieToken = req.cookies[CSRF_COOKIE];
+    const headerToken = req.get(CSRF_HEADER);
+    if (!cookieToken || !headerToken || !tokensMatch(cookieToken, headerToken)) {
+        return res.status(403).json({
+            success: false,
+            error: 'CSRF_TOKEN_INVALID',
+            message: 'Missing or invalid CSRF token - reload the page and try again'
+        });
+    }
+
+    next();
+}
+
+/**
+ * GET handler returning the current CSRF token, for clients that can't read the cookie
+ * (pages on an allowlisted origin) or don't have it yet
+ */
+function sendCsrfToken(req, res) {
+    res.json({
+        success: true,
+        data: { csrfToken: req.cookies[CSRF_COOKIE], headerName: CSRF_HEADER },
+        message: `Send this token in the ${CSRF_HEADER} header of state-changing requests`
+    });
+}
+
+module.exports = {
+    corsOptions,
+    isAllowedOrigin,
+    issueCsrfToken,
+    verifyCsrf,
+    sendCsrfToken
+};
@@ -0,0 +1,77 @@
+/**
+ * Login Throttle Helpers
+ * Every check of a password or 2FA code - logging in, and confirming a sensitive change while
+ * logged in - reserves an attempt first (see LoginThrottleService.reserve), so they all share
+ * one per-account delay and lockout.
+ */
+
+const { persistenceManager } = require('../modules/persist_module');
+const LoginThrottleService = require('../services/loginThrottleService');
+
+const loginThrottle = new LoginThrottleService(persistenceManager);
+
+/**
+ * Answer a login attempt of a delayed or locked account
+ * @param {Object} res - Express response
+ * @param {Object} throttle - { reason, retryAfterSeconds }
+ */
+function rejectThrottledLogin(res, throttle) {
+    res.set('Retry-After', String(throttle.retryAfterSeconds));
+    if (throttle.reason === 'locked') {
+        return res.status(423).json({
+            success: false,
+            error: 'ACCOUNT_LOCKED',
+            message: `Too many failed login attempts - this account is locked. Try again in ${Math.ceil(throttle.retryAfterSeconds / 60)} minute(s) or reset your password.`,
+            retryAfter: throttle.retryAfterSeconds
+        });
+    }
+    return res.status(429).json({
+        success: false,
+        error: 'LOGIN_DELAYED',
+        message: `Too many failed login attempts - please wait ${throttle.retryAfterSeconds} second(s) before trying again`,
+        retryAfter: throttle.retryAfterSeconds
+    });
+}
+
+/**
+ * Reserve an attempt before a password or code is checked
+ * @param {Object} res - Express response, answered if the account is delayed or locked
+ * @param {Object} user - Account the password or code belongs to
+ * @returns {Promise<Object|null>} The reservation, or null when the request was answered
+ */
+async function reserveLoginAttempt(res, user) {
+    const reservation = await loginThrottle.reserve(user.id);
+    if (!reservation.allowed) {
+        rejectThrottledLogin(res, reservation);
+        return null;
+    }
+    return reservation;
+}
+
+/**
+ * Answer a wrong password or code - its reserved attempt already counts towards the lockout
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Account the attempt was for
+ * @param {Object} reservation - From reserveLoginAttempt
+ * @param {Object} answer - { status = 401, error, message } unless the attempt locked the account
+ */
+async function rejectFailedLogin(req, res, user, reservation, { status = 401, error, message }) {
+    if (reservation.locked) {
+        await persistenceManager.logActivity(user.username, 'account_locked', {
+            failedAttempts: reservation.failedAttempts,
+            lockedUntil: reservation.lockedUntil,
+            ip: req.ip
+        });
+        return rejectThrottledLogin(res, { reason: 'locked', retryAfterSeconds: reservation.retryAfterSeconds });
+    }
+
+    return res.status(status).json({ success: false, error, message });
+}
+
+module.exports = {
+    loginThrottle,
+    rejectThrottledLogin,
+    reserveLoginAttempt,
+    rejectFailedLogin
+};
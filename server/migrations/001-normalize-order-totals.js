@@ -0,0 +1,27 @@
+/**
+ * Orders written by early versions stored their total as `total` (and some had none at all).
+ * Every order gets a numeric `totalAmount`; the legacy `total` field is dropped, so analytics
+ * and the admin pages only read `totalAmount`.
+ */
+module.exports = {
+    version: 1,
+    name: 'normalize-order-totals',
+
+    up(data) {
+        for (const order of data.orders) {
+            if (order.totalAmount === undefined) {
+                order.totalAmount = order.total !== undefined
+                    ? Number(order.total)
+                    : parseFloat((order.items || []).reduce((sum, item) => sum + item.price * item.quantity, 0).toFixed(2));
+            }
+            delete order.total;
+        }
+    },
+
+    down(data) {
+        // Older code reads either field, so mirroring the amount back is enough
+        for (const order of data.orders) {
+            order.total = order.totalAmount;
+        }
+    }
+};
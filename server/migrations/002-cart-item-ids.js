@@ -0,0 +1,40 @@
+const { v5: uuidv5 } = require('uuid');
+
+// Fixed namespace so the generated item ids are the same on every run
+const CART_ITEM_NAMESPACE = 'a3b1c2d4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+function cartItemId(userId, productId) {
+    return uuidv5(`${userId}:${productId}`, CART_ITEM_NAMESPACE);
+}
+
+/**
+ * Cart items added through /api/cart have only productId/quantity/price, while items moved
+ * from the wishlist also carry `id` and `addedAt`. Give every cart item both fields.
+ */
+module.exports = {
+    version: 2,
+    name: 'cart-item-ids',
+
+    up(data) {
+        for (const cart of data.carts) {
+            for (const item of cart.items || []) {
+                if (!item.id) {
+                    item.id = cartItemId(cart.userId, item.productId);
+                    item.addedAt = item.addedAt || cart.updatedAt || new Date(0).toISOString();
+                }
+            }
+        }
+    },
+
+    down(data) {
+        // Only strip the fields this migration generated
+        for (const cart of data.carts) {
+            for (const item of cart.items || []) {
+                if (item.id === cartItemId(cart.userId, item.productId)) {
+                    delete item.id;
+                    delete item.addedAt;
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Records that can be edited over the API carry a `version` that is bumped on every change
+ * and served as their ETag. Existing records start at version 1.
+ */
+const VERSIONED_COLLECTIONS = ['products', 'orders', 'users', 'support'];
+
+module.exports = {
+    version: 3,
+    name: 'record-versions',
+
+    up(data) {
+        for (const collection of VERSIONED_COLLECTIONS) {
+            for (const record of data[collection]) {
+                if (!Number.isInteger(record.version)) {
+                    record.version = 1;
+                }
+            }
+        }
+    },
+
+    down(data) {
+        for (const collection of VERSIONED_COLLECTIONS) {
+            for (const record of data[collection]) {
+                delete record.version;
+            }
+        }
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * New accounts start with an unverified email address (`emailVerified: false`) and can't
+ * check out or write reviews until it is confirmed. Accounts created before verification
+ * existed are treated as verified.
+ */
+module.exports = {
+    version: 4,
+    name: 'email-verified',
+
+    up(data) {
+        for (const user of data.users) {
+            if (typeof user.emailVerified !== 'boolean') {
+                user.emailVerified = true;
+            }
+        }
+    },
+
+    down(data) {
+        for (const user of data.users) {
+            delete user.emailVerified;
+            delete user.emailVerifiedAt;
+        }
+    }
+};
@@ -0,0 +1,28 @@
+const { DEFAULT_ROLES } = require('../modules/permissions');
+
+/**
+ * Roles become data: the built-in roles (admin, user, barista, support, inventory) are written
+ * to the 'roles' collection, where admins can adjust them and add their own.
+ */
+module.exports = {
+    version: 5,
+    name: 'roles',
+
+    up(data) {
+        for (const role of DEFAULT_ROLES) {
+            if (!data.roles.some(existing => existing.id === role.id)) {
+                data.roles.push({ ...role, permissions: [...role.permissions] });
+            }
+        }
+    },
+
+    down(data) {
+        // Only 'user' and 'admin' existed before
+        for (const user of data.users) {
+            if (user.role !== 'admin') {
+                user.role = 'user';
+            }
+        }
+        data.roles.splice(0, data.roles.length);
+    }
+};
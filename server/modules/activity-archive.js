@@ -0,0 +1,65 @@
+// Archived activity lives in one collection per calendar month (UTC), e.g. 'activity-2025-08'
+const ARCHIVE_PREFIX = 'activity-';
+const ARCHIVE_PATTERN = /^activity-(\d{4}-\d{2})$/;
+
+/**
+ * Calendar month (UTC) of a timestamp
+ * @param {string|Date} timestamp - ISO timestamp or date
+ * @returns {string|null} - 'YYYY-MM', or null for an invalid timestamp
+ */
+function monthOf(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7);
+}
+
+/**
+ * Month a number of months before another one
+ * @param {string} month - 'YYYY-MM'
+ * @param {number} count - Months to go back
+ * @returns {string} - 'YYYY-MM'
+ */
+function subtractMonths(month, count) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber - 1 - count, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string} - Archive collection holding that month's activity
+ */
+function archiveCollection(month) {
+    return `${ARCHIVE_PREFIX}${month}`;
+}
+
+/**
+ * @param {string} collection - Collection name
+ * @returns {string|null} - Month of an archive collection, or null for any other collection
+ */
+function archiveMonth(collection) {
+    const match = ARCHIVE_PATTERN.exec(collection);
+    return match ? match[1] : null;
+}
+
+/**
+ * Whether an activity record matches query filters
+ * @param {Object} activity - Activity record
+ * @param {Object} filters - { username, action, from, to } - from/to are Dates, both inclusive
+ * @returns {boolean}
+ */
+function matchesActivityFilters(activity, { username, action, from, to }) {
+    if (username && activity.username !== username) return false;
+    if (action && activity.action !== action) return false;
+
+    const timestamp = new Date(activity.timestamp);
+    if (from && !(timestamp >= from)) return false;
+    if (to && !(timestamp <= to)) return false;
+    return true;
+}
+
+module.exports = {
+    monthOf,
+    subtractMonths,
+    archiveCollection,
+    archiveMonth,
+    matchesActivityFilters
+};
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createError } = require('./error-handler');
+const { persistenceManager } = require('./persist_module');
+const { MigrationRunner } = require('./migrations');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'coffee-shop-snapshot';
+
+// Live sessions and pending one-time tokens: bearer credentials that would let whoever holds an
+// archive act as any user. Left out of snapshots and emptied by a restore, which logs everyone out.
+const SECRET_COLLECTIONS = [
+    'sessions', 'loginChallenges', 'passwordResets', 'emailVerifications', 'oidcLogins', 'oidcLinks'
+];
+
+// Credentials whose revocation must stick: a restore keeps them as they are now, so revoked API
+// keys stay revoked and disabled or re-enrolled 2FA isn't rolled back. Left out of snapshots too.
+const CURRENT_COLLECTIONS = ['apiKeys', 'twoFactor', 'passwordHistory', 'loginAttempts'];
+const BACKUP_ID_PATTERN = /^snapshot-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-(scheduled|manual|pre-restore|pre-seed)$/;
+
+/**
+ * Backup Manager
+ * Takes consistent snapshots of every collection as gzip-compressed JSON archives,
+ * prunes them according to a retention policy and restores them through the PersistenceManager.
+ * Sessions, one-time tokens, API keys and 2FA secrets are not part of a snapshot (see
+ * SECRET_COLLECTIONS and CURRENT_COLLECTIONS), so an archive holds no usable credentials and a
+ * restore can't bring back what was logged out or revoked.
+ *
+ * Configuration (environment variables, overridable through options):
+ *   BACKUP_DIR             - where archives are kept (default: server/backups)
+ *   BACKUP_INTERVAL_HOURS  - hours between scheduled snapshots, 0 disables the schedule (default: 24)
+ *   BACKUP_RETENTION_COUNT - newest archives to keep (default: 14)
+ *   BACKUP_RETENTION_DAYS  - archives older than this are deleted (default: 30)
+ *
+ * @class BackupManager
+ */
+class BackupManager {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store to back up
+     * @param {Object} options - Backup options
+     * @param {string} options.backupDir - Archive directory
+     * @param {number} options.intervalHours - Hours between scheduled snapshots
+     * @param {number} options.retentionCount - Newest archives to keep
+     * @param {number} options.retentionDays - Maximum archive age in days
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.backupDir = options.backupDir || process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+        this.intervalHours = BackupManager.numberOption(options.intervalHours, process.env.BACKUP_INTERVAL_HOURS, 24);
+        this.retentionCount = BackupManager.numberOption(options.retentionCount, process.env.BACKUP_RETENTION_COUNT, 14);
+        this.retentionDays = BackupManager.numberOption(options.retentionDays, process.env.BACKUP_RETENTION_DAYS, 30);
+        this.timer = null;
+    }
+
+    static numberOption(value, envValue, fallback) {
+        if (value !== undefined) {
+            return value;
+        }
+        const parsed = parseFloat(envValue);
+        return Number.isFinite(parsed) ? parsed : fallback;
+    }
+
+    /**
+     * Start taking scheduled snapshots
+     */
+    start() {
+        if (this.timer || this.intervalHours <= 0) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                const backup = await this.createBackup('scheduled');
+                console.log(`💾 Scheduled backup created: ${backup.id}`);
+            } catch (error) {
+                console.error('❌ Scheduled backup failed:', error);
+            }
+        }, this.intervalHours * 60 * 60 * 1000);
+
+        // Don't keep the process alive just for backups
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Snapshot every collection into a new archive, then apply the retention policy
+     * @param {string} reason - 'manual', 'scheduled', 'pre-restore' or 'pre-seed'
+     * @returns {Promise<Object>} - Metadata of the new backup
+     */
+    async createBackup(reason = 'manual') {
+        const createdAt = new Date();
+        const id = `snapshot-${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`;
+        if (!BACKUP_ID_PATTERN.test(id)) {
+            throw createError(`Invalid backup reason: ${reason}`, 400, 'BACKUP_ERROR');
+        }
+
+        const collections = withoutCredentials(await this.persistenceManager.snapshotCollections());
+        const archive = {
+            format: ARCHIVE_FORMAT,
+            formatVersion: 1,
+            id,
+            reason,
+            createdAt: createdAt.toISOString(),
+            schemaVersion: MigrationRunner.readSchema(collections.schema).version,
+            collections
+        };
+
+        await this.writeArchive(id, archive);
+        await this.applyRetention();
+        return this.describe(id);
+    }
+
+    // Write an archive through a temporary file, so a crash never leaves half an archive behind
+    async writeArchive(id, archive) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const filePath = this.pathFor(id);
+        const tempPath = `${filePath}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, await gzip(JSON.stringify(archive)), { flag: 'wx' });
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw createError(`Failed to write backup: ${error.message}`, 500, 'BACKUP_ERROR');
+        }
+    }
+
+    /**
+     * Rewrite archives in place, e.g. to erase a person's data from the snapshots as well.
+     * Archives keep their id and date; archives that can't be read or written are reported.
+     * @param {Function} redact - Called with an archive's collections; changes them in place and
+     *                            returns whether anything changed
+     * @returns {Promise<Object>} - { redacted, failed } - ids of the rewritten and the failed backups
+     */
+    async redactBackups(redact) {
+        const redacted = [];
+        const failed = [];
+
+        for (const backup of await this.listBackups()) {
+            try {
+                const archive = await this.readBackup(backup.id);
+                if (redact(archive.collections)) {
+                    await this.writeArchive(backup.id, archive);
+                    redacted.push(backup.id);
+                }
+            } catch (error) {
+                // Pruned by the retention policy in the meantime - nothing left to redact
+                if (error.errorType === 'BACKUP_NOT_FOUND') continue;
+                console.error(`Failed to redact backup ${backup.id}:`, error.message);
+                failed.push(backup.id);
+            }
+        }
+        return { redacted, failed };
+    }
+
+    /**
+     * All backups, newest first
+     * @returns {Promise<Array<Object>>} - Backup metadata
+     */
+    async listBackups() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(name => name.endsWith('.json.gz'))
+            .map(name => name.slice(0, -'.json.gz'.length))
+            .filter(id => BACKUP_ID_PATTERN.test(id))
+            .map(id => this.describe(id))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Path of an existing backup archive
+     * @param {string} id - Backup id
+     * @returns {string} - Archive path
+     */
+    getBackupPath(id) {
+        if (!BACKUP_ID_PATTERN.test(id || '')) {
+            throw createError('Invalid backup id', 400, 'INVALID_BACKUP_ID');
+        }
+
+        const filePath = this.pathFor(id);
+        if (!fs.existsSync(filePath)) {
+            throw createError(`Backup ${id} not found`, 404, 'BACKUP_NOT_FOUND');
+        }
+        return filePath;
+    }
+
+    /**
+     * Read and validate an archive
+     * @param {string} id - Backup id
+     * @returns {Promise<Object>} - The archive contents
+     */
+    async readBackup(id) {
+        const filePath = this.getBackupPath(id);
+
+        let archive;
+        try {
+            archive = JSON.parse(await gunzip(fs.readFileSync(filePath)));
+        } catch (error) {
+            throw createError(`Backup ${id} is unreadable: ${error.message}`, 422, 'BACKUP_CORRUPT');
+        }
+
+        if (archive.format !== ARCHIVE_FORMAT || !archive.collections || typeof archive.collections !== 'object') {
+            throw createError(`Backup ${id} is not a store snapshot`, 422, 'BACKUP_CORRUPT');
+        }
+        return archive;
+    }
+
+    /**
+     * Replace the store with a snapshot. A 'pre-restore' backup of the current data is taken first,
+     * writes are quiesced while the collections are replaced, and the restored data is then
+     * migrated to the current schema version. Every session and pending token is revoked - everyone
+     * logs in again - while API keys and 2FA stay as they are now (archives from before credentials
+     * were left out still hold them; those copies are ignored).
+     * @param {string} id - Backup id
+     * @returns {Promise<Object>} - Restore report
+     */
+    async restoreBackup(id) {
+        const archive = await this.readBackup(id);
+
+        const latestVersion = (await new MigrationRunner(this.persistenceManager).status()).latestVersion;
+        if ((archive.schemaVersion || 0) > latestVersion) {
+            throw createError(`Backup ${id} has schema version ${archive.schemaVersion}, newer than this server supports (${latestVersion})`, 409, 'BACKUP_SCHEMA_TOO_NEW');
+        }
+
+        const safetyBackup = await this.createBackup('pre-restore');
+        const collections = withoutCredentials(archive.collections);
+        const revoked = Object.fromEntries(SECRET_COLLECTIONS.map(collection => [collection, []]));
+        await this.persistenceManager.restoreCollections({ ...collections, ...revoked });
+        const migration = await new MigrationRunner(this.persistenceManager).migrate();
+
+        // The users' 2FA flags come from the snapshot; the 2FA secrets weren't rolled back
+        await this.persistenceManager.transaction(['users', 'twoFactor'], (data) => {
+            const enabled = new Set(data.twoFactor.filter(record => record.enabled).map(record => record.userId));
+            data.users.forEach(user => {
+                if (Boolean(user.twoFactorEnabled) !== enabled.has(user.id)) {
+                    user.twoFactorEnabled = enabled.has(user.id);
+                }
+            });
+        });
+
+        return {
+            restored: id,
+            preRestoreBackup: safetyBackup.id,
+            collections: Object.keys(collections),
+            sessionsRevoked: true,
+            schemaVersion: migration.toVersion
+        };
+    }
+
+    /**
+     * Delete archives beyond the retention count or age. The newest archive is always kept.
+     * @returns {Promise<Array<string>>} - Ids of the deleted backups
+     */
+    async applyRetention() {
+        const backups = await this.listBackups();
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+        const expired = backups.filter((backup, index) => index > 0 && (
+            index >= this.retentionCount || new Date(backup.createdAt).getTime() < cutoff
+        ));
+
+        for (const backup of expired) {
+            fs.rmSync(this.pathFor(backup.id), { force: true });
+        }
+        return expired.map(backup => backup.id);
+    }
+
+    pathFor(id) {
+        return path.join(this.backupDir, `${id}.json.gz`);
+    }
+
+    describe(id) {
+        const [, date, time, reason] = id.match(/^snapshot-(\d{4}-\d{2}-\d{2})T(\d{2}-\d{2}-\d{2}-\d{3})Z-(.+)$/);
+        const [hours, minutes, seconds, millis] = time.split('-');
+
+        return {
+            id,
+            reason,
+            createdAt: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`,
+            size: fs.statSync(this.pathFor(id)).size,
+            filename: `${id}.json.gz`
+        };
+    }
+}
+
+// A snapshot's collections without the credentials that are never backed up
+function withoutCredentials(collections) {
+    const excluded = [...SECRET_COLLECTIONS, ...CURRENT_COLLECTIONS];
+    return Object.fromEntries(Object.entries(collections).filter(([collection]) => !excluded.includes(collection)));
+}
+
+const backupManager = new BackupManager(persistenceManager);
+
+module.exports = {
+    BackupManager,
+    backupManager
+};
@@ -0,0 +1,85 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Values that must never be copied into the history
+const REDACTED_FIELDS = ['password'];
+
+/**
+ * Field-level diff of two versions of a record (top-level fields only)
+ * @param {Object|null} before - Previous version, null for a new record
+ * @param {Object|null} after - New version
+ * @returns {Object} - Map of field name to { before, after }; empty when nothing changed
+ */
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            continue;
+        }
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { before: oldValue === undefined ? null : '[redacted]', after: newValue === undefined ? null : '[redacted]' }
+            : { before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue };
+    }
+
+    return changes;
+}
+
+/**
+ * Who made a change - a user object, or the system when there is no user
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} - { id, username }, plus impersonatedBy when an admin acted as the user
+ */
+function describeActor(user) {
+    if (!user || !user.id) {
+        return { id: null, username: 'system' };
+    }
+    const actor = { id: user.id, username: user.username || null };
+    if (user.impersonatedBy) {
+        actor.impersonatedBy = user.impersonatedBy;
+    }
+    return actor;
+}
+
+/**
+ * Build a history entry for a change to one record
+ * @param {Object} change - Change description
+ * @param {string} change.collection - Collection name
+ * @param {string} change.action - 'create', 'update', 'delete' or 'restore'
+ * @param {Object|null} change.before - Record before the change
+ * @param {Object|null} change.after - Record after the change
+ * @param {Object} change.actor - User who made the change
+ * @returns {Object|null} - The entry, or null when an update changed nothing
+ */
+function createHistoryEntry({ collection, action, before, after, actor }) {
+    const changes = diffRecords(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    return {
+        id: uuidv4(),
+        collection,
+        recordId: (after || before).id,
+        action,
+        actor: describeActor(actor),
+        timestamp: new Date().toISOString(),
+        changes
+    };
+}
+
+module.exports = {
+    diffRecords,
+    describeActor,
+    createHistoryEntry
+};
@@ -0,0 +1,96 @@
+/**
+ * Collection Index
+ * In-memory secondary indexes over one array collection. Each indexed field maps a value to the
+ * records holding it, so lookups cost the size of the result instead of the size of the collection.
+ * The index owns its records; lookups hand out copies so callers can't corrupt it.
+ *
+ * @class CollectionIndex
+ */
+class CollectionIndex {
+    /**
+     * @param {Object} fields - Map of field name to options
+     * @param {boolean} fields[].ignoreCase - Match string values case-insensitively
+     */
+    constructor(fields) {
+        this.fields = fields;
+        this.maps = new Map();
+        this.size = 0;
+    }
+
+    /**
+     * Key used to store a value of a field
+     */
+    keyFor(field, value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        return this.fields[field].ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+    }
+
+    /**
+     * Replace the indexed contents with a freshly read or written collection
+     * @param {Array<Object>} records - Whole collection
+     * @returns {CollectionIndex} - this
+     */
+    rebuild(records) {
+        this.maps = new Map(Object.keys(this.fields).map(field => [field, new Map()]));
+        this.size = 0;
+
+        if (!Array.isArray(records)) {
+            return this;
+        }
+
+        for (const record of records) {
+            if (!record || typeof record !== 'object') {
+                continue;
+            }
+            this.size++;
+
+            for (const [field, map] of this.maps) {
+                const key = this.keyFor(field, record[field]);
+                if (key === null) {
+                    continue;
+                }
+                if (!map.has(key)) {
+                    map.set(key, []);
+                }
+                map.get(key).push(record);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * All records whose field equals the value, in collection order
+     * @param {string} field - Indexed field
+     * @param {*} value - Value to match
+     * @returns {Array<Object>} - Copies of the matching records
+     */
+    find(field, value) {
+        const map = this.maps.get(field);
+        if (!map) {
+            throw new Error(`Field ${field} is not indexed`);
+        }
+
+        const records = map.get(this.keyFor(field, value)) || [];
+        return records.map(record => structuredClone(record));
+    }
+
+    /**
+     * First record whose field equals the value
+     * @param {string} field - Indexed field
+     * @param {*} value - Value to match
+     * @returns {Object|null} - Copy of the record, or null
+     */
+    findOne(field, value) {
+        const map = this.maps.get(field);
+        if (!map) {
+            throw new Error(`Field ${field} is not indexed`);
+        }
+
+        const records = map.get(this.keyFor(field, value));
+        return records ? structuredClone(records[0]) : null;
+    }
+}
+
+module.exports = CollectionIndex;
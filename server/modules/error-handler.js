@@ -73,10 +73,20 @@ const createError = (message, statusCode = 500, errorType = 'INTERNAL_ERROR') =>
     return new CoffeeShopError(message, statusCode, errorType);
 };
 
+// Respond with an expected CoffeeShopError (e.g. one thrown from inside a persistence callback)
+const sendKnownError = (res, error) => {
+    return res.status(error.statusCode).json({
+        success: false,
+        error: error.errorType,
+        message: error.message
+    });
+};
+
 module.exports = {
     CoffeeShopError,
     asyncWrapper,
     handleError,
     handleNotFound,
-    createError
+    createError,
+    sendKnownError
 };
\ No newline at end of file
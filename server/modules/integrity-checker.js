@@ -0,0 +1,315 @@
+const { persistenceManager } = require('./persist_module');
+
+/**
+ * Remove a record from an array by identity
+ */
+function removeRecord(records, record) {
+    const index = records.indexOf(record);
+    if (index !== -1) {
+        records.splice(index, 1);
+    }
+}
+
+/**
+ * Integrity rules. Each rule cross-checks collections and returns its violations; a violation
+ * with a `fix` can be repaired by modifying the loaded collections in place.
+ * `ctx` holds lookup sets built once per run (see IntegrityChecker.buildContext).
+ */
+const RULES = [
+    {
+        category: 'cart_missing_product',
+        description: 'Cart items pointing at missing or deleted products',
+        check(data, ctx) {
+            const violations = [];
+            for (const cart of data.carts) {
+                for (const item of cart.items || []) {
+                    if (!ctx.liveProductIds.has(item.productId)) {
+                        violations.push({
+                            collection: 'carts',
+                            recordId: cart.userId,
+                            message: `Cart of ${cart.userId} contains ${ctx.productIds.has(item.productId) ? 'deleted' : 'unknown'} product ${item.productId}`,
+                            fix: () => { cart.items = cart.items.filter(entry => entry !== item); }
+                        });
+                    }
+                }
+            }
+            return violations;
+        }
+    },
+    {
+        category: 'cart_missing_user',
+        description: 'Carts belonging to users that do not exist',
+        check(data, ctx) {
+            return data.carts
+                .filter(cart => !ctx.userIds.has(cart.userId))
+                .map(cart => ({
+                    collection: 'carts',
+                    recordId: cart.userId,
+                    message: `Cart belongs to unknown user ${cart.userId}`,
+                    fix: () => removeRecord(data.carts, cart)
+                }));
+        }
+    },
+    {
+        category: 'session_missing_user',
+        description: 'Sessions for users that do not exist or were deleted',
+        check(data, ctx) {
+            return data.sessions
+                .filter(session => !ctx.liveUserIds.has(session.userId))
+                .map(session => ({
+                    collection: 'sessions',
+                    recordId: session.id,
+                    message: `Session ${session.id} belongs to ${ctx.userIds.has(session.userId) ? 'deleted' : 'unknown'} user ${session.userId}`,
+                    fix: () => removeRecord(data.sessions, session)
+                }));
+        }
+    },
+    {
+        category: 'session_expired',
+        description: 'Expired sessions that were never cleaned up',
+        check(data, ctx) {
+            return data.sessions
+                .filter(session => new Date(session.expiresAt) <= ctx.now)
+                .map(session => ({
+                    collection: 'sessions',
+                    recordId: session.id,
+                    message: `Session ${session.id} expired at ${session.expiresAt}`,
+                    fix: () => removeRecord(data.sessions, session)
+                }));
+        }
+    },
+    {
+        category: 'review_missing_product',
+        description: 'Reviews of products that do not exist',
+        check(data, ctx) {
+            return data.reviews
+                .filter(review => !ctx.productIds.has(review.productId))
+                .map(review => ({
+                    collection: 'reviews',
+                    recordId: review.id,
+                    message: `Review ${review.id} is for unknown product ${review.productId}`,
+                    fix: () => removeRecord(data.reviews, review)
+                }));
+        }
+    },
+    {
+        category: 'wishlist_missing_product',
+        description: 'Wishlist items pointing at missing or deleted products',
+        check(data, ctx) {
+            const violations = [];
+            for (const wishlist of data.wishlists) {
+                for (const item of wishlist.items || []) {
+                    if (!ctx.liveProductIds.has(item.productId)) {
+                        violations.push({
+                            collection: 'wishlists',
+                            recordId: wishlist.userId,
+                            message: `Wishlist of ${wishlist.userId} contains ${ctx.productIds.has(item.productId) ? 'deleted' : 'unknown'} product ${item.productId}`,
+                            fix: () => { wishlist.items = wishlist.items.filter(entry => entry !== item); }
+                        });
+                    }
+                }
+            }
+            return violations;
+        }
+    },
+    {
+        category: 'wishlist_missing_user',
+        description: 'Wishlists belonging to users that do not exist',
+        check(data, ctx) {
+            return data.wishlists
+                .filter(wishlist => !ctx.userIds.has(wishlist.userId))
+                .map(wishlist => ({
+                    collection: 'wishlists',
+                    recordId: wishlist.userId,
+                    message: `Wishlist belongs to unknown user ${wishlist.userId}`,
+                    fix: () => removeRecord(data.wishlists, wishlist)
+                }));
+        }
+    },
+    {
+        category: 'loyalty_points_mismatch',
+        description: 'Loyalty balances that do not add up to their points history',
+        check(data) {
+            const violations = [];
+            for (const record of data.loyalty) {
+                const history = record.pointsHistory || [];
+                const available = history.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+                const total = history.reduce((sum, entry) => sum + Math.max(entry.amount || 0, 0), 0);
+
+                if (record.availablePoints !== available || record.totalPoints !== total) {
+                    violations.push({
+                        collection: 'loyalty',
+                        recordId: record.userId,
+                        message: `Loyalty of ${record.userId} has ${record.availablePoints} available / ${record.totalPoints} total points, history adds up to ${available} / ${total}`,
+                        fix: () => {
+                            record.availablePoints = available;
+                            record.totalPoints = total;
+                        }
+                    });
+                }
+            }
+            return violations;
+        }
+    },
+    {
+        category: 'loyalty_missing_user',
+        description: 'Loyalty records for users that do not exist',
+        check(data, ctx) {
+            return data.loyalty
+                .filter(record => !ctx.userIds.has(record.userId))
+                .map(record => ({
+                    collection: 'loyalty',
+                    recordId: record.userId,
+                    message: `Loyalty record belongs to unknown user ${record.userId}`,
+                    fix: () => removeRecord(data.loyalty, record)
+                }));
+        }
+    },
+    {
+        // Orders are financial records - reported only, never repaired automatically
+        category: 'order_missing_user',
+        description: 'Orders placed by users that do not exist',
+        check(data, ctx) {
+            return data.orders
+                .filter(order => !ctx.userIds.has(order.userId))
+                .map(order => ({
+                    collection: 'orders',
+                    recordId: order.id,
+                    message: `Order ${order.id} belongs to unknown user ${order.userId}`
+                }));
+        }
+    },
+    {
+        category: 'duplicate_id',
+        description: 'Records sharing an id within a collection',
+        check(data) {
+            const violations = [];
+            for (const collection of ['users', 'products', 'orders', 'reviews', 'sessions', 'support']) {
+                const seen = new Set();
+                for (const record of data[collection]) {
+                    if (seen.has(record.id)) {
+                        violations.push({
+                            collection,
+                            recordId: record.id,
+                            message: `Duplicate id ${record.id} in ${collection}`
+                        });
+                    }
+                    seen.add(record.id);
+                }
+            }
+            return violations;
+        }
+    }
+];
+
+/**
+ * Integrity Checker
+ * Cross-validates the collections against each other, reports violations by category and
+ * optionally repairs the ones that have a safe fix. Repairs run in one PersistenceManager
+ * transaction, so either every fix is written or none is.
+ *
+ * @class IntegrityChecker
+ */
+class IntegrityChecker {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store to check
+     */
+    constructor(persistenceManager) {
+        this.persistenceManager = persistenceManager;
+        this.rules = RULES;
+        this.collections = ['users', 'products', 'carts', 'orders', 'sessions', 'reviews', 'wishlists', 'loyalty', 'support'];
+    }
+
+    /**
+     * Run every rule
+     * @param {Object} options - Run options
+     * @param {boolean} options.repair - Apply the available fixes
+     * @returns {Promise<Object>} - Report
+     */
+    async check(options = {}) {
+        if (!options.repair) {
+            const data = {};
+            for (const collection of this.collections) {
+                data[collection] = await this.persistenceManager.readData(collection);
+            }
+            return this.run(data, false);
+        }
+
+        return await this.persistenceManager.transaction(this.collections, data => this.run(data, true));
+    }
+
+    run(data, repair) {
+        const ctx = IntegrityChecker.buildContext(data);
+        const categories = {};
+        let totalViolations = 0;
+        let repairedCount = 0;
+
+        for (const rule of this.rules) {
+            const violations = rule.check(data, ctx);
+            totalViolations += violations.length;
+
+            if (repair) {
+                for (const violation of violations) {
+                    if (violation.fix) {
+                        violation.fix();
+                        violation.repaired = true;
+                        repairedCount++;
+                    }
+                }
+            }
+
+            categories[rule.category] = {
+                description: rule.description,
+                count: violations.length,
+                violations: violations.map(({ fix, ...violation }) => ({
+                    ...violation,
+                    repairable: Boolean(fix),
+                    repaired: Boolean(violation.repaired)
+                }))
+            };
+        }
+
+        return {
+            checkedAt: ctx.now.toISOString(),
+            repair,
+            totalViolations,
+            repairedCount,
+            remainingViolations: totalViolations - repairedCount,
+            categories
+        };
+    }
+
+    static buildContext(data) {
+        const live = records => records.filter(record => !record.deletedAt).map(record => record.id);
+        return {
+            now: new Date(),
+            userIds: new Set(data.users.map(user => user.id)),
+            liveUserIds: new Set(live(data.users)),
+            productIds: new Set(data.products.map(product => product.id)),
+            liveProductIds: new Set(live(data.products))
+        };
+    }
+
+    /**
+     * Counts per category, without the individual violations
+     * @param {Object} report - Report from check()
+     * @returns {Object} - Summary
+     */
+    static summarize(report) {
+        return {
+            status: report.remainingViolations === 0 ? 'healthy' : 'violations',
+            checkedAt: report.checkedAt,
+            totalViolations: report.remainingViolations,
+            categories: Object.fromEntries(Object.entries(report.categories)
+                .filter(([, category]) => category.count > 0)
+                .map(([name, category]) => [name, category.count]))
+        };
+    }
+}
+
+const integrityChecker = new IntegrityChecker(persistenceManager);
+
+module.exports = {
+    IntegrityChecker,
+    integrityChecker
+};
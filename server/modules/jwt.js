@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * JSON Web Tokens (RFC 7519) signed with RS256, the algorithm every OpenID Connect provider
+ * supports for ID tokens. Only what the OIDC login and the bundled mock provider need:
+ * signing, decoding, and checking a signature against a JSON Web Key (RFC 7517).
+ */
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims
+ * @param {crypto.KeyObject} privateKey - RSA private key
+ * @param {string} kid - ID of the key, so verifiers can pick it from the key set
+ * @returns {string} - The token
+ */
+function sign(payload, privateKey, kid) {
+    const header = { alg: 'RS256', typ: 'JWT', kid };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Split a token into its parts without checking anything
+ * @param {string} token - The token
+ * @returns {Object|null} - { header, payload, signingInput, signature }, or null if it isn't a JWT
+ */
+function decode(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+    try {
+        return {
+            header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+            payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url')
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a decoded token was signed with RS256 by the key
+ * @param {Object} decoded - Result of decode()
+ * @param {Object} jwk - Public key as a JSON Web Key
+ * @returns {boolean}
+ */
+function verifySignature(decoded, jwk) {
+    if (!decoded || decoded.header.alg !== 'RS256' || jwk.kty !== 'RSA') {
+        return false;
+    }
+    try {
+        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        return crypto.verify('sha256', Buffer.from(decoded.signingInput), publicKey, decoded.signature);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Public half of a key as a JSON Web Key, for a provider's key set
+ * @param {crypto.KeyObject} publicKey - RSA public key
+ * @param {string} kid - ID of the key
+ * @returns {Object} - The JWK
+ */
+function toJwk(publicKey, kid) {
+    return { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+}
+
+module.exports = {
+    sign,
+    decode,
+    verifySignature,
+    toJwk
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./error-handler');
+
+/**
+ * Outbox Transport
+ * Writes every message as a JSON file into a local directory instead of delivering it,
+ * so emails can be read during development and by tests.
+ *
+ * @class OutboxTransport
+ */
+class OutboxTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.outboxDir - Directory the messages are written to
+     */
+    constructor(options = {}) {
+        this.outboxDir = options.outboxDir;
+    }
+
+    async send(message) {
+        fs.mkdirSync(this.outboxDir, { recursive: true });
+        const filename = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+        const filePath = path.join(this.outboxDir, filename);
+        const tempPath = `${filePath}.tmp`;
+
+        fs.writeFileSync(tempPath, JSON.stringify(message, null, 2));
+        fs.renameSync(tempPath, filePath);
+        return { messageId: message.id, path: filePath };
+    }
+
+    /**
+     * Messages in the outbox, newest first
+     * @param {Object} filters - { to } to only list messages for one recipient
+     * @returns {Array<Object>} - Messages
+     */
+    list(filters = {}) {
+        if (!fs.existsSync(this.outboxDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.outboxDir)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(name => JSON.parse(fs.readFileSync(path.join(this.outboxDir, name), 'utf8')))
+            .filter(message => !filters.to || message.to === filters.to);
+    }
+
+    /**
+     * Delete the messages sent to any of the addresses, e.g. when their recipient is erased
+     * @param {Array<string>} addresses - Recipients (compared case-insensitively)
+     * @returns {number} - Messages deleted
+     */
+    purge(addresses) {
+        if (!fs.existsSync(this.outboxDir)) {
+            return 0;
+        }
+
+        const recipients = new Set(addresses.map(address => address.toLowerCase()));
+        let deleted = 0;
+        for (const name of fs.readdirSync(this.outboxDir).filter(entry => entry.endsWith('.json'))) {
+            const filePath = path.join(this.outboxDir, name);
+            const message = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (typeof message.to === 'string' && recipients.has(message.to.toLowerCase())) {
+                fs.unlinkSync(filePath);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+}
+
+/**
+ * Console Transport
+ * Prints messages to the server log.
+ *
+ * @class ConsoleTransport
+ */
+class ConsoleTransport {
+    async send(message) {
+        console.log(`📧 To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { messageId: message.id };
+    }
+}
+
+/**
+ * Mailer
+ * Builds messages and hands them to a pluggable transport - any object with an async
+ * send(message) method. The transport is chosen by configuration:
+ *   MAIL_TRANSPORT  - 'outbox' (default) or 'console'
+ *   MAIL_OUTBOX_DIR - outbox directory (default: server/outbox)
+ *   MAIL_FROM       - sender address (default: Coffee Shop <no-reply@coffeeshop.com>)
+ *
+ * @class Mailer
+ */
+class Mailer {
+    /**
+     * @param {Object} options - Mailer options
+     * @param {Object} options.transport - Transport to use instead of the configured one
+     * @param {string} options.from - Sender address
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || Mailer.createTransport(options);
+        this.from = options.from || process.env.MAIL_FROM || 'Coffee Shop <no-reply@coffeeshop.com>';
+    }
+
+    static createTransport(options = {}) {
+        const name = (options.transportName || process.env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+        switch (name) {
+            case 'outbox':
+                return new OutboxTransport({
+                    outboxDir: options.outboxDir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox')
+                });
+            case 'console':
+                return new ConsoleTransport();
+            default:
+                throw new Error(`Unknown mail transport "${name}" (expected outbox or console)`);
+        }
+    }
+
+    /**
+     * Replace the transport, e.g. with an SMTP client
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Delete what the transport kept of the messages sent to the addresses
+     * @param {Array<string>} addresses - Recipients
+     * @returns {Promise<number|null>} - Messages deleted, or null if the transport keeps none
+     */
+    async purgeRecipient(addresses) {
+        if (typeof this.transport.purge !== 'function') {
+            return null;
+        }
+        return await this.transport.purge(addresses);
+    }
+
+    /**
+     * Send an email
+     * @param {Object} email - Email to send
+     * @param {string} email.to - Recipient address
+     * @param {string} email.subject - Subject line
+     * @param {string} email.text - Plain-text body
+     * @param {string} email.html - HTML body (optional)
+     * @returns {Promise<Object>} - The message as handed to the transport, plus the transport's result
+     */
+    async send({ to, subject, text, html }) {
+        if (!to || !subject || !text) {
+            throw createError('Emails need a recipient, a subject and a body', 500, 'MAIL_ERROR');
+        }
+
+        const message = {
+            id: uuidv4(),
+            from: this.from,
+            to,
+            subject,
+            text,
+            html: html || null,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            const result = await this.transport.send(message);
+            return { ...message, delivery: result || null };
+        } catch (error) {
+            throw createError(`Failed to send email to ${to}: ${error.message}`, 500, 'MAIL_ERROR');
+        }
+    }
+}
+
+const mailer = new Mailer();
+
+module.exports = {
+    Mailer,
+    OutboxTransport,
+    ConsoleTransport,
+    mailer
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { createError } = require('./error-handler');
+
+/**
+ * Schema Migration Runner
+ * Applies the ordered scripts in server/migrations to the store and records the resulting
+ * schema version in the 'schema' collection. Every run happens inside one PersistenceManager
+ * transaction over all collections, so a failing migration leaves the data untouched.
+ *
+ * A migration module exports:
+ *   version     - positive integer, unique and increasing
+ *   name        - short description
+ *   up(data)    - upgrade; `data` is keyed by collection name and modified in place
+ *   down(data)  - reverse of up()
+ */
+class MigrationRunner {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store to migrate
+     * @param {Object} options - Runner options
+     * @param {string} options.migrationsDir - Directory of migration scripts (default: server/migrations)
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.migrationsDir = options.migrationsDir || path.join(__dirname, '../migrations');
+    }
+
+    /**
+     * Load and validate all migration scripts, sorted by version
+     * @returns {Array<Object>} Migrations
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(name => name.endsWith('.js'))
+            .map(name => ({ file: name, ...require(path.join(this.migrationsDir, name)) }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw createError(`Migration ${migration.file} has an invalid version`, 500, 'MIGRATION_INVALID');
+            }
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw createError(`Migration ${migration.file} must export up() and down()`, 500, 'MIGRATION_INVALID');
+            }
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw createError(`Duplicate migration version ${migration.version}`, 500, 'MIGRATION_INVALID');
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Normalize the stored schema record (a fresh store has an empty collection)
+     */
+    static readSchema(schema) {
+        if (!schema || Array.isArray(schema)) {
+            return { version: 0, applied: [] };
+        }
+        return { version: schema.version || 0, applied: schema.applied || [], updatedAt: schema.updatedAt };
+    }
+
+    async getCurrentVersion() {
+        const schema = MigrationRunner.readSchema(await this.persistenceManager.readData('schema'));
+        return schema.version;
+    }
+
+    /**
+     * Current version plus applied and pending migrations
+     * @returns {Promise<Object>} Status report
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        const schema = MigrationRunner.readSchema(await this.persistenceManager.readData('schema'));
+
+        return {
+            currentVersion: schema.version,
+            latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied: schema.applied,
+            pending: migrations
+                .filter(migration => migration.version > schema.version)
+                .map(({ version, name }) => ({ version, name }))
+        };
+    }
+
+    /**
+     * Apply pending migrations
+     * @param {Object} options - Run options
+     * @param {number} options.to - Target version (default: latest)
+     * @param {boolean} options.dryRun - Run against a copy and report without writing
+     * @returns {Promise<Object>} Run report
+     */
+    async migrate(options = {}) {
+        const migrations = this.loadMigrations();
+        const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+        const target = options.to !== undefined ? options.to : latest;
+
+        if (target > latest) {
+            throw createError(`Unknown schema version ${target} (latest is ${latest})`, 400, 'MIGRATION_TARGET_INVALID');
+        }
+
+        return await this.run(options.dryRun, (version) => {
+            if (version > latest) {
+                throw createError(`Data schema version ${version} is newer than this code (latest migration is ${latest})`, 500, 'SCHEMA_TOO_NEW');
+            }
+            if (target < version) {
+                throw createError(`Target version ${target} is below current version ${version}; use rollback`, 400, 'MIGRATION_TARGET_INVALID');
+            }
+            return migrations
+                .filter(migration => migration.version > version && migration.version <= target)
+                .map(migration => ({ migration, direction: 'up' }));
+        });
+    }
+
+    /**
+     * Revert applied migrations
+     * @param {Object} options - Run options
+     * @param {number} options.to - Version to roll back to
+     * @param {number} options.steps - Number of migrations to revert when no target is given (default: 1)
+     * @param {boolean} options.dryRun - Run against a copy and report without writing
+     * @returns {Promise<Object>} Run report
+     */
+    async rollback(options = {}) {
+        const migrations = this.loadMigrations();
+
+        return await this.run(options.dryRun, (version) => {
+            const applied = migrations.filter(migration => migration.version <= version).reverse();
+            const target = options.to !== undefined
+                ? options.to
+                : (applied[options.steps || 1] ? applied[options.steps || 1].version : 0);
+
+            if (target > version || target < 0) {
+                throw createError(`Cannot roll back from version ${version} to ${target}`, 400, 'MIGRATION_TARGET_INVALID');
+            }
+            return applied
+                .filter(migration => migration.version > target)
+                .map(migration => ({ migration, direction: 'down' }));
+        });
+    }
+
+    /**
+     * Run the steps chosen by `plan` against either a transaction or a throwaway copy
+     * @param {boolean} dryRun - Don't write anything
+     * @param {Function} plan - (currentVersion) => [{ migration, direction }]
+     * @returns {Promise<Object>} Run report
+     */
+    async run(dryRun, plan) {
+        const collections = Object.keys(this.persistenceManager.files);
+
+        const execute = async (data) => {
+            const schema = MigrationRunner.readSchema(data.schema);
+            const fromVersion = schema.version;
+            const steps = plan(fromVersion);
+            const before = MigrationRunner.countRecords(data);
+
+            for (const { migration, direction } of steps) {
+                await migration[direction](data);
+
+                if (direction === 'up') {
+                    schema.applied.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+                    schema.version = migration.version;
+                } else {
+                    schema.applied = schema.applied.filter(entry => entry.version !== migration.version);
+                    schema.version = schema.applied.length > 0 ? schema.applied[schema.applied.length - 1].version : 0;
+                }
+            }
+
+            if (steps.length > 0) {
+                schema.updatedAt = new Date().toISOString();
+                data.schema = schema;
+            }
+
+            const after = MigrationRunner.countRecords(data);
+            return {
+                dryRun: Boolean(dryRun),
+                fromVersion,
+                toVersion: schema.version,
+                steps: steps.map(({ migration, direction }) => ({ version: migration.version, name: migration.name, direction })),
+                recordCounts: Object.fromEntries(collections
+                    .filter(collection => collection !== 'schema' && after[collection] !== before[collection])
+                    .map(collection => [collection, { before: before[collection], after: after[collection] }]))
+            };
+        };
+
+        // Nothing to do - don't rewrite every collection just to find that out
+        if (!dryRun && plan(await this.getCurrentVersion()).length === 0) {
+            const version = await this.getCurrentVersion();
+            return { dryRun: false, fromVersion: version, toVersion: version, steps: [], recordCounts: {} };
+        }
+
+        if (dryRun) {
+            const data = {};
+            for (const collection of collections) {
+                data[collection] = await this.persistenceManager.readData(collection);
+            }
+            return await execute(data);
+        }
+
+        return await this.persistenceManager.transaction(collections, execute);
+    }
+
+    static countRecords(data) {
+        const counts = {};
+        for (const [collection, records] of Object.entries(data)) {
+            counts[collection] = Array.isArray(records) ? records.length : Object.keys(records || {}).length;
+        }
+        return counts;
+    }
+}
+
+module.exports = {
+    MigrationRunner
+};
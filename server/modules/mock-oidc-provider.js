@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('./jwt');
+
+/**
+ * Mock OpenID Connect Provider
+ * A tiny identity provider for development and tests, so the OIDC login can be tried without a
+ * real company directory. It implements just the authorization code flow with PKCE (S256):
+ * discovery, a key set, an authorize page where you type in who you want to be, and a token
+ * endpoint that returns a signed ID token. Nothing is stored - codes live in memory for a minute
+ * and the signing key is new on every start.
+ *
+ * Mounted at /mock-oidc when OIDC_MOCK_PROVIDER=true (never in production) and registered as
+ * the 'mock' provider, see services/oidcService.
+ */
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function tokenError(res, error, description) {
+    res.status(400).json({ error, error_description: description });
+}
+
+/**
+ * Create the provider
+ * @param {Object} options - Provider options
+ * @param {string} options.issuer - Public URL the router is mounted at, e.g. http://localhost:3000/mock-oidc
+ * @param {Array<Object>} options.clients - Clients allowed to log in: { clientId, clientSecret?, redirectUris }
+ * @returns {express.Router} - Router serving the provider
+ */
+function createMockOidcProvider({ issuer, clients }) {
+    const router = express.Router();
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    const findClient = (clientId) => clients.find(client => client.clientId === clientId);
+
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['none', 'client_secret_post'],
+            scopes_supported: ['openid', 'email', 'profile']
+        });
+    });
+
+    router.get('/jwks', (req, res) => {
+        res.json({ keys: [jwt.toJwk(publicKey, kid)] });
+    });
+
+    // Check an authorization request; answers with an error page and returns null if it's broken
+    function readAuthorizationRequest(params, res) {
+        const client = findClient(params.client_id);
+        if (!client || !client.redirectUris.includes(params.redirect_uri)) {
+            res.status(400).send('Unknown client_id or redirect_uri');
+            return null;
+        }
+        if (params.response_type !== 'code' || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+            res.status(400).send('Only response_type=code with an S256 code_challenge is supported');
+            return null;
+        }
+        return params;
+    }
+
+    // Sign-in page: pick the identity the provider should vouch for
+    router.get('/authorize', (req, res) => {
+        const request = readAuthorizationRequest(req.query, res);
+        if (!request) return;
+
+        const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'response_type', 'scope']
+            .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(request[name])}">`)
+            .join('\n            ');
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock Identity Provider</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Mock Identity Provider</h2>
+    <p>Sign in as anyone - this provider is for development only.</p>
+    <form method="POST" action="${escapeHtml(issuer)}/authorize">
+            ${hidden}
+        <p><label>Email<br><input type="email" name="email" required style="width: 100%;"></label></p>
+        <p><label>Name<br><input type="text" name="name" style="width: 100%;"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email address is verified</label></p>
+        <p><button type="submit">Sign in</button></p>
+    </form>
+</body>
+</html>`);
+    });
+
+    router.post('/authorize', (req, res) => {
+        const request = readAuthorizationRequest(req.body, res);
+        if (!request) return;
+        if (!req.body.email) {
+            return res.status(400).send('email is required');
+        }
+
+        for (const [key, grant] of codes) {
+            if (grant.expiresAt < Date.now()) codes.delete(key);
+        }
+
+        const email = String(req.body.email).trim().toLowerCase();
+        const code = crypto.randomBytes(24).toString('base64url');
+        codes.set(code, {
+            clientId: request.client_id,
+            redirectUri: request.redirect_uri,
+            codeChallenge: request.code_challenge,
+            nonce: request.nonce,
+            expiresAt: Date.now() + CODE_TTL_MS,
+            claims: {
+                // The same email always gets the same subject, like a real directory
+                sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+                email,
+                email_verified: req.body.email_verified === 'true',
+                name: req.body.name || undefined,
+                preferred_username: email.split('@')[0]
+            }
+        });
+
+        const location = new URL(request.redirect_uri);
+        location.searchParams.set('code', code);
+        if (request.state) location.searchParams.set('state', request.state);
+        res.redirect(302, location.toString());
+    });
+
+    router.post('/token', (req, res) => {
+        const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+        if (grantType !== 'authorization_code') {
+            return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+        }
+
+        const client = findClient(clientId);
+        if (!client || (client.clientSecret && req.body.client_secret !== client.clientSecret)) {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Unknown client or wrong secret' });
+        }
+
+        // Codes work once, for the client and redirect URI they were issued to
+        const grant = codes.get(code);
+        codes.delete(code);
+        if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+            return tokenError(res, 'invalid_grant', 'The code is invalid, expired or was already used');
+        }
+        const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+            return tokenError(res, 'invalid_grant', 'The code_verifier does not match the code_challenge');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = jwt.sign({
+            iss: issuer,
+            aud: clientId,
+            iat: now,
+            exp: now + ID_TOKEN_TTL_SECONDS,
+            nonce: grant.nonce,
+            ...grant.claims
+        }, privateKey, kid);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            access_token: crypto.randomBytes(24).toString('base64url'),
+            token_type: 'Bearer',
+            expires_in: ID_TOKEN_TTL_SECONDS,
+            id_token: idToken
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createMockOidcProvider };
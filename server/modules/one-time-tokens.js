@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Single-use tokens for links sent by email (password resets, email verification) and
+ * other short-lived hand-offs such as the second step of a two-factor login.
+ * The raw token only appears in the link; the collection stores a SHA-256 hash of it,
+ * so reading the data files doesn't give anyone a usable link.
+ */
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a token for a user. The user's earlier tokens in the collection stop working,
+ * and used or expired tokens of everyone are pruned.
+ * @param {PersistenceManager} persistenceManager - Store holding the tokens
+ * @param {string} collection - Token collection
+ * @param {string} userId - Owner of the token
+ * @param {number} ttlMinutes - Lifetime in minutes
+ * @param {Object} data - Extra fields stored with the token
+ * @returns {Promise<string>} - The raw token, to be put in the link
+ */
+async function issueToken(persistenceManager, collection, userId, ttlMinutes, data = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    await persistenceManager.mutate(collection, (tokens) => {
+        const active = tokens.filter(entry => entry.userId !== userId && !entry.usedAt && new Date(entry.expiresAt) > now);
+        active.push({
+            id: uuidv4(),
+            userId,
+            tokenHash: hashToken(token),
+            ...data,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+            usedAt: null
+        });
+        tokens.splice(0, tokens.length, ...active);
+    });
+
+    return token;
+}
+
+/**
+ * Look up a token without using it up
+ * @param {PersistenceManager} persistenceManager - Store holding the tokens
+ * @param {string} collection - Token collection
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} - The token record, or null if it is unknown, used or expired
+ */
+async function findToken(persistenceManager, collection, token) {
+    const tokenHash = hashToken(token);
+    const tokens = await persistenceManager.readData(collection);
+    const match = tokens.find(entry => entry.tokenHash === tokenHash);
+    return match && !match.usedAt && new Date(match.expiresAt) > new Date() ? match : null;
+}
+
+/**
+ * Use up a token
+ * @param {PersistenceManager} persistenceManager - Store holding the tokens
+ * @param {string} collection - Token collection
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Object|null>} - The token record, or null if it is unknown, used or expired
+ */
+async function consumeToken(persistenceManager, collection, token) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    return await persistenceManager.mutate(collection, (tokens) => {
+        const match = tokens.find(entry => entry.tokenHash === tokenHash);
+        if (!match || match.usedAt || new Date(match.expiresAt) <= now) {
+            return null;
+        }
+        match.usedAt = now.toISOString();
+        return { ...match };
+    });
+}
+
+/**
+ * Make a token used up with consumeToken usable again, when the step it was taken for failed and
+ * may be retried (a mistyped code). Tokens taken first and given back this way can't be used by
+ * two requests at once.
+ * @param {PersistenceManager} persistenceManager - Store holding the tokens
+ * @param {string} collection - Token collection
+ * @param {string} token - Raw token
+ * @returns {Promise<boolean>} - Whether the token was given back (false if it is gone or expired)
+ */
+async function releaseToken(persistenceManager, collection, token) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    return await persistenceManager.mutate(collection, (tokens) => {
+        const match = tokens.find(entry => entry.tokenHash === tokenHash);
+        if (!match || new Date(match.expiresAt) <= now) {
+            return false;
+        }
+        match.usedAt = null;
+        return true;
+    });
+}
+
+module.exports = {
+    hashToken,
+    issueToken,
+    findToken,
+    consumeToken,
+    releaseToken
+};
@@ -0,0 +1,91 @@
+/**
+ * Permission catalogue and built-in roles.
+ *
+ * A role grants a list of permissions named `<area>:<action>`; '*' grants all of them.
+ * Customers hold the 'user' role, which grants nothing: everyone may manage their own cart,
+ * orders, tickets and so on without a permission - permissions are only about other people's
+ * data and the back office.
+ */
+
+const PERMISSIONS = {
+    'users:read': 'View customer accounts, their orders overview, wishlists and loyalty points',
+    'users:write': 'Unlock accounts',
+    'users:impersonate': 'Log in as a customer for a limited time to see what they see',
+    'roles:manage': 'Define roles and assign them to users',
+    'orders:read': 'View all orders',
+    'orders:write': 'Update the status of any order and place orders for customers',
+    'products:write': 'Create, edit and delete products',
+    'reviews:moderate': 'Delete any review',
+    'tickets:read': 'View all support tickets and support statistics',
+    'tickets:write': 'Reply to any ticket and change its status and priority',
+    'tickets:assign': 'Assign tickets to support staff',
+    'loyalty:manage': 'Award loyalty points to any customer',
+    'analytics:read': 'View sales, product, customer and system analytics',
+    'activity:read': 'View the activity log',
+    'backups:manage': 'Create, download and restore backups',
+    'records:manage': 'View change history and delete or restore records',
+    'apiKeys:manage': 'Create and revoke service API keys for integrations',
+    'privacy:manage': 'Export and erase customers\' personal data on request'
+};
+
+const ALL_PERMISSIONS = '*';
+
+// Roles the store starts with (see migration 005). 'admin' and 'user' can't be deleted,
+// and the admin role always keeps every permission.
+const DEFAULT_ROLES = [
+    {
+        id: 'admin',
+        name: 'Administrator',
+        description: 'Full access to the store',
+        permissions: [ALL_PERMISSIONS],
+        builtIn: true
+    },
+    {
+        id: 'user',
+        name: 'Customer',
+        description: 'Shops and manages their own account',
+        permissions: [],
+        builtIn: true
+    },
+    {
+        id: 'barista',
+        name: 'Barista',
+        description: 'Prepares orders and moves them through fulfilment',
+        permissions: ['orders:read', 'orders:write'],
+        builtIn: true
+    },
+    {
+        id: 'support',
+        name: 'Support Agent',
+        description: 'Answers support tickets and looks up customers and their orders',
+        permissions: ['tickets:read', 'tickets:write', 'tickets:assign', 'users:read', 'users:write', 'orders:read', 'reviews:moderate'],
+        builtIn: true
+    },
+    {
+        id: 'inventory',
+        name: 'Inventory Staff',
+        description: 'Maintains the product catalogue and stock',
+        permissions: ['products:write', 'orders:read'],
+        builtIn: true
+    }
+];
+
+const PROTECTED_ROLES = ['admin', 'user'];
+
+/**
+ * Whether a permission list grants a permission
+ * @param {Array<string>} granted - Permissions of a role
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+function grants(granted, permission) {
+    return Array.isArray(granted) && (granted.includes(ALL_PERMISSIONS) || granted.includes(permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    DEFAULT_ROLES,
+    PROTECTED_ROLES,
+    grants
+};
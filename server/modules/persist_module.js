@@ -1,11 +1,20 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { createError } = require('./error-handler');
+const { createError, CoffeeShopError } = require('./error-handler');
+const { createStorageAdapter } = require('./storage');
+const { MigrationRunner } = require('./migrations');
+const CollectionIndex = require('./collection-index');
+const { createHistoryEntry, diffRecords } = require('./change-history');
+const { monthOf, subtractMonths, archiveCollection, archiveMonth, matchesActivityFilters } = require('./activity-archive');
+const { currentContext } = require('./request-context');
 
 class PersistenceManager {
-    constructor() {
-        this.dataDir = path.join(__dirname, '../data');
+    /**
+     * @param {Object} options - Storage options, see createStorageAdapter (backend, dataDir, sqliteFile, ...)
+     * @param {StorageAdapter} options.adapter - Use this adapter instead of creating one from configuration
+     * @param {number} options.activityRetentionMonths - Months of archived activity to keep
+     *   (default: ACTIVITY_RETENTION_MONTHS, or 0 to keep every archive)
+     */
+    constructor(options = {}) {
         this.files = {
             users: 'users.json',
             products: 'products.json',
@@ -16,53 +25,89 @@ class PersistenceManager {
             reviews: 'reviews.json',
             wishlists: 'wishlists.json',
             loyalty: 'loyalty.json',
-            support: 'support.json'
+            support: 'support.json',
+            history: 'history.json',
+            passwordResets: 'password-resets.json',
+            emailVerifications: 'email-verifications.json',
+            loginAttempts: 'login-attempts.json',
+            loginChallenges: 'login-challenges.json',
+            twoFactor: 'two-factor.json',
+            roles: 'roles.json',
+            apiKeys: 'api-keys.json',
+            passwordHistory: 'password-history.json',
+            guestCarts: 'guest-carts.json',
+            identities: 'identities.json',
+            oidcLogins: 'oidc-logins.json',
+            oidcLinks: 'oidc-links.json',
+            schema: 'schema.json'
         };
         
+        // Collections whose records are soft deleted and whose changes are recorded in 'history'
+        this.historyCollections = ['products', 'orders', 'users', 'support'];
+        
+        // Storage backend (JSON files by default) - chosen by configuration
+        this.adapter = options.adapter || createStorageAdapter({ ...options, files: this.files });
+        
         // Simple in-memory cache for performance optimization
         this.cache = new Map();
         this.cacheExpiry = new Map();
         this.CACHE_TTL = 5 * 60 * 1000; // 5 minutes
         
-        // User activity index for faster lookups
-        this.activityUserIndex = new Map();
-        this.indexLastUpdated = null;
+        // Activity from before the current month is moved into monthly archive collections
+        const retention = parseInt(options.activityRetentionMonths ?? process.env.ACTIVITY_RETENTION_MONTHS, 10);
+        this.activityRetentionMonths = Number.isNaN(retention) ? 0 : retention;
+        this.activityRotatedFor = null;
+        this.activityRotation = null;
+        
+        // Secondary indexes for user-scoped lookups - built on first use, then refreshed from every write
+        this.indexedFields = {
+            users: { id: {}, username: { ignoreCase: true }, email: { ignoreCase: true }, role: {} },
+            sessions: { token: {}, userId: {} },
+            products: { id: {} },
+            carts: { userId: {} },
+            orders: { id: {}, userId: {} },
+            reviews: { id: {}, productId: {}, userId: {} },
+            wishlists: { userId: {} },
+            loyalty: { userId: {} },
+            support: { id: {}, userId: {} },
+            history: { recordId: {} },
+            identities: { userId: {} },
+            apiKeys: { keyHash: {} }
+        };
+        this.indexes = new Map();
+        this.indexBuilds = new Map();
+        this.indexGenerations = new Map();
+        
+        // Per-collection write queues - every mutation of a collection runs after the previous one settles
+        this.writeQueues = new Map();
     }
 
     async initializeDataFiles() {
         try {
-            await fs.mkdir(this.dataDir, { recursive: true });
-            
-            for (const [key, filename] of Object.entries(this.files)) {
-                const filePath = path.join(this.dataDir, filename);
-                try {
-                    await fs.access(filePath);
-                } catch (error) {
-                    if (error.code === 'ENOENT') {
-                        console.log(`Creating ${filename}...`);
-                        await this.writeData(filename, []);
-                    }
-                }
-            }
-            
+            await this.adapter.init(Object.keys(this.files));
             console.log('Data files initialized successfully');
         } catch (error) {
             throw createError(`Failed to initialize data files: ${error.message}`, 500, 'INITIALIZATION_ERROR');
         }
     }
 
+    /**
+     * Resolve a collection key (e.g. 'orders') or filename (e.g. 'orders.json') to the collection name
+     * @param {string} filename - Collection key or filename
+     * @returns {string} - Collection name
+     */
+    resolveCollection(filename) {
+        if (this.files[filename]) {
+            return filename;
+        }
+        const collection = Object.keys(this.files).find(key => this.files[key] === filename);
+        return collection || filename.replace(/\.json$/, '');
+    }
+
     async readData(filename) {
         try {
-            // Check if filename is a key in this.files, if so get the actual filename
-            const actualFilename = this.files[filename] || filename;
-            const filePath = path.join(this.dataDir, actualFilename);
-            const data = await fs.readFile(filePath, 'utf8');
-            return JSON.parse(data);
+            return await this.adapter.read(this.resolveCollection(filename));
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.log(`File ${filename} not found, returning empty array`);
-                return [];
-            }
             if (error instanceof SyntaxError) {
                 throw createError(`Invalid JSON in ${filename}: ${error.message}`, 500, 'JSON_PARSE_ERROR');
             }
@@ -71,44 +116,231 @@ class PersistenceManager {
     }
 
     async writeData(filename, data) {
+        const collection = this.resolveCollection(filename);
+        return await this.withFileLock(collection, async () => {
+            await this.persist(collection, data);
+            return true;
+        });
+    }
+
+    /**
+     * Serialized read-modify-write of a single collection.
+     * The callback receives the current contents and may modify them in place;
+     * whatever it returns is passed back to the caller. If the callback throws,
+     * nothing is written and the error is re-thrown unchanged.
+     * @param {string} filename - Collection key or filename
+     * @param {Function} fn - (data) => result, may be async
+     * @returns {Promise<*>} - The callback's return value
+     */
+    async mutate(filename, fn) {
+        const collection = this.resolveCollection(filename);
+        return await this.withFileLock(collection, async () => {
+            const data = await this.readData(collection);
+            const result = await fn(data);
+            await this.persist(collection, data);
+            return result;
+        });
+    }
+
+    /**
+     * Run a task once every previously queued task for the same collection has settled
+     * @param {string} collection - Collection name
+     * @param {Function} task - Async task to run exclusively
+     * @returns {Promise<*>} - The task's result
+     */
+    async withFileLock(collection, task) {
+        const previous = this.writeQueues.get(collection) || Promise.resolve();
+        const run = previous.then(() => task());
+        const tail = run.catch(() => {});
+        this.writeQueues.set(collection, tail);
+        
         try {
-            // Check if filename is a key in this.files, if so get the actual filename
-            const actualFilename = this.files[filename] || filename;
-            const filePath = path.join(this.dataDir, actualFilename);
-            const jsonData = JSON.stringify(data, null, 2);
-            await fs.writeFile(filePath, jsonData, 'utf8');
-            
-            // Clear related cache entries when data is written
-            this.clearCache(`data:${actualFilename}`);
-            if (actualFilename === this.files.activity) {
-                this.clearCache('activity:');
-                this.indexLastUpdated = null; // Force index rebuild
+            return await run;
+        } finally {
+            // Drop the queue entry once nothing else has been chained behind us
+            if (this.writeQueues.get(collection) === tail) {
+                this.writeQueues.delete(collection);
+            }
+        }
+    }
+
+    /**
+     * Hold the write locks of several collections at once. Locks are always taken in sorted order
+     * so two transactions over overlapping collections can't deadlock.
+     * @param {Array<string>} collections - Collection names
+     * @param {Function} task - Async task to run while holding every lock
+     * @returns {Promise<*>} - The task's result
+     */
+    async withFileLocks(collections, task) {
+        const [first, ...rest] = [...new Set(collections)].sort();
+        if (!first) {
+            return await task();
+        }
+        return await this.withFileLock(first, () => this.withFileLocks(rest, task));
+    }
+
+    /**
+     * Read-modify-write several collections as one unit.
+     * The callback receives an object keyed by the names passed in and may modify the
+     * collections in place or assign new contents to its keys. Nothing is written if it throws. Otherwise the storage adapter
+     * writes all of them or none of them (the JSON adapter journals the batch and replays
+     * it on startup if the process died half way).
+     * Don't call mutate/writeData on the same collections from inside the callback - the locks are already held.
+     * @param {Array<string>} filenames - Collection keys or filenames
+     * @param {Function} fn - (collections) => result, may be async
+     * @returns {Promise<*>} - The callback's return value
+     */
+    async transaction(filenames, fn) {
+        const collectionNames = filenames.map(filename => this.resolveCollection(filename));
+        
+        return await this.withFileLocks(collectionNames, async () => {
+            const collections = {};
+            for (const [index, filename] of filenames.entries()) {
+                collections[filename] = await this.readData(collectionNames[index]);
             }
-            if (actualFilename === this.files.products) {
-                this.clearCache('search:');
+            
+            const result = await fn(collections);
+            
+            const writes = filenames.map((filename, index) => ({
+                collection: collectionNames[index],
+                data: collections[filename]
+            }));
+            try {
+                await this.adapter.writeBatch(writes);
+            } catch (error) {
+                collectionNames.forEach(collection => this.invalidateCollection(collection));
+                if (error instanceof CoffeeShopError) throw error;
+                throw createError(`Transaction rolled back: ${error.message}`, 500, 'TRANSACTION_ERROR');
             }
+            writes.forEach(({ collection, data }) => this.invalidateCollection(collection, data));
             
-            return true;
+            return result;
+        });
+    }
+
+    /**
+     * Run a task while every collection is locked - in-flight writes finish first and new ones
+     * wait until the task is done
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} - The task's result
+     */
+    async quiesce(task) {
+        return await this.withFileLocks(Object.keys(this.files), task);
+    }
+
+    /**
+     * Consistent copy of every collection, activity archives included
+     * @returns {Promise<Object>} - Map of collection name to contents
+     */
+    async snapshotCollections() {
+        return await this.quiesce(async () => {
+            const collections = {};
+            const archives = (await this.listActivityArchives()).map(archiveCollection);
+            for (const collection of [...Object.keys(this.files), ...archives]) {
+                collections[collection] = await this.readData(collection);
+            }
+            return collections;
+        });
+    }
+
+    /**
+     * Replace collections with the given contents in one batch, with all writes quiesced
+     * @param {Object} collections - Map of collection name to contents; collections not listed are left alone
+     */
+    async restoreCollections(collections) {
+        const unknown = Object.keys(collections).filter(collection => !this.files[collection] && !archiveMonth(collection));
+        if (unknown.length > 0) {
+            throw createError(`Unknown collections: ${unknown.join(', ')}`, 400, 'RESTORE_ERROR');
+        }
+
+        await this.quiesce(async () => {
+            const writes = Object.entries(collections).map(([collection, data]) => ({ collection, data }));
+            try {
+                await this.adapter.writeBatch(writes);
+            } catch (error) {
+                writes.forEach(({ collection }) => this.invalidateCollection(collection));
+                throw createError(`Restore rolled back: ${error.message}`, 500, 'RESTORE_ERROR');
+            }
+            writes.forEach(({ collection, data }) => this.invalidateCollection(collection, data));
+        });
+    }
+
+    /**
+     * Finish transactions that were interrupted by a crash
+     * @returns {Promise<number>} - Number of transactions recovered
+     */
+    async recoverTransactions() {
+        return await this.adapter.recover();
+    }
+
+    /**
+     * Write a whole collection through the storage adapter. Callers must hold the collection lock.
+     * @param {string} collection - Collection name
+     * @param {*} data - JSON-serializable data
+     */
+    async persist(collection, data) {
+        try {
+            await this.adapter.write(collection, data);
         } catch (error) {
-            throw createError(`Failed to write ${filename}: ${error.message}`, 500, 'FILE_WRITE_ERROR');
+            this.invalidateCollection(collection);
+            throw createError(`Failed to write ${collection}: ${error.message}`, 500, 'FILE_WRITE_ERROR');
+        }
+        this.invalidateCollection(collection, data);
+    }
+
+    /**
+     * Clear cache entries derived from a collection after it has been written
+     * @param {string} collection - Collection name
+     * @param {*} data - The contents just written; refreshes the collection's indexes (omit to drop them)
+     */
+    invalidateCollection(collection, data) {
+        this.clearCache(`data:${collection}`);
+        this.refreshIndex(collection, data);
+        if (collection === 'products') {
+            this.clearCache('search:');
         }
     }
 
-    async appendData(filename, newItem) {
+    /**
+     * Add a record to a collection. Creations in history collections are recorded.
+     * @param {string} filename - Collection key or filename
+     * @param {Object} newItem - Record to add
+     * @param {Object} options - Write options
+     * @param {Object} options.actor - User making the change (default: system)
+     * @returns {Promise<Object>} - The added record
+     */
+    async appendData(filename, newItem, options = {}) {
+        const collection = this.resolveCollection(filename);
         try {
-            const data = await this.readData(filename);
-            data.push(newItem);
-            await this.writeData(filename, data);
-            return newItem;
+            if (!this.isHistoryCollection(collection)) {
+                return await this.mutate(collection, (data) => {
+                    data.push(newItem);
+                    return newItem;
+                });
+            }
+            
+            return await this.transaction([collection, 'history'], (data) => {
+                newItem.version = newItem.version || 1;
+                data[collection].push(newItem);
+                this.recordChange(data.history, collection, 'create', null, newItem, options.actor);
+                return newItem;
+            });
         } catch (error) {
             throw createError(`Failed to append to ${filename}: ${error.message}`, 500, 'FILE_APPEND_ERROR');
         }
     }
 
-    async findById(filename, id) {
+    /**
+     * @param {string} filename - Collection key or filename
+     * @param {string} id - Record id
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includeDeleted - Also return soft-deleted records
+     */
+    async findById(filename, id, options = {}) {
         try {
-            const data = await this.readData(filename);
-            const item = data.find(item => item.id === id);
+            const item = this.indexedFields[this.resolveCollection(filename)]?.id
+                ? await this.findOneBy(filename, 'id', id, options)
+                : (await this.readData(filename)).find(item => item.id === id && (options.includeDeleted || !item.deletedAt));
             if (!item) {
                 throw createError(`Item with id ${id} not found in ${filename}`, 404, 'ITEM_NOT_FOUND');
             }
@@ -119,54 +351,287 @@ class PersistenceManager {
         }
     }
 
-    async updateById(filename, id, updateData) {
-        try {
-            const data = await this.readData(filename);
-            const itemIndex = data.findIndex(item => item.id === id);
-            
-            if (itemIndex === -1) {
+    /**
+     * Serialized read-modify-write of one record. A change bumps the record's version; in history
+     * collections it is also recorded in the same transaction, and soft-deleted records count as missing.
+     * @param {string} filename - Collection key or filename
+     * @param {string} id - Record id
+     * @param {Function} fn - (record, collections) => result, modifies the record in place; throwing aborts
+     *                        the write. collections holds the locked collection(s), for checks across records.
+     * @param {Object} options - Write options
+     * @param {Object} options.actor - User making the change (default: system)
+     * @param {string} options.action - History action (default: 'update')
+     * @param {boolean} options.includeDeleted - Allow changing a soft-deleted record
+     * @param {Array<number>} options.ifMatch - Versions the caller expects (from If-Match); anything else fails with 412
+     * @returns {Promise<*>} - The callback's return value
+     */
+    async mutateRecord(filename, id, fn, options = {}) {
+        const collection = this.resolveCollection(filename);
+        const tracked = this.isHistoryCollection(collection);
+        
+        return await this.transaction(tracked ? [collection, 'history'] : [collection], async (data) => {
+            const record = data[collection].find(item => item.id === id);
+            if (!record || (record.deletedAt && !options.includeDeleted)) {
                 throw createError(`Item with id ${id} not found in ${filename}`, 404, 'ITEM_NOT_FOUND');
             }
+            if (options.ifMatch && !options.ifMatch.includes(record.version || 0)) {
+                throw createError(`Item with id ${id} has been modified by someone else (now at version ${record.version || 0})`, 412, 'PRECONDITION_FAILED');
+            }
             
-            data[itemIndex] = { ...data[itemIndex], ...updateData, updatedAt: new Date().toISOString() };
-            await this.writeData(filename, data);
-            return data[itemIndex];
+            const before = structuredClone(record);
+            const result = await fn(record, data);
+            if (Object.keys(diffRecords(before, record)).length > 0) {
+                record.version = (before.version || 0) + 1;
+            }
+            if (tracked) {
+                this.recordChange(data.history, collection, options.action || 'update', before, record, options.actor);
+            }
+            return result;
+        });
+    }
+
+    async updateById(filename, id, updateData, options = {}) {
+        try {
+            return await this.mutateRecord(filename, id, (record) => {
+                Object.assign(record, updateData, { updatedAt: new Date().toISOString() });
+                return record;
+            }, options);
         } catch (error) {
-            if (error.statusCode === 404) throw error;
+            if (error.statusCode === 404 || error.statusCode === 412) throw error;
             throw createError(`Failed to update item in ${filename}: ${error.message}`, 500, 'UPDATE_ERROR');
         }
     }
 
-    async deleteById(filename, id) {
+    /**
+     * Delete a record. Records of history collections are only marked deleted and can be restored.
+     * @param {string} filename - Collection key or filename
+     * @param {string} id - Record id
+     * @param {Object} options - Write options
+     * @param {Object} options.actor - User making the change (default: system)
+     * @returns {Promise<Object>} - The deleted record
+     */
+    async deleteById(filename, id, options = {}) {
+        const collection = this.resolveCollection(filename);
         try {
-            const data = await this.readData(filename);
-            const itemIndex = data.findIndex(item => item.id === id);
-            
-            if (itemIndex === -1) {
-                throw createError(`Item with id ${id} not found in ${filename}`, 404, 'ITEM_NOT_FOUND');
+            if (this.isHistoryCollection(collection)) {
+                return await this.mutateRecord(collection, id, (record) => {
+                    record.deletedAt = new Date().toISOString();
+                    record.deletedBy = options.actor ? options.actor.username : 'system';
+                    return record;
+                }, { ...options, action: 'delete' });
             }
             
-            const deletedItem = data.splice(itemIndex, 1)[0];
-            await this.writeData(filename, data);
-            return deletedItem;
+            return await this.mutate(collection, (data) => {
+                const itemIndex = data.findIndex(item => item.id === id);
+                
+                if (itemIndex === -1) {
+                    throw createError(`Item with id ${id} not found in ${filename}`, 404, 'ITEM_NOT_FOUND');
+                }
+                
+                return data.splice(itemIndex, 1)[0];
+            });
         } catch (error) {
-            if (error.statusCode === 404) throw error;
+            if (error.statusCode === 404 || error.statusCode === 412) throw error;
             throw createError(`Failed to delete item from ${filename}: ${error.message}`, 500, 'DELETE_ERROR');
         }
     }
 
+    /**
+     * Undo a soft delete
+     * @param {string} filename - Collection key or filename
+     * @param {string} id - Record id
+     * @param {Object} options - Write options
+     * @param {Object} options.actor - User making the change (default: system)
+     * @returns {Promise<Object>} - The restored record
+     */
+    async restoreById(filename, id, options = {}) {
+        const collection = this.resolveCollection(filename);
+        if (!this.isHistoryCollection(collection)) {
+            throw createError(`Records in ${collection} can't be restored`, 400, 'RESTORE_NOT_SUPPORTED');
+        }
+        
+        return await this.mutateRecord(collection, id, (record) => {
+            if (!record.deletedAt) {
+                throw createError(`Item with id ${id} in ${collection} is not deleted`, 409, 'NOT_DELETED');
+            }
+            delete record.deletedAt;
+            delete record.deletedBy;
+            record.updatedAt = new Date().toISOString();
+            return record;
+        }, { ...options, action: 'restore', includeDeleted: true });
+    }
+
+    /**
+     * Soft-deleted records of a collection
+     * @param {string} filename - Collection key or filename
+     * @returns {Promise<Array>} - Deleted records, most recently deleted first
+     */
+    async getDeleted(filename) {
+        const data = await this.readData(filename);
+        return data
+            .filter(record => record.deletedAt)
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    isHistoryCollection(collection) {
+        return this.historyCollections.includes(collection);
+    }
+
+    /**
+     * Append a history entry for a change made inside a transaction that holds the 'history' collection
+     * @param {Array} history - The history collection
+     * @param {string} collection - Collection of the changed record
+     * @param {string} action - 'create', 'update', 'delete' or 'restore'
+     * @param {Object|null} before - Record before the change
+     * @param {Object} after - Record after the change
+     * @param {Object} actor - User making the change
+     * @returns {Object|null} - The entry, or null when nothing changed
+     */
+    recordChange(history, collection, action, before, after, actor) {
+        const entry = createHistoryEntry({ collection, action, before, after, actor });
+        if (entry) {
+            history.push(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Change history of one record, newest first
+     * @param {string} filename - Collection key or filename
+     * @param {string} id - Record id
+     * @returns {Promise<Array>} - History entries
+     */
+    async getRecordHistory(filename, id) {
+        const collection = this.resolveCollection(filename);
+        const entries = await this.findBy('history', 'recordId', id);
+        return entries
+            .filter(entry => entry.collection === collection)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Browse the change history
+     * @param {Object} filters - Query filters
+     * @param {string} filters.collection - Only this collection
+     * @param {string} filters.recordId - Only this record
+     * @param {string} filters.actor - Only changes by this username
+     * @param {string} filters.action - Only this action
+     * @param {number} filters.limit - Page size (default: 50)
+     * @param {number} filters.offset - Entries to skip (default: 0)
+     * @returns {Promise<Object>} - { entries, total }
+     */
+    async queryHistory(filters = {}) {
+        const { collection, recordId, actor, action, limit = 50, offset = 0 } = filters;
+        const history = recordId
+            ? await this.findBy('history', 'recordId', recordId)
+            : await this.readData('history');
+        
+        const matching = history
+            .filter(entry => !collection || entry.collection === collection)
+            .filter(entry => !actor || entry.actor.username === actor)
+            .filter(entry => !action || entry.action === action)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        return {
+            entries: matching.slice(offset, offset + limit),
+            total: matching.length
+        };
+    }
+
+    /**
+     * Records of a collection whose indexed field equals a value
+     * @param {string} filename - Collection key or filename
+     * @param {string} field - Indexed field (see indexedFields)
+     * @param {*} value - Value to match
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includeDeleted - Also return soft-deleted records
+     * @returns {Promise<Array>} - Copies of the matching records
+     */
+    async findBy(filename, field, value, options = {}) {
+        const index = await this.getIndex(this.resolveCollection(filename));
+        const records = index.find(field, value);
+        return options.includeDeleted ? records : records.filter(record => !record.deletedAt);
+    }
+
+    /**
+     * First record of a collection whose indexed field equals a value
+     * @param {string} filename - Collection key or filename
+     * @param {string} field - Indexed field (see indexedFields)
+     * @param {*} value - Value to match
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includeDeleted - Also return soft-deleted records
+     * @returns {Promise<Object|null>} - Copy of the record, or null
+     */
+    async findOneBy(filename, field, value, options = {}) {
+        const [record] = await this.findBy(filename, field, value, options);
+        return record || null;
+    }
+
+    /**
+     * Get the index of a collection, reading the collection once if it hasn't been built yet
+     * @param {string} collection - Collection name
+     * @returns {Promise<CollectionIndex>} - The collection's index
+     */
+    async getIndex(collection) {
+        if (!this.indexedFields[collection]) {
+            throw createError(`Collection ${collection} has no indexes`, 500, 'INDEX_ERROR');
+        }
+        if (this.indexes.has(collection)) {
+            return this.indexes.get(collection);
+        }
+        if (this.indexBuilds.has(collection)) {
+            return await this.indexBuilds.get(collection);
+        }
+
+        // A write landing while we read makes our copy stale - only keep the result if none did
+        const generation = this.indexGenerations.get(collection) || 0;
+        const build = this.readData(collection)
+            .then((data) => {
+                const index = new CollectionIndex(this.indexedFields[collection]).rebuild(data);
+                if ((this.indexGenerations.get(collection) || 0) === generation) {
+                    this.indexes.set(collection, index);
+                }
+                return index;
+            })
+            .finally(() => this.indexBuilds.delete(collection));
+
+        this.indexBuilds.set(collection, build);
+        return await build;
+    }
+
+    /**
+     * Bring a collection's index in line with a write
+     * @param {string} collection - Collection name
+     * @param {*} data - New contents, or undefined when the outcome of the write is unknown
+     */
+    refreshIndex(collection, data) {
+        if (!this.indexedFields[collection]) {
+            return;
+        }
+
+        this.indexGenerations.set(collection, (this.indexGenerations.get(collection) || 0) + 1);
+        this.indexBuilds.delete(collection);
+        if (data === undefined) {
+            this.indexes.delete(collection);
+        } else {
+            // Index a private copy - callers keep modifying the objects they just wrote
+            this.indexes.set(collection, new CollectionIndex(this.indexedFields[collection]).rebuild(structuredClone(data)));
+        }
+    }
+
     async getAllUsers() {
-        return await this.readData(this.files.users);
+        const users = await this.readData(this.files.users);
+        return users.filter(user => !user.deletedAt);
     }
 
-    async getUserById(userId) {
-        return await this.findById(this.files.users, userId);
+    async getUserById(userId, options = {}) {
+        return await this.findById(this.files.users, userId, options);
     }
 
     async getUserByUsername(username) {
         try {
-            const users = await this.readData(this.files.users);
-            const user = users.find(user => user.username === username);
+            const matches = await this.findBy(this.files.users, 'username', username);
+            const user = matches.find(user => user.username === username);
             if (!user) {
                 throw createError(`User with username ${username} not found`, 404, 'USER_NOT_FOUND');
             }
@@ -177,47 +642,58 @@ class PersistenceManager {
         }
     }
 
-    async addUser(userData) {
-        return await this.appendData(this.files.users, userData);
+    /**
+     * Find the user a login identifier belongs to (username or email, case-insensitive)
+     * @param {string} identifier - Username or email
+     * @returns {Promise<Object|null>} - The user, or null
+     */
+    async findUserByLogin(identifier) {
+        return await this.findOneBy(this.files.users, 'username', identifier)
+            || await this.findOneBy(this.files.users, 'email', identifier);
+    }
+
+    async addUser(userData, options = {}) {
+        return await this.appendData(this.files.users, userData, options);
     }
 
     async saveUsers(usersData) {
         return await this.writeData(this.files.users, usersData);
     }
 
-    async updateUser(userId, updateData) {
-        return await this.updateById(this.files.users, userId, updateData);
+    async updateUser(userId, updateData, options = {}) {
+        return await this.updateById(this.files.users, userId, updateData, options);
     }
 
     async getAllProducts() {
-        return await this.readData(this.files.products);
+        const products = await this.readData(this.files.products);
+        return products.filter(product => !product.deletedAt);
     }
 
-    async getProductById(productId) {
-        return await this.findById(this.files.products, productId);
+    async getProductById(productId, options = {}) {
+        return await this.findById(this.files.products, productId, options);
     }
 
-    async createProduct(productData) {
+    async createProduct(productData, options = {}) {
         const newProduct = {
             id: uuidv4(),
             ...productData,
             createdAt: new Date().toISOString(),
             inStock: productData.inStock !== undefined ? productData.inStock : true
         };
-        return await this.appendData(this.files.products, newProduct);
+        return await this.appendData(this.files.products, newProduct, options);
     }
 
-    async updateProduct(productId, updateData) {
-        return await this.updateById(this.files.products, productId, updateData);
+    async updateProduct(productId, updateData, options = {}) {
+        return await this.updateById(this.files.products, productId, updateData, options);
     }
 
-    async deleteProduct(productId) {
-        return await this.deleteById(this.files.products, productId);
+    async deleteProduct(productId, options = {}) {
+        return await this.deleteById(this.files.products, productId, options);
     }
 
     async getProductsByCategory(category) {
         try {
-            const products = await this.readData(this.files.products);
+            const products = await this.getAllProducts();
             return products.filter(product => product.category === category);
         } catch (error) {
             throw createError(`Failed to get products by category: ${error.message}`, 500, 'CATEGORY_FILTER_ERROR');
@@ -257,6 +733,7 @@ class PersistenceManager {
             
             for (const product of products) {
                 if (results.length >= limit) break; // Early termination
+                if (product.deletedAt) continue;
                 
                 if (this.matchesSearchCriteria(product, searchTerm, searchWords)) {
                     results.push(product);
@@ -276,8 +753,8 @@ class PersistenceManager {
 
     async getUserCart(userId) {
         try {
-            const carts = await this.readData(this.files.carts);
-            return carts.find(cart => cart.userId === userId) || { userId, items: [], updatedAt: new Date().toISOString() };
+            const cart = await this.findOneBy(this.files.carts, 'userId', userId);
+            return cart || { userId, items: [], updatedAt: new Date().toISOString() };
         } catch (error) {
             throw createError(`Failed to get user cart: ${error.message}`, 500, 'CART_READ_ERROR');
         }
@@ -285,52 +762,73 @@ class PersistenceManager {
 
     async updateUserCart(userId, cartData) {
         try {
-            const carts = await this.readData(this.files.carts);
-            const cartIndex = carts.findIndex(cart => cart.userId === userId);
-            
-            const updatedCart = { 
-                userId, 
-                ...cartData, 
-                updatedAt: new Date().toISOString() 
-            };
-            
-            if (cartIndex >= 0) {
-                carts[cartIndex] = updatedCart;
-            } else {
-                carts.push(updatedCart);
-            }
-            
-            await this.writeData(this.files.carts, carts);
-            return updatedCart;
+            return await this.mutate(this.files.carts, (carts) => {
+                const cartIndex = carts.findIndex(cart => cart.userId === userId);
+                
+                const updatedCart = { 
+                    userId, 
+                    ...cartData, 
+                    updatedAt: new Date().toISOString() 
+                };
+                
+                if (cartIndex >= 0) {
+                    carts[cartIndex] = updatedCart;
+                } else {
+                    carts.push(updatedCart);
+                }
+                
+                return updatedCart;
+            });
         } catch (error) {
             throw createError(`Failed to update user cart: ${error.message}`, 500, 'CART_UPDATE_ERROR');
         }
     }
 
+    /**
+     * Serialized read-modify-write of a single user's cart
+     * @param {string} userId - Cart owner
+     * @param {Function} fn - (cart) => result, modifies the cart in place; throwing aborts the write
+     * @returns {Promise<*>} - The callback's return value
+     */
+    async mutateUserCart(userId, fn) {
+        return await this.mutate(this.files.carts, async (carts) => {
+            let cart = carts.find(cart => cart.userId === userId);
+            if (!cart) {
+                cart = { userId, items: [] };
+                carts.push(cart);
+            }
+            
+            const result = await fn(cart);
+            cart.updatedAt = new Date().toISOString();
+            return result;
+        });
+    }
+
     async getUserOrders(userId) {
         try {
-            const orders = await this.readData(this.files.orders);
-            return orders.filter(order => order.userId === userId);
+            return await this.findBy(this.files.orders, 'userId', userId);
         } catch (error) {
             throw createError(`Failed to get user orders: ${error.message}`, 500, 'ORDERS_READ_ERROR');
         }
     }
 
-    async createOrder(orderData) {
+    async createOrder(orderData, options = {}) {
         const newOrder = {
             id: uuidv4(),
             ...orderData,
             status: orderData.status || 'completed',
             createdAt: new Date().toISOString()
         };
-        return await this.appendData(this.files.orders, newOrder);
+        return await this.appendData(this.files.orders, newOrder, options);
     }
 
-    async getOrderById(orderId) {
-        return await this.findById(this.files.orders, orderId);
+    async getOrderById(orderId, options = {}) {
+        return await this.findById(this.files.orders, orderId, options);
     }
 
     async logActivity(username, action, details = null) {
+        await this.ensureActivityRotated();
+        
         const activity = {
             id: uuidv4(),
             username,
@@ -338,144 +836,194 @@ class PersistenceManager {
             details,
             timestamp: new Date().toISOString()
         };
+        // Done by an admin impersonating the user - name the admin too
+        const context = currentContext();
+        if (context && context.impersonatedBy) {
+            activity.impersonatedBy = context.impersonatedBy;
+        }
         return await this.appendData(this.files.activity, activity);
     }
 
     /**
-     * Optimized user activity retrieval with indexing and caching
+     * Rotate the activity log once per month. Failures are logged rather than thrown -
+     * recording activity must not fail because an archive couldn't be written.
+     */
+    async ensureActivityRotated() {
+        const month = monthOf(new Date());
+        if (this.activityRotatedFor === month) {
+            return;
+        }
+        
+        if (!this.activityRotation) {
+            this.activityRotation = this.rotateActivity()
+                .then(({ archived, expired }) => {
+                    const count = Object.values(archived).reduce((sum, value) => sum + value, 0);
+                    if (count > 0 || expired.length > 0) {
+                        console.log(`Archived ${count} activity records, dropped ${expired.length} expired archives`);
+                    }
+                })
+                .catch(error => console.error('Failed to rotate activity log:', error.message))
+                .finally(() => {
+                    this.activityRotatedFor = month;
+                    this.activityRotation = null;
+                });
+        }
+        await this.activityRotation;
+    }
+
+    /**
+     * Move activity from before the current month into its monthly archive collection and drop
+     * archives older than the retention period. Archives are only written while the 'activity'
+     * lock is held, so quiesce() always sees the log and its archives consistently.
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { archived: { month: count }, dropped, expired: [month] }
+     */
+    async rotateActivity(now = new Date()) {
+        const currentMonth = monthOf(now);
+        const cutoff = this.activityRetentionMonths > 0 ? subtractMonths(currentMonth, this.activityRetentionMonths) : null;
+        const isExpired = month => cutoff !== null && month < cutoff;
+        const archived = {};
+        let dropped = 0;
+        
+        // Find the archives the move will touch first, so their locks are taken together with the log's
+        const months = new Set((await this.readData(this.files.activity))
+            .map(activity => monthOf(activity.timestamp))
+            .filter(month => month && month < currentMonth));
+        
+        if (months.size > 0) {
+            const archives = [...months].filter(month => !isExpired(month)).map(archiveCollection);
+            await this.transaction(['activity', ...archives], (data) => {
+                // A restored backup can bring back records that were archived since
+                const archivedIds = new Set(archives.flatMap(collection => data[collection].map(activity => activity.id)));
+                data.activity = data.activity.filter((activity) => {
+                    const month = monthOf(activity.timestamp);
+                    if (!month || month >= currentMonth || !months.has(month)) {
+                        return true;
+                    }
+                    if (isExpired(month)) {
+                        dropped++;
+                    } else if (!archivedIds.has(activity.id)) {
+                        data[archiveCollection(month)].push(activity);
+                        archived[month] = (archived[month] || 0) + 1;
+                    }
+                    return false;
+                });
+            });
+        }
+        
+        const expired = (await this.listActivityArchives()).filter(isExpired);
+        await this.removeActivityArchives(expired);
+        
+        return { archived, dropped, expired };
+    }
+
+    /**
+     * Delete monthly activity archives
+     * @param {Array<string>} months - Months ('YYYY-MM') to delete
+     */
+    async removeActivityArchives(months) {
+        if (months.length === 0) {
+            return;
+        }
+        
+        await this.withFileLocks(['activity', ...months.map(archiveCollection)], async () => {
+            for (const month of months) {
+                const collection = archiveCollection(month);
+                try {
+                    await this.adapter.remove(collection);
+                } catch (error) {
+                    throw createError(`Failed to remove ${collection}: ${error.message}`, 500, 'FILE_WRITE_ERROR');
+                } finally {
+                    this.invalidateCollection(collection);
+                }
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<string>>} - Months ('YYYY-MM') that have an activity archive, oldest first
+     */
+    async listActivityArchives() {
+        const collections = await this.adapter.listCollections();
+        return collections.map(archiveMonth).filter(Boolean).sort();
+    }
+
+    /**
+     * Query the activity log, including the monthly archives that overlap the date range
+     * @param {Object} filters - Query filters
+     * @param {string} filters.username - Only activity of this user
+     * @param {string} filters.action - Only this action
+     * @param {string|Date} filters.from - Only activity at or after this time
+     * @param {string|Date} filters.to - Only activity at or before this time
+     * @param {number} filters.limit - Page size (default: 50)
+     * @param {number} filters.offset - Entries to skip (default: 0)
+     * @returns {Promise<Object>} - { entries, total }, newest first
+     */
+    async queryActivity(filters = {}) {
+        const { username, action, limit = 50, offset = 0 } = filters;
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            throw createError('from and to must be valid dates', 400, 'INVALID_DATE_RANGE');
+        }
+        
+        const archives = (await this.listActivityArchives())
+            .filter(month => (!from || month >= monthOf(from)) && (!to || month <= monthOf(to)))
+            .map(archiveCollection);
+        
+        // Hold the log's lock so a rotation can't move records between the collections while we read
+        const matching = await this.withFileLock('activity', async () => {
+            const results = [];
+            for (const collection of ['activity', ...archives]) {
+                const activities = await this.getCachedData(collection);
+                results.push(...activities.filter(activity => matchesActivityFilters(activity, { username, action, from, to })));
+            }
+            return results;
+        });
+        matching.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        return {
+            entries: matching.slice(offset, offset + limit),
+            total: matching.length
+        };
+    }
+
+    /**
+     * Activity of one user across the live log and its archives
      * @param {string} username - Username to get activities for
-     * @param {Object} options - Query options
+     * @param {Object} options - Query options (from, to, action, offset - see queryActivity)
      * @param {number} options.limit - Maximum number of activities (default: 100)
-     * @param {number} options.offset - Number of activities to skip (default: 0)
-     * @param {boolean} options.useCache - Whether to use cached results (default: true)
-     * @returns {Promise<Array>} - Array of user activities
+     * @returns {Promise<Object>} - { entries, total }, newest first
      */
     async getActivityByUser(username, options = {}) {
         try {
-            const { limit = 100, offset = 0, useCache = true } = options;
-            
-            // Check cache first
-            const cacheKey = `activity:${username}:${limit}:${offset}`;
-            if (useCache && this.isCacheValid(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
-            
-            // Update activity index if needed
-            await this.updateActivityIndex();
-            
-            // Use index for fast lookup
-            const userActivityIds = this.activityUserIndex.get(username) || [];
-            
-            // Apply pagination
-            const paginatedIds = userActivityIds.slice(offset, offset + limit);
-            
-            // Load full activities (only for the ones we need)
-            const activities = await this.getCachedData(this.files.activity);
-            const results = paginatedIds.map(id => 
-                activities.find(activity => activity.id === id)
-            ).filter(activity => activity !== undefined);
-            
-            // Cache the results
-            if (useCache) {
-                this.setCacheEntry(cacheKey, results);
-            }
-            
-            return results;
+            return await this.queryActivity({ limit: 100, ...options, username });
         } catch (error) {
+            if (error.statusCode === 400) throw error;
             throw createError(`Failed to get user activity: ${error.message}`, 500, 'ACTIVITY_READ_ERROR');
         }
     }
 
+    /**
+     * The live activity log - activity from before the current month is in the archives
+     */
     async getAllActivity() {
         return await this.readData(this.files.activity);
     }
 
     async initializeData() {
         await this.initializeDataFiles();
-    }
-
-    async createSampleData() {
-        console.log('🔧 Creating comprehensive coffee shop sample data...');
+        await this.recoverTransactions();
         
-        const sampleProducts = [
-            {
-                title: 'Professional Espresso Machine',
-                description: 'Italian-made espresso machine with dual boiler system for perfect coffee extraction',
-                price: 299.99,
-                category: 'machines',
-                image: '/images/products/espresso-machine-pro.jpg'
-            },
-            {
-                title: 'Premium Drip Coffee Maker',
-                description: 'Programmable coffee maker with thermal carafe, perfect for office or home',
-                price: 89.99,
-                category: 'machines',
-                image: '/images/products/drip-coffee-maker.jpg'
-            },
-            {
-                title: 'French Press Deluxe',
-                description: 'Borosilicate glass French press with steel frame for rich, full-bodied coffee',
-                price: 34.99,
-                category: 'machines',
-                image: '/images/products/french-press.jpg'
-            },
-            {
-                title: 'Colombian Arabica Coffee Beans',
-                description: 'Single-origin Colombian coffee beans, medium roast with chocolate notes',
-                price: 24.99,
-                category: 'beans',
-                image: '/images/products/colombian-beans.jpg'
-            },
-            {
-                title: 'Ethiopian Yirgacheffe',
-                description: 'Light roast Ethiopian beans with bright acidity and floral aroma',
-                price: 28.99,
-                category: 'beans',
-                image: '/images/products/ethiopian-beans.jpg'
-            },
-            {
-                title: 'House Espresso Blend',
-                description: 'Dark roast espresso blend perfect for lattes and cappuccinos',
-                price: 22.99,
-                category: 'beans',
-                image: '/images/products/espresso-blend.jpg'
-            },
-            {
-                title: 'Artisan Ceramic Coffee Cup',
-                description: 'Handcrafted ceramic cup with ergonomic handle, perfect for morning coffee',
-                price: 15.99,
-                category: 'accessories',
-                image: '/images/products/ceramic-cup.jpg'
-            },
-            {
-                title: 'Electric Milk Frother',
-                description: 'Stainless steel milk frother for perfect cappuccino and latte foam',
-                price: 45.99,
-                category: 'accessories',
-                image: '/images/products/milk-frother.jpg'
-            },
-            {
-                title: 'Burr Coffee Grinder',
-                description: 'Conical burr grinder with 15 grind settings for consistent results',
-                price: 79.99,
-                category: 'accessories',
-                image: '/images/products/coffee-grinder.jpg'
-            }
-        ];
-
-        const products = await this.getAllProducts();
-        if (products.length === 0) {
-            for (const productData of sampleProducts) {
-                await this.createProduct(productData);
-            }
-            console.log(`✅ Created ${sampleProducts.length} coffee products`);
-        } else {
-            console.log(`✅ Found existing ${products.length} products, skipping sample data creation`);
+        // Bring the data up to the current schema version
+        const report = await new MigrationRunner(this).migrate();
+        if (report.steps.length > 0) {
+            console.log(`Migrated data schema from version ${report.fromVersion} to ${report.toVersion}`);
         }
-
-        console.log('✅ Sample data initialization complete!');
+        
+        await this.ensureActivityRotated();
     }
-    
+
     /**
      * Check if a product matches search criteria
      * @param {Object} product - Product to check
@@ -499,47 +1047,6 @@ class PersistenceManager {
         );
     }
     
-    /**
-     * Update the activity user index for faster lookups
-     */
-    async updateActivityIndex() {
-        try {
-            const activities = await this.getCachedData(this.files.activity);
-            const currentHash = this.getDataHash(activities);
-            
-            // Only rebuild index if data has changed
-            if (this.indexLastUpdated !== currentHash) {
-                this.activityUserIndex.clear();
-                
-                for (const activity of activities) {
-                    if (activity.username && activity.id) {
-                        if (!this.activityUserIndex.has(activity.username)) {
-                            this.activityUserIndex.set(activity.username, []);
-                        }
-                        this.activityUserIndex.get(activity.username).push(activity.id);
-                    }
-                }
-                
-                // Sort by timestamp (most recent first) for each user
-                for (const [username, activityIds] of this.activityUserIndex.entries()) {
-                    const sortedIds = activityIds.sort((a, b) => {
-                        const activityA = activities.find(act => act.id === a);
-                        const activityB = activities.find(act => act.id === b);
-                        const timestampA = new Date(activityA?.timestamp || 0);
-                        const timestampB = new Date(activityB?.timestamp || 0);
-                        return timestampB - timestampA; // Most recent first
-                    });
-                    this.activityUserIndex.set(username, sortedIds);
-                }
-                
-                this.indexLastUpdated = currentHash;
-            }
-        } catch (error) {
-            console.error('Failed to update activity index:', error);
-            // Don't throw error - fallback to original method
-        }
-    }
-    
     /**
      * Cache management methods
      */
@@ -548,7 +1055,7 @@ class PersistenceManager {
      * Get cached data with TTL support
      */
     async getCachedData(filename) {
-        const cacheKey = `data:${filename}`;
+        const cacheKey = `data:${this.resolveCollection(filename)}`;
         if (this.isCacheValid(cacheKey)) {
             return this.cache.get(cacheKey);
         }
@@ -602,13 +1109,6 @@ class PersistenceManager {
             this.cacheExpiry.delete(key);
         }
     }
-    
-    /**
-     * Generate a simple hash of data for change detection
-     */
-    getDataHash(data) {
-        return JSON.stringify(data).length + ':' + (data.length || 0);
-    }
 }
 
 const persistenceManager = new PersistenceManager();
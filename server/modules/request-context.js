@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Context
+ * Facts about the current request that code deep below the route handlers needs without every
+ * caller passing them along - currently who is really acting while an admin impersonates a
+ * customer, so the activity log can name them (see PersistenceManager.logActivity).
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function, and everything it starts asynchronously, with a request context
+ * @param {Object} context - e.g. { impersonatedBy: { id, username } }
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Context of the request being handled
+ * @returns {Object|null} - The context, or null outside a request that set one
+ */
+function currentContext() {
+    return storage.getStore() || null;
+}
+
+module.exports = {
+    runWithContext,
+    currentContext
+};
@@ -0,0 +1,433 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Word lists for generated catalogs, users and tickets
+const ORIGINS = ['Colombian', 'Ethiopian', 'Brazilian', 'Kenyan', 'Guatemalan', 'Sumatran', 'Costa Rican', 'Peruvian', 'Honduran', 'Rwandan'];
+const ROASTS = ['Light Roast', 'Medium Roast', 'Dark Roast', 'Espresso Roast', 'French Roast'];
+const MACHINES = ['Espresso Machine', 'Drip Coffee Maker', 'Pour-Over Brewer', 'Cold Brew Maker', 'Moka Pot', 'Siphon Brewer'];
+const ACCESSORIES = ['Burr Grinder', 'Milk Frother', 'Coffee Scale', 'Ceramic Mug Set', 'Gooseneck Kettle', 'Tamper', 'Travel Tumbler', 'Knock Box'];
+const ADJECTIVES = ['Classic', 'Premium', 'Artisan', 'Compact', 'Professional', 'Deluxe', 'Everyday', 'Barista', 'Signature', 'Heritage'];
+const IMAGES = {
+    machines: ['/images/products/Professional Espresso Machine.jpeg', '/images/products/Automatic Drip Coffee Maker.jpeg'],
+    beans: ['/images/products/Premium Arabica Coffee Beans.jpeg', '/images/products/Dark Roast Brazilian Beans.jpeg', '/images/products/Ethiopian Light Roast Beans.jpeg'],
+    accessories: ['/images/products/Manual Coffee Grinder.jpeg', '/images/products/French Press Coffee Maker.jpeg', '/images/products/Ceramic Coffee Mug Set.jpeg', '/images/products/Milk Frother Wand.jpeg', '/images/products/Coffee Scale with Timer.jpeg']
+};
+const FIRST_NAMES = ['alex', 'sam', 'noa', 'maya', 'daniel', 'lior', 'yael', 'omer', 'tamar', 'eitan', 'roni', 'shira', 'adam', 'dana', 'ido', 'michal'];
+const LAST_NAMES = ['cohen', 'levi', 'mizrahi', 'peretz', 'biton', 'friedman', 'katz', 'shapiro', 'avraham', 'dahan'];
+const STREETS = ['Herzl St', 'Rothschild Blvd', 'Ben Yehuda St', 'Dizengoff St', 'Jaffa Rd', 'King George St'];
+const CITIES = ['Tel Aviv', 'Jerusalem', 'Haifa', 'Herzliya', 'Beer Sheva', 'Ramat Gan'];
+const REVIEW_TITLES = {
+    1: ['Disappointing', 'Not worth it'],
+    2: ['Could be better', 'Below expectations'],
+    3: ['Does the job', 'Decent for the price'],
+    4: ['Very good', 'Happy with it'],
+    5: ['Excellent!', 'Best purchase this year']
+};
+const TICKET_SUBJECTS = {
+    order: 'Where is my order?',
+    product: 'Question about product maintenance',
+    account: 'Cannot update my profile',
+    technical: 'Checkout page shows an error',
+    billing: 'Charged twice for one order',
+    general: 'Do you offer gift cards?'
+};
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'completed', 'completed', 'completed', 'cancelled'];
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved', 'closed'];
+
+// Mirrors LOYALTY_CONFIG in routes/loyalty.js
+const POINTS_PER_DOLLAR = 10;
+const TIERS = [['platinum', 3000], ['gold', 1500], ['silver', 500], ['bronze', 0]];
+
+/**
+ * Seeded pseudo-random generator (mulberry32) - the same seed always yields the same sequence
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} - Random helpers
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+    return {
+        next,
+        int,
+        chance: probability => next() < probability,
+        pick: items => items[Math.floor(next() * items.length)],
+
+        // RFC 4122 version 4 layout, but drawn from the seeded sequence
+        uuid() {
+            const bytes = Array.from({ length: 16 }, () => int(0, 255));
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+            return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        }
+    };
+}
+
+/**
+ * Seed Generator
+ * Builds store records that look like the ones the routes write. Seed profiles (server/seeds)
+ * combine its methods; every value comes from the seeded random sequence or the reference date,
+ * so a profile produces the same data on every run.
+ *
+ * @class SeedGenerator
+ */
+class SeedGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {number} options.seed - Random seed
+     * @param {Date} options.referenceDate - "Now" for the generated data; records are dated before it
+     * @param {Object} options.passwordHashes - { admin, user } bcrypt hashes; generated users share the user hash
+     */
+    constructor(options) {
+        this.random = createRandom(options.seed);
+        this.referenceDate = options.referenceDate;
+        this.passwordHashes = options.passwordHashes;
+    }
+
+    /**
+     * Timestamp a random number of days before the reference date (or before/after another timestamp)
+     * @param {number} maxDays - Furthest distance in days
+     * @param {string} after - Keep the result after this timestamp
+     * @returns {string} - ISO timestamp
+     */
+    timestamp(maxDays, after = null) {
+        const end = this.referenceDate.getTime();
+        const start = after ? new Date(after).getTime() : end - maxDays * DAY;
+        return new Date(start + Math.floor(this.random.next() * (end - start))).toISOString();
+    }
+
+    admin() {
+        return {
+            id: 'user-1',
+            username: 'admin',
+            email: 'admin@coffeeshop.com',
+            password: this.passwordHashes.admin,
+            role: 'admin',
+            emailVerified: true,
+            preferences: { theme: 'light', language: 'en' },
+            createdAt: this.timestamp(720),
+            lastLogin: null
+        };
+    }
+
+    /**
+     * @param {number} count - Number of customers
+     * @returns {Array<Object>} - Users with unique usernames and emails
+     */
+    users(count) {
+        return Array.from({ length: count }, (_, index) => {
+            const username = `${this.random.pick(FIRST_NAMES)}.${this.random.pick(LAST_NAMES)}${index + 1}`;
+            return {
+                id: this.random.uuid(),
+                username,
+                email: `${username}@example.com`,
+                password: this.passwordHashes.user,
+                role: 'user',
+                emailVerified: true,
+                preferences: { theme: this.random.chance(0.3) ? 'dark' : 'light', language: 'en' },
+                createdAt: this.timestamp(540),
+                lastLogin: null
+            };
+        });
+    }
+
+    /**
+     * Products from fixed definitions ({ id, title, description, price, category, image })
+     * @param {Array<Object>} definitions - Catalog entries
+     * @returns {Array<Object>} - Products
+     */
+    catalog(definitions) {
+        return definitions.map(definition => ({
+            ...definition,
+            inStock: definition.inStock !== undefined ? definition.inStock : true,
+            createdAt: this.timestamp(720)
+        }));
+    }
+
+    /**
+     * @param {number} count - Number of generated products
+     * @returns {Array<Object>} - Products across all categories
+     */
+    products(count) {
+        return Array.from({ length: count }, (_, index) => {
+            const category = this.random.pick(['machines', 'beans', 'beans', 'accessories']);
+            const adjective = this.random.pick(ADJECTIVES);
+            const title = category === 'beans'
+                ? `${adjective} ${this.random.pick(ORIGINS)} ${this.random.pick(ROASTS)} Beans`
+                : `${adjective} ${this.random.pick(category === 'machines' ? MACHINES : ACCESSORIES)}`;
+            const price = category === 'machines' ? this.random.int(4999, 89999) : this.random.int(999, 9999);
+
+            return {
+                id: this.random.uuid(),
+                title: `${title} #${index + 1}`,
+                description: `${title} - ${category === 'beans' ? 'freshly roasted in small batches' : 'built for daily use at home or in the office'}`,
+                price: price / 100,
+                category,
+                image: this.random.pick(IMAGES[category]),
+                inStock: this.random.chance(0.9),
+                createdAt: this.timestamp(720)
+            };
+        });
+    }
+
+    /**
+     * @param {number} count - Number of orders
+     * @param {Array<Object>} users - Customers to place them
+     * @param {Array<Object>} products - Products to order
+     * @returns {Array<Object>} - Orders with totals calculated like routes/orders.js
+     */
+    orders(count, users, products) {
+        return Array.from({ length: count }, () => {
+            const user = this.random.pick(users);
+            const items = Array.from({ length: this.random.int(1, 4) }, () => {
+                const product = this.random.pick(products);
+                return { productId: product.id, title: product.title, price: product.price, quantity: this.random.int(1, 3) };
+            });
+            const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+            const tax = subtotal * 0.08;
+            const shipping = subtotal >= 50 ? 0 : 9.99;
+
+            return {
+                id: this.random.uuid(),
+                userId: user.id,
+                items,
+                subtotal: parseFloat(subtotal.toFixed(2)),
+                tax: parseFloat(tax.toFixed(2)),
+                shipping,
+                totalAmount: parseFloat((subtotal + tax + shipping).toFixed(2)),
+                shippingAddress: `${this.random.int(1, 200)} ${this.random.pick(STREETS)}, ${this.random.pick(CITIES)}`,
+                status: this.random.pick(ORDER_STATUSES),
+                createdAt: this.timestamp(365, user.createdAt)
+            };
+        });
+    }
+
+    /**
+     * At most one review per user and product; reviews of purchased products are marked verified
+     * @param {number} count - Number of reviews to attempt
+     * @param {Array<Object>} users - Reviewers
+     * @param {Array<Object>} products - Reviewed products
+     * @param {Array<Object>} orders - Orders, to tell verified purchases apart
+     * @returns {Array<Object>} - Reviews
+     */
+    reviews(count, users, products, orders) {
+        const purchases = new Set(orders.flatMap(order => order.items.map(item => `${order.userId}:${item.productId}`)));
+        const reviewed = new Set();
+        const reviews = [];
+
+        for (let attempt = 0; attempt < count; attempt++) {
+            const user = this.random.pick(users);
+            const product = this.random.pick(products);
+            const key = `${user.id}:${product.id}`;
+            if (reviewed.has(key)) {
+                continue;
+            }
+            reviewed.add(key);
+
+            const rating = Math.min(5, this.random.int(1, 5) + (this.random.chance(0.5) ? 1 : 0));
+            reviews.push({
+                id: this.random.uuid(),
+                productId: product.id,
+                userId: user.id,
+                username: user.username,
+                rating,
+                title: this.random.pick(REVIEW_TITLES[rating]),
+                comment: `${this.random.pick(REVIEW_TITLES[rating])} - ${product.title} ${rating >= 4 ? 'exceeded' : 'did not meet'} my expectations.`,
+                verified: purchases.has(key),
+                helpful: 0,
+                helpfulVotes: [],
+                createdAt: this.timestamp(365, user.createdAt)
+            });
+        }
+        return reviews;
+    }
+
+    /**
+     * @param {number} count - Number of tickets
+     * @param {Array<Object>} users - Customers opening them
+     * @returns {Array<Object>} - Support tickets, some with a support reply
+     */
+    tickets(count, users) {
+        return Array.from({ length: count }, (_, index) => {
+            const user = this.random.pick(users);
+            const category = this.random.pick(Object.keys(TICKET_SUBJECTS));
+            const status = this.random.pick(TICKET_STATUSES);
+            const createdAt = this.timestamp(180, user.createdAt);
+            const messages = [{
+                id: this.random.uuid(),
+                sender: 'user',
+                senderName: user.username,
+                message: `${TICKET_SUBJECTS[category]} Please help.`,
+                timestamp: createdAt
+            }];
+            if (status !== 'open') {
+                messages.push({
+                    id: this.random.uuid(),
+                    sender: 'support',
+                    senderName: 'Support Team',
+                    message: 'Thanks for reaching out - we are looking into it.',
+                    timestamp: this.timestamp(0, createdAt)
+                });
+            }
+
+            return {
+                id: this.random.uuid(),
+                ticketNumber: `TICKET-${new Date(createdAt).getTime()}-${index + 1}`,
+                userId: user.id,
+                username: user.username,
+                subject: TICKET_SUBJECTS[category],
+                description: messages[0].message,
+                category,
+                priority: this.random.pick(['low', 'medium', 'medium', 'high']),
+                status,
+                messages,
+                createdAt,
+                updatedAt: messages[messages.length - 1].timestamp
+            };
+        });
+    }
+
+    /**
+     * Open carts for a share of the users
+     * @param {Array<Object>} users - Customers
+     * @param {Array<Object>} products - In-stock products are added
+     * @param {number} share - Fraction of users with a cart
+     * @returns {Array<Object>} - Carts
+     */
+    carts(users, products, share) {
+        const available = products.filter(product => product.inStock);
+        return users.filter(() => this.random.chance(share)).map(user => ({
+            userId: user.id,
+            items: Array.from({ length: this.random.int(1, 3) }, () => {
+                const product = this.random.pick(available);
+                return { productId: product.id, quantity: this.random.int(1, 2), price: product.price };
+            }).filter((item, index, items) => items.findIndex(other => other.productId === item.productId) === index),
+            updatedAt: this.timestamp(30)
+        }));
+    }
+
+    /**
+     * @param {Array<Object>} users - Customers
+     * @param {Array<Object>} products - Products to wish for
+     * @param {number} share - Fraction of users with a wishlist
+     * @returns {Array<Object>} - Wishlists
+     */
+    wishlists(users, products, share) {
+        return users.filter(() => this.random.chance(share)).map((user) => {
+            const picked = [...new Set(Array.from({ length: this.random.int(1, 4) }, () => this.random.pick(products)))];
+            return {
+                userId: user.id,
+                items: picked.map(product => ({
+                    id: this.random.uuid(),
+                    productId: product.id,
+                    notes: '',
+                    addedAt: this.timestamp(120, user.createdAt)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Loyalty accounts earned from completed orders; balances always match their history
+     * @param {Array<Object>} orders - Orders
+     * @returns {Array<Object>} - Loyalty records, one per customer with a completed order
+     */
+    loyalty(orders) {
+        const byUser = new Map();
+        const completed = orders
+            .filter(order => order.status === 'completed')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const order of completed) {
+            if (!byUser.has(order.userId)) {
+                byUser.set(order.userId, { userId: order.userId, totalPoints: 0, availablePoints: 0, tier: 'bronze', pointsHistory: [], createdAt: order.createdAt });
+            }
+            const record = byUser.get(order.userId);
+            const amount = Math.floor(order.totalAmount * POINTS_PER_DOLLAR);
+            record.pointsHistory.push({
+                id: this.random.uuid(),
+                type: 'earned',
+                amount,
+                description: `Order #${order.id.slice(0, 8)}`,
+                orderId: order.id,
+                orderTotal: order.totalAmount,
+                multiplier: 1,
+                timestamp: order.createdAt
+            });
+            record.totalPoints += amount;
+            record.availablePoints += amount;
+        }
+
+        for (const record of byUser.values()) {
+            record.tier = TIERS.find(([, min]) => record.totalPoints >= min)[0];
+        }
+        return [...byUser.values()];
+    }
+
+    /**
+     * Activity entries for registrations and orders
+     * @param {Array<Object>} users - Users
+     * @param {Array<Object>} orders - Orders
+     * @returns {Array<Object>} - Activity, oldest first
+     */
+    activity(users, orders) {
+        const usernames = new Map(users.map(user => [user.id, user.username]));
+        const entries = [
+            ...users.map(user => ({ username: user.username, action: 'register', details: null, timestamp: user.createdAt })),
+            ...orders.map(order => ({
+                username: usernames.get(order.userId),
+                action: 'order_created',
+                details: { orderId: order.id, itemCount: order.items.length, totalAmount: order.totalAmount },
+                timestamp: order.createdAt
+            }))
+        ];
+
+        return entries
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(entry => ({ id: this.random.uuid(), ...entry }));
+    }
+
+    /**
+     * Generate a complete store around a catalog and a customer base
+     * @param {Object} spec - What to generate
+     * @param {Array<Object>} spec.products - Products to sell
+     * @param {number} spec.users - Customers
+     * @param {number} spec.orders - Orders
+     * @param {number} spec.reviews - Reviews (fewer when user/product pairs repeat)
+     * @param {number} spec.tickets - Support tickets
+     * @param {number} spec.cartShare - Fraction of customers with an open cart (default: 0.1)
+     * @param {number} spec.wishlistShare - Fraction of customers with a wishlist (default: 0.1)
+     * @returns {Object} - Collections keyed by name
+     */
+    store(spec) {
+        const admin = this.admin();
+        const customers = this.users(spec.users);
+        const products = spec.products;
+        const orders = customers.length > 0 && products.length > 0 ? this.orders(spec.orders, customers, products) : [];
+
+        return {
+            users: [admin, ...customers],
+            products,
+            orders,
+            reviews: customers.length > 0 && products.length > 0 ? this.reviews(spec.reviews, customers, products, orders) : [],
+            support: customers.length > 0 ? this.tickets(spec.tickets, customers) : [],
+            carts: products.some(product => product.inStock) ? this.carts(customers, products, spec.cartShare ?? 0.1) : [],
+            wishlists: products.length > 0 ? this.wishlists(customers, products, spec.wishlistShare ?? 0.1) : [],
+            loyalty: this.loyalty(orders),
+            activity: this.activity([admin, ...customers], orders)
+        };
+    }
+}
+
+module.exports = {
+    createRandom,
+    SeedGenerator
+};
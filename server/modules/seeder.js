@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { createError } = require('./error-handler');
+const { persistenceManager } = require('./persist_module');
+const { MigrationRunner } = require('./migrations');
+const { SeedGenerator } = require('./seed-generator');
+
+// Generated records are dated before this, so a profile builds the same data whenever it runs
+const DEFAULT_REFERENCE_DATE = '2025-09-01T00:00:00.000Z';
+
+// Login passwords of seeded accounts
+const SEED_PASSWORDS = { admin: 'admin', user: 'password123' };
+
+/**
+ * Seeder
+ * Builds the store from the named profiles in server/seeds and can reset the data to one of them.
+ *
+ * A profile module exports:
+ *   name             - profile name used on the command line
+ *   description      - one line shown by `seed list`
+ *   seed             - default random seed
+ *   build(generator) - returns collections keyed by name, using a SeedGenerator
+ *
+ * @class Seeder
+ */
+class Seeder {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store to seed
+     * @param {Object} options - Seeder options
+     * @param {string} options.seedsDir - Directory of profile modules (default: server/seeds)
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.seedsDir = options.seedsDir || path.join(__dirname, '../seeds');
+    }
+
+    /**
+     * Load and validate all profiles, sorted by name
+     * @returns {Array<Object>} Profiles
+     */
+    loadProfiles() {
+        return fs.readdirSync(this.seedsDir)
+            .filter(name => name.endsWith('.js'))
+            .map((name) => {
+                const profile = require(path.join(this.seedsDir, name));
+                if (typeof profile.name !== 'string' || typeof profile.build !== 'function') {
+                    throw createError(`Seed profile ${name} must export name and build()`, 500, 'SEED_PROFILE_INVALID');
+                }
+                return profile;
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getProfile(name) {
+        const profile = this.loadProfiles().find(candidate => candidate.name === name);
+        if (!profile) {
+            throw createError(`Unknown seed profile "${name}"`, 404, 'SEED_PROFILE_NOT_FOUND');
+        }
+        return profile;
+    }
+
+    /**
+     * Generate a profile's data without writing anything
+     * @param {string} name - Profile name
+     * @param {Object} options - Build options
+     * @param {number} options.seed - Random seed (default: the profile's)
+     * @param {string|Date} options.referenceDate - Date the data is generated up to (default: 2025-09-01)
+     * @returns {Promise<Object>} - Every store collection, keyed by name (the schema is left for the migrations)
+     */
+    async build(name, options = {}) {
+        const profile = this.getProfile(name);
+        const referenceDate = new Date(options.referenceDate || DEFAULT_REFERENCE_DATE);
+        if (isNaN(referenceDate.getTime())) {
+            throw createError('Invalid reference date', 400, 'SEED_ERROR');
+        }
+
+        const generator = new SeedGenerator({
+            seed: options.seed !== undefined ? options.seed : profile.seed,
+            referenceDate,
+            passwordHashes: {
+                admin: await bcrypt.hash(SEED_PASSWORDS.admin, 12),
+                user: await bcrypt.hash(SEED_PASSWORDS.user, 12)
+            }
+        });
+        const generated = profile.build(generator);
+
+        const collections = {};
+        for (const collection of Object.keys(this.persistenceManager.files)) {
+            collections[collection] = generated[collection] || [];
+        }
+        return collections;
+    }
+
+    /**
+     * Replace all data with a profile: every collection is overwritten, activity archives are
+     * deleted, and the result is migrated to the current schema version
+     * @param {string} name - Profile name
+     * @param {Object} options - Build options, see build()
+     * @returns {Promise<Object>} - Report with the record count of every collection
+     */
+    async reset(name, options = {}) {
+        const collections = await this.build(name, options);
+
+        await this.persistenceManager.restoreCollections(collections);
+        await this.persistenceManager.removeActivityArchives(await this.persistenceManager.listActivityArchives());
+        const migration = await new MigrationRunner(this.persistenceManager).migrate();
+        await this.persistenceManager.rotateActivity();
+
+        const counts = {};
+        for (const [collection, data] of Object.entries(collections)) {
+            if (Array.isArray(data) && data.length > 0) {
+                counts[collection] = data.length;
+            }
+        }
+
+        return {
+            profile: name,
+            seed: options.seed !== undefined ? options.seed : this.getProfile(name).seed,
+            counts,
+            schemaVersion: migration.toVersion,
+            passwords: SEED_PASSWORDS
+        };
+    }
+
+    /**
+     * Seed a fresh store (no users and no products); existing data is never touched
+     * @param {string} name - Profile name
+     * @returns {Promise<Object|null>} - The reset report, or null when the store already had data
+     */
+    async seedIfEmpty(name) {
+        const [users, products] = await Promise.all([
+            this.persistenceManager.readData('users'),
+            this.persistenceManager.readData('products')
+        ]);
+        if (users.length > 0 || products.length > 0) {
+            return null;
+        }
+        return await this.reset(name);
+    }
+}
+
+const seeder = new Seeder(persistenceManager);
+
+module.exports = {
+    Seeder,
+    seeder
+};
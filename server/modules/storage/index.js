@@ -0,0 +1,47 @@
+const path = require('path');
+const JsonFileAdapter = require('./json-file-adapter');
+const MemoryAdapter = require('./memory-adapter');
+const SqliteAdapter = require('./sqlite-adapter');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Create the storage adapter selected by configuration.
+ * Options fall back to environment variables:
+ *   STORAGE_BACKEND - 'json' (default), 'memory' or 'sqlite'
+ *   DATA_DIR        - directory of the JSON files (default: server/data)
+ *   SQLITE_FILE     - SQLite database file (default: <DATA_DIR>/store.sqlite)
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - Backend name
+ * @param {string} options.dataDir - JSON data directory
+ * @param {string} options.sqliteFile - SQLite database file
+ * @param {Object} options.files - Map of collection name to JSON filename
+ * @param {Object} options.initialData - Initial contents for the memory backend
+ * @returns {StorageAdapter} Configured adapter
+ */
+function createStorageAdapter(options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+    const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+    switch (backend) {
+        case 'json':
+            return new JsonFileAdapter({ dataDir, files: options.files });
+        case 'memory':
+            return new MemoryAdapter({ initialData: options.initialData });
+        case 'sqlite':
+            return new SqliteAdapter({
+                filename: options.sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'store.sqlite'),
+                importDir: dataDir,
+                files: options.files
+            });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected json, memory or sqlite)`);
+    }
+}
+
+module.exports = {
+    createStorageAdapter,
+    JsonFileAdapter,
+    MemoryAdapter,
+    SqliteAdapter
+};
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./storage-adapter');
+const { createError } = require('../error-handler');
+
+/**
+ * JSON File Storage Adapter
+ * One pretty-printed JSON file per collection in a data directory (the original storage format).
+ * Single writes go to a temp file that is flushed and renamed over the original; batches are
+ * journaled first so they can be replayed after a crash.
+ *
+ * @class JsonFileAdapter
+ */
+class JsonFileAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dataDir - Directory holding the JSON files
+     * @param {Object} options.files - Map of collection name to filename (default: '<collection>.json')
+     */
+    constructor(options = {}) {
+        super();
+        this.dataDir = options.dataDir;
+        this.files = options.files || {};
+        this.journalDir = 'journal';
+    }
+
+    filenameFor(collection) {
+        return this.files[collection] || `${collection}.json`;
+    }
+
+    async init(collections) {
+        await fs.mkdir(path.join(this.dataDir, this.journalDir), { recursive: true });
+
+        for (const collection of collections) {
+            const filePath = path.join(this.dataDir, this.filenameFor(collection));
+            try {
+                await fs.access(filePath);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    console.log(`Creating ${this.filenameFor(collection)}...`);
+                    await this.write(collection, []);
+                }
+            }
+        }
+    }
+
+    async read(collection) {
+        try {
+            const data = await fs.readFile(path.join(this.dataDir, this.filenameFor(collection)), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Collections created on demand (activity archives) are expected to be missing at first
+                if (this.files[collection]) {
+                    console.log(`File ${this.filenameFor(collection)} not found, returning empty array`);
+                }
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async write(collection, data) {
+        await this.writeFileAtomic(this.filenameFor(collection), data);
+    }
+
+    /**
+     * Journal the new contents, then write file by file. If a write fails, files already
+     * written are restored; if the process dies half way, recover() replays the journal.
+     */
+    async writeBatch(writes) {
+        const originals = {};
+        for (const { collection } of writes) {
+            originals[collection] = await this.read(collection);
+        }
+
+        const journalId = uuidv4();
+        const journalFile = path.join(this.journalDir, `${journalId}.json`);
+
+        await this.writeFileAtomic(journalFile, {
+            id: journalId,
+            createdAt: new Date().toISOString(),
+            writes: writes.map(({ collection, data }) => ({ file: this.filenameFor(collection), data }))
+        });
+
+        const applied = [];
+        try {
+            for (const { collection, data } of writes) {
+                await this.writeFileAtomic(this.filenameFor(collection), data);
+                applied.push(collection);
+            }
+        } catch (error) {
+            for (const collection of applied.reverse()) {
+                try {
+                    await this.writeFileAtomic(this.filenameFor(collection), originals[collection]);
+                } catch (rollbackError) {
+                    console.error(`Failed to roll back ${collection}:`, rollbackError);
+                }
+            }
+            await fs.unlink(path.join(this.dataDir, journalFile)).catch(() => {});
+            throw createError(`Transaction rolled back: ${error.message}`, 500, 'TRANSACTION_ERROR');
+        }
+
+        await fs.unlink(path.join(this.dataDir, journalFile));
+    }
+
+    async remove(collection) {
+        try {
+            await fs.unlink(path.join(this.dataDir, this.filenameFor(collection)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async listCollections() {
+        const byFilename = new Map(Object.entries(this.files).map(([collection, filename]) => [filename, collection]));
+        const entries = await fs.readdir(this.dataDir);
+
+        return entries
+            .filter(name => name.endsWith('.json'))
+            .map(name => byFilename.get(name) || name.replace(/\.json$/, ''));
+    }
+
+    /**
+     * Replay journaled batches that were not fully applied and remove temp files
+     * left behind by interrupted atomic writes
+     */
+    async recover() {
+        const journalPath = path.join(this.dataDir, this.journalDir);
+        await fs.mkdir(journalPath, { recursive: true });
+
+        for (const directory of [this.dataDir, journalPath]) {
+            const leftovers = (await fs.readdir(directory)).filter(name => name.endsWith('.tmp'));
+            for (const name of leftovers) {
+                await fs.unlink(path.join(directory, name)).catch(() => {});
+            }
+        }
+
+        const journals = [];
+        for (const name of (await fs.readdir(journalPath)).filter(name => name.endsWith('.json'))) {
+            try {
+                journals.push(JSON.parse(await fs.readFile(path.join(journalPath, name), 'utf8')));
+            } catch (error) {
+                console.error(`Skipping unreadable transaction journal ${name}:`, error.message);
+            }
+        }
+        journals.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const journal of journals) {
+            for (const { file, data } of journal.writes) {
+                await this.writeFileAtomic(file, data);
+            }
+            await fs.unlink(path.join(journalPath, `${journal.id}.json`));
+            console.log(`Recovered transaction ${journal.id} (${journal.writes.map(write => write.file).join(', ')})`);
+        }
+
+        return journals.length;
+    }
+
+    /**
+     * Write a file by writing a temporary sibling, flushing it and renaming it over the original,
+     * so readers and crashes only ever see the old or the new contents
+     * @param {string} filename - Path relative to the data directory
+     * @param {*} data - JSON-serializable data
+     */
+    async writeFileAtomic(filename, data) {
+        const filePath = path.join(this.dataDir, filename);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        try {
+            const jsonData = JSON.stringify(data, null, 2);
+            const handle = await fs.open(tempPath, 'w');
+            try {
+                await handle.writeFile(jsonData, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,58 @@
+const StorageAdapter = require('./storage-adapter');
+
+/**
+ * In-Memory Storage Adapter
+ * Keeps every collection as a serialized JSON string, so each read hands out a fresh copy
+ * exactly like the file adapter does. Nothing survives a restart - meant for tests.
+ *
+ * @class MemoryAdapter
+ */
+class MemoryAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {Object} options.initialData - Optional map of collection name to initial contents
+     */
+    constructor(options = {}) {
+        super();
+        this.collections = new Map();
+
+        for (const [collection, data] of Object.entries(options.initialData || {})) {
+            this.collections.set(collection, JSON.stringify(data));
+        }
+    }
+
+    async init(collections) {
+        for (const collection of collections) {
+            if (!this.collections.has(collection)) {
+                this.collections.set(collection, '[]');
+            }
+        }
+    }
+
+    async read(collection) {
+        const serialized = this.collections.get(collection);
+        return serialized === undefined ? [] : JSON.parse(serialized);
+    }
+
+    async write(collection, data) {
+        this.collections.set(collection, JSON.stringify(data));
+    }
+
+    async writeBatch(writes) {
+        // Serialize everything first so a bad value can't leave the batch half applied
+        const serialized = writes.map(({ collection, data }) => [collection, JSON.stringify(data)]);
+        for (const [collection, value] of serialized) {
+            this.collections.set(collection, value);
+        }
+    }
+
+    async remove(collection) {
+        this.collections.delete(collection);
+    }
+
+    async listCollections() {
+        return [...this.collections.keys()];
+    }
+}
+
+module.exports = MemoryAdapter;
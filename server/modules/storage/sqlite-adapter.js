@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage-adapter');
+
+/**
+ * SQLite Storage Adapter
+ * Stores each record of a collection as its own row in an embedded SQLite database
+ * (via the optional better-sqlite3 dependency). Every write and every batch runs in a
+ * single SQLite transaction, so no journal of our own is needed.
+ *
+ * @class SqliteAdapter
+ */
+class SqliteAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.filename - Database file (':memory:' for a throwaway database)
+     * @param {string} options.importDir - Directory of JSON files to import collections from the first time they are created
+     * @param {Object} options.files - Map of collection name to JSON filename used for the import
+     */
+    constructor(options = {}) {
+        super();
+        this.filename = options.filename;
+        this.importDir = options.importDir || null;
+        this.files = options.files || {};
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite storage backend requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collections (
+                name TEXT PRIMARY KEY,
+                kind TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS documents (
+                collection TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (collection, position)
+            );
+        `);
+
+        this.statements = {
+            getCollection: this.db.prepare('SELECT kind FROM collections WHERE name = ?'),
+            listCollections: this.db.prepare('SELECT name FROM collections ORDER BY name'),
+            upsertCollection: this.db.prepare(`
+                INSERT INTO collections (name, kind, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET kind = excluded.kind, updated_at = excluded.updated_at
+            `),
+            readDocuments: this.db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY position'),
+            deleteDocuments: this.db.prepare('DELETE FROM documents WHERE collection = ?'),
+            insertDocument: this.db.prepare('INSERT INTO documents (collection, position, data) VALUES (?, ?, ?)'),
+            deleteCollection: this.db.prepare('DELETE FROM collections WHERE name = ?')
+        };
+
+        this.replaceCollection = (collection, data) => {
+            const isArray = Array.isArray(data);
+            this.statements.upsertCollection.run(collection, isArray ? 'array' : 'object', new Date().toISOString());
+            this.statements.deleteDocuments.run(collection);
+
+            const records = isArray ? data : [data];
+            records.forEach((record, position) => {
+                this.statements.insertDocument.run(collection, position, JSON.stringify(record));
+            });
+        };
+        this.replaceMany = this.db.transaction((writes) => {
+            for (const { collection, data } of writes) {
+                this.replaceCollection(collection, data);
+            }
+        });
+
+        this.removeCollection = this.db.transaction((collection) => {
+            this.statements.deleteDocuments.run(collection);
+            this.statements.deleteCollection.run(collection);
+        });
+
+        return this.db;
+    }
+
+    async init(collections) {
+        this.open();
+
+        for (const collection of collections) {
+            if (this.statements.getCollection.get(collection)) {
+                continue;
+            }
+
+            const initialData = this.readImportFile(collection);
+            if (initialData) {
+                console.log(`Importing ${collection} into SQLite from JSON...`);
+            }
+            await this.write(collection, initialData || []);
+        }
+    }
+
+    readImportFile(collection) {
+        if (!this.importDir) {
+            return null;
+        }
+
+        const filePath = path.join(this.importDir, this.files[collection] || `${collection}.json`);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    async read(collection) {
+        this.open();
+
+        const meta = this.statements.getCollection.get(collection);
+        if (!meta) {
+            return [];
+        }
+
+        const records = this.statements.readDocuments.all(collection).map(row => JSON.parse(row.data));
+        return meta.kind === 'array' ? records : (records[0] || {});
+    }
+
+    async write(collection, data) {
+        this.open();
+        this.replaceMany([{ collection, data }]);
+    }
+
+    async writeBatch(writes) {
+        this.open();
+        this.replaceMany(writes);
+    }
+
+    async remove(collection) {
+        this.open();
+        this.removeCollection(collection);
+    }
+
+    async listCollections() {
+        this.open();
+        return this.statements.listCollections.all().map(row => row.name);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
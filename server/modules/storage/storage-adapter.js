@@ -0,0 +1,75 @@
+/**
+ * Storage Adapter Interface
+ * PersistenceManager talks to its backend only through these methods. Collections are
+ * identified by name (e.g. 'orders') and always read and written as a whole.
+ * Locking and caching stay in PersistenceManager - adapters only have to make each
+ * write (and each batch of writes) all-or-nothing.
+ *
+ * @class StorageAdapter
+ */
+class StorageAdapter {
+    /**
+     * Prepare the backend and create any missing collections as empty arrays
+     * @param {Array<string>} collections - Collection names the store uses
+     */
+    async init(collections) {
+        throw new Error(`${this.constructor.name} must implement init()`);
+    }
+
+    /**
+     * Read a whole collection
+     * @param {string} collection - Collection name
+     * @returns {Promise<Array|Object>} Stored data, or an empty array if the collection doesn't exist
+     */
+    async read(collection) {
+        throw new Error(`${this.constructor.name} must implement read()`);
+    }
+
+    /**
+     * Replace a whole collection
+     * @param {string} collection - Collection name
+     * @param {Array|Object} data - JSON-serializable data
+     */
+    async write(collection, data) {
+        throw new Error(`${this.constructor.name} must implement write()`);
+    }
+
+    /**
+     * Replace several collections as one unit - either every write lands or none does
+     * @param {Array<Object>} writes - { collection, data } pairs
+     */
+    async writeBatch(writes) {
+        throw new Error(`${this.constructor.name} must implement writeBatch()`);
+    }
+
+    /**
+     * Drop a collection entirely (nothing happens if it doesn't exist)
+     * @param {string} collection - Collection name
+     */
+    async remove(collection) {
+        throw new Error(`${this.constructor.name} must implement remove()`);
+    }
+
+    /**
+     * Names of every collection currently stored
+     * @returns {Promise<Array<string>>} Collection names
+     */
+    async listCollections() {
+        throw new Error(`${this.constructor.name} must implement listCollections()`);
+    }
+
+    /**
+     * Finish any batch that was interrupted by a crash
+     * @returns {Promise<number>} Number of batches recovered
+     */
+    async recover() {
+        return 0;
+    }
+
+    /**
+     * Release any handles held by the backend
+     */
+    async close() {}
+}
+
+module.exports = StorageAdapter;
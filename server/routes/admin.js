@@ -1,11 +1,26 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const { persistenceManager } = require('../modules/persist_module');
-const { asyncWrapper } = require('../modules/error-handler');
+const { backupManager } = require('../modules/backup-manager');
+const { mailer } = require('../modules/mailer');
+const { asyncWrapper, createError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
+const { writeOptions } = require('../middleware/concurrency-middleware');
+const LoginThrottleService = require('../services/loginThrottleService');
+const RoleService = require('../services/roleService');
+const AccountDataService = require('../services/accountDataService');
+const ImpersonationService = require('../services/impersonationService');
+const { PERMISSIONS } = require('../modules/permissions');
 
-router.get('/users', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, asyncWrapper(async (req, res) => {
+const loginThrottle = new LoginThrottleService(persistenceManager);
+const roleService = new RoleService(persistenceManager);
+const accountDataService = new AccountDataService(persistenceManager, { backupManager, mailer });
+const impersonationService = new ImpersonationService(persistenceManager);
+
+router.get('/users', AuthMiddleware.requirePermission('users:read'), asyncWrapper(async (req, res) => {
     const users = await persistenceManager.getAllUsers();
+    const loginStatuses = await loginThrottle.getAllStatuses();
     
     const safeUsers = users.map(user => ({
         id: user.id,
@@ -13,7 +28,10 @@ router.get('/users', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, as
         email: user.email,
         role: user.role,
         createdAt: user.createdAt,
-        lastLogin: user.lastLogin
+        lastLogin: user.lastLogin,
+        failedLoginAttempts: loginStatuses.has(user.id) ? loginStatuses.get(user.id).failedAttempts : 0,
+        lockedUntil: loginStatuses.has(user.id) ? loginStatuses.get(user.id).lockedUntil : null,
+        version: user.version
     }));
     
     res.json({
@@ -23,7 +41,163 @@ router.get('/users', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, as
     });
 }));
 
-router.get('/orders', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, asyncWrapper(async (req, res) => {
+// Lift a lockout and clear the account's failed login attempts
+router.post('/users/:id/unlock', AuthMiddleware.requirePermission('users:write'), asyncWrapper(async (req, res) => {
+    const user = await persistenceManager.findOneBy('users', 'id', req.params.id);
+    if (!user) {
+        throw createError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const cleared = await loginThrottle.reset(user.id);
+    await persistenceManager.logActivity(req.user.username, 'account_unlocked', {
+        userId: user.id,
+        username: user.username,
+        failedAttempts: cleared ? cleared.failedAttempts : 0
+    });
+
+    res.json({
+        success: true,
+        data: { id: user.id, failedLoginAttempts: 0, lockedUntil: null },
+        message: `${user.username} can log in again`
+    });
+}));
+
+// Give a user a different role
+router.put('/users/:id/role', AuthMiddleware.requirePermission('roles:manage'), asyncWrapper(async (req, res) => {
+    const { role } = req.body;
+    if (!role) {
+        throw createError('role is required', 400, 'MISSING_FIELDS');
+    }
+
+    const user = await roleService.assignRole(req.params.id, role, writeOptions(req));
+    await persistenceManager.logActivity(req.user.username, 'role_assigned', { userId: user.id, username: user.username, role });
+
+    res.json({
+        success: true,
+        data: user,
+        message: `${user.username} now has the ${role} role`
+    });
+}));
+
+// Download everything stored about a customer, for a data access request
+router.get('/users/:id/export', AuthMiddleware.requirePermission('privacy:manage'), asyncWrapper(async (req, res) => {
+    const { buffer, filename } = await accountDataService.createArchive(req.params.id);
+    await persistenceManager.logActivity(req.user.username, 'user_data_exported', { userId: req.params.id });
+
+    res.type('application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(buffer);
+}));
+
+// Erase a customer's personal data on their behalf; orders and reviews are kept, anonymized
+router.delete('/users/:id/personal-data', AuthMiddleware.requirePermission('privacy:manage'), asyncWrapper(async (req, res) => {
+    const summary = await accountDataService.erase(req.params.id, { actor: req.user });
+    // Logged under the generated username - the real one is what was just erased
+    await persistenceManager.logActivity(req.user.username, 'user_data_erased', {
+        userId: req.params.id,
+        alias: summary.alias,
+        ordersAnonymized: summary.ordersAnonymized,
+        reviewsAnonymized: summary.reviewsAnonymized,
+        ticketsDeleted: summary.ticketsDeleted,
+        backupsRedacted: summary.backupsRedacted,
+        backupsNotRedacted: summary.backupsNotRedacted,
+        outboxMessagesDeleted: summary.outboxMessagesDeleted
+    });
+
+    const unredacted = summary.backupsNotRedacted.length;
+    res.json({
+        success: true,
+        data: summary,
+        message: unredacted > 0
+            ? `${summary.username}'s personal data has been erased, but ${unredacted} backup(s) could not be redacted - delete them by hand`
+            : `${summary.username}'s personal data has been erased`
+    });
+}));
+
+// Log in as a customer for a while; the admin's own session is parked in a cookie and taken back
+// when the impersonation ends (DELETE /api/auth/impersonation) - or it expires
+router.post('/users/:id/impersonate',
+    AuthMiddleware.requirePermission('users:impersonate'),
+    AuthMiddleware.requireSession,
+    asyncWrapper(async (req, res) => {
+        const { token, expiresAt, user } = await impersonationService.start(req.user, req.params.id, {
+            reason: req.body.reason,
+            userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+
+        const cookieOptions = { httpOnly: true, secure: process.env.NODE_ENV === 'production' };
+        res.cookie(ImpersonationService.COOKIE_NAME, req.cookies.authToken, { ...cookieOptions, sameSite: 'strict', path: ImpersonationService.COOKIE_PATH });
+        res.cookie('authToken', token, { ...cookieOptions, sameSite: 'lax', path: '/' });
+        await persistenceManager.logActivity(req.user.username, 'impersonation_started', {
+            userId: user.id,
+            username: user.username,
+            reason: req.body.reason || null,
+            expiresAt
+        });
+
+        res.json({
+            success: true,
+            data: { user: { id: user.id, username: user.username }, expiresAt },
+            message: `You are now logged in as ${user.username} until ${expiresAt.toISOString()}`
+        });
+    })
+);
+
+// Permissions roles can grant
+router.get('/permissions', AuthMiddleware.requirePermission('roles:manage'), (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description })),
+        message: `Found ${Object.keys(PERMISSIONS).length} permissions`
+    });
+});
+
+router.get('/roles', AuthMiddleware.requirePermission('roles:manage'), asyncWrapper(async (req, res) => {
+    const roles = await roleService.listRoles();
+    
+    res.json({
+        success: true,
+        data: roles,
+        message: `Found ${roles.length} roles`
+    });
+}));
+
+router.post('/roles', AuthMiddleware.requirePermission('roles:manage'), asyncWrapper(async (req, res) => {
+    const role = await roleService.createRole(req.body, { actor: req.user });
+    await persistenceManager.logActivity(req.user.username, 'role_created', { role: role.id, permissions: role.permissions });
+    
+    res.status(201).json({
+        success: true,
+        data: role,
+        message: 'Role created successfully'
+    });
+}));
+
+router.put('/roles/:id', AuthMiddleware.requirePermission('roles:manage'), asyncWrapper(async (req, res) => {
+    const role = await roleService.updateRole(req.params.id, req.body, { actor: req.user });
+    await persistenceManager.logActivity(req.user.username, 'role_updated', { role: role.id, permissions: role.permissions });
+    
+    res.json({
+        success: true,
+        data: role,
+        message: 'Role updated successfully'
+    });
+}));
+
+router.delete('/roles/:id', AuthMiddleware.requirePermission('roles:manage'), asyncWrapper(async (req, res) => {
+    const role = await roleService.deleteRole(req.params.id);
+    await persistenceManager.logActivity(req.user.username, 'role_deleted', { role: role.id });
+    
+    res.json({
+        success: true,
+        data: { id: role.id },
+        message: 'Role deleted successfully'
+    });
+}));
+
+router.get('/orders', AuthMiddleware.requirePermission('orders:read'), asyncWrapper(async (req, res) => {
     const orders = await persistenceManager.readData('orders.json');
     
     res.json({
@@ -33,22 +207,33 @@ router.get('/orders', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, a
     });
 }));
 
-router.get('/activity', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, asyncWrapper(async (req, res) => {
-    const activity = await persistenceManager.getAllActivity();
+// Searches the live log and the monthly archives; from/to are ISO dates or timestamps
+router.get('/activity', AuthMiddleware.requirePermission('activity:read'), asyncWrapper(async (req, res) => {
+    const { username, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    const filters = { action, from, to, limit, offset };
+    const { entries, total } = username
+        ? await persistenceManager.getActivityByUser(username, filters)
+        : await persistenceManager.queryActivity(filters);
     
     res.json({
         success: true,
-        data: activity,
-        message: `Found ${activity.length} activity records`
+        data: {
+            entries,
+            pagination: { total, limit, offset, hasMore: offset + entries.length < total }
+        },
+        message: `Found ${total} activity records`
     });
 }));
 
-router.get('/stats', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, asyncWrapper(async (req, res) => {
+router.get('/stats', AuthMiddleware.requirePermission('analytics:read'), asyncWrapper(async (req, res) => {
     const [users, products, orders, activity] = await Promise.all([
         persistenceManager.getAllUsers(),
         persistenceManager.getAllProducts(),
         persistenceManager.readData('orders.json'),
-        persistenceManager.getAllActivity()
+        persistenceManager.queryActivity({ limit: 0 })
     ]);
     
     res.json({
@@ -57,20 +242,153 @@ router.get('/stats', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, as
             totalUsers: users.length,
             totalProducts: products.length,
             totalOrders: orders.length,
-            totalActivity: activity.length,
+            totalActivity: activity.total,
             generatedAt: new Date().toISOString()
         },
         message: 'Admin statistics retrieved successfully'
     });
 }));
 
-router.get('/orders', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, asyncWrapper(async (req, res) => {
-    const orders = await persistenceManager.readData('orders.json');
+router.get('/backups', AuthMiddleware.requirePermission('backups:manage'), asyncWrapper(async (req, res) => {
+    const backups = await backupManager.listBackups();
     
     res.json({
         success: true,
-        data: orders,
-        message: `Found ${orders.length} orders`
+        data: {
+            backups,
+            schedule: {
+                intervalHours: backupManager.intervalHours,
+                retentionCount: backupManager.retentionCount,
+                retentionDays: backupManager.retentionDays
+            }
+        },
+        message: `Found ${backups.length} backups`
+    });
+}));
+
+router.post('/backups', AuthMiddleware.requirePermission('backups:manage'), asyncWrapper(async (req, res) => {
+    const backup = await backupManager.createBackup('manual');
+    await persistenceManager.logActivity(req.user.username, 'backup_created', { backupId: backup.id });
+    
+    res.status(201).json({
+        success: true,
+        data: backup,
+        message: 'Backup created successfully'
+    });
+}));
+
+router.get('/backups/:id/download', AuthMiddleware.requirePermission('backups:manage'), asyncWrapper(async (req, res) => {
+    const filePath = backupManager.getBackupPath(req.params.id);
+    res.type('application/gzip');
+    res.download(filePath, path.basename(filePath));
+}));
+
+router.post('/backups/:id/restore', AuthMiddleware.requirePermission('backups:manage'), asyncWrapper(async (req, res) => {
+    const result = await backupManager.restoreBackup(req.params.id);
+    await persistenceManager.logActivity(req.user.username, 'backup_restored', result);
+    
+    res.json({
+        success: true,
+        data: result,
+        message: `Restored backup ${result.restored} - every session was ended, so everyone (you too) has to log in again`
+    });
+}));
+
+// Collections with change history and soft delete ('tickets' is accepted for support tickets)
+function resolveHistoryCollection(name) {
+    const collection = name === 'tickets' ? 'support' : name;
+    if (!persistenceManager.isHistoryCollection(collection)) {
+        throw createError(`Unknown collection: ${name}`, 400, 'INVALID_COLLECTION');
+    }
+    return collection;
+}
+
+router.get('/history', AuthMiddleware.requirePermission('records:manage'), asyncWrapper(async (req, res) => {
+    const { collection, recordId, actor, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    const { entries, total } = await persistenceManager.queryHistory({
+        collection: collection ? resolveHistoryCollection(collection) : undefined,
+        recordId,
+        actor,
+        action,
+        limit,
+        offset
+    });
+    
+    res.json({
+        success: true,
+        data: {
+            entries,
+            pagination: { total, limit, offset, hasMore: offset + entries.length < total }
+        },
+        message: `Found ${total} history entries`
+    });
+}));
+
+router.get('/history/:collection/:id', AuthMiddleware.requirePermission('records:manage'), asyncWrapper(async (req, res) => {
+    const collection = resolveHistoryCollection(req.params.collection);
+    const [record, history] = await Promise.all([
+        persistenceManager.findById(collection, req.params.id, { includeDeleted: true }).catch(() => null),
+        persistenceManager.getRecordHistory(collection, req.params.id)
+    ]);
+    
+    if (!record && history.length === 0) {
+        throw createError(`No ${collection} record ${req.params.id}`, 404, 'ITEM_NOT_FOUND');
+    }
+    
+    res.json({
+        success: true,
+        data: {
+            record: record && collection === 'users' ? { ...record, password: undefined } : record,
+            history
+        },
+        message: `Found ${history.length} history entries`
+    });
+}));
+
+router.get('/deleted/:collection', AuthMiddleware.requirePermission('records:manage'), asyncWrapper(async (req, res) => {
+    const collection = resolveHistoryCollection(req.params.collection);
+    let deleted = await persistenceManager.getDeleted(collection);
+    
+    if (collection === 'users') {
+        deleted = deleted.map(({ password, ...user }) => user);
+    }
+    
+    res.json({
+        success: true,
+        data: deleted,
+        message: `Found ${deleted.length} deleted ${collection}`
+    });
+}));
+
+router.delete('/records/:collection/:id', AuthMiddleware.requirePermission('records:manage'), asyncWrapper(async (req, res) => {
+    const collection = resolveHistoryCollection(req.params.collection);
+    if (collection === 'users' && req.params.id === req.user.id) {
+        throw createError('You cannot delete your own account here', 400, 'CANNOT_DELETE_SELF');
+    }
+    
+    const record = await persistenceManager.deleteById(collection, req.params.id, writeOptions(req));
+    await persistenceManager.logActivity(req.user.username, 'record_deleted', { collection, recordId: record.id });
+    
+    res.json({
+        success: true,
+        data: { id: record.id, deletedAt: record.deletedAt, deletedBy: record.deletedBy },
+        message: 'Record deleted - it can be restored from the admin API'
+    });
+}));
+
+router.post('/records/:collection/:id/restore', AuthMiddleware.requirePermission('records:manage'), asyncWrapper(async (req, res) => {
+    const collection = resolveHistoryCollection(req.params.collection);
+    const record = await persistenceManager.restoreById(collection, req.params.id, writeOptions(req));
+    await persistenceManager.logActivity(req.user.username, 'record_restored', { collection, recordId: record.id });
+    
+    const { password, ...safeRecord } = record;
+    res.json({
+        success: true,
+        data: safeRecord,
+        message: 'Record restored successfully'
     });
 }));
 
@@ -1,12 +1,12 @@
 const express = require('express');
 const { persistenceManager } = require('../modules/persist_module');
+const { IntegrityChecker, integrityChecker } = require('../modules/integrity-checker');
 const AuthMiddleware = require('../middleware/auth-middleware');
 
 const router = express.Router();
 
-// All analytics endpoints require admin access
-router.use(AuthMiddleware.requireAuth);
-router.use(AuthMiddleware.requireAdmin);
+// All analytics endpoints require the analytics permission
+router.use(AuthMiddleware.requirePermission('analytics:read'));
 
 // Get sales analytics
 router.get('/sales', async (req, res) => {
@@ -42,7 +42,7 @@ router.get('/sales', async (req, res) => {
         );
         
         // Calculate totals
-        const totalRevenue = filteredOrders.reduce((sum, order) => sum + (order.totalAmount || order.total || 0), 0);
+        const totalRevenue = filteredOrders.reduce((sum, order) => sum + (order.totalAmount || 0), 0);
         const totalOrders = filteredOrders.length;
         const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
         
@@ -77,7 +77,7 @@ router.get('/sales', async (req, res) => {
             return orderDate >= previousPeriodStart && orderDate < startDate;
         });
         
-        const previousRevenue = previousPeriodOrders.reduce((sum, order) => sum + (order.totalAmount || order.total || 0), 0);
+        const previousRevenue = previousPeriodOrders.reduce((sum, order) => sum + (order.totalAmount || 0), 0);
         const revenueGrowth = previousRevenue > 0 ? 
             ((totalRevenue - previousRevenue) / previousRevenue * 100) : 0;
         
@@ -124,7 +124,7 @@ router.get('/users', async (req, res) => {
         const carts = await persistenceManager.readData('carts');
         
         // Total users (excluding admin)
-        const regularUsers = users.filter(user => user.role !== 'admin');
+        const regularUsers = users.filter(user => user.role === 'user');
         const totalUsers = regularUsers.length;
         
         // User registration trends (last 30 days)
@@ -162,7 +162,7 @@ router.get('/users', async (req, res) => {
             }
             
             customerStats[order.userId].totalOrders++;
-            customerStats[order.userId].totalSpent += (order.totalAmount || order.total || 0);
+            customerStats[order.userId].totalSpent += (order.totalAmount || 0);
             
             const orderDate = new Date(order.createdAt);
             if (!customerStats[order.userId].lastOrderDate || 
@@ -367,6 +367,14 @@ router.get('/system', async (req, res) => {
             }
         }
         
+        // Cross-collection integrity (read-only - repairs go through the CLI)
+        let integrity;
+        try {
+            integrity = IntegrityChecker.summarize(await integrityChecker.check());
+        } catch (error) {
+            integrity = { status: 'error', error: error.message };
+        }
+        
         // Performance metrics
         const endTime = process.hrtime(startTime);
         const responseTime = endTime[0] * 1000 + endTime[1] / 1000000; // Convert to milliseconds
@@ -394,10 +402,12 @@ router.get('/system', async (req, res) => {
                     }
                 },
                 dataFiles: fileStatus,
+                integrity,
                 healthChecks: {
                     database: fileStatus.products.status === 'healthy',
                     authentication: fileStatus.sessions.status === 'healthy',
-                    orders: fileStatus.orders.status === 'healthy'
+                    orders: fileStatus.orders.status === 'healthy',
+                    dataIntegrity: integrity.status === 'healthy'
                 }
             }
         });
@@ -447,7 +457,7 @@ function groupSalesByPeriod(orders, groupBy) {
         }
         
         groups[key].orders++;
-        groups[key].revenue += (order.totalAmount || order.total || 0);
+        groups[key].revenue += (order.totalAmount || 0);
     });
     
     return Object.values(groups).sort((a, b) => a.period.localeCompare(b.period));
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { persistenceManager } = require('../modules/persist_module');
+const { asyncWrapper } = require('../modules/error-handler');
+const AuthMiddleware = require('../middleware/auth-middleware');
+const { validateRequiredFields } = require('../middleware/validation-middleware');
+const ApiKeyService = require('../services/apiKeyService');
+
+const apiKeyService = new ApiKeyService(persistenceManager);
+
+// Keys are managed from a logged-in session only
+router.use(AuthMiddleware.requireAuth, AuthMiddleware.requireSession);
+
+// GET /api/auth/api-keys - The user's personal keys (and service keys, for key managers)
+router.get('/', asyncWrapper(async (req, res) => {
+    const apiKeys = await apiKeyService.list(req.user);
+
+    res.json({
+        success: true,
+        data: apiKeys,
+        message: 'API keys retrieved successfully'
+    });
+}));
+
+// GET /api/auth/api-keys/scopes - Scopes the user can give a key, and whether they may create service keys
+router.get('/scopes', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            scopes: apiKeyService.grantableScopes(req.user),
+            canCreateServiceKeys: AuthMiddleware.can(req.user, 'apiKeys:manage')
+        },
+        message: 'Scopes retrieved successfully'
+    });
+});
+
+// POST /api/auth/api-keys - Create a key; the key itself is only returned in this response
+router.post('/',
+    validateRequiredFields(['name'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Give the key a name so you can recognise it later'
+    }),
+    asyncWrapper(async (req, res) => {
+        const { name, type, scopes, expiresInDays } = req.body;
+        const { key, apiKey } = await apiKeyService.create(req.user, { name, type, scopes, expiresInDays });
+        await persistenceManager.logActivity(req.user.username, 'api_key_created', {
+            keyId: apiKey.id,
+            name: apiKey.name,
+            type: apiKey.type,
+            scopes: apiKey.scopes
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { key, apiKey },
+            message: 'API key created - copy it now, it won\'t be shown again'
+        });
+    })
+);
+
+// DELETE /api/auth/api-keys/:id - Revoke a key
+router.delete('/:id', asyncWrapper(async (req, res) => {
+    const apiKey = await apiKeyService.revoke(req.user, req.params.id);
+    await persistenceManager.logActivity(req.user.username, 'api_key_revoked', { keyId: apiKey.id, name: apiKey.name });
+
+    res.json({
+        success: true,
+        data: apiKey,
+        message: 'API key revoked'
+    });
+}));
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 const authRoutes = require('./auth');
+const twoFactorRoutes = require('./two-factor');
+const apiKeyRoutes = require('./api-keys');
 const productRoutes = require('./products');
 const cartRoutes = require('./cart');
 const orderRoutes = require('./orders');
@@ -12,6 +14,8 @@ const loyaltyRoutes = require('./loyalty');
 const supportRoutes = require('./support');
 const analyticsRoutes = require('./analytics');
 
+router.use('/auth/2fa', twoFactorRoutes);
+router.use('/auth/api-keys', apiKeyRoutes);
 router.use('/auth', authRoutes);
 router.use('/products', productRoutes);
 router.use('/cart', cartRoutes);
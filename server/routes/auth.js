@@ -6,6 +6,125 @@ const { persistenceManager } = require('../modules/persist_module');
 const AuthMiddleware = require('../middleware/auth-middleware');
 const ErrorHandler = require('../modules/error-handler');
 const { validateRequiredFields, validateFieldsMatch } = require('../middleware/validation-middleware');
+const { setETag, writeOptions } = require('../middleware/concurrency-middleware');
+const { mailer } = require('../modules/mailer');
+const { backupManager } = require('../modules/backup-manager');
+const PasswordResetService = require('../services/passwordResetService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const RoleService = require('../services/roleService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const AccountDataService = require('../services/accountDataService');
+const GuestCartService = require('../services/guestCartService');
+const ImpersonationService = require('../services/impersonationService');
+const OidcService = require('../services/oidcService');
+const { issueToken, consumeToken, releaseToken } = require('../modules/one-time-tokens');
+const { sendCsrfToken } = require('../middleware/csrf-middleware');
+const { loginThrottle, reserveLoginAttempt, rejectFailedLogin } = require('../middleware/login-throttle-middleware');
+
+const passwordPolicy = new PasswordPolicyService(persistenceManager);
+const passwordResetService = new PasswordResetService(persistenceManager, mailer, { passwordPolicy });
+const emailVerificationService = new EmailVerificationService(persistenceManager, mailer);
+const sessionService = new SessionService(persistenceManager);
+const twoFactorService = new TwoFactorService(persistenceManager);
+const roleService = new RoleService(persistenceManager);
+const accountDataService = new AccountDataService(persistenceManager, { backupManager, mailer });
+const guestCarts = new GuestCartService(persistenceManager);
+const impersonationService = new ImpersonationService(persistenceManager);
+const oidcService = new OidcService(persistenceManager);
+
+const LOGIN_CHALLENGE_TTL_MINUTES = 5;
+const REMEMBER_ME_COOKIE_MS = 12 * 24 * 60 * 60 * 1000; // 12 days
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth'; // Only sent to refresh, session status and logout
+const OIDC_STATE_COOKIE = 'oidcState';
+const OIDC_STATE_COOKIE_PATH = '/api/auth/oidc';
+
+// Set the session cookies after login or a token refresh. Without "remember me" they are browser
+// session cookies - the server decides when the session ends, and slides that while it's used.
+function setSessionCookies(res, issued, rememberMe) {
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        ...(rememberMe ? { maxAge: REMEMBER_ME_COOKIE_MS } : {})
+    };
+    res.cookie('authToken', issued.token, { ...options, sameSite: 'lax', path: '/' });
+    if (issued.refreshToken) {
+        res.cookie(REFRESH_COOKIE, issued.refreshToken, { ...options, sameSite: 'strict', path: REFRESH_COOKIE_PATH });
+    }
+}
+
+function clearSessionCookies(res) {
+    res.clearCookie('authToken');
+    res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+    res.clearCookie(ImpersonationService.COOKIE_NAME, { httpOnly: true, sameSite: 'strict', path: ImpersonationService.COOKIE_PATH });
+}
+
+// Send a verification link without failing the request it belongs to - the user can ask for another one
+async function sendVerificationQuietly(user) {
+    try {
+        await emailVerificationService.sendVerification(user);
+        return true;
+    } catch (error) {
+        console.error(`Failed to send verification email to ${user.email}:`, error.message);
+        return false;
+    }
+}
+
+// Start a session for a user who passed every login step; the caller answers the request
+async function startSession(req, res, user, rememberMe, details = null) {
+    await loginThrottle.reset(user.id);
+
+    // Update last login
+    user.lastLogin = new Date().toISOString();
+    await persistenceManager.mutate('users', (latestUsers) => {
+        const latest = latestUsers.find(u => u.id === user.id);
+        if (latest) latest.lastLogin = user.lastLogin;
+    });
+
+    // Create session
+    const issued = await AuthMiddleware.createSession(user.id, rememberMe, {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+    });
+
+    // Set cookies
+    setSessionCookies(res, issued, rememberMe);
+
+    // Bring along what the visitor put in a cart before logging in
+    let cartItemsMerged = 0;
+    if (req.cookies[GuestCartService.COOKIE_NAME]) {
+        const guestId = guestCarts.verify(req.cookies[GuestCartService.COOKIE_NAME]);
+        if (guestId) {
+            cartItemsMerged = await guestCarts.mergeInto(guestId, user.id);
+        }
+        res.clearCookie(GuestCartService.COOKIE_NAME);
+    }
+
+    // Log activity
+    await persistenceManager.logActivity(user.username, 'login', cartItemsMerged > 0 ? { ...details, cartItemsMerged } : details);
+
+    return { issued, cartItemsMerged };
+}
+
+// Start a session and answer a login request with the user
+async function completeLogin(req, res, user, rememberMe, details = null) {
+    const { issued, cartItemsMerged } = await startSession(req, res, user, rememberMe, details);
+
+    // Return user without password, with what their role allows
+    const { password: _, ...userResponse } = user;
+    userResponse.permissions = await roleService.permissionsFor(user.role);
+
+    res.json({
+        success: true,
+        data: userResponse,
+        message: 'Login successful',
+        sessionExpiresAt: issued.expiresAt,
+        accessTokenExpiresAt: issued.accessExpiresAt || null,
+        cartItemsMerged
+    });
+}
 
 // POST /api/auth/register - User registration
 router.post('/register', 
@@ -20,21 +139,16 @@ router.post('/register',
     ErrorHandler.asyncWrapper(async (req, res) => {
     const { username, email, password, confirmPassword } = req.body;
 
-    // Password length validation
-    if (password.length < 6) {
-        return res.status(400).json({
-            success: false,
-            error: 'WEAK_PASSWORD',
-            message: 'Password must be at least 6 characters long'
-        });
-    }
+    await passwordPolicy.enforce(password, { username, email });
 
     // Check if user already exists
-    const users = await persistenceManager.getAllUsers();
-    const existingUser = users.find(u => 
-        u.username.toLowerCase() === username.toLowerCase() || 
-        u.email.toLowerCase() === email.toLowerCase()
-    );
+    // (erased accounts are tombstones without an email)
+    const isTaken = (u) => 
+        (u.username && u.username.toLowerCase() === username.toLowerCase()) || 
+        (u.email && u.email.toLowerCase() === email.toLowerCase());
+    // Deleted accounts keep their username and email reserved
+    const existingUser = await persistenceManager.findOneBy('users', 'username', username, { includeDeleted: true })
+        || await persistenceManager.findOneBy('users', 'email', email, { includeDeleted: true });
 
     if (existingUser) {
         return res.status(409).json({
@@ -54,26 +168,46 @@ router.post('/register',
         email,
         password: hashedPassword,
         role: 'user',
+        emailVerified: false,
         preferences: {
             theme: 'light',
             language: 'en'
         },
         createdAt: new Date().toISOString(),
-        lastLogin: null
+        lastLogin: null,
+        version: 1
     };
 
-    await persistenceManager.addUser(newUser);
+    // Re-check under the users write lock so two concurrent registrations can't both succeed
+    const created = await persistenceManager.transaction(['users', 'history'], ({ users: latestUsers, history }) => {
+        if (latestUsers.some(isTaken)) return false;
+        latestUsers.push(newUser);
+        persistenceManager.recordChange(history, 'users', 'create', null, newUser, newUser);
+        return true;
+    });
+
+    if (!created) {
+        return res.status(409).json({
+            success: false,
+            error: 'USER_EXISTS',
+            message: 'Username or email already exists'
+        });
+    }
     
     // Log activity
     await persistenceManager.logActivity(username, 'register');
 
+    const verificationSent = await sendVerificationQuietly(newUser);
+
     // Return user without password
     const { password: _, ...userResponse } = newUser;
 
     res.status(201).json({
         success: true,
         data: userResponse,
-        message: 'User registered successfully'
+        message: verificationSent
+            ? 'User registered successfully - check your email to verify your address'
+            : 'User registered successfully, but the verification email could not be sent - you can request a new one after logging in'
     });
 }));
 
@@ -87,11 +221,7 @@ router.post('/login',
     const { username, password, rememberMe } = req.body;
 
     // Find user
-    const users = await persistenceManager.getAllUsers();
-    const user = users.find(u => 
-        u.username.toLowerCase() === username.toLowerCase() || 
-        u.email.toLowerCase() === username.toLowerCase()
-    );
+    const user = await persistenceManager.findUserByLogin(username);
 
     if (!user) {
         return res.status(401).json({
@@ -101,55 +231,369 @@ router.post('/login',
         });
     }
 
+    // Delayed and locked accounts don't get to test passwords
+    const reservation = await reserveLoginAttempt(res, user);
+    if (!reservation) return;
+
     // Verify password
     const passwordMatch = await bcrypt.compare(password, user.password);
     if (!passwordMatch) {
+        return await rejectFailedLogin(req, res, user, reservation, {
+            error: 'Invalid credentials',
+            message: 'Invalid username or password'
+        });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge for the second step - which
+    // reserves an attempt of its own, so the lockout isn't reset until the code is right too
+    if (user.twoFactorEnabled) {
+        await loginThrottle.release(user.id, reservation);
+        const challengeToken = await issueToken(persistenceManager, 'loginChallenges', user.id, LOGIN_CHALLENGE_TTL_MINUTES, {
+            rememberMe: Boolean(rememberMe)
+        });
+        return res.json({
+            success: true,
+            data: { twoFactorRequired: true, challengeToken },
+            message: 'Enter the code from your authenticator app'
+        });
+    }
+
+    await completeLogin(req, res, user, rememberMe);
+}));
+
+// POST /api/auth/login/2fa - Second login step: a TOTP or recovery code for the password challenge
+router.post('/login/2fa',
+    validateRequiredFields(['challengeToken', 'code'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Challenge token and code are required'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    // Take the challenge before the code is checked, so parallel submits can't each try (and use
+    // up) a code with it - it's given back if the code turns out wrong
+    const challenge = await consumeToken(persistenceManager, 'loginChallenges', challengeToken);
+    const user = challenge && await persistenceManager.findOneBy('users', 'id', challenge.userId);
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            error: 'LOGIN_CHALLENGE_EXPIRED',
+            message: 'Your login attempt has expired - please log in again',
+            redirectTo: '/pages/login.html'
+        });
+    }
+
+    // Codes count towards the same per-account lockout as passwords
+    const reservation = await reserveLoginAttempt(res, user);
+    if (!reservation) {
+        await releaseToken(persistenceManager, 'loginChallenges', challengeToken);
+        return;
+    }
+
+    const verification = await twoFactorService.verify(user.id, code);
+    if (!verification) {
+        await releaseToken(persistenceManager, 'loginChallenges', challengeToken);
+        return await rejectFailedLogin(req, res, user, reservation, {
+            error: 'INVALID_TWO_FACTOR_CODE',
+            message: 'That code is not valid'
+        });
+    }
+
+    if (verification.method === 'recovery') {
+        await persistenceManager.logActivity(user.username, 'recovery_code_used', {
+            recoveryCodesRemaining: verification.recoveryCodesRemaining
+        });
+    }
+
+    await completeLogin(req, res, user, challenge.rememberMe, { twoFactor: verification.method });
+}));
+
+// OIDC logins are browser navigations, so they end on the login page: the outcome is passed in the
+// URL fragment, which the browser keeps to itself
+function redirectToLoginPage(res, params) {
+    res.redirect(302, `/pages/login.html#${new URLSearchParams(params)}`);
+}
+
+// GET /api/auth/oidc/providers - Identity providers to offer on the login page
+router.get('/oidc/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: oidcService.listProviders(),
+        message: 'Identity providers retrieved successfully'
+    });
+});
+
+// GET /api/auth/oidc/:provider/login - Send the browser to the identity provider
+router.get('/oidc/:provider/login', async (req, res) => {
+    try {
+        const { authorizationUrl, state } = await oidcService.startLogin(req.params.provider, { returnTo: req.query.returnTo });
+        // The provider's answer only counts in the browser that asked
+        res.cookie(OIDC_STATE_COOKIE, state, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            path: OIDC_STATE_COOKIE_PATH,
+            maxAge: 10 * 60 * 1000
+        });
+        res.redirect(302, authorizationUrl);
+    } catch (error) {
+        redirectToLoginPage(res, { oidcError: error.message });
+    }
+});
+
+// GET /api/auth/oidc/:provider/callback - The provider sends the browser back here with a code
+router.get('/oidc/:provider/callback', async (req, res) => {
+    const browserState = req.cookies[OIDC_STATE_COOKIE];
+    res.clearCookie(OIDC_STATE_COOKIE, { httpOnly: true, sameSite: 'lax', path: OIDC_STATE_COOKIE_PATH });
+
+    try {
+        if (!browserState || browserState !== req.query.state) {
+            throw ErrorHandler.createError('This login attempt was not started in this browser - please try again', 400, 'OIDC_STATE_INVALID');
+        }
+        const { provider, claims, returnTo } = await oidcService.finishLogin(req.params.provider, req.query);
+        const { user, outcome, linkToken } = await oidcService.resolveUser(provider.id, claims);
+
+        // Staff accounts aren't linked on the email address alone - the owner confirms first
+        if (outcome === 'confirmation_required') {
+            return redirectToLoginPage(res, {
+                oidcLink: linkToken,
+                provider: provider.name,
+                username: user.username,
+                ...(user.twoFactorEnabled && { twoFactor: 'required' }),
+                returnTo
+            });
+        }
+
+        if (outcome === 'created') {
+            await persistenceManager.logActivity(user.username, 'register', { provider: provider.id });
+        } else if (outcome === 'linked') {
+            await persistenceManager.logActivity(user.username, 'identity_linked', { provider: provider.id });
+        }
+
+        // The provider vouches for who this is - two-factor accounts still need their code
+        if (user.twoFactorEnabled) {
+            const challenge = await issueToken(persistenceManager, 'loginChallenges', user.id, LOGIN_CHALLENGE_TTL_MINUTES, {
+                rememberMe: false
+            });
+            return redirectToLoginPage(res, { challenge, returnTo });
+        }
+
+        const { cartItemsMerged } = await startSession(req, res, user, false, { provider: provider.id });
+        redirectToLoginPage(res, { oidcLogin: outcome, cartItemsMerged, returnTo });
+    } catch (error) {
+        if (!error.errorType) {
+            console.error('OIDC login error:', error);
+        }
+        redirectToLoginPage(res, { oidcError: error.errorType ? error.message : 'Login with your identity provider failed' });
+    }
+});
+
+// POST /api/auth/oidc/link - Link a provider login to a staff account with the account's password
+// (and 2FA code), then log in
+router.post('/oidc/link',
+    validateRequiredFields(['linkToken', 'password'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Link token and password are required'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const { linkToken, password, code } = req.body;
+
+    // Taken before the password is checked, like a login challenge, and given back if it's wrong
+    const pendingLink = await consumeToken(persistenceManager, 'oidcLinks', linkToken);
+    const user = pendingLink && await persistenceManager.findOneBy('users', 'id', pendingLink.userId);
+    if (!user) {
         return res.status(401).json({
             success: false,
+            error: 'OIDC_LINK_EXPIRED',
+            message: 'This link request has expired - please log in with your identity provider again',
+            redirectTo: '/pages/login.html'
+        });
+    }
+
+    const reservation = await reserveLoginAttempt(res, user);
+    if (!reservation) {
+        await releaseToken(persistenceManager, 'oidcLinks', linkToken);
+        return;
+    }
+
+    if (!await bcrypt.compare(password, user.password)) {
+        await releaseToken(persistenceManager, 'oidcLinks', linkToken);
+        return await rejectFailedLogin(req, res, user, reservation, {
             error: 'Invalid credentials',
-            message: 'Invalid username or password'
+            message: 'That password is not correct'
         });
     }
 
-    // Update last login
-    user.lastLogin = new Date().toISOString();
-    await persistenceManager.saveUsers(users);
+    let verification = null;
+    if (user.twoFactorEnabled) {
+        verification = await twoFactorService.verify(user.id, code);
+        if (!verification) {
+            await releaseToken(persistenceManager, 'oidcLinks', linkToken);
+            return await rejectFailedLogin(req, res, user, reservation, {
+                error: 'INVALID_TWO_FACTOR_CODE',
+                message: 'That code is not valid'
+            });
+        }
+        if (verification.method === 'recovery') {
+            await persistenceManager.logActivity(user.username, 'recovery_code_used', {
+                recoveryCodesRemaining: verification.recoveryCodesRemaining
+            });
+        }
+    }
 
-    // Create session
-    const { token, expiresAt } = await AuthMiddleware.createSession(user.id, rememberMe);
+    await oidcService.linkIdentity(pendingLink);
+    await persistenceManager.logActivity(user.username, 'identity_linked', { provider: pendingLink.provider, confirmed: true });
 
-    // Set cookie
-    res.cookie('authToken', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: rememberMe ? 12 * 24 * 60 * 60 * 1000 : 30 * 60 * 1000, // 12 days or 30 minutes
-        sameSite: 'lax',
-        path: '/'
+    await completeLogin(req, res, user, false, {
+        provider: pendingLink.provider,
+        ...(verification && { twoFactor: verification.method })
     });
+}));
 
-    // Log activity
-    await persistenceManager.logActivity(user.username, 'login');
+// GET /api/auth/csrf - CSRF token to send in the X-CSRF-Token header (also set as the csrfToken cookie)
+router.get('/csrf', sendCsrfToken);
 
-    // Return user without password
-    const { password: _, ...userResponse } = user;
+// POST /api/auth/refresh - Exchange the refresh token for a new access token and refresh token
+router.post('/refresh', ErrorHandler.asyncWrapper(async (req, res) => {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) {
+        return res.status(401).json({
+            success: false,
+            error: 'NO_REFRESH_TOKEN',
+            message: 'Session expired. Please login again.',
+            redirectTo: '/pages/login.html'
+        });
+    }
+
+    const result = await sessionService.rotate(refreshToken, { ip: req.ip });
 
+    if (result.status === 'superseded') {
+        // Another tab refreshed with the same token a moment ago and the browser has its new cookies
+        return res.status(409).json({
+            success: false,
+            error: 'REFRESH_TOKEN_SUPERSEDED',
+            message: 'The session was just refreshed - retry the request'
+        });
+    }
+
+    if (result.status !== 'rotated') {
+        clearSessionCookies(res);
+        if (result.status === 'reused') {
+            const owner = await persistenceManager.findOneBy('users', 'id', result.session.userId);
+            await persistenceManager.logActivity(owner ? owner.username : result.session.userId, 'refresh_token_reused', {
+                sessionId: result.session.id,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        }
+        return res.status(401).json({
+            success: false,
+            error: result.status === 'reused' ? 'REFRESH_TOKEN_REUSED' : 'INVALID_REFRESH_TOKEN',
+            message: result.status === 'reused'
+                ? 'This session was ended because its refresh token was used twice. Please login again.'
+                : 'Session expired. Please login again.',
+            redirectTo: '/pages/login.html'
+        });
+    }
+
+    setSessionCookies(res, result, result.session.rememberMe);
+    res.set('X-Session-Expires-At', result.expiresAt.toISOString());
     res.json({
         success: true,
-        data: userResponse,
-        message: 'Login successful',
-        sessionExpiresAt: expiresAt
+        data: { sessionExpiresAt: result.expiresAt, accessTokenExpiresAt: result.accessExpiresAt },
+        message: 'Session refreshed'
+    });
+}));
+
+// GET /api/auth/session - When the current session expires; checking doesn't count as activity
+router.get('/session', ErrorHandler.asyncWrapper(async (req, res) => {
+    const status = req.cookies.authToken && await sessionService.status(req.cookies.authToken);
+    if (!status) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid session',
+            message: 'Session expired. Please login again.',
+            redirectTo: '/pages/login.html'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            sessionExpiresAt: status.expiresAt,
+            accessTokenExpiresAt: status.accessExpiresAt,
+            idleTimeoutSeconds: sessionService.idleTimeoutMs / 1000
+        },
+        message: 'Session status retrieved successfully'
+    });
+}));
+
+// End an impersonation: drop its session and hand the admin their own session back, if it's
+// still valid (otherwise the page refreshes it or sends them to the login page).
+// Returns null, changing nothing, when the request isn't from an impersonation.
+async function endImpersonation(req, res) {
+    const ended = req.cookies.authToken ? await impersonationService.stop(req.cookies.authToken) : null;
+    const adminToken = req.cookies[ImpersonationService.COOKIE_NAME];
+    if (!ended && !adminToken) {
+        return null;
+    }
+    const restored = Boolean(adminToken) && Boolean(await sessionService.status(adminToken));
+
+    res.clearCookie(ImpersonationService.COOKIE_NAME, { httpOnly: true, sameSite: 'strict', path: ImpersonationService.COOKIE_PATH });
+    if (restored) {
+        res.cookie('authToken', adminToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            path: '/'
+        });
+    } else {
+        res.clearCookie('authToken');
+    }
+
+    if (ended) {
+        const user = await persistenceManager.findOneBy('users', 'id', ended.userId);
+        await persistenceManager.logActivity(ended.impersonatedBy.username, 'impersonation_ended', {
+            userId: ended.userId,
+            username: user ? user.username : null
+        });
+    }
+    return { ended: Boolean(ended), restored };
+}
+
+// DELETE /api/auth/impersonation - Stop impersonating a user and go back to the admin's own session
+router.delete('/impersonation', ErrorHandler.asyncWrapper(async (req, res) => {
+    const result = await endImpersonation(req, res);
+    if (!result) {
+        throw ErrorHandler.createError('You are not impersonating anyone', 400, 'NOT_IMPERSONATING');
+    }
+
+    res.json({
+        success: true,
+        data: result,
+        message: result.restored ? 'Impersonation ended' : 'Impersonation ended - please login again'
     });
 }));
 
 // POST /api/auth/logout - User logout
 router.post('/logout', AuthMiddleware.requireAuth, ErrorHandler.asyncWrapper(async (req, res) => {
     const token = req.cookies.authToken;
+
+    // Logging out of an impersonation only ends it - the user's and the admin's own sessions stay
+    if (req.user.impersonatedBy) {
+        const result = await endImpersonation(req, res);
+        return res.json({
+            success: true,
+            data: result,
+            message: 'Impersonation ended'
+        });
+    }
     
     // Destroy session
-    await AuthMiddleware.destroySession(token);
+    await AuthMiddleware.destroySession(token, req.cookies[REFRESH_COOKIE]);
     
-    // Clear cookie
-    res.clearCookie('authToken');
+    // Clear cookies
+    clearSessionCookies(res);
     
     // Log activity
     await persistenceManager.logActivity(req.user.username, 'logout');
@@ -160,8 +604,54 @@ router.post('/logout', AuthMiddleware.requireAuth, ErrorHandler.asyncWrapper(asy
     });
 }));
 
+// POST /api/auth/logout-all - Log out on every device, including this one
+router.post('/logout-all', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, ErrorHandler.asyncWrapper(async (req, res) => {
+    const revoked = await sessionService.revokeAll(req.user.id);
+
+    clearSessionCookies(res);
+    await persistenceManager.logActivity(req.user.username, 'logout_all', { sessions: revoked });
+
+    res.json({
+        success: true,
+        data: { revoked },
+        message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}`
+    });
+}));
+
+// GET /api/auth/sessions - Devices the current user is logged in on
+router.get('/sessions', AuthMiddleware.requireAuth, ErrorHandler.asyncWrapper(async (req, res) => {
+    const sessions = await sessionService.list(req.user.id, req.cookies.authToken);
+
+    res.json({
+        success: true,
+        data: sessions,
+        message: 'Sessions retrieved successfully'
+    });
+}));
+
+// DELETE /api/auth/sessions/:id - Log out one device
+router.delete('/sessions/:id', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, ErrorHandler.asyncWrapper(async (req, res) => {
+    const session = await sessionService.revoke(req.user.id, req.params.id);
+    if (!session) {
+        throw ErrorHandler.createError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    const current = session.token === req.cookies.authToken;
+    if (current) {
+        clearSessionCookies(res);
+    }
+    await persistenceManager.logActivity(req.user.username, 'session_revoked', { sessionId: session.id, current });
+
+    res.json({
+        success: true,
+        data: { id: session.id, current },
+        message: current ? 'Logged out of this device' : 'Session revoked'
+    });
+}));
+
 // GET /api/auth/profile - Get current user profile
 router.get('/profile', AuthMiddleware.requireAuth, (req, res) => {
+    setETag(res, req.user);
     res.json({
         success: true,
         data: req.user,
@@ -170,36 +660,248 @@ router.get('/profile', AuthMiddleware.requireAuth, (req, res) => {
 });
 
 // PUT /api/auth/profile - Update user profile
-router.put('/profile', AuthMiddleware.requireAuth, ErrorHandler.asyncWrapper(async (req, res) => {
+router.put('/profile', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, ErrorHandler.asyncWrapper(async (req, res) => {
     const { email, preferences } = req.body;
     const userId = req.user.id;
 
-    const users = await persistenceManager.getAllUsers();
-    const userIndex = users.findIndex(u => u.id === userId);
+    const updatedUser = await persistenceManager.mutateRecord('users', userId, (user, { users }) => {
+        // Update user data; a new address has to be verified again
+        if (email && email !== user.email) {
+            // Checked under the users lock, like registering - logins look accounts up by email
+            const taken = users.some(other => other.id !== user.id && !other.deletedAt &&
+                other.email && other.email.toLowerCase() === email.toLowerCase());
+            if (taken) {
+                throw ErrorHandler.createError('Another account already uses this email address', 409, 'EMAIL_EXISTS');
+            }
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = null;
+        }
+        if (preferences) user.preferences = { ...user.preferences, ...preferences };
+        
+        user.updatedAt = new Date().toISOString();
 
-    if (userIndex === -1) {
-        return res.status(404).json({
-            success: false,
-            error: 'User not found',
-            message: 'User profile not found'
+        // Return updated user without password
+        const { password: _, ...safeUser } = user;
+        return safeUser;
+    }, writeOptions(req));
+
+    const emailChanged = updatedUser.email !== req.user.email;
+    if (emailChanged) {
+        await sendVerificationQuietly(updatedUser);
+    }
+
+    setETag(res, updatedUser);
+    res.json({
+        success: true,
+        data: updatedUser,
+        message: emailChanged
+            ? 'Profile updated successfully - check your new email address to verify it'
+            : 'Profile updated successfully'
+    });
+}));
+
+// GET /api/auth/password-policy - Rules new passwords have to meet
+router.get('/password-policy', (req, res) => {
+    res.json({
+        success: true,
+        data: passwordPolicy.describe(),
+        message: 'Password policy retrieved successfully'
+    });
+});
+
+// PUT /api/auth/password - Change the password; other devices are logged out
+router.put('/password',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireSession,
+    validateRequiredFields(['currentPassword', 'newPassword', 'confirmPassword'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'All fields are required: currentPassword, newPassword, confirmPassword'
+    }),
+    validateFieldsMatch('newPassword', 'confirmPassword', {
+        errorCode: 'PASSWORD_MISMATCH',
+        customMessage: 'Passwords do not match'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const account = await persistenceManager.findOneBy('users', 'id', req.user.id);
+
+    // Guessing the current password here counts toward the same lockout as logging in
+    const reservation = await reserveLoginAttempt(res, account);
+    if (!reservation) return;
+    if (!await bcrypt.compare(currentPassword, account.password)) {
+        return await rejectFailedLogin(req, res, account, reservation, {
+            status: 400,
+            error: 'INVALID_CURRENT_PASSWORD',
+            message: 'Your current password is incorrect'
+        });
+    }
+    await loginThrottle.reset(account.id);
+
+    await passwordPolicy.enforce(newPassword, account);
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    const user = await persistenceManager.mutateRecord('users', account.id, (record) => {
+        record.password = hashedPassword;
+        record.passwordChangedAt = new Date().toISOString();
+        record.updatedAt = record.passwordChangedAt;
+        const { password: _, ...safeUser } = record;
+        return safeUser;
+    }, writeOptions(req));
+    await passwordPolicy.rememberPassword(account.id, account.password);
+
+    const sessionsRevoked = await sessionService.revokeOthers(account.id, req.cookies.authToken);
+    await persistenceManager.logActivity(user.username, 'password_changed', { sessionsRevoked });
+
+    setETag(res, user);
+    res.json({
+        success: true,
+        data: user,
+        message: sessionsRevoked > 0
+            ? `Password changed - ${sessionsRevoked} other device(s) were logged out`
+            : 'Password changed'
+    });
+}));
+
+// GET /api/auth/me/export - Download everything stored about the current user
+router.get('/me/export', AuthMiddleware.requireAuth, AuthMiddleware.requireSession, ErrorHandler.asyncWrapper(async (req, res) => {
+    const { buffer, filename } = await accountDataService.createArchive(req.user.id);
+    await persistenceManager.logActivity(req.user.username, 'data_exported', { bytes: buffer.length });
+
+    res.type('application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(buffer);
+}));
+
+// DELETE /api/auth/me - Delete the current user's account, confirmed with their password (and 2FA code)
+router.delete('/me',
+    AuthMiddleware.requireAuth,
+    AuthMiddleware.requireSession,
+    validateRequiredFields(['password'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Enter your password to delete your account'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const { password, code } = req.body;
+    const account = await persistenceManager.findOneBy('users', 'id', req.user.id);
+
+    // Same lockout as logging in, so this can't be used to guess the password or the code
+    const reservation = await reserveLoginAttempt(res, account);
+    if (!reservation) return;
+    if (!await bcrypt.compare(password, account.password)) {
+        return await rejectFailedLogin(req, res, account, reservation, {
+            status: 400,
+            error: 'INVALID_CURRENT_PASSWORD',
+            message: 'Your password is incorrect'
         });
     }
+    if (account.twoFactorEnabled && !await twoFactorService.verify(account.id, code)) {
+        return await rejectFailedLogin(req, res, account, reservation, {
+            status: 400,
+            error: 'INVALID_TWO_FACTOR_CODE',
+            message: 'That code is not valid'
+        });
+    }
+    await loginThrottle.reset(account.id);
 
-    // Update user data
-    if (email) users[userIndex].email = email;
-    if (preferences) users[userIndex].preferences = { ...users[userIndex].preferences, ...preferences };
+    const summary = await accountDataService.erase(account.id, { actor: req.user });
+
+    clearSessionCookies(res);
+    await persistenceManager.logActivity(summary.alias, 'account_deleted', {
+        ordersAnonymized: summary.ordersAnonymized,
+        reviewsAnonymized: summary.reviewsAnonymized,
+        ticketsDeleted: summary.ticketsDeleted,
+        backupsRedacted: summary.backupsRedacted,
+        backupsNotRedacted: summary.backupsNotRedacted,
+        outboxMessagesDeleted: summary.outboxMessagesDeleted
+    });
+
+    res.json({
+        success: true,
+        data: {
+            ordersAnonymized: summary.ordersAnonymized,
+            reviewsAnonymized: summary.reviewsAnonymized,
+            backupsRedacted: summary.backupsRedacted
+        },
+        message: 'Your account has been deleted'
+    });
+}));
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+    validateRequiredFields(['email'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Email is required'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const user = await passwordResetService.requestReset(String(req.body.email).trim());
     
-    users[userIndex].updatedAt = new Date().toISOString();
+    if (user) {
+        await persistenceManager.logActivity(user.username, 'password_reset_requested');
+    }
 
-    await persistenceManager.saveUsers(users);
+    // Same answer whether or not the account exists, so emails can't be probed
+    res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent to it'
+    });
+}));
 
-    // Return updated user without password
-    const { password: _, ...updatedUser } = users[userIndex];
+// POST /api/auth/reset-password - Choose a new password with a reset token
+router.post('/reset-password',
+    validateRequiredFields(['token', 'password', 'confirmPassword'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'All fields are required: token, password, confirmPassword'
+    }),
+    validateFieldsMatch('password', 'confirmPassword', {
+        errorCode: 'PASSWORD_MISMATCH',
+        customMessage: 'Passwords do not match'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await passwordResetService.resetPassword(token, password);
+    await loginThrottle.reset(user.id);
+
+    // Every session of the account was signed out
+    clearSessionCookies(res);
+    await persistenceManager.logActivity(user.username, 'password_reset');
 
     res.json({
         success: true,
-        data: updatedUser,
-        message: 'Profile updated successfully'
+        message: 'Your password has been reset - please log in with the new password'
+    });
+}));
+
+// POST /api/auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email',
+    validateRequiredFields(['token'], {
+        errorCode: 'MISSING_FIELDS',
+        customMessage: 'Verification token is required'
+    }),
+    ErrorHandler.asyncWrapper(async (req, res) => {
+    const user = await emailVerificationService.verify(req.body.token);
+
+    await persistenceManager.logActivity(user.username, 'email_verified');
+
+    setETag(res, user);
+    res.json({
+        success: true,
+        data: user,
+        message: 'Your email address has been verified'
+    });
+}));
+
+// POST /api/auth/resend-verification - Email a new verification link to the current user
+router.post('/resend-verification', AuthMiddleware.requireAuth, ErrorHandler.asyncWrapper(async (req, res) => {
+    await emailVerificationService.sendVerification(req.user);
+
+    await persistenceManager.logActivity(req.user.username, 'verification_resent');
+
+    res.json({
+        success: true,
+        message: `A new verification link has been sent to ${req.user.email}`
     });
 }));
 
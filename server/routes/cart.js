@@ -1,22 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const { persistenceManager } = require('../modules/persist_module');
-const { asyncWrapper } = require('../modules/error-handler');
+const { asyncWrapper, createError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
+const GuestCartService = require('../services/guestCartService');
+
+const guestCarts = new GuestCartService(persistenceManager);
+
+/**
+ * Cart routes
+ * /api/cart and /api/cart/items/:productId work on the caller's own cart: the logged-in user's,
+ * or for visitors a guest cart identified by a signed cookie (merged into the user's cart at login).
+ * The older /api/cart/:userId routes are kept for existing clients, but only for the cart's owner.
+ */
+
+// Whose cart the request is about: the logged-in user, or the visitor's guest cart.
+// A guest cookie is only handed out once the visitor puts something in a cart.
+function selectOwnCart(req, res, next) {
+    if (req.user) {
+        req.cartOwner = { userId: req.user.id };
+        return next();
+    }
+
+    let guestId = guestCarts.verify(req.cookies[GuestCartService.COOKIE_NAME]);
+    if (!guestId && req.method !== 'GET') {
+        const issued = guestCarts.issue();
+        guestId = issued.guestId;
+        res.cookie(GuestCartService.COOKIE_NAME, issued.cookieValue, guestCarts.cookieOptions());
+    }
+    req.cartOwner = { guestId };
+    next();
+}
+
+// The /:userId routes: users reach their own cart only, staff with users:read may look at any
+function requireCartOwner(req, res, next) {
+    const { userId } = req.params;
+    const mayRead = req.method === 'GET' && AuthMiddleware.can(req.user, 'users:read');
+    if (req.user.id !== userId && !mayRead) {
+        return res.status(403).json({
+            success: false,
+            error: 'ACCESS_DENIED',
+            message: 'You can only access your own cart'
+        });
+    }
+    req.cartOwner = { userId };
+    next();
+}
+
+const ownCart = [AuthMiddleware.optionalAuth, selectOwnCart];
+const userCart = [AuthMiddleware.requireAuth, requireCartOwner];
+
+async function readCart(owner) {
+    if (owner.userId) {
+        return await persistenceManager.getUserCart(owner.userId);
+    }
+    return owner.guestId
+        ? await guestCarts.getCart(owner.guestId)
+        : { items: [], updatedAt: new Date().toISOString(), guest: true };
+}
+
+async function mutateCart(owner, fn) {
+    return owner.userId
+        ? await persistenceManager.mutateUserCart(owner.userId, fn)
+        : await guestCarts.mutateCart(owner.guestId, fn);
+}
+
+function parseQuantity(quantity) {
+    const parsed = parseInt(quantity, 10);
+    if (!parsed || parsed < 1 || parsed > GuestCartService.MAX_ITEM_QUANTITY) {
+        throw createError(`Quantity must be between 1 and ${GuestCartService.MAX_ITEM_QUANTITY}`, 400, 'INVALID_QUANTITY');
+    }
+    return parsed;
+}
+
+const getCart = asyncWrapper(async (req, res) => {
+    const cart = await readCart(req.cartOwner);
 
-router.get('/:userId', asyncWrapper(async (req, res) => {
-    const cart = await persistenceManager.getUserCart(req.params.userId);
-    
     res.json({
         success: true,
         data: cart,
         message: 'Cart retrieved successfully'
     });
-}));
+});
 
-router.post('/:userId', asyncWrapper(async (req, res) => {
+const replaceCart = asyncWrapper(async (req, res) => {
     const { items } = req.body;
-    
+
     if (!Array.isArray(items)) {
         return res.status(400).json({
             success: false,
@@ -24,92 +93,90 @@ router.post('/:userId', asyncWrapper(async (req, res) => {
             message: 'Items must be an array'
         });
     }
-    
-    const updatedCart = await persistenceManager.updateUserCart(req.params.userId, { items });
-    
+    const validatedItems = items.map(item => ({ ...item, quantity: parseQuantity(item.quantity) }));
+
+    const updatedCart = await mutateCart(req.cartOwner, (cart) => {
+        cart.items = validatedItems;
+        return cart;
+    });
+
     res.json({
         success: true,
         data: updatedCart,
         message: 'Cart updated successfully'
     });
-}));
+});
 
 // Update item quantity in cart
-router.put('/update/:userId/:productId', asyncWrapper(async (req, res) => {
-    const { userId, productId } = req.params;
-    const { quantity } = req.body;
-    
-    if (!quantity || quantity < 1) {
-        return res.status(400).json({
-            success: false,
-            error: 'INVALID_QUANTITY',
-            message: 'Quantity must be a positive number'
-        });
-    }
-    
-    // Get current cart
-    const cart = await persistenceManager.getUserCart(userId);
-    
-    // Find item in cart
-    const itemIndex = cart.items.findIndex(item => item.productId === productId);
-    if (itemIndex === -1) {
-        return res.status(404).json({
-            success: false,
-            error: 'ITEM_NOT_FOUND',
-            message: 'Item not found in cart'
-        });
-    }
-    
-    // Update quantity
-    cart.items[itemIndex].quantity = parseInt(quantity);
-    
-    // Save updated cart
-    const updatedCart = await persistenceManager.updateUserCart(userId, cart);
-    
+const updateItem = asyncWrapper(async (req, res) => {
+    const { productId } = req.params;
+    const quantity = parseQuantity(req.body.quantity);
+
+    // Update quantity under the carts write lock
+    const updatedCart = await mutateCart(req.cartOwner, (cart) => {
+        const item = cart.items.find(item => item.productId === productId);
+        if (!item) {
+            throw createError('Item not found in cart', 404, 'ITEM_NOT_FOUND');
+        }
+
+        item.quantity = quantity;
+        return cart;
+    });
+
     res.json({
         success: true,
         data: updatedCart,
         message: 'Cart item quantity updated successfully'
     });
-}));
+});
 
 // Remove specific item from cart
-router.delete('/remove/:userId/:productId', asyncWrapper(async (req, res) => {
-    const { userId, productId } = req.params;
-    
-    // Get current cart
-    const cart = await persistenceManager.getUserCart(userId);
-    
-    // Filter out the item
-    const originalLength = cart.items.length;
-    cart.items = cart.items.filter(item => item.productId !== productId);
-    
-    if (cart.items.length === originalLength) {
-        return res.status(404).json({
-            success: false,
-            error: 'ITEM_NOT_FOUND',
-            message: 'Item not found in cart'
-        });
-    }
-    
-    // Save updated cart
-    const updatedCart = await persistenceManager.updateUserCart(userId, cart);
-    
+const removeItem = asyncWrapper(async (req, res) => {
+    const { productId } = req.params;
+
+    // Filter out the item under the carts write lock
+    const updatedCart = await mutateCart(req.cartOwner, (cart) => {
+        const originalLength = cart.items.length;
+        cart.items = cart.items.filter(item => item.productId !== productId);
+
+        if (cart.items.length === originalLength) {
+            throw createError('Item not found in cart', 404, 'ITEM_NOT_FOUND');
+        }
+
+        return cart;
+    });
+
     res.json({
         success: true,
         data: updatedCart,
         message: 'Item removed from cart successfully'
     });
-}));
+});
 
 // Clear entire cart
-router.delete('/:userId', asyncWrapper(async (req, res) => {
-    await persistenceManager.updateUserCart(req.params.userId, { items: [] });
-    
+const clearCart = asyncWrapper(async (req, res) => {
+    await mutateCart(req.cartOwner, (cart) => {
+        cart.items = [];
+    });
+
     res.json({
         success: true,
         message: 'Cart cleared successfully'
     });
-}));
+});
+
+// The caller's own cart
+router.get('/', ownCart, getCart);
+router.post('/', ownCart, replaceCart);
+router.delete('/', ownCart, clearCart);
+router.put('/items/:productId', ownCart, updateItem);
+router.delete('/items/:productId', ownCart, removeItem);
+
+// A user's cart by ID
+router.get('/:userId', userCart, getCart);
+router.post('/:userId', userCart, replaceCart);
+router.put('/update/:userId/:productId', userCart, updateItem);
+router.delete('/remove/:userId/:productId', userCart, removeItem);
+router.delete('/:userId', userCart, clearCart);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { persistenceManager } = require('../modules/persist_module');
+const { CoffeeShopError, createError, sendKnownError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
 const Joi = require('joi');
 
@@ -65,7 +66,7 @@ router.get('/points/:userId', AuthMiddleware.requireAuth, async (req, res) => {
         const { userId } = req.params;
         
         // Check if user can access this loyalty data
-        if (req.user.id !== userId && req.user.role !== 'admin') {
+        if (req.user.id !== userId && !AuthMiddleware.can(req.user, 'users:read')) {
             return res.status(403).json({
                 success: false,
                 error: 'ACCESS_DENIED',
@@ -73,29 +74,25 @@ router.get('/points/:userId', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const loyalty = await persistenceManager.readData('loyalty');
-        let userLoyalty = loyalty.find(l => l.userId === userId);
-
-        if (!userLoyalty) {
-            // Create new loyalty record
-            userLoyalty = {
-                userId,
-                totalPoints: 0,
-                availablePoints: 0,
-                tier: 'bronze',
-                pointsHistory: [],
-                createdAt: new Date().toISOString()
-            };
-            loyalty.push(userLoyalty);
-            await persistenceManager.writeData('loyalty', loyalty);
-        }
+        let userLoyalty = await persistenceManager.findOneBy('loyalty', 'userId', userId);
+
+        // Only take the write lock when the record has to be created or its tier is stale
+        if (!userLoyalty || userLoyalty.tier !== calculateTier(userLoyalty.totalPoints)) {
+            userLoyalty = await persistenceManager.mutate('loyalty', (latest) => {
+                let record = latest.find(l => l.userId === userId);
+
+                if (!record) {
+                    // Create new loyalty record
+                    record = createLoyaltyRecord(userId);
+                    latest.push(record);
+                }
 
-        // Calculate current tier
-        const currentTier = calculateTier(userLoyalty.totalPoints);
-        if (userLoyalty.tier !== currentTier) {
-            userLoyalty.tier = currentTier;
-            await persistenceManager.writeData('loyalty', loyalty);
+                // Calculate current tier
+                record.tier = calculateTier(record.totalPoints);
+                return record;
+            });
         }
+        const currentTier = userLoyalty.tier;
 
         // Calculate next tier progress
         const tierInfo = LOYALTY_CONFIG.tiers[currentTier];
@@ -171,40 +168,37 @@ router.post('/redeem', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const loyalty = await persistenceManager.readData('loyalty');
-        const userLoyalty = loyalty.find(l => l.userId === userId);
+        const { userLoyalty, transaction } = await persistenceManager.mutate('loyalty', (loyalty) => {
+            const record = loyalty.find(l => l.userId === userId);
 
-        if (!userLoyalty) {
-            return res.status(404).json({
-                success: false,
-                error: 'LOYALTY_NOT_FOUND',
-                message: 'Loyalty account not found'
-            });
-        }
+            if (!record) {
+                throw createError('Loyalty account not found', 404, 'LOYALTY_NOT_FOUND');
+            }
 
-        if (userLoyalty.availablePoints < reward.cost) {
-            return res.status(400).json({
-                success: false,
-                error: 'INSUFFICIENT_POINTS',
-                message: `Insufficient points. You need ${reward.cost} points but only have ${userLoyalty.availablePoints}`
-            });
-        }
+            if (record.availablePoints < reward.cost) {
+                throw createError(
+                    `Insufficient points. You need ${reward.cost} points but only have ${record.availablePoints}`,
+                    400,
+                    'INSUFFICIENT_POINTS'
+                );
+            }
 
-        // Deduct points
-        userLoyalty.availablePoints -= reward.cost;
-        
-        // Add to history
-        const transaction = {
-            id: uuidv4(),
-            type: 'redeemed',
-            amount: -reward.cost,
-            description: `Redeemed: ${reward.title}`,
-            rewardId: reward.id,
-            timestamp: new Date().toISOString()
-        };
-        userLoyalty.pointsHistory.push(transaction);
-
-        await persistenceManager.writeData('loyalty', loyalty);
+            // Deduct points
+            record.availablePoints -= reward.cost;
+            
+            // Add to history
+            const redemption = {
+                id: uuidv4(),
+                type: 'redeemed',
+                amount: -reward.cost,
+                description: `Redeemed: ${reward.title}`,
+                rewardId: reward.id,
+                timestamp: new Date().toISOString()
+            };
+            record.pointsHistory.push(redemption);
+
+            return { userLoyalty: record, transaction: redemption };
+        });
 
         res.json({
             success: true,
@@ -217,6 +211,9 @@ router.post('/redeem', AuthMiddleware.requireAuth, async (req, res) => {
             message: `Successfully redeemed ${reward.title}!`
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error redeeming reward:', error);
         res.status(500).json({
             success: false,
@@ -232,7 +229,7 @@ router.post('/earn', AuthMiddleware.requireAuth, async (req, res) => {
         const { userId, amount, orderId, orderTotal } = req.body;
         
         // Only admins or the system can add points
-        if (req.user.role !== 'admin' && req.user.id !== userId) {
+        if (!AuthMiddleware.can(req.user, 'loyalty:manage') && req.user.id !== userId) {
             return res.status(403).json({
                 success: false,
                 error: 'ACCESS_DENIED',
@@ -240,49 +237,43 @@ router.post('/earn', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const loyalty = await persistenceManager.readData('loyalty');
-        let userLoyalty = loyalty.find(l => l.userId === userId);
-
-        if (!userLoyalty) {
-            userLoyalty = {
-                userId,
-                totalPoints: 0,
-                availablePoints: 0,
-                tier: 'bronze',
-                pointsHistory: [],
-                createdAt: new Date().toISOString()
+        const { userLoyalty, pointsEarned, tierUpgrade, transaction } = await persistenceManager.mutate('loyalty', (loyalty) => {
+            let record = loyalty.find(l => l.userId === userId);
+
+            if (!record) {
+                record = createLoyaltyRecord(userId);
+                loyalty.push(record);
+            }
+
+            // Calculate points based on tier multiplier
+            const currentTier = calculateTier(record.totalPoints);
+            const multiplier = LOYALTY_CONFIG.tiers[currentTier].multiplier;
+            const earned = Math.floor((amount || (orderTotal * LOYALTY_CONFIG.pointsPerDollar)) * multiplier);
+
+            // Add points
+            record.totalPoints += earned;
+            record.availablePoints += earned;
+
+            // Update tier if necessary
+            const newTier = calculateTier(record.totalPoints);
+            const upgraded = record.tier !== newTier;
+            record.tier = newTier;
+
+            // Add to history
+            const earning = {
+                id: uuidv4(),
+                type: 'earned',
+                amount: earned,
+                description: orderId ? `Order #${orderId}` : 'Points earned',
+                orderId: orderId || null,
+                orderTotal: orderTotal || null,
+                multiplier: multiplier,
+                timestamp: new Date().toISOString()
             };
-            loyalty.push(userLoyalty);
-        }
+            record.pointsHistory.push(earning);
 
-        // Calculate points based on tier multiplier
-        const currentTier = calculateTier(userLoyalty.totalPoints);
-        const multiplier = LOYALTY_CONFIG.tiers[currentTier].multiplier;
-        const pointsEarned = Math.floor((amount || (orderTotal * LOYALTY_CONFIG.pointsPerDollar)) * multiplier);
-
-        // Add points
-        userLoyalty.totalPoints += pointsEarned;
-        userLoyalty.availablePoints += pointsEarned;
-
-        // Update tier if necessary
-        const newTier = calculateTier(userLoyalty.totalPoints);
-        const tierUpgrade = userLoyalty.tier !== newTier;
-        userLoyalty.tier = newTier;
-
-        // Add to history
-        const transaction = {
-            id: uuidv4(),
-            type: 'earned',
-            amount: pointsEarned,
-            description: orderId ? `Order #${orderId}` : 'Points earned',
-            orderId: orderId || null,
-            orderTotal: orderTotal || null,
-            multiplier: multiplier,
-            timestamp: new Date().toISOString()
-        };
-        userLoyalty.pointsHistory.push(transaction);
-
-        await persistenceManager.writeData('loyalty', loyalty);
+            return { userLoyalty: record, pointsEarned: earned, tierUpgrade: upgraded, transaction: earning };
+        });
 
         res.json({
             success: true,
@@ -294,7 +285,7 @@ router.post('/earn', AuthMiddleware.requireAuth, async (req, res) => {
                 tierUpgrade,
                 transaction
             },
-            message: `Earned ${pointsEarned} points!${tierUpgrade ? ` Congratulations! You've been promoted to ${newTier} tier!` : ''}`
+            message: `Earned ${pointsEarned} points!${tierUpgrade ? ` Congratulations! You've been promoted to ${userLoyalty.tier} tier!` : ''}`
         });
     } catch (error) {
         console.error('Error earning points:', error);
@@ -307,6 +298,17 @@ router.post('/earn', AuthMiddleware.requireAuth, async (req, res) => {
 });
 
 // Helper functions
+function createLoyaltyRecord(userId) {
+    return {
+        userId,
+        totalPoints: 0,
+        availablePoints: 0,
+        tier: 'bronze',
+        pointsHistory: [],
+        createdAt: new Date().toISOString()
+    };
+}
+
 function calculateTier(totalPoints) {
     for (const [tier, config] of Object.entries(LOYALTY_CONFIG.tiers)) {
         if (totalPoints >= config.min && totalPoints <= config.max) {
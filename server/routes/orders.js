@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { persistenceManager } = require('../modules/persist_module');
-const { asyncWrapper } = require('../modules/error-handler');
+const { asyncWrapper, createError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
+const { setETag, writeOptions } = require('../middleware/concurrency-middleware');
 const { v4: uuidv4 } = require('uuid');
 const paymentService = require('../services/paymentService');
 const OrderService = require('../services/orderService');
@@ -11,6 +12,8 @@ const { validateRequiredFields, validateNestedFields, validateArrayField, valida
 // Initialize order service with persistence manager
 const orderService = new OrderService(persistenceManager);
 
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'completed', 'cancelled'];
+
 /**
  * Calculate order totals (subtotal, tax, shipping, total)
  * @param {Array} items - Array of order items with price and quantity
@@ -38,7 +41,7 @@ router.get('/:userId', AuthMiddleware.requireAuth, asyncWrapper(async (req, res)
     const { userId } = req.params;
     
     // Ensure user can only access their own orders
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !AuthMiddleware.can(req.user, 'orders:read')) {
         return res.status(403).json({
             success: false,
             error: 'ACCESS_DENIED',
@@ -61,6 +64,7 @@ router.get('/:userId', AuthMiddleware.requireAuth, asyncWrapper(async (req, res)
 // Create order from cart (checkout process)
 router.post('/create', 
     AuthMiddleware.requireAuth,
+    AuthMiddleware.requireVerifiedEmail,
     validateNestedFields('customerInfo', ['name', 'email', 'address'], {
         errorCode: 'MISSING_CUSTOMER_INFO',
         customMessage: 'Customer information is required (name, email, address)'
@@ -105,7 +109,7 @@ router.post('/create',
             phone: customerInfo.phone || ''
         },
         shippingAddress: customerInfo.address
-    });
+    }, { actor: req.user });
     
     res.status(201).json({
         success: true,
@@ -117,6 +121,7 @@ router.post('/create',
 // Create order (API client compatible endpoint)
 router.post('/', 
     AuthMiddleware.requireAuth,
+    AuthMiddleware.requireVerifiedEmail,
     validateRequiredFields(['userId', 'totalAmount', 'shippingAddress']),
     validateArrayField('items', { 
         minLength: 1,
@@ -128,7 +133,7 @@ router.post('/',
     const { userId, items, totalAmount, shippingAddress } = req.body;
     
     // Ensure user can only create orders for themselves
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !AuthMiddleware.can(req.user, 'orders:write')) {
         return res.status(403).json({
             success: false,
             error: 'ACCESS_DENIED',
@@ -157,7 +162,7 @@ router.post('/',
     };
     
     // Save order (persistence manager adds ID and timestamps)
-    const savedOrder = await persistenceManager.createOrder(orderData);
+    const savedOrder = await persistenceManager.createOrder(orderData, { actor: req.user });
     
     // Log activity
     await persistenceManager.logActivity(userId, 'order_created', {
@@ -188,7 +193,7 @@ router.get('/details/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async (
     }
     
     // Ensure user can only access their own orders
-    if (req.user.id !== order.userId && req.user.role !== 'admin') {
+    if (req.user.id !== order.userId && !AuthMiddleware.can(req.user, 'orders:read')) {
         return res.status(403).json({
             success: false,
             error: 'ACCESS_DENIED',
@@ -196,6 +201,7 @@ router.get('/details/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async (
         });
     }
     
+    setETag(res, order);
     res.json({
         success: true,
         data: order,
@@ -203,11 +209,37 @@ router.get('/details/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async (
     });
 }));
 
+// Update order status (order staff) - honours If-Match so concurrent edits don't overwrite each other
+router.put('/details/:orderId', AuthMiddleware.requirePermission('orders:write'), asyncWrapper(async (req, res) => {
+    const { status } = req.body;
+    
+    if (!ORDER_STATUSES.includes(status)) {
+        throw createError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`, 400, 'INVALID_ORDER_STATUS');
+    }
+    
+    let updatedOrder;
+    try {
+        updatedOrder = await orderService.updateOrderStatus(req.params.orderId, status, {}, writeOptions(req));
+    } catch (error) {
+        if (error.message === 'ORDER_NOT_FOUND') {
+            throw createError('Order not found', 404, 'ORDER_NOT_FOUND');
+        }
+        throw error;
+    }
+    
+    setETag(res, updatedOrder);
+    res.json({
+        success: true,
+        data: updatedOrder,
+        message: `Order status updated to ${status}`
+    });
+}));
+
 /**
  * Process payment for an order
  * Separated concerns: payment validation, processing, and order updates
  */
-router.post('/payment/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async (req, res) => {
+router.post('/payment/:orderId', AuthMiddleware.requireAuth, AuthMiddleware.requireVerifiedEmail, asyncWrapper(async (req, res) => {
     const { orderId } = req.params;
     const { paymentDetails } = req.body;
     
@@ -224,7 +256,7 @@ router.post('/payment/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async
         }
 
         // 2. Get and validate order ownership
-        const order = await orderService.getOrderById(orderId, req.user.id, req.user.role);
+        const order = await orderService.getOrderById(orderId, req.user.id, AuthMiddleware.can(req.user, 'orders:write'));
         if (!order) {
             return res.status(404).json({
                 success: false,
@@ -237,13 +269,10 @@ router.post('/payment/:orderId', AuthMiddleware.requireAuth, asyncWrapper(async
         const paymentResult = await paymentService.processPayment(paymentDetails, order.totalAmount);
         const paymentRecord = paymentService.createPaymentRecord(paymentResult);
 
-        // 4. Update order with payment details
-        const updatedOrder = await orderService.processPaymentForOrder(orderId, req.user.id, paymentRecord);
-
-        // 5. Clear user's cart after successful payment
-        await orderService.clearUserCart(req.user.id);
+        // 4. Update order with payment details and clear the user's cart together
+        const updatedOrder = await orderService.processPaymentForOrder(orderId, req.user, paymentRecord);
 
-        // 6. Generate response with payment confirmation
+        // 5. Generate response with payment confirmation
         const confirmation = paymentService.generateConfirmation(paymentResult);
         
         res.json({
@@ -3,6 +3,8 @@ const router = express.Router();
 const { persistenceManager } = require('../modules/persist_module');
 const { asyncWrapper } = require('../modules/error-handler');
 const { validateRequiredFields, validateNumericField } = require('../middleware/validation-middleware');
+const AuthMiddleware = require('../middleware/auth-middleware');
+const { setETag, writeOptions } = require('../middleware/concurrency-middleware');
 
 router.get('/', asyncWrapper(async (req, res) => {
     const { search, category } = req.query;
@@ -24,9 +26,11 @@ router.get('/', asyncWrapper(async (req, res) => {
     });
 }));
 
+// Deleted products are still returned (with deletedAt) so past orders and reviews can show them
 router.get('/:id', asyncWrapper(async (req, res) => {
-    const product = await persistenceManager.getProductById(req.params.id);
+    const product = await persistenceManager.getProductById(req.params.id, { includeDeleted: true });
     
+    setETag(res, product);
     res.json({
         success: true,
         data: product
@@ -34,6 +38,7 @@ router.get('/:id', asyncWrapper(async (req, res) => {
 }));
 
 router.post('/', 
+    AuthMiddleware.requirePermission('products:write'),
     validateRequiredFields(['title', 'description', 'price', 'category']),
     validateNumericField('price', { min: 0.01, max: 9999.99 }),
     asyncWrapper(async (req, res) => {
@@ -45,8 +50,9 @@ router.post('/',
         price: parseFloat(price),
         category,
         image: image || '/images/products/default.jpg'
-    });
+    }, { actor: req.user });
     
+    setETag(res, newProduct);
     res.status(201).json({
         success: true,
         data: newProduct,
@@ -54,7 +60,7 @@ router.post('/',
     });
 }));
 
-router.put('/:id', asyncWrapper(async (req, res) => {
+router.put('/:id', AuthMiddleware.requirePermission('products:write'), asyncWrapper(async (req, res) => {
     const { title, description, price, category, image, inStock } = req.body;
     
     const updatedProduct = await persistenceManager.updateProduct(req.params.id, {
@@ -64,8 +70,9 @@ router.put('/:id', asyncWrapper(async (req, res) => {
         category,
         image,
         inStock
-    });
+    }, writeOptions(req));
     
+    setETag(res, updatedProduct);
     res.json({
         success: true,
         data: updatedProduct,
@@ -73,8 +80,8 @@ router.put('/:id', asyncWrapper(async (req, res) => {
     });
 }));
 
-router.delete('/:id', asyncWrapper(async (req, res) => {
-    await persistenceManager.deleteProduct(req.params.id);
+router.delete('/:id', AuthMiddleware.requirePermission('products:write'), asyncWrapper(async (req, res) => {
+    await persistenceManager.deleteProduct(req.params.id, writeOptions(req));
     
     res.json({
         success: true,
@@ -1,6 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { persistenceManager } = require('../modules/persist_module');
+const { CoffeeShopError, createError, sendKnownError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
 const Joi = require('joi');
 
@@ -18,8 +19,7 @@ const reviewSchema = Joi.object({
 router.get('/product/:productId', async (req, res) => {
     try {
         const { productId } = req.params;
-        const reviews = await persistenceManager.readData('reviews');
-        const productReviews = reviews.filter(review => review.productId === productId);
+        const productReviews = await persistenceManager.findBy('reviews', 'productId', productId);
         
         // Calculate average rating
         const averageRating = productReviews.length > 0 
@@ -45,7 +45,7 @@ router.get('/product/:productId', async (req, res) => {
 });
 
 // Submit a new review (authenticated users only)
-router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
+router.post('/', AuthMiddleware.requireAuth, AuthMiddleware.requireVerifiedEmail, async (req, res) => {
     try {
         const { error, value } = reviewSchema.validate(req.body);
         if (error) {
@@ -60,23 +60,8 @@ router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
         const userId = req.user.id;
         const username = req.user.username;
 
-        // Check if user already reviewed this product
-        const reviews = await persistenceManager.readData('reviews');
-        const existingReview = reviews.find(review => 
-            review.productId === productId && review.userId === userId
-        );
-
-        if (existingReview) {
-            return res.status(400).json({
-                success: false,
-                error: 'DUPLICATE_REVIEW',
-                message: 'You have already reviewed this product'
-            });
-        }
-
         // Check if product exists
-        const products = await persistenceManager.readData('products');
-        const product = products.find(p => p.id === productId);
+        const product = await persistenceManager.findOneBy('products', 'id', productId);
         if (!product) {
             return res.status(404).json({
                 success: false,
@@ -86,8 +71,8 @@ router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
         }
 
         // Check if user purchased this product (optional verification)
-        const orders = await persistenceManager.readData('orders');
-        const userOrders = orders.filter(order => order.userId === userId && order.status === 'completed');
+        const orders = await persistenceManager.getUserOrders(userId);
+        const userOrders = orders.filter(order => order.status === 'completed');
         const hasPurchased = userOrders.some(order => 
             order.items.some(item => item.productId === productId)
         );
@@ -106,8 +91,18 @@ router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
             createdAt: new Date().toISOString()
         };
 
-        reviews.push(newReview);
-        await persistenceManager.writeData('reviews', reviews);
+        await persistenceManager.mutate('reviews', (reviews) => {
+            // Check if user already reviewed this product
+            const existingReview = reviews.find(review => 
+                review.productId === productId && review.userId === userId
+            );
+
+            if (existingReview) {
+                throw createError('You have already reviewed this product', 400, 'DUPLICATE_REVIEW');
+            }
+
+            reviews.push(newReview);
+        });
 
         res.status(201).json({
             success: true,
@@ -115,6 +110,9 @@ router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
             message: 'Review submitted successfully'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error submitting review:', error);
         res.status(500).json({
             success: false,
@@ -125,7 +123,7 @@ router.post('/', AuthMiddleware.requireAuth, async (req, res) => {
 });
 
 // Update a review (owner only)
-router.put('/:reviewId', AuthMiddleware.requireAuth, async (req, res) => {
+router.put('/:reviewId', AuthMiddleware.requireAuth, AuthMiddleware.requireVerifiedEmail, async (req, res) => {
     try {
         const { reviewId } = req.params;
         const { error, value } = reviewSchema.validate(req.body);
@@ -140,35 +138,34 @@ router.put('/:reviewId', AuthMiddleware.requireAuth, async (req, res) => {
         const { rating, title, comment } = value;
         const userId = req.user.id;
 
-        const reviews = await persistenceManager.readData('reviews');
-        const reviewIndex = reviews.findIndex(review => 
-            review.id === reviewId && review.userId === userId
-        );
-
-        if (reviewIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'REVIEW_NOT_FOUND',
-                message: 'Review not found or not owned by user'
-            });
-        }
+        const updatedReview = await persistenceManager.mutate('reviews', (reviews) => {
+            const reviewIndex = reviews.findIndex(review => 
+                review.id === reviewId && review.userId === userId
+            );
 
-        reviews[reviewIndex] = {
-            ...reviews[reviewIndex],
-            rating,
-            title,
-            comment,
-            updatedAt: new Date().toISOString()
-        };
+            if (reviewIndex === -1) {
+                throw createError('Review not found or not owned by user', 404, 'REVIEW_NOT_FOUND');
+            }
 
-        await persistenceManager.writeData('reviews', reviews);
+            reviews[reviewIndex] = {
+                ...reviews[reviewIndex],
+                rating,
+                title,
+                comment,
+                updatedAt: new Date().toISOString()
+            };
+            return reviews[reviewIndex];
+        });
 
         res.json({
             success: true,
-            data: reviews[reviewIndex],
+            data: updatedReview,
             message: 'Review updated successfully'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error updating review:', error);
         res.status(500).json({
             success: false,
@@ -183,23 +180,19 @@ router.delete('/:reviewId', AuthMiddleware.requireAuth, async (req, res) => {
     try {
         const { reviewId } = req.params;
         const userId = req.user.id;
-        const isAdmin = req.user.role === 'admin';
+        const isModerator = AuthMiddleware.can(req.user, 'reviews:moderate');
 
-        const reviews = await persistenceManager.readData('reviews');
-        const reviewIndex = reviews.findIndex(review => 
-            review.id === reviewId && (review.userId === userId || isAdmin)
-        );
+        const deletedReview = await persistenceManager.mutate('reviews', (reviews) => {
+            const reviewIndex = reviews.findIndex(review => 
+                review.id === reviewId && (review.userId === userId || isModerator)
+            );
 
-        if (reviewIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'REVIEW_NOT_FOUND',
-                message: 'Review not found or insufficient permissions'
-            });
-        }
+            if (reviewIndex === -1) {
+                throw createError('Review not found or insufficient permissions', 404, 'REVIEW_NOT_FOUND');
+            }
 
-        const deletedReview = reviews.splice(reviewIndex, 1)[0];
-        await persistenceManager.writeData('reviews', reviews);
+            return reviews.splice(reviewIndex, 1)[0];
+        });
 
         res.json({
             success: true,
@@ -207,6 +200,9 @@ router.delete('/:reviewId', AuthMiddleware.requireAuth, async (req, res) => {
             message: 'Review deleted successfully'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error deleting review:', error);
         res.status(500).json({
             success: false,
@@ -222,39 +218,33 @@ router.post('/:reviewId/helpful', AuthMiddleware.requireAuth, async (req, res) =
         const { reviewId } = req.params;
         const userId = req.user.id;
 
-        const reviews = await persistenceManager.readData('reviews');
-        const reviewIndex = reviews.findIndex(review => review.id === reviewId);
+        const { review, hasVoted } = await persistenceManager.mutate('reviews', (reviews) => {
+            const target = reviews.find(review => review.id === reviewId);
 
-        if (reviewIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'REVIEW_NOT_FOUND',
-                message: 'Review not found'
-            });
-        }
-
-        const review = reviews[reviewIndex];
-        
-        // Initialize helpfulVotes array if it doesn't exist
-        if (!review.helpfulVotes) {
-            review.helpfulVotes = [];
-        }
+            if (!target) {
+                throw createError('Review not found', 404, 'REVIEW_NOT_FOUND');
+            }
+            
+            // Initialize helpfulVotes array if it doesn't exist
+            if (!target.helpfulVotes) {
+                target.helpfulVotes = [];
+            }
 
-        // Check if user already voted
-        const hasVoted = review.helpfulVotes.includes(userId);
-        
-        if (hasVoted) {
-            // Remove vote
-            review.helpfulVotes = review.helpfulVotes.filter(id => id !== userId);
-            review.helpful = Math.max(0, (review.helpful || 0) - 1);
-        } else {
-            // Add vote
-            review.helpfulVotes.push(userId);
-            review.helpful = (review.helpful || 0) + 1;
-        }
+            // Check if user already voted
+            const voted = target.helpfulVotes.includes(userId);
+            
+            if (voted) {
+                // Remove vote
+                target.helpfulVotes = target.helpfulVotes.filter(id => id !== userId);
+                target.helpful = Math.max(0, (target.helpful || 0) - 1);
+            } else {
+                // Add vote
+                target.helpfulVotes.push(userId);
+                target.helpful = (target.helpful || 0) + 1;
+            }
 
-        reviews[reviewIndex] = review;
-        await persistenceManager.writeData('reviews', reviews);
+            return { review: target, hasVoted: voted };
+        });
 
         res.json({
             success: true,
@@ -266,6 +256,9 @@ router.post('/:reviewId/helpful', AuthMiddleware.requireAuth, async (req, res) =
             message: hasVoted ? 'Vote removed' : 'Review marked as helpful'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error marking review as helpful:', error);
         res.status(500).json({
             success: false,
@@ -1,10 +1,14 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { persistenceManager } = require('../modules/persist_module');
+const { CoffeeShopError, createError, sendKnownError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
+const { setETag, writeOptions } = require('../middleware/concurrency-middleware');
 const Joi = require('joi');
+const RoleService = require('../services/roleService');
 
 const router = express.Router();
+const roleService = new RoleService(persistenceManager);
 
 // Validation schemas
 const ticketSchema = Joi.object({
@@ -98,8 +102,6 @@ router.post('/tickets', AuthMiddleware.requireAuth, async (req, res) => {
         const userId = req.user.id;
         const username = req.user.username;
 
-        const tickets = await persistenceManager.readData('support');
-        
         const newTicket = {
             id: uuidv4(),
             ticketNumber: `TICKET-${Date.now()}`,
@@ -123,8 +125,7 @@ router.post('/tickets', AuthMiddleware.requireAuth, async (req, res) => {
             updatedAt: new Date().toISOString()
         };
 
-        tickets.push(newTicket);
-        await persistenceManager.writeData('support', tickets);
+        await persistenceManager.appendData('support', newTicket, { actor: req.user });
 
         res.status(201).json({
             success: true,
@@ -147,7 +148,7 @@ router.get('/tickets/:userId', AuthMiddleware.requireAuth, async (req, res) => {
         const { userId } = req.params;
         
         // Check if user can access these tickets
-        if (req.user.id !== userId && req.user.role !== 'admin') {
+        if (req.user.id !== userId && !AuthMiddleware.can(req.user, 'tickets:read')) {
             return res.status(403).json({
                 success: false,
                 error: 'ACCESS_DENIED',
@@ -155,8 +156,7 @@ router.get('/tickets/:userId', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const tickets = await persistenceManager.readData('support');
-        const userTickets = tickets.filter(ticket => ticket.userId === userId);
+        const userTickets = await persistenceManager.findBy('support', 'userId', userId);
 
         // Sort by most recent first
         userTickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -181,68 +181,58 @@ router.put('/tickets/:ticketId', AuthMiddleware.requireAuth, async (req, res) =>
         const { ticketId } = req.params;
         const { status, message, priority } = req.body;
         const userId = req.user.id;
-        const isAdmin = req.user.role === 'admin';
-
-        const tickets = await persistenceManager.readData('support');
-        const ticketIndex = tickets.findIndex(ticket => ticket.id === ticketId);
-
-        if (ticketIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'TICKET_NOT_FOUND',
-                message: 'Support ticket not found'
-            });
-        }
+        const isStaff = AuthMiddleware.can(req.user, 'tickets:write');
 
-        const ticket = tickets[ticketIndex];
-
-        // Check permissions - user can only add messages to their own tickets
-        if (!isAdmin && ticket.userId !== userId && !message) {
-            return res.status(403).json({
-                success: false,
-                error: 'ACCESS_DENIED',
-                message: 'Insufficient permissions to update ticket'
-            });
-        }
+        const ticket = await persistenceManager.mutateRecord('support', ticketId, (ticket) => {
+            // Check permissions - customers can only add messages to their own tickets
+            if (!isStaff && ticket.userId !== userId) {
+                throw createError('Insufficient permissions to update ticket', 403, 'ACCESS_DENIED');
+            }
 
-        // Add message if provided
-        if (message && message.trim()) {
-            const newMessage = {
-                id: uuidv4(),
-                sender: isAdmin ? 'support' : 'user',
-                senderName: req.user.username,
-                message: message.trim(),
-                timestamp: new Date().toISOString()
-            };
-            ticket.messages.push(newMessage);
-        }
+            // Add message if provided
+            if (message && message.trim()) {
+                const newMessage = {
+                    id: uuidv4(),
+                    sender: isStaff && ticket.userId !== userId ? 'support' : 'user',
+                    senderName: req.user.username,
+                    message: message.trim(),
+                    timestamp: new Date().toISOString()
+                };
+                ticket.messages.push(newMessage);
+            }
 
-        // Update status if provided (admin only)
-        if (status && isAdmin) {
-            const validStatuses = ['open', 'in_progress', 'resolved', 'closed'];
-            if (validStatuses.includes(status)) {
-                ticket.status = status;
+            // Update status if provided (support staff only)
+            if (status && isStaff) {
+                const validStatuses = ['open', 'in_progress', 'resolved', 'closed'];
+                if (validStatuses.includes(status)) {
+                    ticket.status = status;
+                }
             }
-        }
 
-        // Update priority if provided (admin only)
-        if (priority && isAdmin) {
-            const validPriorities = ['low', 'medium', 'high'];
-            if (validPriorities.includes(priority)) {
-                ticket.priority = priority;
+            // Update priority if provided (support staff only)
+            if (priority && isStaff) {
+                const validPriorities = ['low', 'medium', 'high'];
+                if (validPriorities.includes(priority)) {
+                    ticket.priority = priority;
+                }
             }
-        }
 
-        ticket.updatedAt = new Date().toISOString();
-        tickets[ticketIndex] = ticket;
-        await persistenceManager.writeData('support', tickets);
+            ticket.updatedAt = new Date().toISOString();
+            return ticket;
+        }, writeOptions(req)).catch((error) => {
+            throw error.errorType === 'ITEM_NOT_FOUND' ? createError('Support ticket not found', 404, 'TICKET_NOT_FOUND') : error;
+        });
 
+        setETag(res, ticket);
         res.json({
             success: true,
             data: ticket,
             message: 'Ticket updated successfully'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error updating ticket:', error);
         res.status(500).json({
             success: false,
@@ -291,11 +281,11 @@ router.get('/faq', async (req, res) => {
     }
 });
 
-// Get all tickets (admin only)
-router.get('/admin/tickets', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, async (req, res) => {
+// Get all tickets (support staff)
+router.get('/admin/tickets', AuthMiddleware.requirePermission('tickets:read'), async (req, res) => {
     try {
-        const { status, priority, category } = req.query;
-        let tickets = await persistenceManager.readData('support');
+        const { status, priority, category, assignedTo } = req.query;
+        let tickets = (await persistenceManager.readData('support')).filter(ticket => !ticket.deletedAt);
 
         // Apply filters
         if (status) {
@@ -307,6 +297,9 @@ router.get('/admin/tickets', AuthMiddleware.requireAuth, AuthMiddleware.requireA
         if (category) {
             tickets = tickets.filter(ticket => ticket.category === category);
         }
+        if (assignedTo) {
+            tickets = tickets.filter(ticket => (ticket.assignedTo || 'none') === assignedTo);
+        }
 
         // Sort by most recent first
         tickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -326,10 +319,56 @@ router.get('/admin/tickets', AuthMiddleware.requireAuth, AuthMiddleware.requireA
     }
 });
 
-// Get support statistics (admin only)
-router.get('/admin/stats', AuthMiddleware.requireAuth, AuthMiddleware.requireAdmin, async (req, res) => {
+// Assign a ticket to a support agent (assigneeId: null unassigns it)
+router.post('/admin/tickets/:ticketId/assign', AuthMiddleware.requirePermission('tickets:assign'), async (req, res) => {
+    try {
+        const { assigneeId } = req.body;
+
+        let assignee = null;
+        if (assigneeId) {
+            assignee = await persistenceManager.findOneBy('users', 'id', assigneeId);
+            if (!assignee || !await roleService.hasPermission(assignee, 'tickets:write')) {
+                throw createError('Tickets can only be assigned to users who can work on them', 400, 'INVALID_ASSIGNEE');
+            }
+        }
+
+        const ticket = await persistenceManager.mutateRecord('support', req.params.ticketId, (ticket) => {
+            ticket.assignedTo = assignee ? assignee.id : null;
+            ticket.assignedToName = assignee ? assignee.username : null;
+            ticket.updatedAt = new Date().toISOString();
+            return ticket;
+        }, writeOptions(req)).catch((error) => {
+            throw error.errorType === 'ITEM_NOT_FOUND' ? createError('Support ticket not found', 404, 'TICKET_NOT_FOUND') : error;
+        });
+
+        await persistenceManager.logActivity(req.user.username, 'ticket_assigned', {
+            ticketId: ticket.id,
+            assignee: ticket.assignedToName
+        });
+
+        setETag(res, ticket);
+        res.json({
+            success: true,
+            data: ticket,
+            message: assignee ? `Ticket assigned to ${assignee.username}` : 'Ticket unassigned'
+        });
+    } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
+        console.error('Error assigning ticket:', error);
+        res.status(500).json({
+            success: false,
+            error: 'ASSIGN_TICKET_ERROR',
+            message: 'Failed to assign ticket'
+        });
+    }
+});
+
+// Get support statistics (support staff)
+router.get('/admin/stats', AuthMiddleware.requirePermission('tickets:read'), async (req, res) => {
     try {
-        const tickets = await persistenceManager.readData('support');
+        const tickets = (await persistenceManager.readData('support')).filter(ticket => !ticket.deletedAt);
         
         const stats = {
             total: tickets.length,
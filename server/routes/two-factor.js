@@ -0,0 +1,115 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const router = express.Router();
+const { persistenceManager } = require('../modules/persist_module');
+const { asyncWrapper } = require('../modules/error-handler');
+const AuthMiddleware = require('../middleware/auth-middleware');
+const { validateRequiredFields } = require('../middleware/validation-middleware');
+const { loginThrottle, reserveLoginAttempt, rejectFailedLogin } = require('../middleware/login-throttle-middleware');
+const TwoFactorService = require('../services/twoFactorService');
+
+const twoFactorService = new TwoFactorService(persistenceManager);
+
+const requireCode = validateRequiredFields(['code'], {
+    errorCode: 'MISSING_FIELDS',
+    customMessage: 'A code from your authenticator app is required'
+});
+
+const requirePasswordAndCode = validateRequiredFields(['password', 'code'], {
+    errorCode: 'MISSING_FIELDS',
+    customMessage: 'Your password and a current or recovery code are required'
+});
+
+// Make a change that needs the current password and a 2FA code (the service checks the code).
+// Wrong answers count towards the login lockout, so a stolen session can't be used to guess
+// the code and turn 2FA off. Resolves to null when the request was already answered.
+async function withPasswordAndCode(req, res, change) {
+    const account = await persistenceManager.findOneBy('users', 'id', req.user.id);
+
+    const reservation = await reserveLoginAttempt(res, account);
+    if (!reservation) return null;
+    if (!await bcrypt.compare(req.body.password, account.password)) {
+        await rejectFailedLogin(req, res, account, reservation, {
+            status: 400,
+            error: 'INVALID_CURRENT_PASSWORD',
+            message: 'Your password is incorrect'
+        });
+        return null;
+    }
+
+    let result;
+    try {
+        result = await change();
+    } catch (error) {
+        if (error.errorType === 'INVALID_TWO_FACTOR_CODE') {
+            await rejectFailedLogin(req, res, account, reservation, { status: 400, error: error.errorType, message: error.message });
+            return null;
+        }
+        await loginThrottle.release(account.id, reservation);
+        throw error;
+    }
+    await loginThrottle.reset(account.id);
+    return result;
+}
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/', AuthMiddleware.requireAuth, asyncWrapper(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user);
+
+    res.json({
+        success: true,
+        data: status,
+        message: status.enabled ? 'Two-factor authentication is enabled' : 'Two-factor authentication is not enabled'
+    });
+}));
+
+// POST /api/auth/2fa/setup - Create a secret to add to an authenticator app
+router.post('/setup', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, asyncWrapper(async (req, res) => {
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+
+    res.json({
+        success: true,
+        data: enrollment,
+        message: 'Scan the QR code or add the key to your authenticator app, then confirm with a code from it'
+    });
+}));
+
+// POST /api/auth/2fa/enable - Confirm setup with a code and turn 2FA on
+router.post('/enable', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, requireCode, asyncWrapper(async (req, res) => {
+    const { recoveryCodes, user } = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+    await persistenceManager.logActivity(req.user.username, 'two_factor_enabled');
+
+    res.json({
+        success: true,
+        data: { recoveryCodes, user },
+        message: 'Two-factor authentication is on - store the recovery codes somewhere safe, they are only shown once'
+    });
+}));
+
+// POST /api/auth/2fa/disable - Turn 2FA off (needs the password and a current or recovery code)
+router.post('/disable', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, requirePasswordAndCode, asyncWrapper(async (req, res) => {
+    const user = await withPasswordAndCode(req, res, () => twoFactorService.disable(req.user, req.body.code));
+    if (!user) return;
+    await persistenceManager.logActivity(req.user.username, 'two_factor_disabled');
+
+    res.json({
+        success: true,
+        data: user,
+        message: 'Two-factor authentication is off'
+    });
+}));
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (needs the password and a current or recovery code)
+router.post('/recovery-codes', AuthMiddleware.requireAuth, AuthMiddleware.forbidImpersonation, requirePasswordAndCode, asyncWrapper(async (req, res) => {
+    const recoveryCodes = await withPasswordAndCode(req, res, () => twoFactorService.regenerateRecoveryCodes(req.user, req.body.code));
+    if (!recoveryCodes) return;
+    await persistenceManager.logActivity(req.user.username, 'recovery_codes_regenerated');
+
+    res.json({
+        success: true,
+        data: { recoveryCodes },
+        message: 'New recovery codes created - the old ones no longer work'
+    });
+}));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { persistenceManager } = require('../modules/persist_module');
+const { CoffeeShopError, createError, sendKnownError } = require('../modules/error-handler');
 const AuthMiddleware = require('../middleware/auth-middleware');
 const Joi = require('joi');
 
@@ -18,7 +19,7 @@ router.get('/:userId', AuthMiddleware.requireAuth, async (req, res) => {
         const { userId } = req.params;
         
         // Check if user can access this wishlist
-        if (req.user.id !== userId && req.user.role !== 'admin') {
+        if (req.user.id !== userId && !AuthMiddleware.can(req.user, 'users:read')) {
             return res.status(403).json({
                 success: false,
                 error: 'ACCESS_DENIED',
@@ -26,8 +27,7 @@ router.get('/:userId', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const wishlists = await persistenceManager.readData('wishlists');
-        const userWishlist = wishlists.find(w => w.userId === userId);
+        const userWishlist = await persistenceManager.findOneBy('wishlists', 'userId', userId);
         
         if (!userWishlist) {
             return res.json({
@@ -41,14 +41,10 @@ router.get('/:userId', AuthMiddleware.requireAuth, async (req, res) => {
         }
 
         // Get full product details for wishlist items
-        const products = await persistenceManager.readData('products');
-        const wishlistWithProducts = userWishlist.items.map(item => {
-            const product = products.find(p => p.id === item.productId);
-            return {
-                ...item,
-                product: product || null
-            };
-        }).filter(item => item.product); // Remove items where product no longer exists
+        const wishlistWithProducts = (await Promise.all(userWishlist.items.map(async (item) => ({
+            ...item,
+            product: await persistenceManager.findOneBy('products', 'id', item.productId)
+        })))).filter(item => item.product); // Remove items where product no longer exists
 
         res.json({
             success: true,
@@ -84,8 +80,7 @@ router.post('/add', AuthMiddleware.requireAuth, async (req, res) => {
         const userId = req.user.id;
 
         // Check if product exists
-        const products = await persistenceManager.readData('products');
-        const product = products.find(p => p.id === productId);
+        const product = await persistenceManager.findOneBy('products', 'id', productId);
         if (!product) {
             return res.status(404).json({
                 success: false,
@@ -94,37 +89,38 @@ router.post('/add', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const wishlists = await persistenceManager.readData('wishlists');
-        let userWishlist = wishlists.find(w => w.userId === userId);
+        const { userWishlist, existingItemIndex } = await persistenceManager.mutate('wishlists', (wishlists) => {
+            let wishlist = wishlists.find(w => w.userId === userId);
 
-        if (!userWishlist) {
-            userWishlist = {
-                userId,
-                items: []
-            };
-            wishlists.push(userWishlist);
-        }
+            if (!wishlist) {
+                wishlist = {
+                    userId,
+                    items: []
+                };
+                wishlists.push(wishlist);
+            }
 
-        // Check if item already in wishlist
-        const existingItemIndex = userWishlist.items.findIndex(item => item.productId === productId);
-        if (existingItemIndex !== -1) {
-            // Update notes if provided
-            if (notes !== undefined) {
-                userWishlist.items[existingItemIndex].notes = notes;
-                userWishlist.items[existingItemIndex].updatedAt = new Date().toISOString();
+            // Check if item already in wishlist
+            const existingIndex = wishlist.items.findIndex(item => item.productId === productId);
+            if (existingIndex !== -1) {
+                // Update notes if provided
+                if (notes !== undefined) {
+                    wishlist.items[existingIndex].notes = notes;
+                    wishlist.items[existingIndex].updatedAt = new Date().toISOString();
+                }
+            } else {
+                // Add new item
+                const wishlistItem = {
+                    id: uuidv4(),
+                    productId,
+                    notes: notes || '',
+                    addedAt: new Date().toISOString()
+                };
+                wishlist.items.push(wishlistItem);
             }
-        } else {
-            // Add new item
-            const wishlistItem = {
-                id: uuidv4(),
-                productId,
-                notes: notes || '',
-                addedAt: new Date().toISOString()
-            };
-            userWishlist.items.push(wishlistItem);
-        }
 
-        await persistenceManager.writeData('wishlists', wishlists);
+            return { userWishlist: wishlist, existingItemIndex: existingIndex };
+        });
 
         res.json({
             success: true,
@@ -150,28 +146,21 @@ router.delete('/remove/:productId', AuthMiddleware.requireAuth, async (req, res)
         const { productId } = req.params;
         const userId = req.user.id;
 
-        const wishlists = await persistenceManager.readData('wishlists');
-        const userWishlist = wishlists.find(w => w.userId === userId);
+        const userWishlist = await persistenceManager.mutate('wishlists', (wishlists) => {
+            const wishlist = wishlists.find(w => w.userId === userId);
 
-        if (!userWishlist) {
-            return res.status(404).json({
-                success: false,
-                error: 'WISHLIST_NOT_FOUND',
-                message: 'Wishlist not found'
-            });
-        }
+            if (!wishlist) {
+                throw createError('Wishlist not found', 404, 'WISHLIST_NOT_FOUND');
+            }
 
-        const itemIndex = userWishlist.items.findIndex(item => item.productId === productId);
-        if (itemIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                error: 'ITEM_NOT_FOUND',
-                message: 'Item not found in wishlist'
-            });
-        }
+            const itemIndex = wishlist.items.findIndex(item => item.productId === productId);
+            if (itemIndex === -1) {
+                throw createError('Item not found in wishlist', 404, 'ITEM_NOT_FOUND');
+            }
 
-        userWishlist.items.splice(itemIndex, 1);
-        await persistenceManager.writeData('wishlists', wishlists);
+            wishlist.items.splice(itemIndex, 1);
+            return wishlist;
+        });
 
         res.json({
             success: true,
@@ -182,6 +171,9 @@ router.delete('/remove/:productId', AuthMiddleware.requireAuth, async (req, res)
             message: 'Item removed from wishlist'
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error removing from wishlist:', error);
         res.status(500).json({
             success: false,
@@ -205,75 +197,70 @@ router.post('/to-cart', AuthMiddleware.requireAuth, async (req, res) => {
             });
         }
 
-        const wishlists = await persistenceManager.readData('wishlists');
-        const carts = await persistenceManager.readData('carts');
         const products = await persistenceManager.readData('products');
-        
-        const userWishlist = wishlists.find(w => w.userId === userId);
-        if (!userWishlist) {
-            return res.status(404).json({
-                success: false,
-                error: 'WISHLIST_NOT_FOUND',
-                message: 'Wishlist not found'
-            });
-        }
 
-        let userCart = carts.find(c => c.userId === userId);
-        if (!userCart) {
-            userCart = {
-                userId,
-                items: [],
-                updatedAt: new Date().toISOString()
-            };
-            carts.push(userCart);
-        }
+        // Wishlist and cart are updated together so an item is never lost or duplicated between them
+        const { movedItems, movedCount, userCart, userWishlist } = await persistenceManager.transaction(['wishlists', 'carts'], ({ wishlists, carts }) => {
+            const userWishlist = wishlists.find(w => w.userId === userId);
+            if (!userWishlist) {
+                throw createError('Wishlist not found', 404, 'WISHLIST_NOT_FOUND');
+            }
+
+            let userCart = carts.find(c => c.userId === userId);
+            if (!userCart) {
+                userCart = {
+                    userId,
+                    items: [],
+                    updatedAt: new Date().toISOString()
+                };
+                carts.push(userCart);
+            }
 
-        let movedCount = 0;
-        const movedItems = [];
-
-        // Process each product ID
-        for (const productId of productIds) {
-            const wishlistItemIndex = userWishlist.items.findIndex(item => item.productId === productId);
-            if (wishlistItemIndex !== -1) {
-                const wishlistItem = userWishlist.items[wishlistItemIndex];
-                
-                // Check if item already in cart
-                const cartItemIndex = userCart.items.findIndex(item => item.productId === productId);
-                if (cartItemIndex !== -1) {
-                    // Increase quantity if already in cart
-                    userCart.items[cartItemIndex].quantity += 1;
-                } else {
-                    // Get product details
-                    const product = products.find(p => p.id === productId);
-                    if (!product) {
-                        console.warn(`Product ${productId} not found when adding to cart`);
-                        continue;
+            let movedCount = 0;
+            const movedItems = [];
+
+            // Process each product ID
+            for (const productId of productIds) {
+                const wishlistItemIndex = userWishlist.items.findIndex(item => item.productId === productId);
+                if (wishlistItemIndex !== -1) {
+                    // Check if item already in cart
+                    const cartItemIndex = userCart.items.findIndex(item => item.productId === productId);
+                    if (cartItemIndex !== -1) {
+                        // Increase quantity if already in cart
+                        userCart.items[cartItemIndex].quantity += 1;
+                    } else {
+                        // Get product details
+                        const product = products.find(p => p.id === productId && !p.deletedAt);
+                        if (!product) {
+                            console.warn(`Product ${productId} not found when adding to cart`);
+                            continue;
+                        }
+                        
+                        // Add new item to cart with full product details
+                        const cartItem = {
+                            id: uuidv4(),
+                            productId,
+                            title: product.title,
+                            price: product.price,
+                            quantity: 1,
+                            addedAt: new Date().toISOString()
+                        };
+                        userCart.items.push(cartItem);
                     }
-                    
-                    // Add new item to cart with full product details
-                    const cartItem = {
-                        id: uuidv4(),
-                        productId,
-                        title: product.title,
-                        price: product.price,
-                        quantity: 1,
-                        addedAt: new Date().toISOString()
-                    };
-                    userCart.items.push(cartItem);
+
+                    // Remove from wishlist
+                    userWishlist.items.splice(wishlistItemIndex, 1);
+                    movedItems.push(productId);
+                    movedCount++;
                 }
+            }
 
-                // Remove from wishlist
-                userWishlist.items.splice(wishlistItemIndex, 1);
-                movedItems.push(productId);
-                movedCount++;
+            if (movedCount > 0) {
+                userCart.updatedAt = new Date().toISOString();
             }
-        }
 
-        if (movedCount > 0) {
-            userCart.updatedAt = new Date().toISOString();
-            await persistenceManager.writeData('wishlists', wishlists);
-            await persistenceManager.writeData('carts', carts);
-        }
+            return { movedItems, movedCount, userCart, userWishlist };
+        });
 
         res.json({
             success: true,
@@ -286,6 +273,9 @@ router.post('/to-cart', AuthMiddleware.requireAuth, async (req, res) => {
             message: `${movedCount} item${movedCount !== 1 ? 's' : ''} moved to cart`
         });
     } catch (error) {
+        if (error instanceof CoffeeShopError) {
+            return sendKnownError(res, error);
+        }
         console.error('Error moving wishlist to cart:', error);
         res.status(500).json({
             success: false,
@@ -300,19 +290,21 @@ router.delete('/clear', AuthMiddleware.requireAuth, async (req, res) => {
     try {
         const userId = req.user.id;
 
-        const wishlists = await persistenceManager.readData('wishlists');
-        const userWishlist = wishlists.find(w => w.userId === userId);
+        const cleared = await persistenceManager.mutate('wishlists', (wishlists) => {
+            const userWishlist = wishlists.find(w => w.userId === userId);
+            if (!userWishlist) return false;
 
-        if (!userWishlist) {
+            userWishlist.items = [];
+            return true;
+        });
+
+        if (!cleared) {
             return res.json({
                 success: true,
                 message: 'Wishlist already empty'
             });
         }
 
-        userWishlist.items = [];
-        await persistenceManager.writeData('wishlists', wishlists);
-
         res.json({
             success: true,
             message: 'Wishlist cleared successfully'
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Data integrity CLI
+ *
+ * Usage: node server/scripts/check-integrity.js [--repair] [--json]
+ *   --repair  Apply the available fixes (in one transaction)
+ *   --json    Print the full report as JSON
+ *
+ * Exits with status 1 while violations remain. The storage backend is chosen the same way
+ * as for the server (STORAGE_BACKEND, DATA_DIR, SQLITE_FILE).
+ */
+const { persistenceManager } = require('../modules/persist_module');
+const { integrityChecker } = require('../modules/integrity-checker');
+
+function printReport(report) {
+    for (const [category, result] of Object.entries(report.categories)) {
+        if (result.count === 0) {
+            continue;
+        }
+
+        console.log(`\n⚠️  ${category} (${result.count}) - ${result.description}`);
+        for (const violation of result.violations) {
+            const marker = violation.repaired ? '🔧' : (violation.repairable ? '  ' : '✋');
+            console.log(`   ${marker} ${violation.message}`);
+        }
+    }
+
+    console.log('');
+    if (report.totalViolations === 0) {
+        console.log('✅ No integrity violations found');
+    } else if (report.repair) {
+        console.log(`🔧 Repaired ${report.repairedCount} of ${report.totalViolations} violations (✋ = needs manual attention)`);
+    } else {
+        console.log(`❌ ${report.totalViolations} violations found - run with --repair to fix the repairable ones`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const unknown = args.filter(arg => !['--repair', '--json'].includes(arg));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown option ${unknown[0]}`);
+    }
+
+    // Keep stdout clean for --json: startup messages go to stderr
+    const log = console.log;
+    console.log = console.error;
+    try {
+        await persistenceManager.initializeData();
+    } finally {
+        console.log = log;
+    }
+    const report = await integrityChecker.check({ repair: args.includes('--repair') });
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    await persistenceManager.adapter.close();
+    process.exitCode = report.remainingViolations > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *
+ * Usage: node server/scripts/migrate.js <command> [options]
+ *   status                 Show the current schema version and pending migrations
+ *   up   [--to <version>]  Apply pending migrations (default: all)
+ *   down [--to <version> | --steps <n>]
+ *                          Roll back applied migrations (default: the last one)
+ *   --dry-run              Run against a copy of the data and report without writing
+ *
+ * The storage backend is chosen the same way as for the server (STORAGE_BACKEND, DATA_DIR, SQLITE_FILE).
+ */
+const { persistenceManager } = require('../modules/persist_module');
+const { MigrationRunner } = require('../modules/migrations');
+
+function parseArgs(argv) {
+    const args = { command: argv[0] || 'status', dryRun: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--dry-run':
+                args.dryRun = true;
+                break;
+            case '--to':
+                args.to = parseInt(argv[++i], 10);
+                break;
+            case '--steps':
+                args.steps = parseInt(argv[++i], 10);
+                break;
+            default:
+                throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    if (Number.isNaN(args.to) || Number.isNaN(args.steps)) {
+        throw new Error('--to and --steps expect a number');
+    }
+    return args;
+}
+
+function printReport(report) {
+    const prefix = report.dryRun ? '[dry run] ' : '';
+
+    if (report.steps.length === 0) {
+        console.log(`${prefix}Nothing to do - schema is at version ${report.fromVersion}`);
+        return;
+    }
+
+    for (const step of report.steps) {
+        console.log(`${prefix}${step.direction === 'up' ? '⬆️ ' : '⬇️ '} ${String(step.version).padStart(3, '0')} ${step.name}`);
+    }
+    for (const [collection, counts] of Object.entries(report.recordCounts)) {
+        console.log(`${prefix}   ${collection}: ${counts.before} → ${counts.after} records`);
+    }
+    console.log(`${prefix}Schema version ${report.fromVersion} → ${report.toVersion}${report.dryRun ? ' (nothing written)' : ''}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await persistenceManager.initializeDataFiles();
+    await persistenceManager.recoverTransactions();
+    const runner = new MigrationRunner(persistenceManager);
+
+    switch (args.command) {
+        case 'status': {
+            const status = await runner.status();
+            console.log(`Schema version: ${status.currentVersion} (latest ${status.latestVersion})`);
+            status.applied.forEach(entry => console.log(`  ✅ ${String(entry.version).padStart(3, '0')} ${entry.name} (${entry.appliedAt})`));
+            status.pending.forEach(entry => console.log(`  ⏳ ${String(entry.version).padStart(3, '0')} ${entry.name}`));
+            break;
+        }
+        case 'up':
+            printReport(await runner.migrate({ to: args.to, dryRun: args.dryRun }));
+            break;
+        case 'down':
+            printReport(await runner.rollback({ to: args.to, steps: args.steps, dryRun: args.dryRun }));
+            break;
+        default:
+            throw new Error(`Unknown command "${args.command}" (expected status, up or down)`);
+    }
+
+    await persistenceManager.adapter.close();
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Seed data CLI
+ *
+ * Usage: node server/scripts/seed.js <command> [options]
+ *   list                   Show the available seed profiles
+ *   reset <profile>        Replace ALL data with the profile (a 'pre-seed' backup is taken first)
+ *   --seed <n>             Random seed (default: the profile's own, so runs are reproducible)
+ *   --date <iso date>      Generate data dated up to this day (default: 2025-09-01)
+ *   --no-backup            Skip the backup before resetting
+ *
+ * The storage backend is chosen the same way as for the server (STORAGE_BACKEND, DATA_DIR, SQLITE_FILE).
+ */
+const { persistenceManager } = require('../modules/persist_module');
+const { seeder } = require('../modules/seeder');
+const { backupManager } = require('../modules/backup-manager');
+
+function parseArgs(argv) {
+    const args = { command: argv[0] || 'list', profile: null, backup: true };
+
+    for (let i = 1; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--seed':
+                args.seed = parseInt(argv[++i], 10);
+                if (Number.isNaN(args.seed)) {
+                    throw new Error('--seed expects a number');
+                }
+                break;
+            case '--date':
+                args.referenceDate = argv[++i];
+                break;
+            case '--no-backup':
+                args.backup = false;
+                break;
+            default:
+                if (argv[i].startsWith('--') || args.profile) {
+                    throw new Error(`Unknown option ${argv[i]}`);
+                }
+                args.profile = argv[i];
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    switch (args.command) {
+        case 'list':
+            for (const profile of seeder.loadProfiles()) {
+                console.log(`  ${profile.name.padEnd(8)} ${profile.description} (seed ${profile.seed})`);
+            }
+            return;
+        case 'reset': {
+            if (!args.profile) {
+                throw new Error('Usage: seed.js reset <profile> (see seed.js list)');
+            }
+            seeder.getProfile(args.profile);
+
+            await persistenceManager.initializeData();
+            if (args.backup) {
+                const backup = await backupManager.createBackup('pre-seed');
+                console.log(`💾 Current data backed up as ${backup.id}`);
+            }
+
+            console.log(`🌱 Seeding profile "${args.profile}"...`);
+            const report = await seeder.reset(args.profile, { seed: args.seed, referenceDate: args.referenceDate });
+            for (const [collection, count] of Object.entries(report.counts)) {
+                console.log(`   ${collection}: ${count} records`);
+            }
+            console.log(`✅ Reset to "${report.profile}" (seed ${report.seed}, schema version ${report.schemaVersion})`);
+            console.log(`   Log in as admin / ${report.passwords.admin}; customers use the password ${report.passwords.user}`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${args.command}" (expected list or reset)`);
+    }
+
+    await persistenceManager.adapter.close();
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
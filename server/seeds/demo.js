@@ -0,0 +1,105 @@
+/**
+ * The store as it is shown in demos: the real catalog (with product photos) and a few
+ * hundred customers with orders, reviews, tickets, carts and loyalty points.
+ */
+const CATALOG = [
+    {
+        id: 'prod-1',
+        title: 'Professional Espresso Machine',
+        description: 'Italian-made espresso machine for perfect coffee brewing with 15-bar pressure pump and stainless steel construction',
+        price: 299.99,
+        category: 'machines',
+        image: '/images/products/Professional Espresso Machine.jpeg'
+    },
+    {
+        id: 'prod-2',
+        title: 'Premium Arabica Coffee Beans',
+        description: 'Single-origin Arabica beans from Colombian highlands, medium roast with notes of chocolate and caramel',
+        price: 24.99,
+        category: 'beans',
+        image: '/images/products/Premium Arabica Coffee Beans.jpeg'
+    },
+    {
+        id: 'prod-3',
+        title: 'Manual Coffee Grinder',
+        description: 'Burr coffee grinder with adjustable grind settings for consistent particle size and optimal extraction',
+        price: 79.99,
+        category: 'accessories',
+        image: '/images/products/Manual Coffee Grinder.jpeg'
+    },
+    {
+        id: 'prod-4',
+        title: 'French Press Coffee Maker',
+        description: 'Classic glass French press with stainless steel filter, perfect for brewing rich and full-bodied coffee',
+        price: 34.99,
+        category: 'accessories',
+        image: '/images/products/French Press Coffee Maker.jpeg'
+    },
+    {
+        id: 'prod-5',
+        title: 'Dark Roast Brazilian Beans',
+        description: 'Bold Brazilian coffee beans with intense flavor, perfect for espresso and strong coffee preparations',
+        price: 22.99,
+        category: 'beans',
+        image: '/images/products/Dark Roast Brazilian Beans.jpeg'
+    },
+    {
+        id: 'prod-6',
+        title: 'Automatic Drip Coffee Maker',
+        description: 'Programmable drip coffee maker with 12-cup capacity, auto shut-off, and keep-warm plate',
+        price: 89.99,
+        category: 'machines',
+        image: '/images/products/Automatic Drip Coffee Maker.jpeg'
+    },
+    {
+        id: 'prod-7',
+        title: 'Ceramic Coffee Mug Set',
+        description: 'Set of 4 elegant ceramic mugs with double-wall insulation to keep coffee hot longer',
+        price: 39.99,
+        category: 'accessories',
+        image: '/images/products/Ceramic Coffee Mug Set.jpeg'
+    },
+    {
+        id: 'prod-8',
+        title: 'Ethiopian Light Roast Beans',
+        description: 'Floral and fruity light roast Ethiopian coffee beans with bright acidity and wine-like characteristics',
+        price: 26.99,
+        category: 'beans',
+        image: '/images/products/Ethiopian Light Roast Beans.jpeg'
+    },
+    {
+        id: 'prod-9',
+        title: 'Milk Frother Wand',
+        description: 'Electric milk frother for creating creamy foam for lattes, cappuccinos, and other specialty drinks',
+        price: 19.99,
+        category: 'accessories',
+        image: '/images/products/Milk Frother Wand.jpeg'
+    },
+    {
+        id: 'prod-10',
+        title: 'Coffee Scale with Timer',
+        description: 'Digital coffee scale with built-in timer for precise brewing measurements and consistent results',
+        price: 49.99,
+        category: 'accessories',
+        image: '/images/products/Coffee Scale with Timer.jpeg'
+    }
+];
+
+module.exports = {
+    name: 'demo',
+    description: 'Curated 10-product catalog, 200 customers with orders, reviews and tickets',
+    seed: 20250101,
+
+    build(generator) {
+        return generator.store({
+            products: generator.catalog(CATALOG),
+            users: 200,
+            orders: 600,
+            reviews: 400,
+            tickets: 40,
+            cartShare: 0.15,
+            wishlistShare: 0.2
+        });
+    }
+};
+
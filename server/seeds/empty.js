@@ -0,0 +1,12 @@
+/**
+ * A blank store with only the admin account, so the admin pages can still be reached.
+ */
+module.exports = {
+    name: 'empty',
+    description: 'No products, customers or orders - just the admin account',
+    seed: 1,
+
+    build(generator) {
+        return generator.store({ products: [], users: 0, orders: 0, reviews: 0, tickets: 0 });
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Load-testing volume: tens of thousands of every kind of record. Resetting to this
+ * profile writes a few hundred megabytes of JSON and takes a while.
+ */
+module.exports = {
+    name: 'large',
+    description: '20,000 products, 20,000 customers, 50,000 orders, ~40,000 reviews, 10,000 tickets',
+    seed: 424242,
+
+    build(generator) {
+        return generator.store({
+            products: generator.products(20000),
+            users: 20000,
+            orders: 50000,
+            reviews: 40000,
+            tickets: 10000,
+            cartShare: 0.05,
+            wishlistShare: 0.05
+        });
+    }
+};
@@ -0,0 +1,260 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../modules/error-handler');
+const { describeActor } = require('../modules/change-history');
+const { archiveCollection, archiveMonth } = require('../modules/activity-archive');
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_FORMAT = 'coffee-shop-personal-data';
+
+// Collections keyed by userId that only hold data about the account itself - deleted outright
+const OWNED_COLLECTIONS = [
+    'carts', 'wishlists', 'loyalty', 'sessions', 'twoFactor', 'passwordHistory',
+    'loginAttempts', 'loginChallenges', 'passwordResets', 'emailVerifications', 'identities', 'oidcLinks'
+];
+
+// Order fields that identify the customer; orders themselves are kept for the books
+const ORDER_PII_FIELDS = ['customerInfo', 'shippingAddress', 'paymentDetails'];
+
+const FORMER_CUSTOMER = 'Former customer';
+
+/**
+ * Account Data Service
+ * Answers data-subject requests: a copy of everything stored about a customer, and erasure.
+ *
+ * Erasure keeps what the shop needs for its books and what other customers rely on, without
+ * anything that identifies the person:
+ * - the user record becomes a soft-deleted tombstone with a generated username and no email,
+ *   password or preferences, so orders and reviews still point at a (nameless) account
+ * - orders lose the customer details, shipping address and payment details
+ * - reviews stay up under "Former customer"
+ * - carts, wishlists, loyalty points, sessions, API keys, 2FA secrets, identity provider links,
+ *   support tickets and pending tokens are deleted
+ * - the change history of the account and its tickets is deleted, order history is redacted,
+ *   and the activity log refers to the generated username instead
+ * - backup snapshots that hold the user get the same treatment, so a restore can't undo it
+ * - emails sent to the user (with their name and account links) are deleted from the outbox
+ */
+class AccountDataService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the user's data
+     * @param {Object} options - { backupManager, mailer } - whose snapshots and sent messages erase() removes the user from as well
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.backupManager = options.backupManager || null;
+        this.mailer = options.mailer || null;
+    }
+
+    /**
+     * Everything stored about a user, as one document
+     * @param {string} userId - User
+     * @returns {Promise<Object>} - The export; secrets (password, token and key hashes, 2FA secret) are left out
+     */
+    async collect(userId) {
+        const user = await this.persistenceManager.findOneBy('users', 'id', userId);
+        if (!user) {
+            throw createError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        const { password, ...profile } = user;
+
+        const pm = this.persistenceManager;
+        const [orders, reviews, supportTickets, carts, wishlists, loyalty, sessions, apiKeys, identities, activity] = await Promise.all([
+            pm.findBy('orders', 'userId', userId),
+            pm.findBy('reviews', 'userId', userId),
+            pm.findBy('support', 'userId', userId),
+            pm.findBy('carts', 'userId', userId),
+            pm.findBy('wishlists', 'userId', userId),
+            pm.findBy('loyalty', 'userId', userId),
+            pm.findBy('sessions', 'userId', userId),
+            pm.readData('apiKeys'),
+            pm.findBy('identities', 'userId', userId),
+            pm.queryActivity({ username: user.username, limit: Number.MAX_SAFE_INTEGER })
+        ]);
+
+        return {
+            format: EXPORT_FORMAT,
+            formatVersion: 1,
+            exportedAt: new Date().toISOString(),
+            profile,
+            orders,
+            cart: carts[0] || null,
+            wishlist: wishlists[0] || null,
+            reviews,
+            loyalty: loyalty[0] || null,
+            supportTickets,
+            sessions: sessions.map(({ token, ...session }) => session),
+            apiKeys: apiKeys
+                .filter(apiKey => apiKey.userId === userId)
+                .map(({ keyHash, ...apiKey }) => apiKey),
+            identities,
+            activity: activity.entries
+        };
+    }
+
+    /**
+     * The export as a gzip-compressed JSON archive, ready to download
+     * @param {string} userId - User
+     * @returns {Promise<Object>} - { buffer, filename }
+     */
+    async createArchive(userId) {
+        const data = await this.collect(userId);
+        const date = data.exportedAt.slice(0, 10);
+        return {
+            buffer: await gzip(JSON.stringify(data, null, 2)),
+            filename: `coffee-shop-data-${data.profile.username}-${date}.json.gz`
+        };
+    }
+
+    /**
+     * Erase a user's personal data (see the class comment for what is kept)
+     * @param {string} userId - User to erase
+     * @param {Object} options - { actor } - who asked for it (the user, or staff on their behalf)
+     * @returns {Promise<Object>} - { username, alias, ordersAnonymized, reviewsAnonymized, ticketsDeleted }, and
+     *                              with a backup manager { backupsRedacted, backupsNotRedacted } - the count of
+     *                              snapshots erased from and the ids of any that couldn't be rewritten, and with
+     *                              a mailer { outboxMessagesDeleted } (null if its transport keeps no messages)
+     */
+    async erase(userId, options = {}) {
+        const user = await this.persistenceManager.findOneBy('users', 'id', userId, { includeDeleted: true });
+        if (!user || user.anonymizedAt) {
+            throw createError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        if (user.role === 'admin') {
+            const admins = await this.persistenceManager.findBy('users', 'role', 'admin');
+            if (admins.length <= 1) {
+                throw createError('The store needs at least one admin', 409, 'LAST_ADMIN');
+            }
+        }
+
+        const alias = `deleted-${userId.replace(/[^a-zA-Z0-9]/g, '').slice(0, 8)}`;
+        const identifiers = [user.username, user.email].filter(Boolean);
+        const now = new Date().toISOString();
+        // When the user asks themselves, their own name must not survive as the actor
+        const actor = options.actor && options.actor.id === userId
+            ? { id: userId, username: alias }
+            : describeActor(options.actor);
+        const archives = (await this.persistenceManager.listActivityArchives()).map(archiveCollection);
+
+        const summary = await this.persistenceManager.transaction(
+            ['users', 'orders', 'reviews', 'support', 'history', 'apiKeys', 'activity', ...OWNED_COLLECTIONS, ...archives],
+            (data) => eraseFrom(data, userId, { alias, identifiers, actor, now })
+        );
+
+        // Snapshots hold the same data - erase it there too, so restoring one can't bring it back
+        if (this.backupManager) {
+            const backups = await this.backupManager.redactBackups(
+                (collections) => eraseFrom(collections, userId, { alias, identifiers, actor, now }) !== null
+            );
+            summary.backupsRedacted = backups.redacted.length;
+            summary.backupsNotRedacted = backups.failed;
+        }
+
+        if (this.mailer && user.email) {
+            summary.outboxMessagesDeleted = await this.mailer.purgeRecipient([user.email]);
+        }
+
+        return summary;
+    }
+}
+
+/**
+ * Erase a user from a set of collections, in place - the live store inside a transaction, or a
+ * backup archive. Collections the data doesn't have (archives from older versions) are skipped.
+ * @param {Object} data - Collections by name
+ * @param {string} userId - User to erase
+ * @param {Object} erasure - { alias, identifiers, actor, now }
+ * @returns {Object|null} - Summary as returned by erase(), or null if the data has no such user
+ */
+function eraseFrom(data, userId, { alias, identifiers, actor, now }) {
+    const record = (data.users || []).find(entry => entry.id === userId);
+    if (!record || record.anonymizedAt) {
+        return null;
+    }
+    // An older snapshot may still have a username or email the user changed since
+    const names = [...new Set([...identifiers, record.username, record.email].filter(Boolean))];
+    const collection = (name) => data[name] || [];
+
+    const tombstone = {
+        id: record.id,
+        username: alias,
+        email: null,
+        password: null,
+        role: 'user',
+        emailVerified: false,
+        createdAt: record.createdAt,
+        lastLogin: null,
+        anonymizedAt: now,
+        deletedAt: record.deletedAt || now,
+        deletedBy: actor.username,
+        version: (record.version || 0) + 1
+    };
+    data.users.splice(data.users.indexOf(record), 1, tombstone);
+
+    const orderIds = [];
+    for (const order of collection('orders').filter(entry => entry.userId === userId)) {
+        ORDER_PII_FIELDS.forEach(field => { if (field in order) order[field] = null; });
+        order.anonymizedAt = now;
+        orderIds.push(order.id);
+    }
+
+    const reviews = collection('reviews').filter(review => review.userId === userId);
+    reviews.forEach(review => { review.username = FORMER_CUSTOMER; });
+
+    const ticketIds = collection('support').filter(ticket => ticket.userId === userId).map(ticket => ticket.id);
+    for (const name of ['support', 'apiKeys', ...OWNED_COLLECTIONS].filter(name => data[name])) {
+        data[name] = data[name].filter(entry => entry.userId !== userId);
+    }
+
+    data.history = collection('history')
+        .filter(entry => !(entry.collection === 'users' && entry.recordId === userId))
+        .filter(entry => !(entry.collection === 'support' && ticketIds.includes(entry.recordId)));
+    data.history.forEach(entry => {
+        if (entry.collection === 'orders' && orderIds.includes(entry.recordId)) {
+            ORDER_PII_FIELDS.filter(field => entry.changes && entry.changes[field])
+                .forEach(field => { entry.changes[field] = { before: '[redacted]', after: '[redacted]' }; });
+        }
+        if (entry.actor && entry.actor.id === userId) {
+            entry.actor.username = alias;
+        }
+    });
+    data.history.push({
+        id: uuidv4(),
+        collection: 'users',
+        recordId: userId,
+        action: 'anonymize',
+        actor,
+        timestamp: now,
+        changes: {}
+    });
+
+    for (const name of Object.keys(data).filter(name => name === 'activity' || archiveMonth(name))) {
+        data[name].forEach(activity => scrubActivity(activity, names, alias));
+    }
+
+    return {
+        username: record.username,
+        alias,
+        ordersAnonymized: orderIds.length,
+        reviewsAnonymized: reviews.length,
+        ticketsDeleted: ticketIds.length
+    };
+}
+
+// Replace the user's username and email in an activity entry
+function scrubActivity(activity, identifiers, alias) {
+    if (identifiers.includes(activity.username)) {
+        activity.username = alias;
+    }
+    if (activity.details && typeof activity.details === 'object') {
+        for (const [key, value] of Object.entries(activity.details)) {
+            if (identifiers.includes(value)) {
+                activity.details[key] = alias;
+            }
+        }
+    }
+}
+
+module.exports = AccountDataService;
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../modules/error-handler');
+const { hashToken } = require('../modules/one-time-tokens');
+const { PERMISSIONS, ALL_PERMISSIONS, grants } = require('../modules/permissions');
+
+const KEY_PREFIX = 'csk_';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * API Key Service
+ * Keys for scripts and integrations (POS, accounting) that send `Authorization: Bearer <key>`
+ * instead of logging in. Like one-time tokens, only a SHA-256 hash of a key is stored; the raw
+ * key is shown once, when it is created.
+ *
+ * - personal keys act as the user who created them, limited to the scopes they were given
+ *   (a key can never do more than its owner's role currently allows)
+ * - service keys belong to no person: they hold exactly their scopes, and are managed by
+ *   anyone with the apiKeys:manage permission
+ *
+ * Scopes are permissions from modules/permissions. A personal key without scopes can still
+ * do what any logged-in customer can (their own cart, orders and so on).
+ */
+class ApiKeyService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the keys
+     * @param {Object} options - Service options
+     * @param {number} options.touchIntervalMs - Least time between two lastUsedAt updates of a key (default: 1 minute)
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.touchIntervalMs = options.touchIntervalMs !== undefined ? options.touchIntervalMs : 60 * 1000;
+    }
+
+    /**
+     * Whether a bearer token looks like one of our keys (rather than something else entirely)
+     * @param {string} token - Bearer token
+     * @returns {boolean}
+     */
+    static isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    /**
+     * Create a key
+     * @param {Object} creator - User creating the key (req.user)
+     * @param {Object} definition - { name, type = 'personal', scopes = [], expiresInDays = 90 }
+     * @returns {Promise<Object>} - { key, apiKey } - the raw key is only ever returned here
+     */
+    async create(creator, { name, type = 'personal', scopes = [], expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+        if (!name || !String(name).trim()) {
+            throw createError('Give the key a name so you can recognise it later', 400, 'MISSING_FIELDS');
+        }
+        if (!['personal', 'service'].includes(type)) {
+            throw createError('type must be "personal" or "service"', 400, 'INVALID_KEY_TYPE');
+        }
+        if (type === 'service' && !grants(creator.permissions, 'apiKeys:manage')) {
+            throw createError('Missing permission: apiKeys:manage', 403, 'ACCESS_DENIED');
+        }
+
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            throw createError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`, 400, 'INVALID_EXPIRY');
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const now = new Date();
+        const apiKey = {
+            id: uuidv4(),
+            name: String(name).trim().slice(0, 100),
+            type,
+            userId: type === 'personal' ? creator.id : null,
+            createdBy: creator.id,
+            scopes: this.validateScopes(creator, scopes),
+            keyHash: hashToken(key),
+            keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revokedAt: null
+        };
+
+        await this.persistenceManager.mutate('apiKeys', (keys) => {
+            keys.push(apiKey);
+        });
+
+        return { key, apiKey: this.describe(apiKey) };
+    }
+
+    /**
+     * Look up a usable key and record that it was used
+     * @param {string} key - Raw key from the Authorization header
+     * @param {Object} context - { ip } of the current request
+     * @returns {Promise<Object|null>} - The key record, or null if it is unknown, revoked or expired
+     */
+    async authenticate(key, context = {}) {
+        const keyHash = hashToken(key);
+        const apiKey = await this.persistenceManager.findOneBy('apiKeys', 'keyHash', keyHash);
+        const now = new Date();
+        if (!apiKey || apiKey.revokedAt || new Date(apiKey.expiresAt) <= now) {
+            return null;
+        }
+
+        // Throttled like session touches, so a busy integration doesn't rewrite the file on every call
+        const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+        if (now.getTime() - lastUsed >= this.touchIntervalMs) {
+            await this.persistenceManager.mutate('apiKeys', (entries) => {
+                const latest = entries.find(entry => entry.id === apiKey.id);
+                if (latest) {
+                    latest.lastUsedAt = now.toISOString();
+                    latest.lastUsedIp = context.ip || null;
+                }
+            });
+        }
+
+        return apiKey;
+    }
+
+    /**
+     * Permissions a request made with a key has
+     * @param {Object} apiKey - Key record
+     * @param {Array<string>} ownerPermissions - Current permissions of a personal key's owner
+     * @returns {Array<string>} - Permissions
+     */
+    effectivePermissions(apiKey, ownerPermissions = []) {
+        if (apiKey.type === 'service') {
+            return [...apiKey.scopes];
+        }
+        return apiKey.scopes.filter(scope => scope === ALL_PERMISSIONS
+            ? ownerPermissions.includes(ALL_PERMISSIONS)
+            : grants(ownerPermissions, scope));
+    }
+
+    /**
+     * Scopes a user may put on a key: the permissions they hold
+     * @param {Object} user - req.user
+     * @returns {Array<Object>} - [{ permission, description }]
+     */
+    grantableScopes(user) {
+        return Object.entries(PERMISSIONS)
+            .filter(([permission]) => grants(user.permissions, permission))
+            .map(([permission, description]) => ({ permission, description }));
+    }
+
+    /**
+     * Keys a user can see: their personal keys, plus every service key if they manage keys
+     * @param {Object} user - req.user
+     * @returns {Promise<Array<Object>>} - Keys without their hashes, newest first
+     */
+    async list(user) {
+        const keys = await this.persistenceManager.readData('apiKeys');
+        const canManage = grants(user.permissions, 'apiKeys:manage');
+
+        return keys
+            .filter(apiKey => apiKey.userId === user.id || (apiKey.type === 'service' && canManage))
+            .map(apiKey => this.describe(apiKey))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Revoke a key. Revoked keys are kept (without use) so the list still shows them.
+     * @param {Object} user - req.user
+     * @param {string} keyId - Key to revoke
+     * @returns {Promise<Object>} - The revoked key
+     */
+    async revoke(user, keyId) {
+        const canManage = grants(user.permissions, 'apiKeys:manage');
+
+        const revoked = await this.persistenceManager.mutate('apiKeys', (keys) => {
+            const apiKey = keys.find(entry => entry.id === keyId);
+            if (!apiKey || (apiKey.userId !== user.id && !(apiKey.type === 'service' && canManage))) {
+                return null;
+            }
+            if (!apiKey.revokedAt) {
+                apiKey.revokedAt = new Date().toISOString();
+            }
+            return apiKey;
+        });
+
+        if (!revoked) {
+            throw createError('API key not found', 404, 'API_KEY_NOT_FOUND');
+        }
+        return this.describe(revoked);
+    }
+
+    // Keys can only carry permissions their creator holds
+    validateScopes(creator, scopes) {
+        if (!Array.isArray(scopes)) {
+            throw createError('scopes must be an array of permissions', 400, 'INVALID_SCOPE');
+        }
+        const unknown = scopes.filter(scope => scope !== ALL_PERMISSIONS && !PERMISSIONS[scope]);
+        if (unknown.length > 0) {
+            throw createError(`Unknown scope(s): ${unknown.join(', ')}`, 400, 'INVALID_SCOPE');
+        }
+        const notHeld = scopes.filter(scope => scope === ALL_PERMISSIONS
+            ? !(creator.permissions || []).includes(ALL_PERMISSIONS)
+            : !grants(creator.permissions, scope));
+        if (notHeld.length > 0) {
+            throw createError(`You can't grant scopes you don't have: ${notHeld.join(', ')}`, 403, 'INVALID_SCOPE');
+        }
+        return [...new Set(scopes)];
+    }
+
+    describe(apiKey) {
+        const { keyHash, ...description } = apiKey;
+        const now = new Date();
+        description.status = apiKey.revokedAt ? 'revoked' : new Date(apiKey.expiresAt) <= now ? 'expired' : 'active';
+        return description;
+    }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,82 @@
+const { createError } = require('../modules/error-handler');
+const { issueToken, consumeToken } = require('../modules/one-time-tokens');
+
+/**
+ * Email Verification Service
+ * Emails verification links to new (or changed) addresses and marks the address verified
+ * when the link is opened. Tokens are stored hashed (see one-time-tokens) together with
+ * the address they were sent to, so a link stops working once the email is changed again.
+ *
+ * Configuration:
+ *   EMAIL_VERIFICATION_TTL_HOURS - how long a link stays valid (default: 48)
+ *   APP_URL                      - origin the links point at (default: http://localhost:<PORT>)
+ */
+class EmailVerificationService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding users and verification tokens
+     * @param {Mailer} mailer - Mailer the links are sent with
+     * @param {Object} options - Service options
+     * @param {number} options.tokenTtlHours - Link lifetime in hours
+     * @param {string} options.appUrl - Origin the links point at
+     */
+    constructor(persistenceManager, mailer, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.mailer = mailer;
+        this.tokenTtlHours = options.tokenTtlHours || parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+        this.appUrl = options.appUrl || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    }
+
+    /**
+     * Email a verification link for the user's current address. Earlier links stop working.
+     * @param {Object} user - User to verify
+     * @returns {Promise<Object>} - The sent message
+     */
+    async sendVerification(user) {
+        if (user.emailVerified) {
+            throw createError('Your email address is already verified', 400, 'ALREADY_VERIFIED');
+        }
+
+        const token = await issueToken(this.persistenceManager, 'emailVerifications', user.id, this.tokenTtlHours * 60, { email: user.email });
+        const link = `${this.appUrl}/pages/verify-email.html?token=${token}`;
+
+        return await this.mailer.send({
+            to: user.email,
+            subject: 'Verify your Coffee Shop email address',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Please confirm your email address by opening this link:',
+                '',
+                link,
+                '',
+                `The link expires in ${this.tokenTtlHours} hours. Until then you can browse the store, but checkout and reviews stay locked.`
+            ].join('\n'),
+            html: `<p>Hi ${user.username},</p>`
+                + '<p>Please confirm your email address:</p>'
+                + `<p><a href="${link}">Verify my email</a></p>`
+                + `<p>The link expires in ${this.tokenTtlHours} hours. Until then you can browse the store, but checkout and reviews stay locked.</p>`
+        });
+    }
+
+    /**
+     * Mark an address verified with the token from a verification link
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} - The user, without the password
+     */
+    async verify(token) {
+        const verification = await consumeToken(this.persistenceManager, 'emailVerifications', token);
+        const account = verification && await this.persistenceManager.findOneBy('users', 'id', verification.userId);
+        if (!account || account.email !== verification.email) {
+            throw createError('This verification link is invalid or has expired', 400, 'INVALID_VERIFICATION_TOKEN');
+        }
+
+        return await this.persistenceManager.mutateRecord('users', account.id, (record) => {
+            record.emailVerified = true;
+            record.emailVerifiedAt = new Date().toISOString();
+            const { password, ...safeUser } = record;
+            return safeUser;
+        }, { actor: account });
+    }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const GUEST_CART_COOKIE = 'guestCart';
+const MAX_ITEM_QUANTITY = 99;
+
+// Secret for guest cart cookies when GUEST_CART_SECRET isn't set - valid until the server restarts
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Guest Cart Service
+ * Carts for visitors who aren't logged in. The visitor's browser holds a cookie with a random
+ * guest ID and an HMAC signature of it, so the ID can't be guessed or swapped for someone else's.
+ * Guest carts live in their own collection ('guestCarts'), away from the user carts the
+ * integrity checker ties to accounts, and are merged into the user's cart at login.
+ *
+ * Configuration:
+ *   GUEST_CART_SECRET   - key the cookie is signed with (default: random per process, so guest
+ *                         carts are lost on restart - set it in production)
+ *   GUEST_CART_TTL_DAYS - how long an untouched guest cart is kept (default: 14)
+ */
+class GuestCartService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the carts
+     * @param {Object} options - { secret, ttlDays } overriding the configuration above
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.secret = options.secret || process.env.GUEST_CART_SECRET || fallbackSecret;
+        this.ttlDays = options.ttlDays || parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 14;
+    }
+
+    /**
+     * A new guest ID and the signed cookie value for it
+     * @returns {Object} - { guestId, cookieValue }
+     */
+    issue() {
+        const guestId = uuidv4();
+        return { guestId, cookieValue: `${guestId}.${this.sign(guestId)}` };
+    }
+
+    /**
+     * Guest ID from a cookie value, if its signature is valid
+     * @param {string} cookieValue - Value of the guestCart cookie
+     * @returns {string|null} - Guest ID, or null if the cookie is missing or was tampered with
+     */
+    verify(cookieValue) {
+        const [guestId, signature] = String(cookieValue || '').split('.');
+        if (!guestId || !signature) {
+            return null;
+        }
+        const expected = Buffer.from(this.sign(guestId));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? guestId : null;
+    }
+
+    /**
+     * Cookie options for the guest cart cookie
+     * @returns {Object} - Options for res.cookie
+     */
+    cookieOptions() {
+        return {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: this.ttlDays * 24 * 60 * 60 * 1000,
+            sameSite: 'lax',
+            path: '/'
+        };
+    }
+
+    /**
+     * A guest's cart (empty if they have none yet or it expired)
+     * @param {string} guestId - Guest
+     * @returns {Promise<Object>} - { items, updatedAt }
+     */
+    async getCart(guestId) {
+        const carts = await this.persistenceManager.readData('guestCarts');
+        const cart = carts.find(entry => entry.guestId === guestId && !this.isExpired(entry));
+        return cart ? toResponse(cart) : { items: [], updatedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Serialized read-modify-write of a guest's cart; expired guest carts are dropped on the way
+     * @param {string} guestId - Guest
+     * @param {Function} fn - (cart) => result, modifies the cart in place; throwing aborts the write
+     * @returns {Promise<*>} - The callback's return value (a guest cart is returned without its guest ID)
+     */
+    async mutateCart(guestId, fn) {
+        return await this.persistenceManager.mutate('guestCarts', async (carts) => {
+            const live = carts.filter(entry => !this.isExpired(entry));
+            carts.splice(0, carts.length, ...live);
+
+            let cart = carts.find(entry => entry.guestId === guestId);
+            if (!cart) {
+                cart = { guestId, items: [] };
+                carts.push(cart);
+            }
+
+            const result = await fn(cart);
+            cart.updatedAt = new Date().toISOString();
+            cart.expiresAt = new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000).toISOString();
+            return result === cart ? toResponse(cart) : result;
+        });
+    }
+
+    /**
+     * Move a guest's cart into a user's cart. A product in both carts gets the sum of both
+     * quantities, capped at MAX_ITEM_QUANTITY; products that were deleted or went out of stock
+     * since the guest added them are left out.
+     * @param {string} guestId - Guest whose cart is merged (and then deleted)
+     * @param {string} userId - User who just logged in
+     * @returns {Promise<number>} - How many guest cart lines were merged
+     */
+    async mergeInto(guestId, userId) {
+        const products = await this.persistenceManager.readData('products');
+        const available = new Set(products
+            .filter(product => !product.deletedAt && product.inStock !== false)
+            .map(product => product.id));
+
+        return await this.persistenceManager.transaction(['guestCarts', 'carts'], (data) => {
+            const guestCart = data.guestCarts.find(entry => entry.guestId === guestId && !this.isExpired(entry));
+            data.guestCarts = data.guestCarts.filter(entry => entry.guestId !== guestId);
+            if (!guestCart || guestCart.items.length === 0) {
+                return 0;
+            }
+
+            let cart = data.carts.find(entry => entry.userId === userId);
+            if (!cart) {
+                cart = { userId, items: [] };
+                data.carts.push(cart);
+            }
+
+            let merged = 0;
+            for (const item of guestCart.items.filter(entry => available.has(entry.productId))) {
+                const existing = cart.items.find(entry => entry.productId === item.productId);
+                if (existing) {
+                    existing.quantity = Math.min(existing.quantity + item.quantity, MAX_ITEM_QUANTITY);
+                } else {
+                    cart.items.push({ ...item, quantity: Math.min(item.quantity, MAX_ITEM_QUANTITY) });
+                }
+                merged++;
+            }
+            cart.updatedAt = new Date().toISOString();
+            return merged;
+        });
+    }
+
+    isExpired(cart) {
+        return Boolean(cart.expiresAt) && new Date(cart.expiresAt) <= new Date();
+    }
+
+    sign(guestId) {
+        return crypto.createHmac('sha256', this.secret).update(guestId).digest('base64url');
+    }
+}
+
+// Guest carts are returned without the guest ID - the signed cookie is the only handle on them
+function toResponse({ guestId, expiresAt, ...cart }) {
+    return { ...cart, guest: true };
+}
+
+GuestCartService.COOKIE_NAME = GUEST_CART_COOKIE;
+GuestCartService.MAX_ITEM_QUANTITY = MAX_ITEM_QUANTITY;
+
+module.exports = GuestCartService;
@@ -0,0 +1,92 @@
+const { createError } = require('../modules/error-handler');
+const SessionService = require('./sessionService');
+const RoleService = require('./roleService');
+
+// Cookie holding the admin's own session token while they impersonate someone - only sent to the
+// auth routes, which end the impersonation on stop or logout
+const IMPERSONATOR_COOKIE = 'impersonatorToken';
+const IMPERSONATOR_COOKIE_PATH = '/api/auth';
+
+/**
+ * Impersonation Service
+ * Lets staff with the users:impersonate permission log in as a customer to see what they see.
+ * The impersonation is a separate session of the customer that carries the admin's identity
+ * (impersonatedBy), lasts a fixed time and never slides; the admin's own session is left alone
+ * and picked up again when the impersonation ends. Anything done in the impersonation session is
+ * logged with the admin's name (see modules/request-context).
+ *
+ * Only customer accounts can be impersonated - never staff, whose access goes beyond their own data.
+ *
+ * Configuration:
+ *   IMPERSONATION_MINUTES - how long an impersonation session lasts (default: 15)
+ */
+class ImpersonationService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding users and sessions
+     * @param {Object} options - { lifetimeMinutes } overriding IMPERSONATION_MINUTES
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.sessionService = new SessionService(persistenceManager);
+        this.roleService = new RoleService(persistenceManager);
+        this.lifetimeMinutes = options.lifetimeMinutes || parseInt(process.env.IMPERSONATION_MINUTES, 10) || 15;
+    }
+
+    /**
+     * Start impersonating a user
+     * @param {Object} admin - Authenticated staff member (req.user)
+     * @param {string} userId - User to impersonate
+     * @param {Object} options - { reason, userAgent, ip }
+     * @returns {Promise<Object>} - { token, expiresAt, user } - user without password
+     */
+    async start(admin, userId, options = {}) {
+        const user = await this.persistenceManager.findOneBy('users', 'id', userId);
+        if (!user) {
+            throw createError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        if (user.id === admin.id) {
+            throw createError('You cannot impersonate yourself', 400, 'CANNOT_IMPERSONATE_SELF');
+        }
+
+        const userPermissions = await this.roleService.permissionsFor(user.role);
+        if (userPermissions.length > 0) {
+            throw createError(`${user.username} is a staff account - only customers can be impersonated`, 403, 'IMPERSONATION_NOT_ALLOWED');
+        }
+
+        const impersonatedBy = { id: admin.id, username: admin.username };
+        if (options.reason) {
+            impersonatedBy.reason = String(options.reason).slice(0, 200);
+        }
+        const { token, expiresAt } = await this.sessionService.create(user.id, {
+            impersonatedBy,
+            lifetimeMs: this.lifetimeMinutes * 60 * 1000,
+            userAgent: options.userAgent,
+            ip: options.ip
+        });
+
+        const { password, ...safeUser } = user;
+        return { token, expiresAt, user: safeUser };
+    }
+
+    /**
+     * End an impersonation session
+     * @param {string} token - Token of the impersonation session
+     * @returns {Promise<Object|null>} - { userId, impersonatedBy } of the ended session, or null if the
+     *                                   token doesn't belong to an impersonation session (any more)
+     */
+    async stop(token) {
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const index = sessions.findIndex(session => session.token === token && session.impersonatedBy);
+            if (index === -1) {
+                return null;
+            }
+            const [session] = sessions.splice(index, 1);
+            return { userId: session.userId, impersonatedBy: session.impersonatedBy };
+        });
+    }
+}
+
+ImpersonationService.COOKIE_NAME = IMPERSONATOR_COOKIE;
+ImpersonationService.COOKIE_PATH = IMPERSONATOR_COOKIE_PATH;
+
+module.exports = ImpersonationService;
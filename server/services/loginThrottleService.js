@@ -0,0 +1,207 @@
+/**
+ * Login Throttle Service
+ * Per-account brute-force protection, on top of the per-IP rate limit on the auth routes.
+ * Consecutive failed logins of an account first slow it down - after a few failures the next
+ * attempt has to wait, twice as long after each further failure - and then lock it for a while.
+ * A successful login (or a password reset, or an admin unlock) starts over.
+ *
+ * Logins reserve their attempt with reserve() before the password is checked: the attempt is
+ * counted as failed right away and only taken back on success, so parallel requests can't all
+ * slip through the same check before any of their failures is recorded.
+ *
+ * Configuration:
+ *   LOGIN_DELAY_AFTER_FAILURES - failures before attempts are delayed (default: 3)
+ *   LOGIN_MAX_DELAY_SECONDS    - longest delay between attempts (default: 60)
+ *   LOGIN_LOCKOUT_THRESHOLD    - failures that lock the account (default: 10)
+ *   LOGIN_LOCKOUT_MINUTES      - how long a lockout lasts (default: 15)
+ */
+class LoginThrottleService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the attempt counters
+     * @param {Object} options - Overrides for the configuration above
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.delayAfterFailures = options.delayAfterFailures || parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3;
+        this.maxDelaySeconds = options.maxDelaySeconds || parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60;
+        this.lockoutThreshold = options.lockoutThreshold || parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+        this.lockoutMinutes = options.lockoutMinutes || parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+    }
+
+    /**
+     * Whether an account may try to log in now, without counting an attempt. Logins use
+     * reserve() instead, so attempts during a delay or lockout don't get to test passwords at all.
+     * @param {string} userId - Account logging in
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { allowed: true } or { allowed: false, reason: 'locked'|'delayed', retryAfterSeconds }
+     */
+    async check(userId, now = new Date()) {
+        return this.evaluate(await this.getAttempts(userId), now);
+    }
+
+    // check() for an account's counters (null if it has none)
+    evaluate(attempts, now) {
+        if (!attempts) {
+            return { allowed: true };
+        }
+
+        const lockedUntil = attempts.lockedUntil ? new Date(attempts.lockedUntil) : null;
+        if (lockedUntil && lockedUntil > now) {
+            return { allowed: false, reason: 'locked', retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+        }
+
+        const nextAttemptAt = this.nextAttemptAt(attempts);
+        if (nextAttemptAt && nextAttemptAt > now) {
+            return { allowed: false, reason: 'delayed', retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000) };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Check and count a login attempt in one step, before the password or code is checked. The
+     * attempt counts as failed until the caller calls reset() (the login succeeded) or release()
+     * (the password was right but another step follows).
+     * @param {string} userId - Account logging in
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { allowed: false, reason, retryAfterSeconds } as from check(), or
+     *                              { allowed: true, failedAttempts, locked, lockedUntil, retryAfterSeconds }
+     *                              describing the account should the attempt fail
+     */
+    async reserve(userId, now = new Date()) {
+        return await this.persistenceManager.mutate('loginAttempts', (entries) => {
+            const throttle = this.evaluate(entries.find(entry => entry.userId === userId), now);
+            if (!throttle.allowed) {
+                return throttle;
+            }
+            return { allowed: true, ...this.countFailure(entries, userId, now) };
+        });
+    }
+
+    /**
+     * Take back an attempt reserved with reserve() whose password was right, when the login
+     * isn't complete yet (a two-factor code is still needed)
+     * @param {string} userId - Account logging in
+     * @param {Object} reservation - Result of reserve()
+     * @returns {Promise<void>}
+     */
+    async release(userId, reservation) {
+        await this.persistenceManager.mutate('loginAttempts', (entries) => {
+            const index = entries.findIndex(entry => entry.userId === userId);
+            if (index === -1) {
+                return;
+            }
+            const attempts = entries[index];
+            attempts.failedAttempts = Math.max(attempts.failedAttempts - 1, 0);
+            if (reservation.locked && attempts.lockedUntil === reservation.lockedUntil) {
+                attempts.lockedUntil = null;
+                attempts.lockouts = Math.max((attempts.lockouts || 1) - 1, 0);
+            }
+            if (attempts.failedAttempts === 0 && !attempts.lockedUntil) {
+                entries.splice(index, 1);
+            }
+        });
+    }
+
+    /**
+     * Count a failed login
+     * @param {string} userId - Account that failed to log in
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { failedAttempts, locked, lockedUntil, retryAfterSeconds }
+     */
+    async recordFailure(userId, now = new Date()) {
+        return await this.persistenceManager.mutate('loginAttempts', (entries) => this.countFailure(entries, userId, now));
+    }
+
+    /**
+     * Forget an account's failed attempts and lift its lockout
+     * @param {string} userId - Account to reset
+     * @returns {Promise<Object|null>} - The cleared counters, or null if there were none
+     */
+    async reset(userId) {
+        return await this.persistenceManager.mutate('loginAttempts', (entries) => {
+            const index = entries.findIndex(entry => entry.userId === userId);
+            return index === -1 ? null : entries.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Login status of an account, for admins
+     * @param {string} userId - Account
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { failedAttempts, lockedUntil } (lockedUntil is null unless locked now)
+     */
+    async getStatus(userId, now = new Date()) {
+        const attempts = await this.getAttempts(userId);
+        return this.status(attempts, now);
+    }
+
+    /**
+     * Login status of every account with failed attempts, keyed by user id
+     * @param {Date} now - Current time
+     * @returns {Promise<Map<string, Object>>} - Statuses as returned by getStatus
+     */
+    async getAllStatuses(now = new Date()) {
+        const entries = await this.persistenceManager.readData('loginAttempts');
+        return new Map(entries.map(entry => [entry.userId, this.status(entry, now)]));
+    }
+
+    async getAttempts(userId) {
+        const entries = await this.persistenceManager.readData('loginAttempts');
+        return entries.find(entry => entry.userId === userId) || null;
+    }
+
+    // Add a failure to the account's counters (inside a mutate of loginAttempts)
+    countFailure(entries, userId, now) {
+        let attempts = entries.find(entry => entry.userId === userId);
+        if (!attempts) {
+            attempts = { userId, failedAttempts: 0, lastFailedAt: null, lockedUntil: null, lockouts: 0 };
+            entries.push(attempts);
+        }
+
+        // A lockout that ran out starts a fresh count
+        if (attempts.lockedUntil && new Date(attempts.lockedUntil) <= now) {
+            attempts.failedAttempts = 0;
+            attempts.lockedUntil = null;
+        }
+
+        attempts.failedAttempts += 1;
+        attempts.lastFailedAt = now.toISOString();
+
+        const locked = attempts.failedAttempts >= this.lockoutThreshold;
+        if (locked) {
+            attempts.lockedUntil = new Date(now.getTime() + this.lockoutMinutes * 60 * 1000).toISOString();
+            attempts.lockouts = (attempts.lockouts || 0) + 1;
+        }
+
+        const retryAt = locked ? new Date(attempts.lockedUntil) : this.nextAttemptAt(attempts);
+        return {
+            failedAttempts: attempts.failedAttempts,
+            locked,
+            lockedUntil: attempts.lockedUntil,
+            retryAfterSeconds: retryAt ? Math.ceil((retryAt - now) / 1000) : 0
+        };
+    }
+
+    status(attempts, now) {
+        if (!attempts) {
+            return { failedAttempts: 0, lockedUntil: null };
+        }
+        const locked = attempts.lockedUntil && new Date(attempts.lockedUntil) > now;
+        return {
+            failedAttempts: attempts.failedAttempts,
+            lockedUntil: locked ? attempts.lockedUntil : null
+        };
+    }
+
+    // Delays grow 1s, 2s, 4s... from the delayAfterFailures-th failure on, up to maxDelaySeconds
+    nextAttemptAt(attempts) {
+        if (attempts.failedAttempts < this.delayAfterFailures || !attempts.lastFailedAt) {
+            return null;
+        }
+        const delaySeconds = Math.min(2 ** (attempts.failedAttempts - this.delayAfterFailures), this.maxDelaySeconds);
+        return new Date(new Date(attempts.lastFailedAt).getTime() + delaySeconds * 1000);
+    }
+}
+
+module.exports = LoginThrottleService;
@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../modules/error-handler');
+const jwt = require('../modules/jwt');
+const { issueToken } = require('../modules/one-time-tokens');
+const RoleService = require('./roleService');
+
+const LOGIN_TTL_MINUTES = 10;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_RETURN_TO = '/pages/store.html';
+
+const MOCK_PROVIDER_ID = 'mock';
+const MOCK_CLIENT_ID = 'coffee-shop';
+
+function randomToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashState(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+}
+
+// Only pages of this shop - never another site, so the login can't be turned into an open redirect
+function safeReturnTo(returnTo) {
+    return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : DEFAULT_RETURN_TO;
+}
+
+// A free username based on what the provider calls the user
+function pickUsername(claims, users) {
+    const base = String(claims.preferred_username || claims.email.split('@')[0])
+        .replace(/[^a-zA-Z0-9_.-]/g, '')
+        .slice(0, 24) || 'customer';
+    const isTaken = (name) => users.some(user => user.username && user.username.toLowerCase() === name.toLowerCase());
+
+    let username = base;
+    while (isTaken(username)) {
+        username = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+    return username;
+}
+
+function withoutPassword({ password, ...user }) {
+    return { ...user };
+}
+
+function newIdentity(userId, provider, subject, email, now) {
+    return { id: uuidv4(), userId, provider, subject, email, linkedAt: now, lastLoginAt: now };
+}
+
+/**
+ * OIDC Service
+ * Login with a company identity provider through OpenID Connect: the authorization code flow
+ * with PKCE (S256), a nonce bound to the ID token and a state bound to the browser. ID tokens
+ * must be RS256-signed by a key from the provider's key set.
+ *
+ * A provider login is linked to a shop account (collection 'identities', one entry per provider
+ * and subject). On the first login the account is found by email address - only if the provider
+ * says the address is verified and the shop verified it too - or created on the spot (just-in-time
+ * provisioning) unless the provider has allowSignup: false. Accounts created this way get an
+ * unguessable password; "forgot password" sets a real one.
+ *
+ * Only customer accounts are linked by email alone. An account whose role grants any permission
+ * (staff, admins) is only linked once its owner confirms with the account's password - and 2FA
+ * code, if on - so whoever controls the address at the provider can't take it over: the login
+ * then ends with a link token for linkIdentity() instead of a session.
+ *
+ * Configuration:
+ *   OIDC_PROVIDERS     - JSON array of providers:
+ *                        [{ "id", "name", "issuer", "clientId", "clientSecret"?, "scopes"?, "allowSignup"? }]
+ *   OIDC_MOCK_PROVIDER - 'true' adds the bundled mock provider ('mock', see modules/mock-oidc-provider);
+ *                        ignored in production
+ *   APP_URL            - origin the providers redirect back to (default: http://localhost:<PORT>)
+ */
+class OidcService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding users, identities and pending logins
+     * @param {Object} options - { providers, appUrl, fetch } overriding the configuration above
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.roleService = new RoleService(persistenceManager);
+        this.appUrl = options.appUrl || OidcService.appUrl();
+        this.providers = (options.providers || OidcService.providersFromEnv(this.appUrl)).map(provider => ({
+            scopes: 'openid email profile',
+            allowSignup: true,
+            ...provider,
+            issuer: provider.issuer.replace(/\/$/, '')
+        }));
+        this.fetch = options.fetch || fetch;
+        // Discovery documents and key sets, per provider
+        this.metadata = new Map();
+    }
+
+    static appUrl() {
+        return process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    }
+
+    static mockProviderEnabled() {
+        return process.env.OIDC_MOCK_PROVIDER === 'true' && process.env.NODE_ENV !== 'production';
+    }
+
+    /**
+     * The bundled mock provider as configured here and as the provider sees this shop
+     * @param {string} appUrl - Origin of the shop
+     * @returns {Object} - { provider, issuer, clients } - clients for createMockOidcProvider
+     */
+    static mockProvider(appUrl = OidcService.appUrl()) {
+        const issuer = `${appUrl}/mock-oidc`;
+        return {
+            provider: { id: MOCK_PROVIDER_ID, name: 'Mock Identity Provider', issuer, clientId: MOCK_CLIENT_ID },
+            issuer,
+            clients: [{ clientId: MOCK_CLIENT_ID, redirectUris: [`${appUrl}/api/auth/oidc/${MOCK_PROVIDER_ID}/callback`] }]
+        };
+    }
+
+    static providersFromEnv(appUrl) {
+        let providers = [];
+        if (process.env.OIDC_PROVIDERS) {
+            try {
+                providers = JSON.parse(process.env.OIDC_PROVIDERS);
+            } catch (error) {
+                console.error('OIDC_PROVIDERS is not valid JSON - OIDC login is off:', error.message);
+            }
+        }
+        if (OidcService.mockProviderEnabled()) {
+            providers.push(OidcService.mockProvider(appUrl).provider);
+        }
+        return providers;
+    }
+
+    /**
+     * Providers to offer on the login page
+     * @returns {Array<Object>} - { id, name }
+     */
+    listProviders() {
+        return this.providers.map(({ id, name }) => ({ id, name }));
+    }
+
+    getProvider(providerId) {
+        const provider = this.providers.find(entry => entry.id === providerId);
+        if (!provider) {
+            throw createError('Unknown identity provider', 404, 'OIDC_PROVIDER_NOT_FOUND');
+        }
+        return provider;
+    }
+
+    redirectUri(provider) {
+        return `${this.appUrl}/api/auth/oidc/${provider.id}/callback`;
+    }
+
+    /**
+     * Start a login: remember the PKCE verifier and nonce, and build the provider's authorization URL
+     * @param {string} providerId - Provider
+     * @param {Object} options - { returnTo } - page of this shop to end up on afterwards
+     * @returns {Promise<Object>} - { authorizationUrl, state } - the state has to come back from the same browser
+     */
+    async startLogin(providerId, options = {}) {
+        const provider = this.getProvider(providerId);
+        const configuration = await this.discover(provider);
+
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken();
+        const now = new Date();
+
+        await this.persistenceManager.mutate('oidcLogins', (logins) => {
+            const pending = logins.filter(login => new Date(login.expiresAt) > now);
+            pending.push({
+                id: uuidv4(),
+                provider: provider.id,
+                stateHash: hashState(state),
+                nonce,
+                codeVerifier,
+                returnTo: safeReturnTo(options.returnTo),
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + LOGIN_TTL_MINUTES * 60 * 1000).toISOString()
+            });
+            logins.splice(0, logins.length, ...pending);
+        });
+
+        const url = new URL(configuration.authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', provider.clientId);
+        url.searchParams.set('redirect_uri', this.redirectUri(provider));
+        url.searchParams.set('scope', provider.scopes);
+        url.searchParams.set('state', state);
+        url.searchParams.set('nonce', nonce);
+        url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        return { authorizationUrl: url.toString(), state };
+    }
+
+    /**
+     * Finish a login with what the provider sent back: redeem the code and check the ID token
+     * @param {string} providerId - Provider
+     * @param {Object} params - Query of the callback: { code, state } or { error, error_description, state }
+     * @returns {Promise<Object>} - { provider, claims, returnTo }
+     */
+    async finishLogin(providerId, params = {}) {
+        const provider = this.getProvider(providerId);
+
+        // A started login can be finished once, whatever the provider answered
+        const login = params.state ? await this.consumeLogin(provider, params.state) : null;
+        if (!login) {
+            throw createError('This login attempt has expired or was not started here - please try again', 400, 'OIDC_STATE_INVALID');
+        }
+        if (params.error || !params.code) {
+            throw createError(`${provider.name} did not log you in: ${params.error_description || params.error || 'no code'}`, 401, 'OIDC_LOGIN_FAILED');
+        }
+
+        const tokens = await this.exchangeCode(provider, params.code, login.codeVerifier);
+        const claims = await this.verifyIdToken(provider, tokens.id_token, login.nonce);
+        return { provider, claims, returnTo: login.returnTo };
+    }
+
+    async consumeLogin(provider, state) {
+        const stateHash = hashState(state);
+        const now = new Date();
+        return await this.persistenceManager.mutate('oidcLogins', (logins) => {
+            const index = logins.findIndex(login => login.stateHash === stateHash && login.provider === provider.id);
+            if (index === -1) {
+                return null;
+            }
+            const [login] = logins.splice(index, 1);
+            return new Date(login.expiresAt) > now ? login : null;
+        });
+    }
+
+    async exchangeCode(provider, code, codeVerifier) {
+        const configuration = await this.discover(provider);
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri(provider),
+            client_id: provider.clientId,
+            code_verifier: codeVerifier
+        });
+        if (provider.clientSecret) {
+            body.set('client_secret', provider.clientSecret);
+        }
+
+        let response;
+        try {
+            response = await this.fetch(configuration.token_endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+                body
+            });
+        } catch (error) {
+            throw createError(`${provider.name} is not reachable right now`, 502, 'OIDC_PROVIDER_UNAVAILABLE');
+        }
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.id_token) {
+            throw createError(`${provider.name} refused the login: ${result.error_description || result.error || `HTTP ${response.status}`}`, 401, 'OIDC_LOGIN_FAILED');
+        }
+        return result;
+    }
+
+    /**
+     * Check an ID token: signature, issuer, audience, lifetime and nonce
+     * @param {Object} provider - Provider the token has to come from
+     * @param {string} idToken - The token
+     * @param {string} nonce - Nonce sent with the authorization request
+     * @returns {Promise<Object>} - The token's claims
+     */
+    async verifyIdToken(provider, idToken, nonce) {
+        const invalid = (reason) => createError(`The ID token from ${provider.name} is not valid (${reason})`, 401, 'OIDC_INVALID_ID_TOKEN');
+
+        const decoded = jwt.decode(idToken);
+        if (!decoded) {
+            throw invalid('malformed');
+        }
+        const key = await this.findKey(provider, decoded.header.kid);
+        if (!key || !jwt.verifySignature(decoded, key)) {
+            throw invalid('signature');
+        }
+
+        const claims = decoded.payload;
+        const now = Math.floor(Date.now() / 1000);
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (claims.iss !== provider.issuer) {
+            throw invalid('issuer');
+        }
+        if (!audiences.includes(provider.clientId) || (audiences.length > 1 && claims.azp !== provider.clientId)) {
+            throw invalid('audience');
+        }
+        if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+            throw invalid('expired');
+        }
+        if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+            throw invalid('issued in the future');
+        }
+        if (!nonce || claims.nonce !== nonce) {
+            throw invalid('nonce');
+        }
+        if (!claims.sub) {
+            throw invalid('no subject');
+        }
+        return claims;
+    }
+
+    // Discovery document of a provider, cached for an hour together with its key set
+    async discover(provider, refresh = false) {
+        const cached = this.metadata.get(provider.id);
+        if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+            return cached.configuration;
+        }
+
+        const configuration = await this.fetchJson(provider, `${provider.issuer}/.well-known/openid-configuration`);
+        if (configuration.issuer !== provider.issuer) {
+            throw createError(`${provider.name} is configured with the wrong issuer`, 502, 'OIDC_PROVIDER_UNAVAILABLE');
+        }
+        const keySet = await this.fetchJson(provider, configuration.jwks_uri);
+        this.metadata.set(provider.id, { configuration, keys: keySet.keys || [], fetchedAt: Date.now() });
+        return configuration;
+    }
+
+    // Signing key by ID - an unknown ID means the provider rotated its keys, so fetch them once more
+    async findKey(provider, kid) {
+        const pick = () => this.metadata.get(provider.id).keys.find(key => !kid || key.kid === kid);
+        await this.discover(provider);
+        if (pick()) {
+            return pick();
+        }
+        await this.discover(provider, true);
+        return pick() || null;
+    }
+
+    async fetchJson(provider, url) {
+        try {
+            const response = await this.fetch(url, { headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`OIDC provider ${provider.id} unavailable (${url}):`, error.message);
+            throw createError(`${provider.name} is not reachable right now`, 502, 'OIDC_PROVIDER_UNAVAILABLE');
+        }
+    }
+
+    /**
+     * The shop account a provider login belongs to - linked before, matched by verified email, or new
+     * @param {string} providerId - Provider
+     * @param {Object} claims - Verified ID token claims
+     * @returns {Promise<Object>} - { user, outcome, linkToken? } - user without password; outcome is
+     *                              'existing', 'linked' (first login of an existing customer account),
+     *                              'created', or 'confirmation_required' (a staff account - nothing is
+     *                              linked until linkIdentity() is called with the link token)
+     */
+    async resolveUser(providerId, claims) {
+        const provider = this.getProvider(providerId);
+        const subject = String(claims.sub);
+        const email = typeof claims.email === 'string' ? claims.email.trim() : null;
+        const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+        const pm = this.persistenceManager;
+
+        const staffRoles = new Set((await this.roleService.listRoles())
+            .filter(role => role.permissions.length > 0)
+            .map(role => role.id));
+
+        // A new account needs a placeholder password. bcrypt is slow, so it's only hashed once a
+        // pass finds no account to match - outside the lock - and the next pass checks again.
+        const resolve = (generatedPassword) => pm.transaction(['identities', 'users', 'history'], async (data) => {
+            const now = new Date().toISOString();
+            const identity = data.identities.find(entry => entry.provider === provider.id && entry.subject === subject);
+
+            if (identity) {
+                const user = data.users.find(entry => entry.id === identity.userId && !entry.deletedAt);
+                if (!user) {
+                    throw createError('The account linked to this login has been closed', 403, 'OIDC_ACCOUNT_UNAVAILABLE');
+                }
+                identity.lastLoginAt = now;
+                if (email) identity.email = email;
+                return { user: withoutPassword(user), outcome: 'existing' };
+            }
+
+            if (!email || !emailVerified) {
+                throw createError(`${provider.name} did not confirm an email address for you, so no shop account can be matched`, 403, 'OIDC_EMAIL_NOT_VERIFIED');
+            }
+
+            let user = data.users.find(entry => entry.email && entry.email.toLowerCase() === email.toLowerCase());
+            let outcome = 'linked';
+            if (user && user.deletedAt) {
+                throw createError('The account with this email address has been closed', 403, 'OIDC_ACCOUNT_UNAVAILABLE');
+            }
+            if (user && user.emailVerified !== true) {
+                throw createError('An account with this email address exists, but the address isn\'t verified yet - log in with your password and verify it first', 409, 'OIDC_ACCOUNT_NOT_LINKABLE');
+            }
+            if (user && staffRoles.has(user.role)) {
+                return { user: withoutPassword(user), outcome: 'confirmation_required' };
+            }
+            if (!user) {
+                if (!provider.allowSignup) {
+                    throw createError(`There is no shop account for ${email} - please register first`, 403, 'OIDC_SIGNUP_DISABLED');
+                }
+                if (!generatedPassword) {
+                    return { outcome: 'signup' };
+                }
+                user = {
+                    id: uuidv4(),
+                    username: pickUsername({ ...claims, email }, data.users),
+                    email,
+                    password: generatedPassword,
+                    role: 'user',
+                    emailVerified: true,
+                    emailVerifiedAt: now,
+                    preferences: {
+                        theme: 'light',
+                        language: 'en'
+                    },
+                    createdAt: now,
+                    lastLogin: null,
+                    version: 1
+                };
+                data.users.push(user);
+                pm.recordChange(data.history, 'users', 'create', null, user, user);
+                outcome = 'created';
+            }
+
+            data.identities.push(newIdentity(user.id, provider.id, subject, email, now));
+            return { user: withoutPassword(user), outcome };
+        });
+
+        let result = await resolve(null);
+        if (result.outcome === 'signup') {
+            result = await resolve(await bcrypt.hash(randomToken(), 12));
+        }
+
+        if (result.outcome === 'confirmation_required') {
+            result.linkToken = await issueToken(pm, 'oidcLinks', result.user.id, LOGIN_TTL_MINUTES, {
+                provider: provider.id,
+                subject,
+                email
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Link a provider login to the account it was matched to, once the account's owner confirmed
+     * @param {Object} pendingLink - Consumed 'oidcLinks' token: { userId, provider, subject, email }
+     * @returns {Promise<Object>} - The user, without password
+     */
+    async linkIdentity(pendingLink) {
+        const provider = this.getProvider(pendingLink.provider);
+
+        return await this.persistenceManager.transaction(['identities', 'users'], async (data) => {
+            const user = data.users.find(entry => entry.id === pendingLink.userId && !entry.deletedAt);
+            if (!user) {
+                throw createError('The account with this email address has been closed', 403, 'OIDC_ACCOUNT_UNAVAILABLE');
+            }
+            const now = new Date().toISOString();
+            const identity = data.identities.find(entry => entry.provider === provider.id && entry.subject === pendingLink.subject);
+            if (identity && identity.userId !== user.id) {
+                throw createError(`This ${provider.name} login is already linked to another account`, 409, 'OIDC_ACCOUNT_NOT_LINKABLE');
+            }
+            if (identity) {
+                identity.lastLoginAt = now;
+            } else {
+                data.identities.push(newIdentity(user.id, provider.id, pendingLink.subject, pendingLink.email, now));
+            }
+            return withoutPassword(user);
+        });
+    }
+}
+
+module.exports = OidcService;
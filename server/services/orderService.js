@@ -11,19 +11,18 @@ class OrderService {
      * Get order by ID with ownership validation
      * @param {string} orderId - Order ID
      * @param {string} userId - User ID making the request
-     * @param {string} userRole - User role (admin can access any order)
+     * @param {boolean} canAccessAny - Whether the user may act on other users' orders (orders:write)
      * @returns {Object} Order object or null if not found/unauthorized
      */
-    async getOrderById(orderId, userId, userRole) {
-        const orders = await this.persistenceManager.readData('orders.json');
-        const order = orders.find(order => order.id === orderId);
+    async getOrderById(orderId, userId, canAccessAny = false) {
+        const order = await this.persistenceManager.findOneBy('orders', 'id', orderId);
         
         if (!order) {
             return null;
         }
 
-        // Check ownership or admin access
-        if (order.userId !== userId && userRole !== 'admin') {
+        // Check ownership or staff access
+        if (order.userId !== userId && !canAccessAny) {
             throw new Error('ACCESS_DENIED');
         }
 
@@ -35,78 +34,80 @@ class OrderService {
      * @param {string} orderId - Order ID
      * @param {string} newStatus - New order status
      * @param {Object} additionalData - Additional data to merge with order
+     * @param {Object} options - Write options (actor for the order history, ifMatch versions)
      * @returns {Object} Updated order object
      */
-    async updateOrderStatus(orderId, newStatus, additionalData = {}) {
-        const orders = await this.persistenceManager.readData('orders.json');
-        const orderIndex = orders.findIndex(order => order.id === orderId);
-        
-        if (orderIndex === -1) {
-            throw new Error('ORDER_NOT_FOUND');
-        }
-
-        // Update order with new status and additional data
-        orders[orderIndex].status = newStatus;
-        
-        // Add completion timestamp if order is completed
-        if (newStatus === 'completed') {
-            orders[orderIndex].completedAt = new Date().toISOString();
+    async updateOrderStatus(orderId, newStatus, additionalData = {}, options = {}) {
+        try {
+            return await this.persistenceManager.mutateRecord('orders', orderId, (order) => {
+                // Update order with new status and additional data
+                order.status = newStatus;
+                
+                // Add completion timestamp if order is completed
+                if (newStatus === 'completed') {
+                    order.completedAt = new Date().toISOString();
+                }
+
+                // Merge any additional data
+                Object.assign(order, additionalData);
+                
+                return order;
+            }, options);
+        } catch (error) {
+            if (error.errorType === 'ITEM_NOT_FOUND') {
+                throw new Error('ORDER_NOT_FOUND');
+            }
+            throw error;
         }
-
-        // Merge any additional data
-        orders[orderIndex] = {
-            ...orders[orderIndex],
-            ...additionalData
-        };
-
-        // Save updated orders
-        await this.persistenceManager.writeData('orders.json', orders);
-        
-        return orders[orderIndex];
     }
 
     /**
-     * Process payment for an order
+     * Process payment for an order and clear the user's cart in a single transaction
      * @param {string} orderId - Order ID
-     * @param {string} userId - User ID (for ownership validation)
+     * @param {Object} user - Paying user (for ownership validation and the order history)
      * @param {Object} paymentRecord - Payment record from payment service
      * @returns {Object} Updated order with payment details
      */
-    async processPaymentForOrder(orderId, userId, paymentRecord) {
-        const orders = await this.persistenceManager.readData('orders.json');
-        const orderIndex = orders.findIndex(order => order.id === orderId);
-        
-        if (orderIndex === -1) {
-            throw new Error('ORDER_NOT_FOUND');
-        }
-
-        const order = orders[orderIndex];
-        
-        // Validate ownership
-        if (order.userId !== userId) {
-            throw new Error('ACCESS_DENIED');
-        }
-
-        // Validate order can be paid
-        if (order.status === 'completed') {
-            throw new Error('ORDER_ALREADY_COMPLETED');
-        }
-
-        // Update order with payment details
-        const updatedOrder = await this.updateOrderStatus(orderId, 'completed', {
-            paymentDetails: paymentRecord
+    async processPaymentForOrder(orderId, user, paymentRecord) {
+        const userId = user.id;
+        return await this.persistenceManager.transaction(['orders', 'carts', 'history'], ({ orders, carts, history }) => {
+            const orderIndex = orders.findIndex(order => order.id === orderId && !order.deletedAt);
+            
+            if (orderIndex === -1) {
+                throw new Error('ORDER_NOT_FOUND');
+            }
+
+            const order = orders[orderIndex];
+            
+            // Validate ownership
+            if (order.userId !== userId) {
+                throw new Error('ACCESS_DENIED');
+            }
+
+            // Validate order can be paid
+            if (order.status === 'completed') {
+                throw new Error('ORDER_ALREADY_COMPLETED');
+            }
+
+            // Update order with payment details
+            orders[orderIndex] = {
+                ...order,
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                paymentDetails: paymentRecord,
+                version: (order.version || 0) + 1
+            };
+            this.persistenceManager.recordChange(history, 'orders', 'update', order, orders[orderIndex], user);
+
+            // Clear user's cart after successful payment
+            const cart = carts.find(cart => cart.userId === userId);
+            if (cart) {
+                cart.items = [];
+                cart.updatedAt = new Date().toISOString();
+            }
+
+            return orders[orderIndex];
         });
-
-        return updatedOrder;
-    }
-
-    /**
-     * Clear user's cart after successful payment
-     * @param {string} userId - User ID
-     * @returns {Promise} Promise that resolves when cart is cleared
-     */
-    async clearUserCart(userId) {
-        await this.persistenceManager.updateUserCart(userId, { items: [] });
     }
 
     /**
@@ -115,8 +116,7 @@ class OrderService {
      * @returns {Array} Array of user's orders
      */
     async getUserOrders(userId) {
-        const orders = await this.persistenceManager.readData('orders.json');
-        return orders.filter(order => order.userId === userId);
+        return await this.persistenceManager.getUserOrders(userId);
     }
 
     /**
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { createError } = require('../modules/error-handler');
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '../config/common-passwords.txt');
+
+// bcrypt only looks at the first 72 bytes - a longer password would match anything sharing them
+const BCRYPT_MAX_BYTES = 72;
+
+const CHARACTER_CLASSES = [
+    { name: 'lowercase letters', pattern: /[a-z]/ },
+    { name: 'uppercase letters', pattern: /[A-Z]/ },
+    { name: 'digits', pattern: /[0-9]/ },
+    { name: 'symbols', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// Blocklists by file path, read once per process
+const blocklists = new Map();
+
+function loadBlocklist(file) {
+    if (!blocklists.has(file)) {
+        let entries = [];
+        try {
+            entries = fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'));
+        } catch (error) {
+            console.warn(`⚠️  Password blocklist ${file} could not be read: ${error.message}`);
+        }
+        blocklists.set(file, new Set(entries));
+    }
+    return blocklists.get(file);
+}
+
+/**
+ * Password Policy Service
+ * Rules a new password has to meet - at registration, password reset and password change.
+ * Earlier password hashes are kept in their own collection ('passwordHistory') rather than on the
+ * user record, so they never end up in profile responses.
+ *
+ * Configuration:
+ *   PASSWORD_MIN_LENGTH            - shortest password (default: 8)
+ *   PASSWORD_MAX_LENGTH            - longest password in characters (default: 72). Whatever this is,
+ *                                    passwords are also limited to the 72 bytes bcrypt reads, which
+ *                                    is fewer characters for non-ASCII text.
+ *   PASSWORD_MIN_CHARACTER_CLASSES - how many of lowercase, uppercase, digits and symbols a password
+ *                                    must mix (default: 2)
+ *   PASSWORD_BLOCKLIST_FILE        - file of common or breached passwords to refuse, one per line
+ *                                    (default: server/config/common-passwords.txt; 'none' turns it off)
+ *   PASSWORD_HISTORY_COUNT         - how many recent passwords, the current one included, can't be
+ *                                    reused (default: 5; 0 turns it off)
+ */
+class PasswordPolicyService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the password history
+     * @param {Object} options - Overrides for the configuration above
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.minLength = options.minLength || parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+        this.maxLength = options.maxLength || parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72;
+        this.minCharacterClasses = readSetting(options.minCharacterClasses, process.env.PASSWORD_MIN_CHARACTER_CLASSES, 2);
+        this.historyCount = readSetting(options.historyCount, process.env.PASSWORD_HISTORY_COUNT, 5);
+
+        const blocklistFile = options.blocklistFile !== undefined ? options.blocklistFile : process.env.PASSWORD_BLOCKLIST_FILE;
+        this.blocklistFile = blocklistFile === 'none' ? null : (blocklistFile || DEFAULT_BLOCKLIST_FILE);
+    }
+
+    /**
+     * The rules, for showing next to password fields
+     * @returns {Object} - { minLength, maxLength, maxBytes, minCharacterClasses, characterClasses, blocksCommonPasswords, historyCount, summary }
+     */
+    describe() {
+        const parts = [`${this.minLength}-${this.maxLength} characters`];
+        if (this.minCharacterClasses > 1) {
+            parts.push(`at least ${this.minCharacterClasses} of lowercase, uppercase, digits and symbols`);
+        }
+        if (this.blocklistFile) {
+            parts.push('not a common password');
+        }
+        if (this.historyCount > 0) {
+            parts.push(`not one of your last ${this.historyCount} passwords`);
+        }
+
+        return {
+            minLength: this.minLength,
+            maxLength: this.maxLength,
+            maxBytes: BCRYPT_MAX_BYTES,
+            minCharacterClasses: this.minCharacterClasses,
+            characterClasses: CHARACTER_CLASSES.map(characterClass => characterClass.name),
+            blocksCommonPasswords: Boolean(this.blocklistFile),
+            historyCount: this.historyCount,
+            summary: parts.join(', ')
+        };
+    }
+
+    /**
+     * Everything wrong with a password
+     * @param {string} password - Proposed password
+     * @param {Object} user - Account it is for: { username, email } at registration, the full
+     *                        user record (with its password hash) when it already exists
+     * @returns {Promise<Array<string>>} - Problems, empty if the password is acceptable
+     */
+    async check(password, user = {}) {
+        const problems = [];
+        const value = String(password || '');
+
+        if (value.length < this.minLength) {
+            problems.push(`Password must be at least ${this.minLength} characters long`);
+        }
+        if (value.length > this.maxLength) {
+            problems.push(`Password must be at most ${this.maxLength} characters long`);
+        } else if (Buffer.byteLength(value) > BCRYPT_MAX_BYTES) {
+            problems.push(`Password must be at most ${BCRYPT_MAX_BYTES} bytes long - accented letters, emoji and other non-ASCII characters take 2-4 bytes each`);
+        }
+
+        const classes = CHARACTER_CLASSES.filter(characterClass => characterClass.pattern.test(value));
+        if (classes.length < this.minCharacterClasses) {
+            problems.push(`Password must mix at least ${this.minCharacterClasses} of: ${CHARACTER_CLASSES.map(c => c.name).join(', ')}`);
+        }
+
+        if (this.blocklistFile && loadBlocklist(this.blocklistFile).has(value.toLowerCase())) {
+            problems.push('That password is too common - it appears in lists of breached passwords');
+        }
+
+        const lower = value.toLowerCase();
+        const emailName = user.email ? String(user.email).split('@')[0].toLowerCase() : '';
+        if ((user.username && user.username.length >= 3 && lower.includes(user.username.toLowerCase()))
+            || (emailName.length >= 3 && lower.includes(emailName))) {
+            problems.push('Password must not contain your username or email address');
+        }
+
+        // Only worth the bcrypt comparisons if nothing else is wrong
+        if (problems.length === 0 && user.id && await this.isRecentPassword(value, user)) {
+            problems.push(`Password must not be one of your last ${this.historyCount} passwords`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Throw if a password breaks the policy
+     * @param {string} password - Proposed password
+     * @param {Object} user - Account it is for (see check)
+     */
+    async enforce(password, user = {}) {
+        const problems = await this.check(password, user);
+        if (problems.length > 0) {
+            throw createError(problems.join('. '), 400, 'WEAK_PASSWORD');
+        }
+    }
+
+    /**
+     * Remember a password that is being replaced, so it can't be chosen again for a while
+     * @param {string} userId - Account
+     * @param {string} previousHash - bcrypt hash of the password being replaced
+     */
+    async rememberPassword(userId, previousHash) {
+        if (this.historyCount <= 1 || !previousHash) {
+            return;
+        }
+
+        await this.persistenceManager.mutate('passwordHistory', (entries) => {
+            let entry = entries.find(record => record.userId === userId);
+            if (!entry) {
+                entry = { userId, hashes: [] };
+                entries.push(entry);
+            }
+            entry.hashes.push({ hash: previousHash, replacedAt: new Date().toISOString() });
+            // The current password is the most recent one, so keep historyCount - 1 older ones
+            entry.hashes = entry.hashes.slice(-(this.historyCount - 1));
+        });
+    }
+
+    async isRecentPassword(password, user) {
+        if (this.historyCount <= 0) {
+            return false;
+        }
+
+        const entries = await this.persistenceManager.readData('passwordHistory');
+        const entry = entries.find(record => record.userId === user.id);
+        const previous = entry && this.historyCount > 1
+            ? entry.hashes.slice(-(this.historyCount - 1)).map(record => record.hash)
+            : [];
+        const recent = [user.password, ...previous].filter(Boolean);
+
+        for (const hash of recent) {
+            if (await bcrypt.compare(password, hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+// Numeric setting where 0 is meaningful: option, then environment, then default
+function readSetting(option, envValue, fallback) {
+    if (option !== undefined) {
+        return option;
+    }
+    const parsed = parseInt(envValue, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = PasswordPolicyService;
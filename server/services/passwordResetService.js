@@ -0,0 +1,108 @@
+const bcrypt = require('bcrypt');
+const { createError } = require('../modules/error-handler');
+const { issueToken, findToken, consumeToken } = require('../modules/one-time-tokens');
+const SessionService = require('./sessionService');
+const PasswordPolicyService = require('./passwordPolicyService');
+
+/**
+ * Password Reset Service
+ * Emails single-use, expiring reset links and exchanges them for a new password.
+ * Tokens are stored hashed (see one-time-tokens).
+ *
+ * Configuration:
+ *   PASSWORD_RESET_TTL_MINUTES - how long a link stays valid (default: 60)
+ *   APP_URL                    - origin the links point at (default: http://localhost:<PORT>)
+ */
+class PasswordResetService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding users and reset tokens
+     * @param {Mailer} mailer - Mailer the links are sent with
+     * @param {Object} options - Service options
+     * @param {number} options.tokenTtlMinutes - Link lifetime in minutes
+     * @param {string} options.appUrl - Origin the links point at
+     * @param {PasswordPolicyService} options.passwordPolicy - Policy new passwords must meet
+     */
+    constructor(persistenceManager, mailer, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.mailer = mailer;
+        this.sessionService = new SessionService(persistenceManager);
+        this.passwordPolicy = options.passwordPolicy || new PasswordPolicyService(persistenceManager);
+        this.tokenTtlMinutes = options.tokenTtlMinutes || parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+        this.appUrl = options.appUrl || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    }
+
+    /**
+     * Email a reset link to an account. Unknown and deleted accounts are ignored without an
+     * error, so callers can answer the same way either way and accounts can't be probed.
+     * Issuing a link invalidates the account's earlier links.
+     * @param {string} identifier - Email address or username
+     * @returns {Promise<Object|null>} - The user the link was sent to, or null
+     */
+    async requestReset(identifier) {
+        const user = await this.persistenceManager.findUserByLogin(identifier);
+        if (!user) {
+            return null;
+        }
+
+        const token = await issueToken(this.persistenceManager, 'passwordResets', user.id, this.tokenTtlMinutes);
+        const link = `${this.appUrl}/pages/reset-password.html?token=${token}`;
+        await this.mailer.send({
+            to: user.email,
+            subject: 'Reset your Coffee Shop password',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'We received a request to reset the password of your Coffee Shop account. Open this link to choose a new one:',
+                '',
+                link,
+                '',
+                `The link works once and expires in ${this.tokenTtlMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`
+            ].join('\n'),
+            html: `<p>Hi ${user.username},</p>`
+                + '<p>We received a request to reset the password of your Coffee Shop account.</p>'
+                + `<p><a href="${link}">Choose a new password</a></p>`
+                + `<p>The link works once and expires in ${this.tokenTtlMinutes} minutes. If you didn't ask for a reset, you can ignore this email.</p>`
+        });
+
+        return user;
+    }
+
+    /**
+     * Set a new password with a reset token. A password that breaks the policy leaves the
+     * token usable; otherwise the token is used up before the password is changed, and every
+     * session of the account is signed out afterwards.
+     * @param {string} token - Token from the reset link
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} - The user, without the password
+     */
+    async resetPassword(token, newPassword) {
+        const pending = await findToken(this.persistenceManager, 'passwordResets', token);
+        const pendingAccount = pending && await this.persistenceManager.findOneBy('users', 'id', pending.userId);
+        if (pendingAccount) {
+            await this.passwordPolicy.enforce(newPassword, pendingAccount);
+        }
+
+        const reset = await consumeToken(this.persistenceManager, 'passwordResets', token);
+        const account = reset && await this.persistenceManager.findOneBy('users', 'id', reset.userId);
+        if (!account) {
+            throw createError('This password reset link is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+        }
+
+        const now = new Date();
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        const user = await this.persistenceManager.mutateRecord('users', account.id, (record) => {
+            record.password = hashedPassword;
+            record.passwordChangedAt = now.toISOString();
+            record.updatedAt = now.toISOString();
+            const { password, ...safeUser } = record;
+            return safeUser;
+        }, { actor: account });
+
+        await this.passwordPolicy.rememberPassword(account.id, account.password);
+        await this.sessionService.revokeAll(account.id);
+
+        return user;
+    }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,227 @@
+const { createError } = require('../modules/error-handler');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES, PROTECTED_ROLES, grants } = require('../modules/permissions');
+
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+/**
+ * Role Service
+ * Role definitions (the 'roles' collection) and role assignments (users[].role).
+ * A store without any roles yet (not migrated) falls back to the built-in defaults, so it
+ * still knows its admins.
+ *
+ * Changes made on behalf of a user (options.actor) can only hand out permissions that user holds,
+ * like API key scopes: nobody with roles:manage can create a '*' role for themselves, assign the
+ * admin role, or change the role of someone who holds more than they do.
+ */
+class RoleService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding roles and users
+     */
+    constructor(persistenceManager) {
+        this.persistenceManager = persistenceManager;
+    }
+
+    /**
+     * Every role, built-in ones first
+     * @returns {Promise<Array<Object>>} - Roles
+     */
+    async listRoles() {
+        const stored = await this.persistenceManager.readData('roles');
+        const roles = stored.length > 0 ? stored : defaultRoles();
+        return [...roles].sort((a, b) => Number(Boolean(b.builtIn)) - Number(Boolean(a.builtIn)));
+    }
+
+    /**
+     * @param {string} roleId - Role id
+     * @returns {Promise<Object|null>} - The role, or null
+     */
+    async getRole(roleId) {
+        const roles = await this.listRoles();
+        return roles.find(role => role.id === roleId) || null;
+    }
+
+    /**
+     * Permissions a role grants (none for unknown roles)
+     * @param {string} roleId - Role id
+     * @returns {Promise<Array<string>>} - Permissions
+     */
+    async permissionsFor(roleId) {
+        const role = await this.getRole(roleId);
+        return role ? [...role.permissions] : [];
+    }
+
+    /**
+     * Whether a user's role grants a permission
+     * @param {Object} user - User
+     * @param {string} permission - Permission to check
+     * @returns {Promise<boolean>}
+     */
+    async hasPermission(user, permission) {
+        return grants(await this.permissionsFor(user.role), permission);
+    }
+
+    /**
+     * Define a new role
+     * @param {Object} definition - { id, name, description, permissions }
+     * @param {Object} options - { actor } - user defining it (default: system)
+     * @returns {Promise<Object>} - The role
+     */
+    async createRole({ id, name, description, permissions }, options = {}) {
+        if (!ROLE_ID_PATTERN.test(id || '')) {
+            throw createError('Role ids are 2-32 lowercase letters, digits, dashes or underscores, starting with a letter', 400, 'INVALID_ROLE_ID');
+        }
+        const validPermissions = this.validatePermissions(permissions);
+        assertCanGrant(options.actor, validPermissions);
+
+        const role = {
+            id,
+            name: name || id,
+            description: description || '',
+            permissions: validPermissions,
+            builtIn: false,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.mutateRoles((roles) => {
+            if (roles.some(entry => entry.id === id)) {
+                throw createError(`Role "${id}" already exists`, 409, 'ROLE_EXISTS');
+            }
+            roles.push(role);
+        });
+        return role;
+    }
+
+    /**
+     * Change a role's name, description or permissions. The admin role's permissions can't change.
+     * @param {string} roleId - Role id
+     * @param {Object} changes - { name, description, permissions }
+     * @param {Object} options - { actor } - user changing it (default: system); they must hold the
+     *                           role's permissions, before and after the change
+     * @returns {Promise<Object>} - The updated role
+     */
+    async updateRole(roleId, { name, description, permissions }, options = {}) {
+        const current = await this.getRole(roleId);
+        if (!current) {
+            throw createError(`Role "${roleId}" not found`, 404, 'ROLE_NOT_FOUND');
+        }
+        if (roleId === 'admin' && permissions !== undefined) {
+            throw createError('The admin role always has every permission', 400, 'ROLE_PROTECTED');
+        }
+        const newPermissions = permissions !== undefined ? this.validatePermissions(permissions) : current.permissions;
+        assertCanGrant(options.actor, [...current.permissions, ...newPermissions]);
+
+        const updated = {
+            ...current,
+            name: name !== undefined ? name : current.name,
+            description: description !== undefined ? description : current.description,
+            permissions: newPermissions,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.mutateRoles((roles) => {
+            const remaining = roles.filter(role => role.id !== roleId);
+            remaining.push(updated);
+            roles.splice(0, roles.length, ...remaining);
+        });
+        return updated;
+    }
+
+    /**
+     * Delete a role nobody holds
+     * @param {string} roleId - Role id
+     * @returns {Promise<Object>} - The deleted role
+     */
+    async deleteRole(roleId) {
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw createError(`Role "${roleId}" not found`, 404, 'ROLE_NOT_FOUND');
+        }
+        if (PROTECTED_ROLES.includes(roleId)) {
+            throw createError(`The ${roleId} role can't be deleted`, 400, 'ROLE_PROTECTED');
+        }
+
+        const holders = await this.persistenceManager.findBy('users', 'role', roleId);
+        if (holders.length > 0) {
+            throw createError(`${holders.length} user(s) still have the ${roleId} role - reassign them first`, 409, 'ROLE_IN_USE');
+        }
+
+        await this.mutateRoles((roles) => {
+            const remaining = roles.filter(entry => entry.id !== roleId);
+            roles.splice(0, roles.length, ...remaining);
+        });
+        return role;
+    }
+
+    /**
+     * Give a user a role. The last admin can't lose the admin role.
+     * @param {string} userId - User
+     * @param {string} roleId - Role to assign
+     * @param {Object} options - Write options (actor, ifMatch); the actor must hold the permissions
+     *                           of both the new role and the user's current one
+     * @returns {Promise<Object>} - The user, without the password
+     */
+    async assignRole(userId, roleId, options = {}) {
+        const roles = await this.listRoles();
+        const role = roles.find(entry => entry.id === roleId);
+        if (!role) {
+            throw createError(`Role "${roleId}" not found`, 404, 'ROLE_NOT_FOUND');
+        }
+        assertCanGrant(options.actor, role.permissions);
+
+        return await this.persistenceManager.mutateRecord('users', userId, (user, { users }) => {
+            const currentRole = roles.find(entry => entry.id === user.role);
+            assertCanGrant(options.actor, currentRole ? currentRole.permissions : []);
+
+            // Counted under the users lock, so concurrent demotions can't each see another admin left
+            const admins = users.filter(entry => entry.role === 'admin' && !entry.deletedAt);
+            if (user.role === 'admin' && roleId !== 'admin' && admins.length <= 1) {
+                throw createError('The store needs at least one admin', 409, 'LAST_ADMIN');
+            }
+            user.role = roleId;
+            user.updatedAt = new Date().toISOString();
+            const { password, ...safeUser } = user;
+            return safeUser;
+        }, options);
+    }
+
+    // Writes to a store that still runs on the fallback defaults store them first
+    async mutateRoles(fn) {
+        return await this.persistenceManager.mutate('roles', (roles) => {
+            if (roles.length === 0) {
+                roles.push(...defaultRoles());
+            }
+            return fn(roles);
+        });
+    }
+
+    validatePermissions(permissions) {
+        if (!Array.isArray(permissions)) {
+            throw createError('permissions must be an array', 400, 'INVALID_PERMISSION');
+        }
+        const unknown = permissions.filter(permission => permission !== ALL_PERMISSIONS && !PERMISSIONS[permission]);
+        if (unknown.length > 0) {
+            throw createError(`Unknown permission(s): ${unknown.join(', ')}`, 400, 'INVALID_PERMISSION');
+        }
+        return [...new Set(permissions)];
+    }
+}
+
+// A user can only grant (or take away) permissions they hold themselves; system changes have no actor
+function assertCanGrant(actor, permissions) {
+    if (!actor) {
+        return;
+    }
+    const held = actor.permissions || [];
+    const notHeld = [...new Set(permissions)].filter(permission => permission === ALL_PERMISSIONS
+        ? !held.includes(ALL_PERMISSIONS)
+        : !grants(held, permission));
+    if (notHeld.length > 0) {
+        throw createError(`You can't grant or change permissions you don't have: ${notHeld.join(', ')}`, 403, 'PERMISSION_NOT_HELD');
+    }
+}
+
+function defaultRoles() {
+    return DEFAULT_ROLES.map(role => ({ ...role, permissions: [...role.permissions] }));
+}
+
+module.exports = RoleService;
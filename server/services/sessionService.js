@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { hashToken } = require('../modules/one-time-tokens');
+
+const REMEMBER_ME_LIFETIME_MS = 12 * 24 * 60 * 60 * 1000; // 12 days
+
+// How many rotated refresh tokens a session remembers for reuse detection
+const ROTATED_TOKENS_KEPT = 20;
+// A just-retired refresh token presented within this window lost a race, it wasn't stolen
+const REFRESH_RACE_WINDOW_MS = 30 * 1000;
+
+/**
+ * Session Service
+ * Login sessions, one per device. A user can be logged in on several devices at once;
+ * every session records the device's user agent and IP address and when it was last used,
+ * so the user can see where they are logged in and revoke sessions they don't recognise.
+ * Session tokens never leave this service except to be set as the auth cookie.
+ *
+ * Sessions without "remember me" slide: every request pushes their expiry to the idle timeout
+ * from now, up to a maximum lifetime counted from login. "Remember me" sessions last 12 days.
+ *
+ * With refresh tokens turned on, the auth cookie holds a short-lived access token instead and
+ * the session also gets a refresh token. Exchanging the refresh token (rotate) issues a new pair
+ * and retires the old refresh token; if a retired refresh token is ever presented again, someone
+ * copied it, and the whole session is revoked. Only a hash of the refresh token is stored.
+ *
+ * Configuration:
+ *   SESSION_IDLE_TIMEOUT_MINUTES  - how long a session survives without requests (default: 30)
+ *   SESSION_MAX_LIFETIME_HOURS    - how long a sliding session can last at most (default: 12)
+ *   SESSION_REFRESH_TOKENS        - 'true' to issue access and refresh tokens (default: off)
+ *   ACCESS_TOKEN_LIFETIME_MINUTES - lifetime of an access token (default: 5)
+ */
+class SessionService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding the sessions
+     * @param {Object} options - Service options
+     * @param {number} options.touchIntervalMs - Least time between two lastSeenAt updates of a session (default: 1 minute)
+     * @param {number} options.idleTimeoutMs - Overrides SESSION_IDLE_TIMEOUT_MINUTES
+     * @param {number} options.maxLifetimeMs - Overrides SESSION_MAX_LIFETIME_HOURS
+     * @param {boolean} options.refreshTokens - Overrides SESSION_REFRESH_TOKENS
+     * @param {number} options.accessTokenLifetimeMs - Overrides ACCESS_TOKEN_LIFETIME_MINUTES
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.touchIntervalMs = options.touchIntervalMs !== undefined ? options.touchIntervalMs : 60 * 1000;
+        this.idleTimeoutMs = options.idleTimeoutMs || (parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+        this.maxLifetimeMs = options.maxLifetimeMs || (parseInt(process.env.SESSION_MAX_LIFETIME_HOURS, 10) || 12) * 60 * 60 * 1000;
+        this.refreshTokens = options.refreshTokens !== undefined ? options.refreshTokens : process.env.SESSION_REFRESH_TOKENS === 'true';
+        this.accessTokenLifetimeMs = options.accessTokenLifetimeMs || (parseInt(process.env.ACCESS_TOKEN_LIFETIME_MINUTES, 10) || 5) * 60 * 1000;
+    }
+
+    /**
+     * Start a session. The user's other sessions stay valid; only their expired ones are pruned.
+     * @param {string} userId - User logging in
+     * @param {Object} options - Session options
+     * @param {boolean} options.rememberMe - Keep the session for 12 days instead of sliding
+     * @param {string} options.userAgent - User-Agent header of the device
+     * @param {string} options.ip - IP address of the device
+     * @param {Object} options.impersonatedBy - { id, username } of an admin acting as the user; such a
+     *                                          session lasts options.lifetimeMs, doesn't slide and has no refresh token
+     * @param {number} options.lifetimeMs - Fixed lifetime of an impersonation session
+     * @returns {Promise<Object>} - { token, expiresAt, session }, plus refreshToken and
+     *                              accessExpiresAt when refresh tokens are on
+     */
+    async create(userId, options = {}) {
+        const rememberMe = Boolean(options.rememberMe);
+        const impersonatedBy = options.impersonatedBy || null;
+        const now = new Date();
+        const lifetimeMs = impersonatedBy ? options.lifetimeMs : (rememberMe ? REMEMBER_ME_LIFETIME_MS : this.maxLifetimeMs);
+        const maxExpiresAt = new Date(now.getTime() + lifetimeMs);
+        const expiresAt = rememberMe || impersonatedBy ? maxExpiresAt : this.slidingExpiry(now, maxExpiresAt);
+
+        const session = {
+            id: uuidv4(),
+            token: uuidv4(),
+            userId,
+            userAgent: options.userAgent ? String(options.userAgent).slice(0, 256) : null,
+            ip: options.ip || null,
+            createdAt: now.toISOString(),
+            lastSeenAt: now.toISOString(),
+            expiresAt: expiresAt.toISOString(),
+            maxExpiresAt: maxExpiresAt.toISOString(),
+            rememberMe
+        };
+        if (impersonatedBy) {
+            session.impersonatedBy = impersonatedBy;
+        }
+
+        let refreshToken = null;
+        if (this.refreshTokens && !impersonatedBy) {
+            refreshToken = generateRefreshToken();
+            session.refreshTokenHash = hashToken(refreshToken);
+            session.rotatedRefreshTokens = [];
+            session.accessExpiresAt = new Date(now.getTime() + this.accessTokenLifetimeMs).toISOString();
+        }
+
+        await this.persistenceManager.mutate('sessions', (sessions) => {
+            const remaining = sessions.filter(s => s.userId !== userId || new Date(s.expiresAt) > now);
+            remaining.push(session);
+            sessions.splice(0, sessions.length, ...remaining);
+        });
+
+        return this.issued(session, refreshToken);
+    }
+
+    /**
+     * Look up an unexpired session by token and record that it was used, which also slides
+     * its expiry
+     * @param {string} token - Session (access) token from the auth cookie
+     * @param {Object} context - { ip } of the current request
+     * @returns {Promise<Object|null>} - The session, or null
+     */
+    async findActive(token, context = {}) {
+        const session = await this.persistenceManager.findOneBy('sessions', 'token', token);
+        const now = new Date();
+        if (!session || new Date(session.expiresAt) <= now
+            || (session.accessExpiresAt && new Date(session.accessExpiresAt) <= now)) {
+            return null;
+        }
+
+        // Throttled, so browsing doesn't rewrite the sessions file on every request
+        const lastSeen = new Date(session.lastSeenAt || session.createdAt).getTime();
+        if (now.getTime() - lastSeen >= this.touchIntervalMs) {
+            session.lastSeenAt = now.toISOString();
+            if (context.ip) session.ip = context.ip;
+            if (!session.rememberMe && !session.impersonatedBy) {
+                session.expiresAt = this.slidingExpiry(now, sessionMaxExpiry(session)).toISOString();
+            }
+            await this.persistenceManager.mutate('sessions', (sessions) => {
+                const latest = sessions.find(s => s.id === session.id);
+                if (latest) {
+                    latest.lastSeenAt = session.lastSeenAt;
+                    latest.ip = session.ip;
+                    latest.expiresAt = session.expiresAt;
+                }
+            });
+        }
+
+        return session;
+    }
+
+    /**
+     * Expiry of the session an access token belongs to, without counting as activity - for
+     * checking how long an idle page has left. Also works once the access token itself has expired.
+     * @param {string} token - Session (access) token from the auth cookie
+     * @returns {Promise<Object|null>} - { expiresAt, accessExpiresAt }, or null if the session is gone
+     */
+    async status(token) {
+        const session = await this.persistenceManager.findOneBy('sessions', 'token', token);
+        if (!session || new Date(session.expiresAt) <= new Date()) {
+            return null;
+        }
+        return { expiresAt: session.expiresAt, accessExpiresAt: session.accessExpiresAt || null };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token. Counts as activity.
+     * @param {string} refreshToken - Refresh token from its cookie
+     * @param {Object} context - { ip } of the current request
+     * @returns {Promise<Object>} - { status: 'rotated', token, refreshToken, expiresAt, accessExpiresAt, session },
+     *   { status: 'superseded' } for a token rotated moments ago by a concurrent request (harmless),
+     *   { status: 'reused', session } for an older retired token - the session has been revoked,
+     *   or { status: 'invalid' }
+     */
+    async rotate(refreshToken, context = {}) {
+        const hash = hashToken(refreshToken);
+        const now = new Date();
+        const replacement = generateRefreshToken();
+
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const index = sessions.findIndex(s => s.refreshTokenHash === hash
+                || (s.rotatedRefreshTokens || []).some(rotated => rotated.hash === hash));
+            const session = sessions[index];
+            if (!session || new Date(session.expiresAt) <= now) {
+                return { status: 'invalid' };
+            }
+
+            if (session.refreshTokenHash !== hash) {
+                const rotated = session.rotatedRefreshTokens.find(entry => entry.hash === hash);
+                // Two tabs refreshing at once: the loser presents the token the winner just retired
+                if (now.getTime() - new Date(rotated.rotatedAt).getTime() < REFRESH_RACE_WINDOW_MS) {
+                    return { status: 'superseded' };
+                }
+                sessions.splice(index, 1);
+                return { status: 'reused', session: { ...this.describe(session), userId: session.userId } };
+            }
+
+            session.rotatedRefreshTokens = [
+                ...session.rotatedRefreshTokens,
+                { hash, rotatedAt: now.toISOString() }
+            ].slice(-ROTATED_TOKENS_KEPT);
+            session.refreshTokenHash = hashToken(replacement);
+            session.token = uuidv4();
+            session.accessExpiresAt = new Date(now.getTime() + this.accessTokenLifetimeMs).toISOString();
+            session.lastSeenAt = now.toISOString();
+            if (context.ip) session.ip = context.ip;
+            if (!session.rememberMe) {
+                session.expiresAt = this.slidingExpiry(now, sessionMaxExpiry(session)).toISOString();
+            }
+
+            return { status: 'rotated', ...this.issued(session, replacement) };
+        });
+    }
+
+    /**
+     * A user's unexpired sessions, most recently used first, without their tokens
+     * @param {string} userId - Session owner
+     * @param {string} currentToken - Token of the requesting session, flagged with current: true
+     * @returns {Promise<Array<Object>>} - Sessions
+     */
+    async list(userId, currentToken = null) {
+        const now = new Date();
+        const sessions = await this.persistenceManager.findBy('sessions', 'userId', userId);
+
+        return sessions
+            .filter(session => new Date(session.expiresAt) > now)
+            .map(session => ({ ...this.describe(session), current: session.token === currentToken }))
+            .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {string} userId - Session owner
+     * @param {string} sessionId - Session to revoke
+     * @returns {Promise<Object|null>} - The revoked session (with its token, so callers can tell
+     *                                   whether it was their own), or null if the user has no such session
+     */
+    async revoke(userId, sessionId) {
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const index = sessions.findIndex(s => s.id === sessionId && s.userId === userId);
+            if (index === -1) {
+                return null;
+            }
+            return sessions.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Revoke every session of a user ("log out everywhere")
+     * @param {string} userId - Session owner
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    async revokeAll(userId) {
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const remaining = sessions.filter(s => s.userId !== userId);
+            const revoked = sessions.length - remaining.length;
+            sessions.splice(0, sessions.length, ...remaining);
+            return revoked;
+        });
+    }
+
+    /**
+     * Revoke every session of a user except the one making the request
+     * @param {string} userId - Session owner
+     * @param {string} currentToken - Token of the session to keep
+     * @returns {Promise<number>} - Number of sessions revoked
+     */
+    async revokeOthers(userId, currentToken) {
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const remaining = sessions.filter(s => s.userId !== userId || s.token === currentToken);
+            const revoked = sessions.length - remaining.length;
+            sessions.splice(0, sessions.length, ...remaining);
+            return revoked;
+        });
+    }
+
+    /**
+     * End the session a token belongs to
+     * @param {string} token - Session (access) token
+     * @param {string} refreshToken - Refresh token, to find the session once the access token expired
+     * @returns {Promise<boolean>} - Whether a session was removed
+     */
+    async destroy(token, refreshToken = null) {
+        const refreshTokenHash = refreshToken ? hashToken(refreshToken) : null;
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const index = sessions.findIndex(s => (token && s.token === token)
+                || (refreshTokenHash && s.refreshTokenHash === refreshTokenHash));
+            if (index === -1) {
+                return false;
+            }
+            sessions.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Remove expired sessions of all users
+     * @returns {Promise<number>} - Number of sessions removed
+     */
+    async cleanupExpired() {
+        const now = new Date();
+        return await this.persistenceManager.mutate('sessions', (sessions) => {
+            const active = sessions.filter(s => new Date(s.expiresAt) > now);
+            const removed = sessions.length - active.length;
+            sessions.splice(0, sessions.length, ...active);
+            return removed;
+        });
+    }
+
+    // Idle timeout from now, but never past the session's maximum lifetime
+    slidingExpiry(now, maxExpiresAt) {
+        return new Date(Math.min(now.getTime() + this.idleTimeoutMs, maxExpiresAt.getTime()));
+    }
+
+    // What a caller setting the cookies needs after create or rotate
+    issued(session, refreshToken) {
+        const result = {
+            token: session.token,
+            expiresAt: new Date(session.expiresAt),
+            session: this.describe(session)
+        };
+        if (refreshToken) {
+            result.refreshToken = refreshToken;
+            result.accessExpiresAt = new Date(session.accessExpiresAt);
+        }
+        return result;
+    }
+
+    // Public view of a session - everything but the token
+    describe(session) {
+        return {
+            id: session.id,
+            userAgent: session.userAgent || null,
+            ip: session.ip || null,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt || session.createdAt,
+            expiresAt: session.expiresAt,
+            rememberMe: Boolean(session.rememberMe),
+            impersonatedBy: session.impersonatedBy || null
+        };
+    }
+}
+
+// Sessions from before sliding expiry have no maxExpiresAt - their expiry was the maximum
+function sessionMaxExpiry(session) {
+    return new Date(session.maxExpiresAt || session.expiresAt);
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+module.exports = SessionService;
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { createError } = require('../modules/error-handler');
+const { hashToken } = require('../modules/one-time-tokens');
+const totp = require('../modules/totp');
+const qrCode = require('../modules/qr-code');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication (see modules/totp). Secrets and recovery codes live in their own
+ * collection rather than on the user record, so they never end up in profile or session responses;
+ * the user record only carries a twoFactorEnabled flag. Recovery codes are stored hashed and work once.
+ *
+ * Configuration:
+ *   REQUIRE_ADMIN_2FA - 'true' makes 2FA mandatory for admins: they can't use admin routes until
+ *                       they have enrolled, and can't turn it off (default: false)
+ *   TWO_FACTOR_ISSUER - name shown in authenticator apps (default: Coffee Shop)
+ */
+class TwoFactorService {
+    /**
+     * @param {PersistenceManager} persistenceManager - Store holding users and 2FA secrets
+     * @param {Object} options - Service options
+     * @param {boolean} options.requireForAdmins - Make 2FA mandatory for the admin role
+     * @param {string} options.issuer - Issuer shown in authenticator apps
+     */
+    constructor(persistenceManager, options = {}) {
+        this.persistenceManager = persistenceManager;
+        this.requireForAdmins = options.requireForAdmins !== undefined
+            ? options.requireForAdmins
+            : process.env.REQUIRE_ADMIN_2FA === 'true';
+        this.issuer = options.issuer || process.env.TWO_FACTOR_ISSUER || 'Coffee Shop';
+    }
+
+    /**
+     * Whether policy requires the user to use 2FA
+     * @param {Object} user - User
+     * @returns {boolean}
+     */
+    isRequiredFor(user) {
+        return this.requireForAdmins && user.role === 'admin';
+    }
+
+    /**
+     * 2FA state of a user, for the account settings page
+     * @param {Object} user - User
+     * @returns {Promise<Object>} - { enabled, required, recoveryCodesRemaining }
+     */
+    async getStatus(user) {
+        const record = await this.getRecord(user.id);
+        const enabled = Boolean(record && record.enabled);
+        return {
+            enabled,
+            required: this.isRequiredFor(user),
+            recoveryCodesRemaining: enabled ? record.recoveryCodes.filter(code => !code.usedAt).length : 0
+        };
+    }
+
+    /**
+     * Start enrolling: create a secret for the user to add to an authenticator app.
+     * 2FA is only turned on once a code from the app is confirmed; starting again replaces the secret.
+     * @param {Object} user - User enrolling
+     * @returns {Promise<Object>} - { secret, otpauthUri, qrCode } - qrCode is the otpauth URI as an
+     *                              SVG QR code in a data: URL, for the app to scan
+     */
+    async startEnrollment(user) {
+        const secret = totp.generateSecret();
+
+        await this.persistenceManager.mutate('twoFactor', (records) => {
+            const existing = records.find(record => record.userId === user.id);
+            if (existing && existing.enabled) {
+                throw createError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+            }
+
+            const remaining = records.filter(record => record.userId !== user.id);
+            remaining.push({
+                userId: user.id,
+                secret,
+                enabled: false,
+                createdAt: new Date().toISOString(),
+                enabledAt: null,
+                lastUsedStep: null,
+                recoveryCodes: []
+            });
+            records.splice(0, records.length, ...remaining);
+        });
+
+        const otpauthUri = totp.buildOtpauthUri({ secret, account: user.email || user.username, issuer: this.issuer });
+        return { secret, otpauthUri, qrCode: qrCode.toDataUrl(otpauthUri) };
+    }
+
+    /**
+     * Finish enrolling with a code from the authenticator app
+     * @param {Object} user - User enrolling
+     * @param {string} code - Current code from the app
+     * @returns {Promise<Object>} - { recoveryCodes, user } - the codes are only ever shown this once
+     */
+    async confirmEnrollment(user, code) {
+        const recoveryCodes = this.generateRecoveryCodes();
+
+        await this.persistenceManager.mutate('twoFactor', (records) => {
+            const record = records.find(entry => entry.userId === user.id);
+            if (!record || record.enabled) {
+                throw createError('Start two-factor setup first', 400, 'TWO_FACTOR_NOT_STARTED');
+            }
+
+            const step = totp.verifyCode(record.secret, code);
+            if (step === null) {
+                throw createError('That code is not valid - check the time on your device and try again', 400, 'INVALID_TWO_FACTOR_CODE');
+            }
+
+            record.enabled = true;
+            record.enabledAt = new Date().toISOString();
+            record.lastUsedStep = step;
+            record.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashToken(normalizeRecoveryCode(recoveryCode)), usedAt: null }));
+        });
+
+        const updatedUser = await this.setUserFlag(user, true);
+        return { recoveryCodes, user: updatedUser };
+    }
+
+    /**
+     * Check a second-factor code: a current TOTP code (each one works once) or an unused recovery code
+     * @param {string} userId - User logging in
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Object|null>} - { method: 'totp'|'recovery', recoveryCodesRemaining }, or null if the code is wrong
+     */
+    async verify(userId, code) {
+        return await this.persistenceManager.mutate('twoFactor', (records) => {
+            const record = records.find(entry => entry.userId === userId && entry.enabled);
+            if (!record) {
+                return null;
+            }
+
+            const step = totp.verifyCode(record.secret, code);
+            if (step !== null) {
+                // A code seen before (or an older one) could have been observed - refuse replays
+                if (record.lastUsedStep !== null && step <= record.lastUsedStep) {
+                    return null;
+                }
+                record.lastUsedStep = step;
+                return { method: 'totp', recoveryCodesRemaining: record.recoveryCodes.filter(entry => !entry.usedAt).length };
+            }
+
+            const hash = hashToken(normalizeRecoveryCode(code));
+            const recoveryCode = record.recoveryCodes.find(entry => entry.hash === hash && !entry.usedAt);
+            if (!recoveryCode) {
+                return null;
+            }
+            recoveryCode.usedAt = new Date().toISOString();
+            return { method: 'recovery', recoveryCodesRemaining: record.recoveryCodes.filter(entry => !entry.usedAt).length };
+        });
+    }
+
+    /**
+     * Turn 2FA off, confirmed with a current or recovery code (the route asks for the password
+     * too, and counts wrong answers towards the login lockout)
+     * @param {Object} user - User
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Object>} - The updated user
+     */
+    async disable(user, code) {
+        if (this.isRequiredFor(user)) {
+            throw createError('Two-factor authentication is required for your role and cannot be turned off', 403, 'TWO_FACTOR_REQUIRED');
+        }
+        await this.requireValidCode(user.id, code);
+
+        await this.persistenceManager.mutate('twoFactor', (records) => {
+            const remaining = records.filter(record => record.userId !== user.id);
+            records.splice(0, records.length, ...remaining);
+        });
+        return await this.setUserFlag(user, false);
+    }
+
+    /**
+     * Replace the recovery codes, confirmed with a current or recovery code (and the password,
+     * as for disable)
+     * @param {Object} user - User
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Array<string>>} - The new codes
+     */
+    async regenerateRecoveryCodes(user, code) {
+        await this.requireValidCode(user.id, code);
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        await this.persistenceManager.mutate('twoFactor', (records) => {
+            const record = records.find(entry => entry.userId === user.id);
+            record.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashToken(normalizeRecoveryCode(recoveryCode)), usedAt: null }));
+        });
+        return recoveryCodes;
+    }
+
+    async requireValidCode(userId, code) {
+        const record = await this.getRecord(userId);
+        if (!record || !record.enabled) {
+            throw createError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+        }
+        if (!await this.verify(userId, code)) {
+            throw createError('That code is not valid', 400, 'INVALID_TWO_FACTOR_CODE');
+        }
+    }
+
+    async getRecord(userId) {
+        const records = await this.persistenceManager.readData('twoFactor');
+        return records.find(record => record.userId === userId) || null;
+    }
+
+    async setUserFlag(user, enabled) {
+        return await this.persistenceManager.mutateRecord('users', user.id, (record) => {
+            record.twoFactorEnabled = enabled;
+            record.updatedAt = new Date().toISOString();
+            const { password, ...safeUser } = record;
+            return safeUser;
+        }, { actor: user });
+    }
+
+    // Codes like "3f9a-c271", easy to type from a printout
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(4).toString('hex');
+            return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+        });
+    }
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+module.exports = TwoFactorService;
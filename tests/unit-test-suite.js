@@ -0,0 +1,79 @@
+// In-process unit tests (no running server required). Tests live in tests/unit, in a file per
+// server module (tests/unit/services/sessionService.test.js covers server/services/sessionService.js);
+// every test*() method a file exports is run with the shared fixture from tests/unit/fixture.js.
+//
+// Usage: node tests/unit-test-suite.js [filter]  - the filter picks test files by path, e.g. "services/"
+const fs = require('fs');
+const path = require('path');
+const TestFixture = require('./unit/fixture');
+
+const UNIT_DIR = path.join(__dirname, 'unit');
+
+class UnitTestSuite {
+    constructor() {
+        this.results = [];
+        this.fixture = new TestFixture();
+    }
+
+    // Test files below tests/unit, sorted so runs are repeatable
+    findTestFiles(dir = UNIT_DIR) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .flatMap(entry => {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) return this.findTestFiles(fullPath);
+                return entry.name.endsWith('.test.js') ? [fullPath] : [];
+            })
+            .sort();
+    }
+
+    async runUnitTests(filter = '') {
+        console.log('🧪 Unit Tests\n');
+
+        const files = this.findTestFiles().filter(file => path.relative(UNIT_DIR, file).includes(filter));
+        try {
+            for (const file of files) {
+                const tests = require(file);
+                // The file's own helpers are reachable through `this`, next to the fixture
+                const context = Object.assign(Object.create(this.fixture), tests);
+
+                console.log(`📁 ${path.relative(UNIT_DIR, file)}`);
+                for (const name of Object.keys(tests).filter(key => key.startsWith('test'))) {
+                    await this.runTest(name, tests[name], context);
+                }
+            }
+        } finally {
+            this.fixture.cleanup();
+        }
+
+        const failed = this.results.filter(r => r.status === 'failed').length;
+        console.log(`📊 ${this.results.length - failed}/${this.results.length} unit tests passed`);
+        return this.results;
+    }
+
+    async runTest(name, test, context) {
+        try {
+            console.log(`Testing ${name}...`);
+            await test.call(context);
+            console.log('✅ PASSED');
+            this.results.push({ test: name, status: 'passed' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${error.message}`);
+            this.results.push({ test: name, status: 'failed', error: error.message });
+        }
+        console.log('');
+    }
+}
+
+module.exports = UnitTestSuite;
+
+// Run if executed directly
+if (require.main === module) {
+    (async () => {
+        const suite = new UnitTestSuite();
+        const results = await suite.runUnitTests(process.argv[2]);
+        process.exit(results.length === 0 || results.some(r => r.status === 'failed') ? 1 : 0);
+    })().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
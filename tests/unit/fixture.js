@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server's module singletons (store, backups, mail outbox) read their directories when first
+// required, so they are pointed at temp directories before anything requires them - the tests
+// never touch server/data
+const APP_DIRS = {
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-shop-app-data-')),
+    BACKUP_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-shop-app-backups-')),
+    MAIL_OUTBOX_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'coffee-shop-app-outbox-'))
+};
+Object.assign(process.env, APP_DIRS, {
+    BACKUP_INTERVAL_HOURS: '0',
+    CORS_ALLOWED_ORIGINS: 'https://pos.example.com'
+});
+
+const { PersistenceManager } = require('../../server/modules/persist_module');
+
+/**
+ * Shared fixture for the unit tests. Every test runs with it as `this` (next to the helpers
+ * defined in its own test file), and everything it creates on disk is removed after the run.
+ */
+class TestFixture {
+    constructor() {
+        this.tempDirs = Object.values(APP_DIRS);
+        // Shared by every test context, which only inherits from the fixture
+        this.shared = { app: null };
+    }
+
+    /**
+     * Create an empty directory that is removed by cleanup()
+     * @param {string} prefix - Name prefix, to tell the directories apart
+     * @returns {string} - Path of the directory
+     */
+    createTempDir(prefix = 'coffee-shop-test-') {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+        this.tempDirs.push(dir);
+        return dir;
+    }
+
+    /**
+     * Store backed by JSON files in a temp directory, started like the server does (migrations included)
+     * @param {Object} options - Extra PersistenceManager options
+     * @returns {Promise<PersistenceManager>}
+     */
+    async createManager(options = {}) {
+        const dataDir = this.createTempDir('coffee-shop-persist-');
+        const manager = new PersistenceManager({ backend: 'json', dataDir, ...options });
+        await manager.initializeData();
+        return manager;
+    }
+
+    /**
+     * In-memory store holding just the given data
+     * @param {Object} initialData - Records per collection
+     * @param {Object} options - Extra PersistenceManager options; migrate: true starts it like the
+     *                           server does instead of only creating the collections
+     * @returns {Promise<PersistenceManager>}
+     */
+    async createMemoryManager(initialData = {}, { migrate = false, ...options } = {}) {
+        const manager = new PersistenceManager({ backend: 'memory', initialData, ...options });
+        if (migrate) {
+            await manager.initializeData();
+        } else {
+            await manager.initializeDataFiles();
+        }
+        return manager;
+    }
+
+    /**
+     * The server's Express app listening on a free port, on the temp directories above with the
+     * demo profile seeded (admin/admin, customers with password123).
+     * Started on first use and shared by every test of the run, like the module singletons it uses.
+     * @returns {Promise<Object>} - { baseUrl, persistenceManager, outboxDir, backupDir }
+     */
+    async startApp() {
+        if (!this.shared.app) {
+            const app = require('../../server/app');
+            const { persistenceManager } = require('../../server/modules/persist_module');
+            const { seeder } = require('../../server/modules/seeder');
+            await persistenceManager.initializeData();
+            await seeder.seedIfEmpty('demo');
+
+            const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+            this.shared.app = {
+                server,
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                persistenceManager,
+                outboxDir: APP_DIRS.MAIL_OUTBOX_DIR,
+                backupDir: APP_DIRS.BACKUP_DIR
+            };
+        }
+        return this.shared.app;
+    }
+
+    /**
+     * A browser-like client for the app from startApp(): keeps cookies and sends the CSRF token
+     * header with state-changing requests
+     * @param {Object} options - { origin } - Origin header to send with every request
+     * @returns {Promise<Object>} - { request(method, path, { body, headers }), cookies }
+     */
+    async createClient(options = {}) {
+        const { baseUrl } = await this.startApp();
+        const cookies = new Map();
+
+        const request = async (method, urlPath, { body, headers = {} } = {}) => {
+            const sent = { ...headers };
+            if (options.origin) sent.Origin = options.origin;
+            if (cookies.size > 0) sent.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+            if (!['GET', 'HEAD', 'OPTIONS'].includes(method) && cookies.has('csrfToken') && !('X-CSRF-Token' in sent)) {
+                sent['X-CSRF-Token'] = cookies.get('csrfToken');
+            }
+            if (body !== undefined) sent['Content-Type'] = 'application/json';
+
+            const response = await fetch(`${baseUrl}${urlPath}`, {
+                method,
+                headers: sent,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                redirect: 'manual'
+            });
+            for (const cookie of response.headers.getSetCookie()) {
+                const [pair, ...attributes] = cookie.split(';');
+                const [name, ...value] = pair.split('=');
+                const expired = attributes.some(attribute => /^\s*expires=thu, 01 jan 1970/i.test(attribute));
+                if (expired) cookies.delete(name.trim());
+                else cookies.set(name.trim(), value.join('='));
+            }
+            const text = await response.text();
+            let json = null;
+            try { json = JSON.parse(text); } catch (error) { /* not JSON */ }
+            return { status: response.status, headers: response.headers, body: json };
+        };
+
+        // Any API request hands out the CSRF cookie
+        await request('GET', '/api/health');
+        return { request, cookies };
+    }
+
+    /**
+     * A client logged in as the given account
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} - Client as from createClient(), with the login response as `user`
+     */
+    async loginClient(username, password) {
+        const client = await this.createClient();
+        const login = await client.request('POST', '/api/auth/login', { body: { username, password } });
+        this.assert(login.status === 200, `${username} should be able to log in (got ${login.status})`);
+        client.user = login.body.data;
+        return client;
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    cleanup() {
+        if (this.shared.app) {
+            this.shared.app.server.closeAllConnections();
+            this.shared.app.server.close();
+            this.shared.app = null;
+        }
+        for (const dir of this.tempDirs) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        this.tempDirs = [];
+    }
+}
+
+module.exports = TestFixture;
@@ -0,0 +1,96 @@
+// In-process tests for modules/backup-manager: snapshots, restore and retention
+const fs = require('fs');
+const path = require('path');
+const { BackupManager } = require('../../../server/modules/backup-manager');
+const { MigrationRunner } = require('../../../server/modules/migrations');
+
+module.exports = {
+    createBackupManager(manager, options = {}) {
+        const backupDir = this.createTempDir('coffee-shop-backups-');
+        return new BackupManager(manager, { backupDir, intervalHours: 0, ...options });
+    },
+
+    async testBackupRestoreRoundTrip() {
+        const manager = await this.createManager();
+        const backups = this.createBackupManager(manager);
+
+        await manager.createProduct({ title: 'Kept', price: 10 });
+        const backup = await backups.createBackup('manual');
+
+        await manager.createProduct({ title: 'Added later', price: 20 });
+        const result = await backups.restoreBackup(backup.id);
+
+        const titles = (await manager.getAllProducts()).map(product => product.title);
+        const listed = await backups.listBackups();
+
+        this.assert(titles.includes('Kept') && !titles.includes('Added later'), 'Restore should bring back the snapshot contents');
+        this.assert(listed.some(entry => entry.id === result.preRestoreBackup), 'A pre-restore backup should be kept');
+        this.assert(result.schemaVersion === await new MigrationRunner(manager).getCurrentVersion(), 'Restored data should be at the current schema');
+
+        let rejected = false;
+        try {
+            backups.getBackupPath('../../etc/passwd');
+        } catch (error) {
+            rejected = error.statusCode === 400;
+        }
+        this.assert(rejected, 'Backup ids must not allow path traversal');
+    },
+
+    async testBackupsHoldNoCredentials() {
+        const manager = await this.createManager();
+        const backups = this.createBackupManager(manager);
+        await manager.writeData('users', [{ id: 'user-1', username: 'sam', role: 'user', twoFactorEnabled: true, version: 1 }]);
+        await manager.writeData('sessions', [{ id: 'session-1', token: 'live-session-token', userId: 'user-1' }]);
+        await manager.writeData('apiKeys', [{ id: 'key-1', userId: 'user-1', keyHash: 'hash', revokedAt: null }]);
+        await manager.writeData('twoFactor', [{ userId: 'user-1', secret: 'TOTPSECRET', enabled: true }]);
+
+        const backup = await backups.createBackup('manual');
+        const archive = await backups.readBackup(backup.id);
+        this.assert(!['sessions', 'apiKeys', 'twoFactor'].some(collection => collection in archive.collections), 'Credentials should not be backed up');
+        this.assert(!JSON.stringify(archive).includes('live-session-token') && !JSON.stringify(archive).includes('TOTPSECRET'), 'Archives should hold no tokens or secrets');
+
+        // After the snapshot: the key is revoked, 2FA turned off, and someone logs in
+        await manager.writeData('apiKeys', [{ id: 'key-1', userId: 'user-1', keyHash: 'hash', revokedAt: new Date().toISOString() }]);
+        await manager.writeData('twoFactor', []);
+        await manager.writeData('users', [{ id: 'user-1', username: 'sam', role: 'user', twoFactorEnabled: false, version: 2 }]);
+        await manager.writeData('sessions', [{ id: 'session-2', token: 'newer-session-token', userId: 'user-1' }]);
+
+        const result = await backups.restoreBackup(backup.id);
+        const [user] = await manager.readData('users');
+        this.assert(result.sessionsRevoked && (await manager.readData('sessions')).length === 0, 'A restore should end every session');
+        this.assert((await manager.readData('apiKeys'))[0].revokedAt, 'Revoked API keys should stay revoked');
+        this.assert(user.twoFactorEnabled === false, '2FA turned off since the snapshot should stay off');
+    },
+
+    async testQuiesceHoldsWrites() {
+        const manager = await this.createManager();
+        let seenDuringQuiesce;
+
+        let pendingWrite;
+        await manager.quiesce(async () => {
+            pendingWrite = manager.createProduct({ title: 'Queued', price: 1 });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            seenDuringQuiesce = (await manager.readData('products')).length;
+        });
+        await pendingWrite;
+
+        this.assert(seenDuringQuiesce === 0, 'Writes must wait while the store is quiesced');
+        this.assert((await manager.getAllProducts()).length === 1, 'Queued writes should apply afterwards');
+    },
+
+    async testBackupRetention() {
+        const manager = await this.createManager();
+        const backups = this.createBackupManager(manager, { retentionCount: 2, retentionDays: 30 });
+
+        // An expired archive from long ago
+        fs.writeFileSync(path.join(backups.backupDir, 'snapshot-2020-01-01T00-00-00-000Z-scheduled.json.gz'), '');
+        for (let i = 0; i < 3; i++) {
+            await backups.createBackup('manual');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        const listed = await backups.listBackups();
+        this.assert(listed.length === 2, `Expected 2 backups after retention, found ${listed.length}`);
+        this.assert(listed.every(entry => entry.createdAt > '2021'), 'Expired backups should be deleted');
+    }
+};
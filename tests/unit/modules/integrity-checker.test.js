@@ -0,0 +1,30 @@
+// In-process tests for modules/integrity-checker: reporting and repairing broken references
+const { IntegrityChecker } = require('../../../server/modules/integrity-checker');
+
+module.exports = {
+    async testIntegrityCheckAndRepair() {
+        const manager = await this.createMemoryManager({
+            users: [{ id: 'user-1', username: 'alice' }],
+            products: [{ id: 'prod-1', title: 'Beans' }, { id: 'prod-2', title: 'Gone', deletedAt: '2025-01-01T00:00:00.000Z' }],
+            carts: [{ userId: 'user-1', items: [{ productId: 'prod-1' }, { productId: 'prod-2' }] }],
+            sessions: [{ id: 'session-1', userId: 'ghost', token: 't', expiresAt: '2999-01-01T00:00:00.000Z' }],
+            loyalty: [{ userId: 'user-1', availablePoints: 10, totalPoints: 10, pointsHistory: [{ amount: 100 }, { amount: -30 }] }],
+            orders: [{ id: 'order-1', userId: 'ghost', items: [] }]
+        }, { migrate: true });
+        const checker = new IntegrityChecker(manager);
+
+        const report = await checker.check();
+        this.assert(report.categories.cart_missing_product.count === 1, 'Deleted products in carts should be reported');
+        this.assert(report.categories.session_missing_user.count === 1, 'Orphaned sessions should be reported');
+        this.assert(report.categories.loyalty_points_mismatch.count === 1, 'Loyalty balances should be checked against history');
+        this.assert((await manager.readData('sessions')).length === 1, 'Checking must not modify data');
+
+        const repaired = await checker.check({ repair: true });
+        const [cart] = await manager.readData('carts');
+        const [loyalty] = await manager.readData('loyalty');
+
+        this.assert(repaired.repairedCount === 3 && repaired.remainingViolations === 1, 'Orders are reported but never repaired');
+        this.assert(cart.items.length === 1 && (await manager.readData('sessions')).length === 0, 'Repairs should be written');
+        this.assert(loyalty.availablePoints === 70 && loyalty.totalPoints === 100, 'Loyalty balances should be recomputed from history');
+    }
+};
@@ -0,0 +1,50 @@
+// In-process tests for modules/migrations: schema migrations, dry runs and rollbacks
+const { PersistenceManager } = require('../../../server/modules/persist_module');
+const { MigrationRunner } = require('../../../server/modules/migrations');
+
+module.exports = {
+    createLegacyStore() {
+        return new PersistenceManager({
+            backend: 'memory',
+            initialData: {
+                orders: [{ id: 'order-1', userId: 'user-1', total: 12.5, items: [] }],
+                carts: [{ userId: 'user-1', items: [{ productId: 'prod-1', quantity: 2 }], updatedAt: '2024-01-01T00:00:00.000Z' }]
+            }
+        });
+    },
+
+    async testMigrationsRunAndRollBack() {
+        const manager = this.createLegacyStore();
+        await manager.initializeData();
+
+        const [migrated] = await manager.readData('orders');
+        const [cart] = await manager.readData('carts');
+        const runner = new MigrationRunner(manager);
+        const latest = (await runner.status()).latestVersion;
+
+        this.assert(await runner.getCurrentVersion() === latest, 'Startup should migrate to the latest version');
+        this.assert(migrated.totalAmount === 12.5 && migrated.total === undefined, 'Order totals should be normalized');
+        this.assert(cart.items[0].id && cart.items[0].addedAt, 'Cart items should get ids');
+
+        const report = await runner.rollback({ to: 0 });
+        const [restored] = await manager.readData('orders');
+        const [restoredCart] = await manager.readData('carts');
+
+        this.assert(report.toVersion === 0 && await runner.getCurrentVersion() === 0, 'Rollback should record version 0');
+        this.assert(restored.total === 12.5, 'Rollback should restore the legacy total field');
+        this.assert(restoredCart.items[0].id === undefined, 'Rollback should remove generated cart item ids');
+    },
+
+    async testMigrationDryRunWritesNothing() {
+        const manager = this.createLegacyStore();
+        await manager.initializeDataFiles();
+        const runner = new MigrationRunner(manager);
+
+        const report = await runner.migrate({ dryRun: true });
+        const [order] = await manager.readData('orders');
+
+        this.assert(report.dryRun && report.steps.length > 0, 'Dry run should report the pending steps');
+        this.assert(await runner.getCurrentVersion() === 0, 'Dry run must not stamp a version');
+        this.assert(order.total === 12.5 && order.totalAmount === undefined, 'Dry run must not modify data');
+    }
+};
@@ -0,0 +1,21 @@
+// In-process tests for modules/one-time-tokens: hashed single-use tokens
+const { issueToken, findToken, consumeToken, releaseToken } = require('../../../server/modules/one-time-tokens');
+
+module.exports = {
+    async testTokensAreTakenOnceAndCanBeGivenBack() {
+        const manager = await this.createMemoryManager();
+        const token = await issueToken(manager, 'loginChallenges', 'user-1', 5, { rememberMe: true });
+        this.assert(!JSON.stringify(await manager.readData('loginChallenges')).includes(token), 'Only a hash of the token should be stored');
+
+        // Parallel requests with the same token: exactly one gets it
+        const taken = await Promise.all(Array.from({ length: 5 }, () => consumeToken(manager, 'loginChallenges', token)));
+        this.assert(taken.filter(Boolean).length === 1 && taken.find(Boolean).rememberMe === true, 'A token should only be taken once');
+        this.assert(await findToken(manager, 'loginChallenges', token) === null, 'A taken token should not be found');
+
+        this.assert(await releaseToken(manager, 'loginChallenges', token), 'A taken token should be given back');
+        this.assert(await consumeToken(manager, 'loginChallenges', token), 'A token given back should work again');
+
+        await manager.mutate('loginChallenges', (tokens) => { tokens[0].expiresAt = new Date(Date.now() - 1000).toISOString(); });
+        this.assert(!await releaseToken(manager, 'loginChallenges', token), 'Expired tokens should not be given back');
+    }
+};
@@ -0,0 +1,340 @@
+// In-process tests for modules/persist_module: serialized and atomic writes, transactions, storage backends, indexes, soft delete, change history, versions and the activity log
+const fs = require('fs');
+const path = require('path');
+const { PersistenceManager } = require('../../../server/modules/persist_module');
+
+module.exports = {
+    async testConcurrentMutationsAreSerialized() {
+        const manager = await this.createManager();
+        await manager.writeData('loyalty', [{ userId: 'user-1', availablePoints: 0 }]);
+
+        await Promise.all(Array.from({ length: 25 }, () =>
+            manager.mutate('loyalty', (loyalty) => {
+                loyalty[0].availablePoints += 10;
+            })
+        ));
+
+        const [record] = await manager.readData('loyalty');
+        this.assert(record.availablePoints === 250, `Expected 250 points, got ${record.availablePoints}`);
+    },
+
+    async testConcurrentAppendsKeepEveryRecord() {
+        const manager = await this.createManager();
+
+        await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            manager.appendData('orders', { id: `order-${i}` })
+        ));
+
+        const orders = await manager.readData('orders');
+        this.assert(orders.length === 20, `Expected 20 orders, got ${orders.length}`);
+    },
+
+    async testFailedMutationLeavesFileUntouched() {
+        const manager = await this.createManager();
+        await manager.writeData('products', [{ id: 'prod-1', price: 10 }]);
+
+        let thrown = null;
+        try {
+            await manager.mutate('products', (products) => {
+                products[0].price = 99;
+                throw new Error('abort');
+            });
+        } catch (error) {
+            thrown = error;
+        }
+
+        const [product] = await manager.readData('products');
+        this.assert(thrown && thrown.message === 'abort', 'Callback error should be re-thrown unchanged');
+        this.assert(product.price === 10, 'Aborted mutation must not be written');
+    },
+
+    async testAtomicWriteLeavesNoTempFiles() {
+        const manager = await this.createManager();
+
+        await Promise.all(Array.from({ length: 10 }, (_, i) =>
+            manager.writeData('reviews', [{ id: `review-${i}` }])
+        ));
+
+        const leftovers = fs.readdirSync(manager.adapter.dataDir).filter(name => name.endsWith('.tmp'));
+        this.assert(leftovers.length === 0, `Found temp files: ${leftovers.join(', ')}`);
+        this.assert(manager.writeQueues.size === 0, 'Write queues should drain once idle');
+    },
+
+    async testUserCartMutation() {
+        const manager = await this.createManager();
+        await manager.updateUserCart('user-1', { items: [{ productId: 'prod-1', quantity: 1 }] });
+
+        await Promise.all(Array.from({ length: 5 }, () =>
+            manager.mutateUserCart('user-1', (cart) => {
+                cart.items[0].quantity += 1;
+            })
+        ));
+
+        const cart = await manager.getUserCart('user-1');
+        this.assert(cart.items[0].quantity === 6, `Expected quantity 6, got ${cart.items[0].quantity}`);
+    },
+
+    async testTransactionCommitsAllFiles() {
+        const manager = await this.createManager();
+        await manager.writeData('wishlists', [{ userId: 'user-1', items: [{ productId: 'prod-1' }] }]);
+
+        await manager.transaction(['wishlists', 'carts'], ({ wishlists, carts }) => {
+            const [item] = wishlists[0].items.splice(0, 1);
+            carts.push({ userId: 'user-1', items: [{ productId: item.productId, quantity: 1 }] });
+        });
+
+        const wishlists = await manager.readData('wishlists');
+        const carts = await manager.readData('carts');
+        const journals = fs.readdirSync(path.join(manager.adapter.dataDir, manager.adapter.journalDir));
+        this.assert(wishlists[0].items.length === 0, 'Item should be removed from wishlist');
+        this.assert(carts[0].items[0].productId === 'prod-1', 'Item should be added to cart');
+        this.assert(journals.length === 0, 'Journal should be removed after commit');
+    },
+
+    async testTransactionAbortWritesNothing() {
+        const manager = await this.createManager();
+        await manager.writeData('orders', [{ id: 'order-1', status: 'pending' }]);
+
+        try {
+            await manager.transaction(['orders', 'carts'], ({ orders, carts }) => {
+                orders[0].status = 'completed';
+                carts.push({ userId: 'user-1', items: [] });
+                throw new Error('abort');
+            });
+        } catch (error) {
+            // expected
+        }
+
+        const [order] = await manager.readData('orders');
+        const carts = await manager.readData('carts');
+        this.assert(order.status === 'pending', 'Order must not change when the transaction aborts');
+        this.assert(carts.length === 0, 'Carts must not change when the transaction aborts');
+    },
+
+    async testTransactionRollsBackOnWriteFailure() {
+        const manager = await this.createManager();
+        await manager.writeData('orders', [{ id: 'order-1', status: 'pending' }]);
+        await manager.writeData('carts', [{ userId: 'user-1', items: [{ productId: 'prod-1' }] }]);
+
+        const writeFileAtomic = manager.adapter.writeFileAtomic.bind(manager.adapter);
+        manager.adapter.writeFileAtomic = async (file, data) => {
+            if (file === manager.files.orders && data[0].status === 'completed') {
+                throw new Error('disk full');
+            }
+            return writeFileAtomic(file, data);
+        };
+
+        let thrown = null;
+        try {
+            await manager.transaction(['carts', 'orders'], ({ orders, carts }) => {
+                orders[0].status = 'completed';
+                carts[0].items = [];
+            });
+        } catch (error) {
+            thrown = error;
+        }
+
+        const [order] = await manager.readData('orders');
+        const [cart] = await manager.readData('carts');
+        this.assert(thrown && thrown.errorType === 'TRANSACTION_ERROR', 'Failed commit should raise TRANSACTION_ERROR');
+        this.assert(order.status === 'pending', 'Order should be unchanged');
+        this.assert(cart.items.length === 1, 'Cart should be rolled back');
+    },
+
+    async testJournalIsReplayedOnStartup() {
+        const manager = await this.createManager();
+        await manager.writeData('orders', [{ id: 'order-1', status: 'pending' }]);
+
+        // Simulate a crash after the journal was written but before the files were updated
+        const { dataDir, journalDir } = manager.adapter;
+        fs.writeFileSync(path.join(dataDir, journalDir, 'crashed.json'), JSON.stringify({
+            id: 'crashed',
+            createdAt: new Date().toISOString(),
+            writes: [
+                { file: 'orders.json', data: [{ id: 'order-1', status: 'completed' }] },
+                { file: 'carts.json', data: [{ userId: 'user-1', items: [] }] }
+            ]
+        }));
+        fs.writeFileSync(path.join(dataDir, 'orders.json.123.tmp'), '[{"id":');
+
+        const recovered = await manager.recoverTransactions();
+
+        const [order] = await manager.readData('orders');
+        const carts = await manager.readData('carts');
+        const leftovers = fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp'));
+        this.assert(recovered === 1, `Expected 1 recovered transaction, got ${recovered}`);
+        this.assert(order.status === 'completed' && carts.length === 1, 'Journaled writes should be applied');
+        this.assert(leftovers.length === 0, 'Interrupted temp files should be removed');
+    },
+
+    async testMemoryBackend() {
+        const manager = await this.createMemoryManager({}, { migrate: true });
+
+        const product = await manager.createProduct({ title: 'Test Beans', price: 12 });
+        const fetched = await manager.getProductById(product.id);
+        fetched.price = 99;
+
+        const [stored] = await manager.getAllProducts();
+        this.assert(stored.title === 'Test Beans', 'Memory backend should return stored records');
+        this.assert(stored.price === 12, 'Reads must return copies, not shared references');
+    },
+
+    async testSqliteBackend() {
+        try {
+            require.resolve('better-sqlite3');
+        } catch (error) {
+            console.log('   better-sqlite3 not installed, skipping');
+            return;
+        }
+
+        const dataDir = this.createTempDir('coffee-shop-persist-');
+        fs.writeFileSync(path.join(dataDir, 'products.json'), JSON.stringify([{ id: 'prod-1', title: 'Imported' }]));
+
+        const manager = new PersistenceManager({ backend: 'sqlite', dataDir });
+        await manager.initializeData();
+
+        const [imported] = await manager.getAllProducts();
+        await manager.transaction(['orders', 'carts'], ({ orders, carts }) => {
+            orders.push({ id: 'order-1', userId: 'user-1' });
+            carts.push({ userId: 'user-1', items: [] });
+        });
+        const orders = await manager.getUserOrders('user-1');
+        await manager.adapter.close();
+
+        this.assert(imported && imported.title === 'Imported', 'Existing JSON data should be imported on first start');
+        this.assert(orders.length === 1, 'SQLite backend should persist transactions');
+    },
+
+    async testIndexesFollowWrites() {
+        const manager = await this.createManager();
+        await manager.addUser({ id: 'user-1', username: 'Alice', email: 'alice@example.com' });
+        await manager.createOrder({ userId: 'user-1', items: [] });
+
+        this.assert((await manager.getUserOrders('user-1')).length === 1, 'Index should see appended orders');
+        this.assert((await manager.findUserByLogin('ALICE@example.com')).id === 'user-1', 'Email lookups should ignore case');
+
+        // Index is already built - later writes of every kind must show up in it
+        await manager.transaction(['orders', 'carts'], ({ orders, carts }) => {
+            orders.push({ id: 'order-2', userId: 'user-1' });
+            carts.push({ userId: 'user-1', items: [{ productId: 'prod-1', quantity: 1 }] });
+        });
+        await manager.updateUser('user-1', { username: 'alice2' });
+        await manager.deleteById('orders', 'order-2');
+
+        const orders = await manager.getUserOrders('user-1');
+        const cart = await manager.getUserCart('user-1');
+        this.assert(orders.length === 1 && !orders.some(order => order.id === 'order-2'), 'Deleted orders should leave the index');
+        this.assert(cart.items.length === 1, 'Transactions should refresh the index');
+        this.assert(await manager.findUserByLogin('Alice') === null, 'Old username should no longer match');
+        this.assert((await manager.getUserByUsername('alice2')).id === 'user-1', 'Renamed user should be found');
+
+        await manager.transaction(['orders'], () => {
+            throw new Error('abort');
+        }).catch(() => {});
+        this.assert((await manager.getUserOrders('user-1')).length === 1, 'Aborted transactions must not touch the index');
+    },
+
+    async testIndexLookupsReturnCopies() {
+        const manager = await this.createMemoryManager({}, { migrate: true });
+
+        const cart = { userId: 'user-1', items: [] };
+        await manager.writeData('carts', [cart]);
+        cart.items.push({ productId: 'leaked' });
+
+        const fetched = await manager.getUserCart('user-1');
+        fetched.items.push({ productId: 'also-leaked' });
+
+        this.assert((await manager.getUserCart('user-1')).items.length === 0, 'Index must not share objects with callers');
+    },
+
+    async testSoftDeleteAndRestore() {
+        const manager = await this.createManager();
+        const admin = { id: 'admin-1', username: 'admin' };
+        const product = await manager.createProduct({ title: 'Old Beans', price: 9 });
+
+        await manager.deleteProduct(product.id, { actor: admin });
+        const listed = await manager.getAllProducts();
+        const kept = await manager.getProductById(product.id, { includeDeleted: true });
+
+        let hidden = false;
+        try {
+            await manager.getProductById(product.id);
+        } catch (error) {
+            hidden = error.statusCode === 404;
+        }
+
+        this.assert(listed.length === 0 && hidden, 'Deleted products should be hidden from normal reads');
+        this.assert(kept.deletedAt && kept.deletedBy === 'admin', 'Deleted products should still be stored');
+
+        await manager.restoreById('products', product.id, { actor: admin });
+        const restored = await manager.getProductById(product.id);
+        this.assert(restored.title === 'Old Beans' && !restored.deletedAt, 'Restore should bring the product back');
+    },
+
+    async testChangeHistoryRecordsDiffs() {
+        const manager = await this.createManager();
+        const admin = { id: 'admin-1', username: 'admin' };
+        const product = await manager.createProduct({ title: 'Beans', price: 9 }, { actor: admin });
+
+        await manager.updateProduct(product.id, { price: 11 }, { actor: admin });
+        await manager.updateProduct(product.id, { price: 11 });
+        await manager.deleteProduct(product.id);
+        await manager.addUser({ id: 'user-1', username: 'bob', password: 'hash' });
+
+        const history = await manager.getRecordHistory('products', product.id);
+        const [userCreated] = await manager.getRecordHistory('users', 'user-1');
+
+        this.assert(history.map(entry => entry.action).join(',') === 'delete,update,create', 'Each change should be recorded once, newest first');
+        this.assert(history[1].changes.price.before === 9 && history[1].changes.price.after === 11, 'Updates should record before/after values');
+        this.assert(history[1].actor.username === 'admin' && history[0].actor.username === 'system', 'Entries should record the actor');
+        this.assert(userCreated.changes.password.after === '[redacted]', 'Passwords must not be copied into the history');
+    },
+
+    async testVersionCheckRejectsStaleWrites() {
+        const manager = await this.createManager();
+        const product = await manager.createProduct({ title: 'Beans', price: 9 });
+
+        const first = await manager.updateProduct(product.id, { price: 10 }, { ifMatch: [product.version] });
+
+        let status;
+        try {
+            await manager.updateProduct(product.id, { price: 12 }, { ifMatch: [product.version] });
+        } catch (error) {
+            status = error.statusCode;
+        }
+        const stored = await manager.getProductById(product.id);
+
+        this.assert(product.version === 1 && first.version === 2, 'Each change should bump the version');
+        this.assert(status === 412, `Stale If-Match should fail with 412, got ${status}`);
+        this.assert(stored.price === 10 && stored.version === 2, 'A rejected write must not change the record');
+    },
+
+    async testActivityRotationAndQuery() {
+        const entry = (id, username, timestamp) => ({ id, username, action: 'login', details: null, timestamp });
+        const manager = await this.createMemoryManager({
+            activity: [
+                entry('a-1', 'alice', '2025-05-20T10:00:00.000Z'),
+                entry('a-2', 'alice', '2025-07-02T10:00:00.000Z'),
+                entry('a-3', 'bob', '2025-07-15T10:00:00.000Z'),
+                entry('a-4', 'alice', '2025-08-10T10:00:00.000Z'),
+                entry('a-5', 'alice', '2025-09-01T10:00:00.000Z')
+            ],
+            'activity-2025-04': [entry('a-0', 'alice', '2025-04-30T10:00:00.000Z')]
+        }, { activityRetentionMonths: 2 });
+
+        const report = await manager.rotateActivity(new Date('2025-09-05T00:00:00.000Z'));
+        this.assert(report.archived['2025-07'] === 2 && report.archived['2025-08'] === 1, 'Older activity should be archived by month');
+        this.assert(report.dropped === 1 && report.expired.includes('2025-04'), 'Activity past retention should be dropped');
+        this.assert((await manager.getAllActivity()).length === 1, 'Only the current month should stay in the live log');
+        this.assert((await manager.listActivityArchives()).join() === '2025-07,2025-08', 'Expired archives should be removed');
+
+        const all = await manager.getActivityByUser('alice');
+        this.assert(all.total === 3 && all.entries[0].id === 'a-5', 'User activity should span the archives, newest first');
+
+        const ranged = await manager.getActivityByUser('alice', { from: '2025-07-01', to: '2025-08-31', limit: 1, offset: 1 });
+        this.assert(ranged.total === 2 && ranged.entries.length === 1 && ranged.entries[0].id === 'a-2', 'Date ranges and pagination should apply across archives');
+
+        const snapshot = await manager.snapshotCollections();
+        this.assert(snapshot['activity-2025-07'].length === 2, 'Snapshots should include the archives');
+    }
+};
@@ -0,0 +1,28 @@
+// In-process tests for modules/qr-code: QR codes for otpauth:// links
+const qrCode = require('../../../server/modules/qr-code');
+
+module.exports = {
+    async testQrCodesHaveTheRightShape() {
+        const uri = 'otpauth://totp/Coffee%20Shop:admin%40coffeeshop.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Coffee%20Shop';
+        const { size, modules } = qrCode.encode(uri);
+        this.assert(size === 45, `A ${uri.length}-byte link should need version 7 (45 modules), got ${size}`);
+        this.assert(qrCode.encode('hi').size === 21, 'Short texts should use the smallest version');
+
+        // Finder patterns in three corners: a dark ring, a light ring and a dark 3x3 centre
+        const finderAt = (left, top) => [0, 1, 2, 3, 4, 5, 6].every(y => [0, 1, 2, 3, 4, 5, 6].every(x => {
+            const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+            return modules[top + y][left + x] === (ring !== 2);
+        }));
+        this.assert(finderAt(0, 0) && finderAt(size - 7, 0) && finderAt(0, size - 7), 'Finder patterns should be in three corners');
+        this.assert(modules[6].slice(8, size - 8).every((dark, i) => dark === (i % 2 === 0)), 'The timing pattern should alternate');
+
+        // Both copies of the format information must agree
+        const first = [0, 1, 2, 3, 4, 5].map(y => modules[y][8]);
+        const second = [0, 1, 2, 3, 4, 5].map(i => modules[8][size - 1 - i]);
+        this.assert(first.join() === second.join(), 'The format information should be drawn twice');
+
+        this.assert(JSON.stringify(qrCode.encode(uri)) === JSON.stringify({ size, modules }), 'Encoding should be deterministic');
+        const svg = Buffer.from(qrCode.toDataUrl(uri).replace('data:image/svg+xml;base64,', ''), 'base64').toString();
+        this.assert(svg.startsWith('<svg') && svg.includes(`viewBox="0 0 ${size + 8} ${size + 8}"`), 'The data URL should hold an SVG with a quiet zone');
+    }
+};
@@ -0,0 +1,29 @@
+// In-process tests for modules/seeder: deterministic seed profiles
+const { Seeder } = require('../../../server/modules/seeder');
+const { IntegrityChecker } = require('../../../server/modules/integrity-checker');
+
+module.exports = {
+    async testSeedProfilesAreDeterministic() {
+        const manager = await this.createMemoryManager({ products: [{ id: 'old' }] }, { migrate: true });
+        const seeder = new Seeder(manager);
+        const withoutPasswords = collections => JSON.stringify({
+            ...collections,
+            users: collections.users.map(({ password, ...user }) => user)
+        });
+
+        const first = await seeder.build('demo');
+        const second = await seeder.build('demo');
+        const reseeded = await seeder.build('demo', { seed: 7 });
+        this.assert(withoutPasswords(first) === withoutPasswords(second), 'A profile should build the same data every time');
+        this.assert(withoutPasswords(first) !== withoutPasswords(reseeded), 'A different seed should build different data');
+
+        this.assert(await seeder.seedIfEmpty('demo') === null, 'Existing data must not be reseeded');
+        const report = await seeder.reset('demo');
+        const products = await manager.readData('products');
+        this.assert(report.counts.users === first.users.length && products.length === first.products.length, 'Reset should replace the data');
+        this.assert(products.every(product => product.version === 1) && report.schemaVersion > 0, 'Seeded data should be migrated');
+
+        const integrity = await new IntegrityChecker(manager).check();
+        this.assert(integrity.totalViolations === 0, 'Seeded data should pass the integrity check');
+    }
+};
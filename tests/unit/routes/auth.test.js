@@ -0,0 +1,35 @@
+// In-process tests for routes/auth, through the app: registration, login and account routes
+module.exports = {
+    async testRegisteringWorksAfterAnAccountWasErased() {
+        const client = await this.createClient();
+        const register = (username) => client.request('POST', '/api/auth/register', {
+            body: { username, email: `${username}@example.com`, password: 'Roasted-Beans-42', confirmPassword: 'Roasted-Beans-42' }
+        });
+
+        const first = await register('erased_soon');
+        this.assert(first.status === 201, `Registration should succeed (got ${first.status})`);
+
+        const admin = await this.loginClient('admin', 'admin');
+        const erased = await admin.request('DELETE', `/api/admin/users/${first.body.data.id}/personal-data`);
+        this.assert(erased.status === 200, `The admin should be able to erase the account (got ${erased.status})`);
+
+        const second = await register('registered_after');
+        this.assert(second.status === 201, `Registering after an erasure should succeed (got ${second.status})`);
+        this.assert((await register('registered_after')).status === 409, 'Taken usernames should still be refused');
+    },
+
+    async testProfileEmailsStayUnique() {
+        const { persistenceManager } = await this.startApp();
+        const users = await persistenceManager.readData('users');
+        const customer = users.find(user => user.role === 'user' && !user.deletedAt);
+        const admin = users.find(user => user.username === 'admin');
+
+        const client = await this.loginClient(customer.username, 'password123');
+        const taken = await client.request('PUT', '/api/auth/profile', { body: { email: admin.email.toUpperCase() } });
+        this.assert(taken.status === 409 && taken.body.error === 'EMAIL_EXISTS', `Another account's email should be refused (got ${taken.status})`);
+        this.assert((await persistenceManager.findOneBy('users', 'id', customer.id)).email === customer.email, 'The email should stay unchanged');
+
+        const changed = await client.request('PUT', '/api/auth/profile', { body: { email: `moved.${customer.email}` } });
+        this.assert(changed.status === 200 && changed.body.data.emailVerified === false, 'A free address should be accepted and need verifying');
+    }
+};
@@ -0,0 +1,45 @@
+// In-process tests for routes/cart, through the app: whose cart a request reaches, and guest carts
+const GuestCartService = require('../../../server/services/guestCartService');
+
+module.exports = {
+    async testCartRoutesOnlyReachTheCallersCart() {
+        const { persistenceManager } = await this.startApp();
+        const [owner, other] = (await persistenceManager.readData('users')).filter(user => user.role === 'user' && !user.deletedAt);
+        const client = await this.loginClient(owner.username, 'password123');
+
+        this.assert((await client.request('GET', `/api/cart/${owner.id}`)).status === 200, 'Users should reach their own cart by ID');
+        const read = await client.request('GET', `/api/cart/${other.id}`);
+        this.assert(read.status === 403 && read.body.error === 'ACCESS_DENIED', `Another user's cart should be refused (got ${read.status})`);
+        const written = await client.request('POST', `/api/cart/${other.id}`, { body: { items: [] } });
+        this.assert(written.status === 403, `Another user's cart should not be replaced (got ${written.status})`);
+    },
+
+    async testGuestCartCookiesAreCheckedAndMergedAtLogin() {
+        const { persistenceManager } = await this.startApp();
+        const [first, second] = (await persistenceManager.readData('products')).filter(product => !product.deletedAt && product.inStock !== false);
+        const customer = (await persistenceManager.readData('users')).filter(user => user.role === 'user' && !user.deletedAt)[2];
+        const line = (product, quantity) => ({ productId: product.id, name: product.name, price: product.price, quantity });
+
+        // The customer already has one of the first product in their cart
+        const earlier = await this.loginClient(customer.username, 'password123');
+        await earlier.request('POST', '/api/cart', { body: { items: [line(first, 1)] } });
+
+        const guest = await this.createClient();
+        const added = await guest.request('POST', '/api/cart', { body: { items: [line(first, 2), line(second, 1)] } });
+        this.assert(added.status === 200 && guest.cookies.has(GuestCartService.COOKIE_NAME), 'Guests should get a cart cookie');
+
+        // The same guest ID with a made-up signature doesn't reach that cart
+        const [guestId] = guest.cookies.get(GuestCartService.COOKIE_NAME).split('.');
+        const forger = await this.createClient();
+        forger.cookies.set(GuestCartService.COOKIE_NAME, `${guestId}.forged-signature`);
+        const forged = await forger.request('GET', '/api/cart');
+        this.assert(forged.status === 200 && forged.body.data.items.length === 0, 'A guest cookie with a bad signature should be ignored');
+
+        const login = await guest.request('POST', '/api/auth/login', { body: { username: customer.username, password: 'password123' } });
+        this.assert(login.status === 200 && !guest.cookies.has(GuestCartService.COOKIE_NAME), 'Logging in should use up the guest cart cookie');
+        const { items } = (await guest.request('GET', '/api/cart')).body.data;
+        const quantityOf = (product) => (items.find(item => item.productId === product.id) || {}).quantity;
+        this.assert(items.length === 2 && quantityOf(first) === 3 && quantityOf(second) === 1,
+            'The guest cart should be merged into the user\'s cart, adding up quantities');
+    }
+};
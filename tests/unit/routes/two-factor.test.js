@@ -0,0 +1,34 @@
+// In-process tests for routes/two-factor, through the app: enrolling and changing 2FA
+const totp = require('../../../server/modules/totp');
+
+module.exports = {
+    async testTurningTwoFactorOffNeedsThePasswordAndCountsAttempts() {
+        const password = 'Roasted-Beans-42';
+        const anonymous = await this.createClient();
+        const registered = await anonymous.request('POST', '/api/auth/register', {
+            body: { username: 'two_factor_owner', email: 'two_factor_owner@example.com', password, confirmPassword: password }
+        });
+        this.assert(registered.status === 201, `Registration should succeed (got ${registered.status})`);
+
+        const client = await this.loginClient('two_factor_owner', password);
+        const { secret } = (await client.request('POST', '/api/auth/2fa/setup')).body.data;
+        const enabled = await client.request('POST', '/api/auth/2fa/enable', { body: { code: totp.generateCode(secret) } });
+        this.assert(enabled.status === 200, `Enrolling should succeed (got ${enabled.status})`);
+        const [recoveryCode] = enabled.body.data.recoveryCodes;
+
+        const disable = (body) => client.request('POST', '/api/auth/2fa/disable', { body });
+        const codeOnly = await disable({ code: recoveryCode });
+        this.assert(codeOnly.status === 400 && codeOnly.body.error === 'MISSING_FIELDS', 'A code alone should not turn 2FA off');
+
+        const wrongPassword = await disable({ password: 'not-my-password', code: recoveryCode });
+        this.assert(wrongPassword.body.error === 'INVALID_CURRENT_PASSWORD', 'The password should be checked');
+        const wrongCode = await client.request('POST', '/api/auth/2fa/recovery-codes', { body: { password, code: 'aaaa-aaaa' } });
+        this.assert(wrongCode.body.error === 'INVALID_TWO_FACTOR_CODE', 'The code should be checked');
+        await disable({ password, code: 'bbbb-bbbb' });
+
+        const delayed = await disable({ password, code: recoveryCode });
+        this.assert(delayed.status === 429 && delayed.body.error === 'LOGIN_DELAYED', `Wrong answers should count towards the login delay (got ${delayed.status})`);
+        const status = (await client.request('GET', '/api/auth/2fa')).body.data;
+        this.assert(status.enabled === true, '2FA should stay on');
+    }
+};
@@ -0,0 +1,51 @@
+// In-process tests for services/accountDataService: personal data export and account erasure
+const AccountDataService = require('../../../server/services/accountDataService');
+const { BackupManager } = require('../../../server/modules/backup-manager');
+const { Mailer, OutboxTransport } = require('../../../server/modules/mailer');
+
+module.exports = {
+    async testAccountExportAndErasure() {
+        const manager = await this.createMemoryManager();
+        const backups = new BackupManager(manager, { backupDir: this.createTempDir('coffee-shop-backups-'), intervalHours: 0 });
+        const outbox = new OutboxTransport({ outboxDir: this.createTempDir('coffee-shop-outbox-') });
+        const accountData = new AccountDataService(manager, { backupManager: backups, mailer: new Mailer({ transport: outbox }) });
+        const customer = { id: 'user-1', username: 'sam', email: 'sam@example.com', password: 'hash', role: 'user' };
+        const admin = { id: 'admin-1', username: 'boss', email: 'boss@example.com', password: 'hash', role: 'admin' };
+        await manager.writeData('users', [customer, admin]);
+        await manager.writeData('orders', [{ id: 'order-1', userId: 'user-1', totalAmount: 9, customerInfo: { name: 'Sam', email: 'sam@example.com' } }]);
+        await manager.writeData('reviews', [{ id: 'review-1', userId: 'user-1', username: 'sam', rating: 5 }]);
+        await manager.writeData('carts', [{ userId: 'user-1', items: [] }]);
+        await manager.writeData('sessions', [{ id: 'session-1', token: 'secret-token', userId: 'user-1' }]);
+        await manager.logActivity('sam', 'login');
+        await accountData.mailer.send({ to: 'Sam@Example.com', subject: 'Verify your email', text: 'Hi sam' });
+        await accountData.mailer.send({ to: 'boss@example.com', subject: 'Reset your password', text: 'Hi boss' });
+
+        const exported = await accountData.collect('user-1');
+        this.assert(exported.orders.length === 1 && exported.cart && exported.activity.length === 1, 'The export should hold the user\'s data');
+        this.assert(!JSON.stringify(exported).includes('secret-token') && !('password' in exported.profile), 'The export should leave out secrets');
+
+        const backup = await backups.createBackup('manual');
+        const summary = await accountData.erase('user-1', { actor: customer });
+        this.assert(summary.ordersAnonymized === 1 && summary.reviewsAnonymized === 1, 'Orders and reviews should be anonymized');
+
+        const snapshot = JSON.stringify((await backups.readBackup(backup.id)).collections);
+        this.assert(summary.backupsRedacted === 1 && summary.backupsNotRedacted.length === 0, 'Backups holding the user should be redacted');
+        this.assert(!snapshot.includes('sam@example.com') && !snapshot.includes('secret-token') && !snapshot.includes('"sam"'),
+            'Backups should no longer hold the user\'s personal data');
+
+        const [order] = await manager.readData('orders');
+        const [review] = await manager.readData('reviews');
+        const tombstone = await manager.findOneBy('users', 'id', 'user-1', { includeDeleted: true });
+        this.assert(order.totalAmount === 9 && order.customerInfo === null, 'Orders should be kept without customer details');
+        this.assert(review.username === 'Former customer', 'Reviews should no longer name the user');
+        this.assert(tombstone.email === null && tombstone.deletedAt && !await manager.findOneBy('users', 'id', 'user-1'), 'The account should become a deleted tombstone');
+        this.assert((await manager.readData('carts')).length === 0 && (await manager.readData('sessions')).length === 0, 'Carts and sessions should be deleted');
+        this.assert(!JSON.stringify(await manager.readData('activity')).includes('sam'), 'The activity log should no longer name the user');
+        this.assert(summary.outboxMessagesDeleted === 1 && outbox.list().every(message => message.to === 'boss@example.com'),
+            'Emails sent to the user should be deleted from the outbox, and only those');
+
+        let lastAdmin = null;
+        await accountData.erase('admin-1', { actor: admin }).catch(error => { lastAdmin = error; });
+        this.assert(lastAdmin && lastAdmin.errorType === 'LAST_ADMIN', 'The last admin should not be erased');
+    }
+};
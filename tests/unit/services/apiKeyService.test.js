@@ -0,0 +1,31 @@
+// In-process tests for services/apiKeyService: hashed, scoped API keys
+const ApiKeyService = require('../../../server/services/apiKeyService');
+
+module.exports = {
+    async testApiKeysAreHashedAndScoped() {
+        const manager = await this.createMemoryManager();
+        const service = new ApiKeyService(manager);
+        const barista = { id: 'user-2', username: 'barista', permissions: ['orders:read', 'orders:write'] };
+
+        let overreach = null;
+        await service.create(barista, { name: 'POS', scopes: ['products:write'] }).catch(error => { overreach = error; });
+        this.assert(overreach && overreach.errorType === 'INVALID_SCOPE', 'Keys should not get scopes their creator lacks');
+
+        let service403 = null;
+        await service.create(barista, { name: 'POS', type: 'service' }).catch(error => { service403 = error; });
+        this.assert(service403 && service403.statusCode === 403, 'Service keys should need apiKeys:manage');
+
+        const { key, apiKey } = await service.create(barista, { name: 'POS', scopes: ['orders:write'] });
+        this.assert(!JSON.stringify(await manager.readData('apiKeys')).includes(key) && !('keyHash' in apiKey), 'Keys should be stored hashed');
+
+        const used = await service.authenticate(key, { ip: '10.0.0.5' });
+        const [stored] = await manager.readData('apiKeys');
+        this.assert(used && stored.lastUsedAt && stored.lastUsedIp === '10.0.0.5', 'Using a key should record when and from where');
+        this.assert(service.effectivePermissions(used, ['orders:read', 'orders:write']).join() === 'orders:write', 'Keys should only carry their scopes');
+        this.assert(service.effectivePermissions(used, []).length === 0, 'Keys should lose scopes their owner no longer has');
+
+        await service.revoke(barista, apiKey.id);
+        this.assert(await service.authenticate(key) === null, 'Revoked keys should stop working');
+        this.assert((await service.list(barista))[0].status === 'revoked', 'Revoked keys should stay listed');
+    }
+};
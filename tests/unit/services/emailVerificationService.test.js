@@ -0,0 +1,37 @@
+// In-process tests for services/emailVerificationService: verification links that follow the address
+const { Mailer, OutboxTransport } = require('../../../server/modules/mailer');
+const EmailVerificationService = require('../../../server/services/emailVerificationService');
+
+module.exports = {
+    async testEmailVerificationFollowsTheAddress() {
+        const outboxDir = this.createTempDir('outbox-test-');
+        const manager = await this.createMemoryManager({
+            users: [{ id: 'user-1', username: 'alice', email: 'alice@example.com', password: 'hash', emailVerified: false, version: 1 }]
+        });
+        const outbox = new OutboxTransport({ outboxDir });
+        const service = new EmailVerificationService(manager, new Mailer({ transport: outbox }), { appUrl: 'http://shop.test' });
+        const tokenOf = message => message.text.match(/verify-email\.html\?token=([0-9a-f]+)/)[1];
+
+        await service.sendVerification(await manager.findOneBy('users', 'id', 'user-1'));
+        const firstToken = tokenOf(outbox.list({ to: 'alice@example.com' })[0]);
+
+        // Changing the address makes links sent to the old one useless
+        await manager.mutateRecord('users', 'user-1', (user) => { user.email = 'alice@new.example.com'; });
+        let stale = null;
+        await service.verify(firstToken).catch(error => { stale = error; });
+        this.assert(stale && stale.errorType === 'INVALID_VERIFICATION_TOKEN', 'Links for an old address should be rejected');
+
+        await service.sendVerification(await manager.findOneBy('users', 'id', 'user-1'));
+        const token = tokenOf(outbox.list({ to: 'alice@new.example.com' })[0]);
+        const verified = await service.verify(token);
+        this.assert(verified.emailVerified === true && verified.emailVerifiedAt && !verified.password, 'The address should be verified');
+
+        let reused = null;
+        await service.verify(token).catch(error => { reused = error; });
+        this.assert(reused && reused.statusCode === 400, 'A verification token should only work once');
+
+        let again = null;
+        await service.sendVerification(verified).catch(error => { again = error; });
+        this.assert(again && again.errorType === 'ALREADY_VERIFIED', 'Verified addresses should not get new links');
+    }
+};
@@ -0,0 +1,32 @@
+// In-process tests for services/guestCartService: signed guest carts merged at login
+const GuestCartService = require('../../../server/services/guestCartService');
+
+module.exports = {
+    async testGuestCartMergesAtLogin() {
+        const manager = await this.createMemoryManager();
+        const guestCarts = new GuestCartService(manager, { secret: 'test-secret' });
+        await manager.writeData('products', [
+            { id: 'p1', title: 'Espresso' },
+            { id: 'p2', title: 'Latte' },
+            { id: 'p3', title: 'Retired blend', deletedAt: new Date().toISOString() }
+        ]);
+        await manager.writeData('carts', [{ userId: 'user-1', items: [{ productId: 'p1', quantity: 90 }] }]);
+
+        const { guestId, cookieValue } = guestCarts.issue();
+        this.assert(guestCarts.verify(cookieValue) === guestId, 'A signed guest cookie should verify');
+        this.assert(guestCarts.verify(`${guestId}.forged`) === null, 'A tampered guest cookie should be refused');
+        this.assert(new GuestCartService(manager, { secret: 'other' }).verify(cookieValue) === null, 'Cookies signed with another secret should be refused');
+
+        await guestCarts.mutateCart(guestId, (cart) => {
+            cart.items = [{ productId: 'p1', quantity: 20 }, { productId: 'p2', quantity: 2 }, { productId: 'p3', quantity: 1 }];
+        });
+        const merged = await guestCarts.mergeInto(guestId, 'user-1');
+
+        const cart = await manager.getUserCart('user-1');
+        const quantity = (productId) => (cart.items.find(item => item.productId === productId) || {}).quantity;
+        this.assert(merged === 2, `Expected 2 merged lines, got ${merged}`);
+        this.assert(quantity('p1') === GuestCartService.MAX_ITEM_QUANTITY, 'Quantities in both carts should add up, capped');
+        this.assert(quantity('p2') === 2 && quantity('p3') === undefined, 'New products should be added and deleted ones left out');
+        this.assert((await manager.readData('guestCarts')).length === 0, 'The guest cart should be gone after the merge');
+    }
+};
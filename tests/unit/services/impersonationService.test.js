@@ -0,0 +1,41 @@
+// In-process tests for services/impersonationService: time-limited, audited impersonation
+const ImpersonationService = require('../../../server/services/impersonationService');
+const SessionService = require('../../../server/services/sessionService');
+const { runWithContext } = require('../../../server/modules/request-context');
+const { describeActor } = require('../../../server/modules/change-history');
+
+module.exports = {
+    async testImpersonationIsTimeLimitedAndAudited() {
+        const manager = await this.createMemoryManager({
+            users: [
+                { id: 'user-1', username: 'admin', email: 'admin@example.com', password: 'hash', role: 'admin', version: 1 },
+                { id: 'user-2', username: 'sam', email: 'sam@example.com', password: 'hash', role: 'user', version: 1 },
+                { id: 'user-3', username: 'bea', email: 'bea@example.com', password: 'hash', role: 'barista', version: 1 }
+            ]
+        });
+        const service = new ImpersonationService(manager, { lifetimeMinutes: 10 });
+        const support = { id: 'user-4', username: 'sue', permissions: ['users:impersonate', 'users:read'] };
+
+        let escalation = null;
+        await service.start(support, 'user-3').catch(error => { escalation = error; });
+        this.assert(escalation && escalation.errorType === 'IMPERSONATION_NOT_ALLOWED', 'Staff accounts should not be impersonated');
+
+        const { token, expiresAt } = await service.start(support, 'user-2', { reason: 'Ticket 42' });
+        const remaining = expiresAt.getTime() - Date.now();
+        const [session] = await manager.readData('sessions');
+        this.assert(remaining > 9 * 60 * 1000 && remaining <= 10 * 60 * 1000 && !session.refreshTokenHash, 'Impersonation sessions should have a fixed lifetime and no refresh token');
+        this.assert(session.userId === 'user-2' && session.impersonatedBy.username === 'sue', 'The session should carry the impersonating admin');
+
+        const sessions = new SessionService(manager, { touchIntervalMs: 0 });
+        const used = await sessions.findActive(token);
+        this.assert(used.expiresAt === session.expiresAt, 'Using an impersonation session should not extend it');
+
+        const impersonatedBy = { id: support.id, username: support.username };
+        await runWithContext({ impersonatedBy }, () => manager.logActivity('sam', 'order_placed'));
+        const [activity] = await manager.readData('activity');
+        this.assert(activity.username === 'sam' && activity.impersonatedBy.username === 'sue', 'Activity during impersonation should name the real admin');
+        this.assert(describeActor({ id: 'user-2', username: 'sam', impersonatedBy }).impersonatedBy.id === 'user-4', 'Change history should name the real admin');
+
+        this.assert((await service.stop(token)).impersonatedBy.username === 'sue' && await sessions.findActive(token) === null, 'Stopping should end the impersonation session');
+    }
+};
@@ -0,0 +1,53 @@
+// In-process tests for services/loginThrottleService: progressive delays and lockouts
+const LoginThrottleService = require('../../../server/services/loginThrottleService');
+
+module.exports = {
+    async testFailedLoginsDelayThenLockTheAccount() {
+        const manager = await this.createMemoryManager();
+        const throttle = new LoginThrottleService(manager, { delayAfterFailures: 2, lockoutThreshold: 4, lockoutMinutes: 15 });
+        const start = new Date('2025-09-01T12:00:00.000Z');
+        const at = seconds => new Date(start.getTime() + seconds * 1000);
+
+        await throttle.recordFailure('user-1', at(0));
+        this.assert((await throttle.check('user-1', at(0))).allowed, 'A single failure should not slow the account down');
+
+        await throttle.recordFailure('user-1', at(1));
+        const delayed = await throttle.check('user-1', at(1));
+        this.assert(!delayed.allowed && delayed.reason === 'delayed' && delayed.retryAfterSeconds === 1, 'Repeated failures should delay the next attempt');
+        this.assert((await throttle.check('user-1', at(2))).allowed, 'Attempts should be allowed again after the delay');
+
+        const third = await throttle.recordFailure('user-1', at(2));
+        this.assert(!third.locked && third.retryAfterSeconds === 2, 'Delays should grow with every failure');
+        this.assert((await throttle.check('user-2', at(2))).allowed, 'Other accounts should not be affected');
+
+        const fourth = await throttle.recordFailure('user-1', at(4));
+        const locked = await throttle.check('user-1', at(60));
+        this.assert(fourth.locked && !locked.allowed && locked.reason === 'locked', 'Reaching the threshold should lock the account');
+        this.assert((await throttle.getStatus('user-1', at(60))).lockedUntil === fourth.lockedUntil, 'Admins should see the lockout');
+
+        this.assert((await throttle.check('user-1', at(4 + 15 * 60))).allowed, 'Lockouts should expire');
+        const afterLockout = await throttle.recordFailure('user-1', at(4 + 15 * 60));
+        this.assert(afterLockout.failedAttempts === 1, 'An expired lockout should start a fresh count');
+
+        await throttle.reset('user-1');
+        this.assert((await throttle.getStatus('user-1')).failedAttempts === 0, 'Unlocking should clear the failed attempts');
+    },
+
+    async testParallelAttemptsCannotSkipTheLockout() {
+        const manager = await this.createMemoryManager();
+        const throttle = new LoginThrottleService(manager, { delayAfterFailures: 5, lockoutThreshold: 5, lockoutMinutes: 15 });
+
+        // 20 guesses fired at once: only as many as the threshold get to test a password
+        const reservations = await Promise.all(Array.from({ length: 20 }, () => throttle.reserve('user-1')));
+        const allowed = reservations.filter(reservation => reservation.allowed);
+        this.assert(allowed.length === 5, `Expected 5 attempts to get through, got ${allowed.length}`);
+        this.assert(allowed.filter(reservation => reservation.locked).length === 1, 'The last allowed attempt should lock the account if it fails');
+        this.assert(reservations.filter(reservation => reservation.reason === 'locked').length === 15, 'The rest should be refused');
+
+        // A right password followed by a second step gives its attempt back
+        await throttle.reset('user-1');
+        const first = await throttle.reserve('user-1');
+        await throttle.release('user-1', first);
+        this.assert((await throttle.getStatus('user-1')).failedAttempts === 0, 'Released attempts should not count');
+    }
+};
@@ -0,0 +1,81 @@
+// In-process tests for services/oidcService: OpenID Connect login against the bundled mock provider
+const express = require('express');
+const OidcService = require('../../../server/services/oidcService');
+const { createMockOidcProvider } = require('../../../server/modules/mock-oidc-provider');
+const { consumeToken } = require('../../../server/modules/one-time-tokens');
+
+module.exports = {
+    async testOidcLoginLinksAndProvisionsAccounts() {
+        const manager = await this.createMemoryManager({
+            users: [
+                { id: 'user-2', username: 'sam', email: 'sam@example.com', password: 'hash', role: 'user', emailVerified: true, version: 1 },
+                { id: 'user-3', username: 'boss', email: 'boss@example.com', password: 'hash', role: 'admin', emailVerified: true, version: 1 }
+            ]
+        });
+
+        // The bundled mock provider on a free port
+        const app = express();
+        const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+        const issuer = `http://127.0.0.1:${server.address().port}/mock-oidc`;
+        app.use('/mock-oidc', createMockOidcProvider({
+            issuer,
+            clients: [{ clientId: 'shop', redirectUris: ['http://shop.test/api/auth/oidc/corp/callback'] }]
+        }));
+        const service = new OidcService(manager, {
+            appUrl: 'http://shop.test',
+            providers: [{ id: 'corp', name: 'Corp', issuer, clientId: 'shop' }]
+        });
+
+        // Start a login and sign in at the provider; returns the callback query
+        const signIn = async (email, emailVerified = true) => {
+            const { authorizationUrl } = await service.startLogin('corp');
+            const form = new URLSearchParams(new URL(authorizationUrl).searchParams);
+            form.set('email', email);
+            if (emailVerified) form.set('email_verified', 'true');
+            const response = await fetch(`${issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+            return Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+        };
+        const login = async (email, emailVerified) => {
+            const { claims } = await service.finishLogin('corp', await signIn(email, emailVerified));
+            return await service.resolveUser('corp', claims);
+        };
+
+        try {
+            const linked = await login('sam@example.com');
+            this.assert(linked.outcome === 'linked' && linked.user.id === 'user-2', 'A verified email should link the existing account');
+            this.assert((await login('sam@example.com')).outcome === 'existing', 'Later logins should use the link');
+
+            // Staff accounts wait for their owner to confirm with the password
+            const pending = await login('boss@example.com');
+            this.assert(pending.outcome === 'confirmation_required' && pending.user.id === 'user-3' && pending.linkToken,
+                'A staff account should not be linked by email alone');
+            this.assert(!(await manager.readData('identities')).some(identity => identity.userId === 'user-3'), 'Nothing should be linked before the confirmation');
+            const confirmed = await service.linkIdentity(await consumeToken(manager, 'oidcLinks', pending.linkToken));
+            this.assert(confirmed.id === 'user-3' && !confirmed.password, 'A confirmed link should return the account');
+            this.assert((await login('boss@example.com')).outcome === 'existing', 'Once confirmed, the link should be used');
+
+            const created = await login('new.hire@corp.example');
+            this.assert(created.outcome === 'created' && created.user.username === 'new.hire' && created.user.emailVerified, 'Unknown users should get an account on their first login');
+            const stored = await manager.findOneBy('users', 'id', created.user.id);
+            this.assert(stored.password.startsWith('$2'), 'New accounts should get a hashed placeholder password');
+
+            let unverified = null;
+            await login('someone@corp.example', false).catch(error => { unverified = error; });
+            this.assert(unverified && unverified.errorType === 'OIDC_EMAIL_NOT_VERIFIED', 'Unverified emails should neither link nor create accounts');
+
+            const callback = await signIn('sam@example.com');
+            let replayed = null;
+            await service.finishLogin('corp', callback);
+            await service.finishLogin('corp', callback).catch(error => { replayed = error; });
+            this.assert(replayed && replayed.errorType === 'OIDC_STATE_INVALID', 'A login should only finish once');
+
+            const stolen = await signIn('sam@example.com');
+            let pkce = null;
+            await service.exchangeCode(service.getProvider('corp'), stolen.code, 'not-the-verifier').catch(error => { pkce = error; });
+            this.assert(pkce && pkce.errorType === 'OIDC_LOGIN_FAILED', 'A code should be useless without the PKCE verifier');
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+    }
+};
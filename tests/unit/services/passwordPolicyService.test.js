@@ -0,0 +1,37 @@
+// In-process tests for services/passwordPolicyService: password rules, blocklist and history
+const bcrypt = require('bcrypt');
+const PasswordPolicyService = require('../../../server/services/passwordPolicyService');
+
+module.exports = {
+    async testPasswordPolicyRules() {
+        const manager = await this.createMemoryManager();
+        const policy = new PasswordPolicyService(manager, { minLength: 8, minCharacterClasses: 2, historyCount: 3 });
+        const firstHash = await bcrypt.hash('Brew-first-1', 4);
+        const user = { id: 'user-1', username: 'barista', email: 'sam@example.com', password: firstHash };
+
+        this.assert((await policy.check('short1')).length > 0, 'Short passwords should be refused');
+        this.assert((await policy.check('onlyletters')).length > 0, 'Passwords should mix character classes');
+        this.assert((await policy.check('Password123')).some(problem => problem.includes('common')), 'Blocklisted passwords should be refused');
+        this.assert((await policy.check('my-barista-pw', user)).length > 0, 'Passwords should not contain the username');
+        this.assert((await policy.check('Roast-2-dark', user)).length === 0, 'A good password should pass');
+        this.assert((await policy.check('Roast-2-dark'.padEnd(73, 'x'))).some(problem => problem.includes('72 characters')), 'Long passwords should be refused by length');
+        this.assert((await policy.check(`Röst-2-${'ü'.repeat(40)}`)).some(problem => problem.includes('72 bytes')),
+            'Passwords bcrypt would cut short should be refused by their size in bytes');
+
+        let reused = null;
+        await policy.enforce('Brew-first-1', user).catch(error => { reused = error; });
+        this.assert(reused && reused.errorType === 'WEAK_PASSWORD', 'The current password should not be chosen again');
+
+        // Two changes later the first password is still within the last 3, a third change frees it
+        await policy.rememberPassword(user.id, firstHash);
+        user.password = await bcrypt.hash('Brew-second-2', 4);
+        this.assert((await policy.check('Brew-first-1', user)).length > 0, 'Recent passwords should not be reused');
+
+        await policy.rememberPassword(user.id, user.password);
+        user.password = await bcrypt.hash('Brew-third-3', 4);
+        await policy.rememberPassword(user.id, user.password);
+        user.password = await bcrypt.hash('Brew-fourth-4', 4);
+        this.assert((await policy.check('Brew-first-1', user)).length === 0, 'Passwords older than the history should be allowed again');
+        this.assert(!JSON.stringify(await manager.readData('passwordHistory')).includes('Brew'), 'The history should only hold hashes');
+    }
+};
@@ -0,0 +1,40 @@
+// In-process tests for services/passwordResetService: single-use reset tokens
+const { Mailer, OutboxTransport } = require('../../../server/modules/mailer');
+const PasswordResetService = require('../../../server/services/passwordResetService');
+
+module.exports = {
+    async testPasswordResetTokensAreSingleUse() {
+        const outboxDir = this.createTempDir('outbox-test-');
+        const manager = await this.createMemoryManager({
+            users: [{ id: 'user-1', username: 'alice', email: 'alice@example.com', password: 'old-hash', version: 1 }],
+            sessions: [{ id: 'session-1', userId: 'user-1', token: 't', expiresAt: '2999-01-01T00:00:00.000Z' }]
+        });
+        const outbox = new OutboxTransport({ outboxDir });
+        const service = new PasswordResetService(manager, new Mailer({ transport: outbox }), { appUrl: 'http://shop.test' });
+
+        this.assert(await service.requestReset('nobody@example.com') === null, 'Unknown accounts should be ignored');
+        await service.requestReset('ALICE@example.com');
+
+        const [email] = outbox.list({ to: 'alice@example.com' });
+        const token = email.text.match(/reset-password\.html\?token=([0-9a-f]+)/)[1];
+        const [stored] = await manager.readData('passwordResets');
+        this.assert(email.text.includes('http://shop.test/pages/reset-password.html'), 'The email should link to the reset page');
+        this.assert(stored.tokenHash !== token && !JSON.stringify(stored).includes(token), 'Only a hash of the token should be stored');
+
+        await service.resetPassword(token, 'new-secret');
+        const user = await manager.findOneBy('users', 'id', 'user-1');
+        this.assert(user.password !== 'old-hash' && user.version === 2, 'The password should be changed');
+        this.assert((await manager.readData('sessions')).length === 0, 'Existing sessions should be signed out');
+
+        let reused = null;
+        await service.resetPassword(token, 'another-secret').catch(error => { reused = error; });
+        this.assert(reused && reused.errorType === 'INVALID_RESET_TOKEN', 'A token should only work once');
+
+        await service.requestReset('alice');
+        const [latest] = outbox.list();
+        await manager.mutate('passwordResets', (resets) => { resets[0].expiresAt = new Date(Date.now() - 1000).toISOString(); });
+        let expired = null;
+        await service.resetPassword(latest.text.match(/token=([0-9a-f]+)/)[1], 'another-secret').catch(error => { expired = error; });
+        this.assert(expired && expired.statusCode === 400, 'Expired tokens should be rejected');
+    }
+};
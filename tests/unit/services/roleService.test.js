@@ -0,0 +1,75 @@
+// In-process tests for services/roleService: roles and permissions
+const RoleService = require('../../../server/services/roleService');
+
+module.exports = {
+    async testRolesGrantPermissions() {
+        const manager = await this.createMemoryManager({
+            users: [
+                { id: 'user-1', username: 'admin', email: 'admin@example.com', password: 'hash', role: 'admin', version: 1 },
+                { id: 'user-2', username: 'sam', email: 'sam@example.com', password: 'hash', role: 'user', version: 1 }
+            ]
+        });
+        const service = new RoleService(manager);
+
+        this.assert(await service.hasPermission({ role: 'admin' }, 'backups:manage'), 'Admins should hold every permission');
+        this.assert(!await service.hasPermission({ role: 'user' }, 'orders:read'), 'Customers should hold no permissions');
+        this.assert(await service.hasPermission({ role: 'support' }, 'tickets:assign'), 'Built-in roles should work before they are stored');
+
+        let invalid = null;
+        await service.createRole({ id: 'packer', permissions: ['orders:ship'] }).catch(error => { invalid = error; });
+        this.assert(invalid && invalid.errorType === 'INVALID_PERMISSION', 'Unknown permissions should be rejected');
+
+        await service.createRole({ id: 'packer', name: 'Packer', permissions: ['orders:read'] });
+        await service.assignRole('user-2', 'packer');
+        this.assert(await service.hasPermission({ role: 'packer' }, 'orders:read'), 'Custom roles should grant their permissions');
+
+        let inUse = null;
+        await service.deleteRole('packer').catch(error => { inUse = error; });
+        this.assert(inUse && inUse.errorType === 'ROLE_IN_USE', 'Roles still held should not be deleted');
+
+        let lastAdmin = null;
+        await service.assignRole('user-1', 'user').catch(error => { lastAdmin = error; });
+        this.assert(lastAdmin && lastAdmin.errorType === 'LAST_ADMIN', 'The last admin should keep the admin role');
+
+        let protectedRole = null;
+        await service.updateRole('admin', { permissions: [] }).catch(error => { protectedRole = error; });
+        this.assert(protectedRole && protectedRole.errorType === 'ROLE_PROTECTED', 'The admin role should keep every permission');
+    },
+
+    async testConcurrentDemotionsKeepAnAdmin() {
+        const manager = await this.createMemoryManager({
+            users: [
+                { id: 'admin-1', username: 'ann', email: 'ann@example.com', password: 'hash', role: 'admin', version: 1 },
+                { id: 'admin-2', username: 'bob', email: 'bob@example.com', password: 'hash', role: 'admin', version: 1 }
+            ]
+        });
+        const service = new RoleService(manager);
+
+        const results = await Promise.allSettled([service.assignRole('admin-1', 'user'), service.assignRole('admin-2', 'user')]);
+        const rejected = results.filter(result => result.status === 'rejected');
+        this.assert(rejected.length === 1 && rejected[0].reason.errorType === 'LAST_ADMIN', 'Only one of two parallel demotions should succeed');
+        this.assert((await manager.findBy('users', 'role', 'admin')).length === 1, 'One admin should be left');
+    },
+
+    async testRoleManagersCantGrantWhatTheyLack() {
+        const manager = await this.createMemoryManager({
+            users: [
+                { id: 'admin-1', username: 'ann', email: 'ann@example.com', password: 'hash', role: 'admin', version: 1 },
+                { id: 'user-2', username: 'mo', email: 'mo@example.com', password: 'hash', role: 'user', version: 1 }
+            ]
+        });
+        const service = new RoleService(manager);
+        await service.createRole({ id: 'role-admin', permissions: ['roles:manage', 'users:read'] });
+        const actor = { id: 'user-2', username: 'mo', permissions: ['roles:manage', 'users:read'] };
+        const refused = async (promise) => (await promise.then(() => null, error => error))?.errorType === 'PERMISSION_NOT_HELD';
+
+        this.assert(await refused(service.createRole({ id: 'everything', permissions: ['*'] }, { actor })), 'A * role should need * to create');
+        this.assert(await refused(service.assignRole('user-2', 'admin', { actor })), 'The admin role should not be assignable by a role manager');
+        this.assert(await refused(service.assignRole('admin-1', 'user', { actor })), 'Role managers should not demote someone who holds more');
+        this.assert(await refused(service.updateRole('role-admin', { permissions: ['roles:manage', 'backups:manage'] }, { actor })), 'Roles should not gain permissions their editor lacks');
+
+        await service.createRole({ id: 'viewer', permissions: ['users:read'] }, { actor });
+        const user = await service.assignRole('user-2', 'viewer', { actor });
+        this.assert(user.role === 'viewer', 'Permissions the actor holds can be handed out');
+    }
+};
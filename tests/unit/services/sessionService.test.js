@@ -0,0 +1,64 @@
+// In-process tests for services/sessionService: per-device sessions, sliding expiry and rotating refresh tokens
+const SessionService = require('../../../server/services/sessionService');
+
+module.exports = {
+    async testSessionsArePerDevice() {
+        const manager = await this.createMemoryManager();
+        const service = new SessionService(manager, { touchIntervalMs: 0 });
+
+        const laptop = await service.create('user-1', { userAgent: 'Firefox/130.0', ip: '10.0.0.1', rememberMe: true });
+        const phone = await service.create('user-1', { userAgent: 'Safari/17 iPhone', ip: '10.0.0.2' });
+        await service.create('user-2', { userAgent: 'Chrome/128' });
+
+        this.assert(await service.findActive(laptop.token) && await service.findActive(phone.token), 'Logging in on a second device should keep the first session');
+
+        await service.findActive(laptop.token, { ip: '10.0.0.9' });
+        const sessions = await service.list('user-1', phone.token);
+        this.assert(sessions.length === 2 && sessions.every(session => !session.token), 'Listings should cover the user\'s sessions without tokens');
+        this.assert(sessions.find(session => session.current).id === phone.session.id, 'The requesting session should be flagged as current');
+        this.assert(sessions.find(session => !session.current).ip === '10.0.0.9', 'Using a session should record where it was last seen');
+
+        this.assert(await service.revoke('user-2', laptop.session.id) === null, 'Users should not revoke other users\' sessions');
+        await service.revoke('user-1', laptop.session.id);
+        this.assert(await service.findActive(laptop.token) === null && await service.findActive(phone.token), 'Revoking should only end that session');
+
+        await service.create('user-1', { userAgent: 'Chrome/128' });
+        this.assert(await service.revokeAll('user-1') === 2, 'Logging out everywhere should revoke every session of the user');
+        this.assert((await manager.readData('sessions')).length === 1, 'Other users\' sessions should survive');
+    },
+
+    async testSessionsSlideAndRefreshTokensRotate() {
+        const manager = await this.createMemoryManager();
+        const minute = 60 * 1000;
+        const sliding = new SessionService(manager, { touchIntervalMs: 0, idleTimeoutMs: 30 * minute, maxLifetimeMs: 60 * minute });
+
+        // A session used 20 minutes after login is good for another 30, but never past the maximum lifetime
+        const created = await sliding.create('user-1');
+        await manager.mutate('sessions', (sessions) => {
+            sessions[0].lastSeenAt = new Date(Date.now() - 20 * minute).toISOString();
+            sessions[0].expiresAt = new Date(Date.now() + 10 * minute).toISOString();
+            sessions[0].maxExpiresAt = new Date(Date.now() + 25 * minute).toISOString();
+        });
+        const touched = await sliding.findActive(created.token);
+        const remaining = new Date(touched.expiresAt).getTime() - Date.now();
+        this.assert(remaining > 24 * minute && remaining <= 25 * minute, 'Using a session should slide its expiry up to the maximum lifetime');
+
+        const rotating = new SessionService(manager, { refreshTokens: true, accessTokenLifetimeMs: minute });
+        const first = await rotating.create('user-2');
+        this.assert(first.refreshToken && !JSON.stringify(await manager.readData('sessions')).includes(first.refreshToken), 'Only a hash of the refresh token should be stored');
+
+        const second = await rotating.rotate(first.refreshToken);
+        this.assert(second.status === 'rotated' && second.token !== first.token, 'A refresh should issue a new access token');
+        this.assert(await rotating.findActive(first.token) === null && await rotating.findActive(second.token), 'The old access token should stop working');
+        this.assert((await rotating.rotate(first.refreshToken)).status === 'superseded', 'A token retired moments ago should count as a race');
+
+        // Later on, the retired token showing up again means it was copied
+        await manager.mutate('sessions', (sessions) => {
+            const session = sessions.find(entry => entry.userId === 'user-2');
+            session.rotatedRefreshTokens[0].rotatedAt = new Date(Date.now() - 5 * minute).toISOString();
+        });
+        const reuse = await rotating.rotate(first.refreshToken);
+        this.assert(reuse.status === 'reused' && reuse.session.userId === 'user-2', 'Reusing a retired refresh token should be detected');
+        this.assert(await rotating.findActive(second.token) === null && (await rotating.rotate(second.refreshToken)).status === 'invalid', 'Reuse should revoke the whole session');
+    }
+};
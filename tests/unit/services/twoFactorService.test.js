@@ -0,0 +1,45 @@
+// In-process tests for services/twoFactorService: TOTP enrollment, codes and recovery codes
+const TwoFactorService = require('../../../server/services/twoFactorService');
+const totp = require('../../../server/modules/totp');
+
+module.exports = {
+    async testTwoFactorEnrollmentAndCodes() {
+        // RFC 6238 appendix B test vector (SHA-1, truncated to 6 digits)
+        const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+        this.assert(totp.generateCode(rfcSecret, totp.timeStep(59 * 1000)) === '287082', 'Codes should match the RFC 6238 test vectors');
+
+        const manager = await this.createMemoryManager({
+            users: [{ id: 'user-1', username: 'admin', email: 'admin@example.com', password: 'hash', role: 'admin', version: 1 }]
+        });
+        const service = new TwoFactorService(manager, { requireForAdmins: true });
+        const admin = await manager.findOneBy('users', 'id', 'user-1');
+
+        const { secret, otpauthUri, qrCode } = await service.startEnrollment(admin);
+        this.assert(otpauthUri.startsWith('otpauth://totp/') && otpauthUri.includes(`secret=${secret}`), 'Setup should return an otpauth URI for the secret');
+        this.assert(qrCode.startsWith('data:image/svg+xml;base64,'), 'Setup should return a QR code to scan');
+
+        let wrong = null;
+        await service.confirmEnrollment(admin, '000000').catch(error => { wrong = error; });
+        this.assert(wrong && wrong.errorType === 'INVALID_TWO_FACTOR_CODE', 'Enrollment should need a valid code');
+
+        const { recoveryCodes, user } = await service.confirmEnrollment(admin, totp.generateCode(secret, totp.timeStep() - 1));
+        this.assert(user.twoFactorEnabled === true && recoveryCodes.length === 10, 'Confirming should enable 2FA and hand out recovery codes');
+        this.assert(!JSON.stringify(await manager.readData('twoFactor')).includes(recoveryCodes[0]), 'Recovery codes should be stored hashed');
+        this.assert(!('secret' in user), 'The secret should stay off the user record');
+
+        this.assert(await service.verify('user-1', totp.generateCode(secret, totp.timeStep() - 1)) === null, 'A code should not be accepted twice');
+        this.assert((await service.verify('user-1', totp.generateCode(secret))).method === 'totp', 'A fresh code should be accepted');
+
+        const recovery = await service.verify('user-1', recoveryCodes[0].toUpperCase());
+        this.assert(recovery.method === 'recovery' && recovery.recoveryCodesRemaining === 9, 'Recovery codes should work');
+        this.assert(await service.verify('user-1', recoveryCodes[0]) === null, 'Recovery codes should work once');
+
+        let required = null;
+        await service.disable(user, recoveryCodes[1]).catch(error => { required = error; });
+        this.assert(required && required.errorType === 'TWO_FACTOR_REQUIRED', 'Admins should not turn off mandatory 2FA');
+
+        const optional = new TwoFactorService(manager, { requireForAdmins: false });
+        const disabled = await optional.disable(user, recoveryCodes[1]);
+        this.assert(disabled.twoFactorEnabled === false && (await manager.readData('twoFactor')).length === 0, 'Turning 2FA off should remove the secret');
+    }
+};